@@ -3,14 +3,16 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const passport = require('passport');
 const path = require('path');
 const authRoutes = require('./routes/auth');
 const challengeRoutes = require('./routes/challenges');
 const notificationsRoutes = require('./routes/notifications');
 const pushRoutes = require('./routes/push');
-const { startDailyRecapScheduler } = require('./utils/dailyRecapScheduler');
-const { startWeeklyChronicleScheduler } = require('./utils/weeklyChronicleScheduler');
-const { startReactivationScheduler } = require('./utils/reactivationScheduler');
+const templateRoutes = require('./routes/templates');
+const searchRoutes = require('./routes/search');
+const { startJobWorker } = require('./utils/jobQueue');
+const { registerScheduledJobs } = require('./utils/scheduledJobs');
 
 // Check for required environment variables
 if (!process.env.ATLAS_URI) {
@@ -18,6 +20,11 @@ if (!process.env.ATLAS_URI) {
   process.exit(1);
 }
 
+if (!process.env.JWT_SECRET) {
+  console.error('JWT_SECRET is not defined in environment variables');
+  process.exit(1);
+}
+
 const app = express();
 
 app.set('trust proxy', 1);
@@ -58,6 +65,7 @@ app.options('*', cors(corsOptions));
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(passport.initialize());
 
 // MongoDB Connection
 mongoose.connect(process.env.ATLAS_URI, {
@@ -70,9 +78,11 @@ mongoose.connect(process.env.ATLAS_URI, {
   console.log('Host:', mongoose.connection.host);
   // Legacy cleanup: name is no longer unique, so drop old unique index if it exists.
   mongoose.connection.collection('users').dropIndex('name_1').catch(() => {});
-  startDailyRecapScheduler();
-  startWeeklyChronicleScheduler();
-  startReactivationScheduler();
+  // Set JOB_WORKER_ENABLED=false when scheduled jobs run in a separate `npm run worker` process.
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    registerScheduledJobs();
+    startJobWorker();
+  }
 })
 .catch(err => {
   console.error('MongoDB connection error:', err);
@@ -107,6 +117,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/challenges', challengeRoutes);
 app.use('/api/notifications', notificationsRoutes);
 app.use('/api/push', pushRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/search', searchRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,22 @@
+const COMMENT_REPORT_REASONS = Object.freeze([
+  'spam',
+  'harassment',
+  'hate',
+  'inappropriate',
+  'other'
+]);
+
+// Reports from this many different users hide a comment until a moderator reviews it
+const COMMENT_REPORT_HIDE_THRESHOLD = 3;
+
+const MAX_REPORT_DETAILS_LENGTH = 500;
+
+// Older revisions beyond this are dropped
+const MAX_COMMENT_REVISIONS = 20;
+
+module.exports = {
+  COMMENT_REPORT_REASONS,
+  COMMENT_REPORT_HIDE_THRESHOLD,
+  MAX_REPORT_DETAILS_LENGTH,
+  MAX_COMMENT_REVISIONS
+};
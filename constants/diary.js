@@ -0,0 +1,19 @@
+// Mood is a 1–5 rating: 1 = rough day, 5 = great day
+const DIARY_MOOD_MIN = 1;
+const DIARY_MOOD_MAX = 5;
+
+const MAX_DIARY_TEXT_LENGTH = 1000;
+const MAX_DIARY_PHOTOS = 4;
+
+// Entries the weekly chronicle quotes, and how much of each it shows
+const DIARY_HIGHLIGHTS_PER_WEEK = 3;
+const MAX_DIARY_QUOTE_LENGTH = 180;
+
+module.exports = {
+  DIARY_MOOD_MIN,
+  DIARY_MOOD_MAX,
+  MAX_DIARY_TEXT_LENGTH,
+  MAX_DIARY_PHOTOS,
+  DIARY_HIGHLIGHTS_PER_WEEK,
+  MAX_DIARY_QUOTE_LENGTH
+};
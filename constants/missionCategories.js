@@ -0,0 +1,37 @@
+const MISSION_CATEGORIES = Object.freeze([
+  'health',
+  'fitness',
+  'mindfulness',
+  'learning',
+  'productivity',
+  'creativity',
+  'finance',
+  'social',
+  'other'
+]);
+
+const MAX_MISSION_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+function isMissionCategory(value) {
+  return MISSION_CATEGORIES.includes(value);
+}
+
+/** Lowercased, trimmed, de-duplicated tags; anything that is not a short string is dropped. */
+function normalizeMissionTags(tags) {
+  if (!Array.isArray(tags)) return [];
+
+  const normalized = tags
+    .filter((tag) => typeof tag === 'string')
+    .map((tag) => tag.trim().toLowerCase().replace(/^#/, ''))
+    .filter((tag) => tag && tag.length <= MAX_TAG_LENGTH);
+
+  return [...new Set(normalized)].slice(0, MAX_MISSION_TAGS);
+}
+
+module.exports = {
+  MISSION_CATEGORIES,
+  MAX_MISSION_TAGS,
+  isMissionCategory,
+  normalizeMissionTags
+};
@@ -0,0 +1,154 @@
+// Curated mission templates. Upserted by slug via scripts/seed-mission-templates.js,
+// so editing an entry here and re-running the script updates it in place.
+const MISSION_TEMPLATES = Object.freeze([
+  {
+    slug: 'morning-water',
+    title: 'Glass of water every morning',
+    description: 'Start each day with a glass of water before coffee.',
+    challengeType: 'habit',
+    frequency: 'daily',
+    durationDays: 21,
+    difficulty: 'easy',
+    category: 'health',
+    tags: ['morning', 'hydration'],
+    sortOrder: 10
+  },
+  {
+    slug: 'daily-steps',
+    title: '8,000 steps a day',
+    description: 'Walk at least 8,000 steps every day.',
+    challengeType: 'habit',
+    frequency: 'daily',
+    dailyTarget: { amount: 8000, unit: 'steps' },
+    durationDays: 30,
+    difficulty: 'medium',
+    category: 'fitness',
+    tags: ['walking', 'steps'],
+    sortOrder: 20
+  },
+  {
+    slug: 'workout-3x-week',
+    title: 'Workout three times a week',
+    description: 'Any training counts: gym, running, yoga or a home workout.',
+    challengeType: 'habit',
+    frequency: 'timesPerWeek',
+    schedule: { timesPerWeek: 3 },
+    durationDays: 28,
+    difficulty: 'medium',
+    category: 'fitness',
+    tags: ['sport', 'workout'],
+    sortOrder: 30
+  },
+  {
+    slug: 'meditation-10-min',
+    title: '10 minutes of meditation',
+    description: 'Sit quietly and focus on your breath for ten minutes.',
+    challengeType: 'habit',
+    frequency: 'daily',
+    dailyTarget: { amount: 10, unit: 'min' },
+    durationDays: 21,
+    difficulty: 'easy',
+    category: 'mindfulness',
+    tags: ['meditation', 'calm'],
+    sortOrder: 40
+  },
+  {
+    slug: 'read-20-pages',
+    title: 'Read 20 pages a day',
+    description: 'Read at least twenty pages of a book every day.',
+    challengeType: 'habit',
+    frequency: 'daily',
+    dailyTarget: { amount: 20, unit: 'pages' },
+    durationDays: 30,
+    difficulty: 'medium',
+    category: 'learning',
+    tags: ['reading', 'books'],
+    sortOrder: 50
+  },
+  {
+    slug: 'weekday-deep-work',
+    title: 'Two hours of deep work on weekdays',
+    description: 'Block two hours without notifications every working day.',
+    challengeType: 'habit',
+    frequency: 'weekdays',
+    schedule: { weekdays: [1, 2, 3, 4, 5] },
+    durationDays: 28,
+    difficulty: 'heroic',
+    category: 'productivity',
+    tags: ['focus', 'work'],
+    sortOrder: 60
+  },
+  {
+    slug: 'no-spend-week',
+    title: 'No-spend week',
+    description: 'Buy only what you planned for seven days.',
+    challengeType: 'habit',
+    frequency: 'daily',
+    durationDays: 7,
+    difficulty: 'medium',
+    category: 'finance',
+    tags: ['budget', 'money'],
+    sortOrder: 70
+  },
+  {
+    slug: 'first-5k',
+    title: 'Run my first 5K',
+    description: 'Go from zero to a 5 km run step by step.',
+    challengeType: 'result',
+    durationDays: 60,
+    difficulty: 'heroic',
+    reward: 'New running shoes',
+    category: 'fitness',
+    tags: ['running', 'goal'],
+    sortOrder: 80,
+    actions: [
+      { text: 'Pick a training plan', children: [] },
+      { text: 'Run 1 km without stopping', children: [] },
+      { text: 'Run 3 km without stopping', children: [] },
+      { text: 'Register for a 5K race', children: [] },
+      { text: 'Finish the race', children: [] }
+    ]
+  },
+  {
+    slug: 'learn-language-basics',
+    title: 'Learn the basics of a new language',
+    description: 'Reach a level where you can introduce yourself and order food.',
+    challengeType: 'result',
+    durationDays: 90,
+    difficulty: 'heroic',
+    reward: '',
+    category: 'learning',
+    tags: ['languages', 'goal'],
+    sortOrder: 90,
+    actions: [
+      { text: 'Choose a course or app', children: [] },
+      {
+        text: 'Learn the first 500 words',
+        children: [{ text: '100 words' }, { text: '250 words' }, { text: '500 words' }]
+      },
+      { text: 'Have a 5-minute conversation with a native speaker', children: [] }
+    ]
+  },
+  {
+    slug: 'declutter-home',
+    title: 'Declutter the home',
+    description: 'Go through the home room by room and let go of what you do not use.',
+    challengeType: 'result',
+    durationDays: 30,
+    difficulty: 'medium',
+    reward: '',
+    category: 'productivity',
+    tags: ['home', 'minimalism'],
+    sortOrder: 100,
+    actions: [
+      { text: 'Wardrobe', children: [] },
+      { text: 'Kitchen', children: [] },
+      { text: 'Desk and papers', children: [] },
+      { text: 'Donate or sell what is left', children: [] }
+    ]
+  }
+]);
+
+module.exports = {
+  MISSION_TEMPLATES
+};
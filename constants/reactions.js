@@ -0,0 +1,32 @@
+// Emoji that can be used as comment reactions, in display order
+const REACTION_EMOJI = Object.freeze([
+  '👍',
+  '❤️',
+  '🔥',
+  '👏',
+  '💪',
+  '🎉',
+  '😂',
+  '😮',
+  '😢',
+  '🙏'
+]);
+
+const VARIATION_SELECTOR = '\uFE0F';
+
+/** The allowed form of `value` (tolerating a missing or extra variation selector), or null. */
+function normalizeReactionEmoji(value) {
+  if (typeof value !== 'string') return null;
+
+  const emoji = value.trim();
+  if (REACTION_EMOJI.includes(emoji)) return emoji;
+  if (REACTION_EMOJI.includes(`${emoji}${VARIATION_SELECTOR}`)) return `${emoji}${VARIATION_SELECTOR}`;
+
+  const withoutSelector = emoji.replace(new RegExp(VARIATION_SELECTOR, 'g'), '');
+  return REACTION_EMOJI.includes(withoutSelector) ? withoutSelector : null;
+}
+
+module.exports = {
+  REACTION_EMOJI,
+  normalizeReactionEmoji
+};
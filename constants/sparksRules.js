@@ -68,7 +68,11 @@ function buildHabitDaySparksKey(challengeId, localDate) {
   return `${SPARKS_EVENT_KEY_PREFIXES.HABIT_DAY}:${challengeId}:${localDate}`;
 }
 
-function buildManifestSparksKey(type, localDate, challengeId = null) {
+function buildManifestSparksKey(type, localDate, challengeId = null, inviteeId = null) {
+  // Invite manifests are earned once per accepted invitee, not once per day
+  if (type === 'invite' && challengeId && inviteeId) {
+    return `${SPARKS_EVENT_KEY_PREFIXES.MANIFEST}:invite:${challengeId}:user:${inviteeId}`;
+  }
   if (type === 'invite' && challengeId) {
     return `${SPARKS_EVENT_KEY_PREFIXES.MANIFEST}:invite:${challengeId}:${localDate}`;
   }
@@ -1,6 +1,4 @@
-const jwt = require('jsonwebtoken');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'supersecretkey';
+const { verifyAccessToken } = require('../utils/authTokens');
 
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
@@ -10,7 +8,7 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ message: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  verifyAccessToken(token, (err, user) => {
     if (err) {
       return res.status(403).json({ message: 'Invalid or expired token' });
     }
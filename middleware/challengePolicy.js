@@ -0,0 +1,107 @@
+const Challenge = require('../models/Challenge');
+const { findChallengeParticipant } = require('../utils/challengeHelpers');
+
+function getChallengeOwnerId(challenge) {
+  const ownerId = challenge?.owner?._id || challenge?.owner;
+  return ownerId ? ownerId.toString() : null;
+}
+
+function isChallengeOwner(challenge, userId) {
+  if (!challenge || !userId) return false;
+  return getChallengeOwnerId(challenge) === userId.toString();
+}
+
+function isChallengeParticipant(challenge, userId) {
+  return !!findChallengeParticipant(challenge, userId);
+}
+
+/**
+ * 'owner', 'co-owner', 'member', or null for non-members. `challenge.owner`
+ * is the source of truth for ownership; participants[].role covers the rest.
+ */
+function getChallengeRole(challenge, userId) {
+  if (isChallengeOwner(challenge, userId)) return 'owner';
+
+  const participant = findChallengeParticipant(challenge, userId);
+  if (!participant) return null;
+  return participant.role === 'co-owner' ? 'co-owner' : 'member';
+}
+
+/** Owner or co-owner: may edit the description, toggle comments, moderate and remove members. */
+function isChallengeManager(challenge, userId) {
+  const role = getChallengeRole(challenge, userId);
+  return role === 'owner' || role === 'co-owner';
+}
+
+const CHALLENGE_POLICIES = Object.freeze({
+  owner: {
+    allows: isChallengeOwner,
+    message: 'You are not authorized to modify this challenge'
+  },
+  participant: {
+    allows: isChallengeParticipant,
+    message: 'You are not a participant of this challenge'
+  },
+  manager: {
+    allows: isChallengeManager,
+    message: 'Only the owner or a co-owner can do this'
+  },
+  member: {
+    allows: (challenge, userId) => isChallengeOwner(challenge, userId)
+      || isChallengeParticipant(challenge, userId),
+    message: 'You are not a member of this challenge'
+  }
+});
+
+/** Private missions are visible to their members only; routes answer 404 to everyone else. */
+function canViewChallenge(challenge, userId) {
+  if (!challenge) return false;
+  if (challenge.privacy !== 'private') return true;
+  return !!userId && CHALLENGE_POLICIES.member.allows(challenge, userId);
+}
+
+/**
+ * Loads req.params.id into req.challenge and checks the acting user against a
+ * named policy. Must run after authenticateToken.
+ * Responds 401 without a user, 404 for a missing challenge, 403 when denied.
+ */
+function authorizeChallenge(policyName) {
+  const policy = CHALLENGE_POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown challenge policy: ${policyName}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({ message: 'Authentication required' });
+      }
+
+      const challenge = await Challenge.findById(req.params.id);
+      if (!challenge) {
+        return res.status(404).json({ message: 'Challenge not found' });
+      }
+
+      if (!policy.allows(challenge, userId)) {
+        return res.status(403).json({ message: policy.message });
+      }
+
+      req.challenge = challenge;
+      next();
+    } catch (error) {
+      res.status(500).json({ message: 'Error authorizing challenge access', error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  CHALLENGE_POLICIES,
+  authorizeChallenge,
+  getChallengeOwnerId,
+  isChallengeOwner,
+  isChallengeParticipant,
+  getChallengeRole,
+  isChallengeManager,
+  canViewChallenge
+};
@@ -0,0 +1,25 @@
+const { verifyAccessToken } = require('../utils/authTokens');
+
+/**
+ * Like authenticateToken, but never rejects the request: a valid bearer token
+ * populates req.user, anything else leaves it null.
+ */
+function optionalAuth(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  req.user = null;
+
+  if (!token) {
+    return next();
+  }
+
+  verifyAccessToken(token, (err, user) => {
+    if (!err && user?.id) {
+      req.user = user;
+    }
+    next();
+  });
+}
+
+module.exports = optionalAuth;
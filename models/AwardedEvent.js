@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Idempotency record for sparks / XP events: a successful insert is what
+// makes an award (or spend) happen exactly once per user and event key.
+const awardedEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    eventKey: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    currency: {
+      type: String,
+      enum: ['sparks', 'xp'],
+      required: true
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+awardedEventSchema.index({ userId: 1, eventKey: 1 }, { unique: true });
+
+module.exports = mongoose.models.AwardedEvent || mongoose.model('AwardedEvent', awardedEventSchema);
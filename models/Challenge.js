@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { MISSION_CATEGORIES } = require('../constants/missionCategories');
+const { detectSearchLanguage } = require('../utils/searchLanguage');
 
 const challengeSchema = new mongoose.Schema(
   {
@@ -23,11 +25,33 @@ const challengeSchema = new mongoose.Schema(
       enum: ['public', 'private'],
       default: 'public'
     },
+    category: {
+      type: String,
+      enum: MISSION_CATEGORIES,
+      default: 'other'
+    },
+    // Free-form, lowercased (see normalizeMissionTags)
+    tags: {
+      type: [String],
+      default: []
+    },
+    // Stemming language for the text index, derived from title and description
+    searchLanguage: {
+      type: String,
+      default: 'english'
+    },
     challengeType: {
       type: String,
       enum: ['habit', 'result'],
       default: 'habit'
     },
+    // Result challenges only: 'individual' gives every participant their own
+    // action checklist, 'shared' has one checklist whose actions members claim.
+    questMode: {
+      type: String,
+      enum: ['individual', 'shared'],
+      default: 'individual'
+    },
     frequency: {
       type: String,
       default: null,
@@ -35,11 +59,29 @@ const challengeSchema = new mongoose.Schema(
       validate: {
         validator: function(v) {
           // Allow null/undefined for result challenges, or valid enum values for habit challenges
-          return v === null || v === undefined || v === '' || ['daily', 'everyOtherDay'].includes(v);
+          return v === null || v === undefined || v === ''
+            || ['daily', 'everyOtherDay', 'weekdays', 'timesPerWeek', 'everyNDays'].includes(v);
         },
         message: '{VALUE} is not a valid frequency'
       }
     },
+    // Parameters for the custom habit frequencies (see utils/habitSchedule.js)
+    schedule: {
+      type: {
+        weekdays: [{ type: Number, min: 0, max: 6 }],
+        timesPerWeek: { type: Number, min: 1, max: 7 },
+        intervalDays: { type: Number, min: 2, max: 30 }
+      },
+      default: null
+    },
+    // Quantitative habits: a day counts as completed once the logged amount reaches this target
+    dailyTarget: {
+      type: {
+        amount: { type: Number, min: 0 },
+        unit: { type: String, trim: true, maxlength: 20 }
+      },
+      default: null
+    },
     actions: [
       {
         _id: {
@@ -54,6 +96,24 @@ const challengeSchema = new mongoose.Schema(
           type: Boolean,
           default: false
         },
+        claimedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          default: null
+        },
+        claimedAt: {
+          type: Date,
+          default: null
+        },
+        completedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          default: null
+        },
+        completedAt: {
+          type: Date,
+          default: null
+        },
         children: {
           type: [
             {
@@ -99,6 +159,26 @@ const challengeSchema = new mongoose.Schema(
       ref: 'User',
       required: true
     },
+    // Pending hand-over started by the owner; applied when `toUserId` accepts
+    ownershipTransfer: {
+      type: {
+        toUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        requestedAt: { type: Date }
+      },
+      default: null
+    },
+    // Provenance for missions started via /:id/clone or a template
+    clonedFromChallengeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Challenge',
+      default: null
+    },
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MissionTemplate',
+      default: null
+    },
     participants: [
       {
         userId: {
@@ -106,6 +186,12 @@ const challengeSchema = new mongoose.Schema(
           ref: 'User',
           required: true
         },
+        // Mirrors challenge.owner for the owner's entry; see getChallengeRole
+        role: {
+          type: String,
+          enum: ['owner', 'co-owner', 'member'],
+          default: 'member'
+        },
         completedDays: {
           type: [String],
           default: []
@@ -117,156 +203,91 @@ const challengeSchema = new mongoose.Schema(
         secondChanceDays: {
           type: [String],
           default: []
-        }
-      }
-    ],
-    allowComments: {
-      type: Boolean,
-      default: true
-    },
-    comments: [
-      {
-        userId: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'User',
-          required: true
         },
-        text: {
-          type: String,
-          default: '',
-          trim: true,
-          maxlength: 1000
-        },
-        imageUrl: {
-          type: String,
-          default: null
-        },
-        reactions: {
-          type: Map,
-          of: [{
-            userId: {
-              type: mongoose.Schema.Types.ObjectId,
-              ref: 'User'
-            }
-          }],
-          default: {}
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now
+        // Individual quests: ids of the actions/sub-actions this member has checked.
+        // The owner's state stays on actions[].checked.
+        checkedActionIds: {
+          type: [String],
+          default: []
         },
-        replies: [
+        // Quantitative habits: amount logged per local day (YYYY-MM-DD)
+        dailyLogs: [
           {
-            userId: {
-              type: mongoose.Schema.Types.ObjectId,
-              ref: 'User',
-              required: true
-            },
-            text: {
-              type: String,
-              required: true,
-              trim: true,
-              maxlength: 1000
-            },
-            imageUrl: {
-              type: String,
-              default: null
-            },
-            mentionedUserId: {
-              type: mongoose.Schema.Types.ObjectId,
-              ref: 'User',
-              default: null
-            },
-            reactions: {
-              type: Map,
-              of: [{
-                userId: {
-                  type: mongoose.Schema.Types.ObjectId,
-                  ref: 'User'
-                }
-              }],
-              default: {}
-            },
-            createdAt: {
-              type: Date,
-              default: Date.now
-            },
-            replies: [
-              {
-                userId: {
-                  type: mongoose.Schema.Types.ObjectId,
-                  ref: 'User',
-                  required: true
-                },
-                text: {
-                  type: String,
-                  required: true,
-                  trim: true,
-                  maxlength: 1000
-                },
-                imageUrl: {
-                  type: String,
-                  default: null
-                },
-                mentionedUserId: {
-                  type: mongoose.Schema.Types.ObjectId,
-                  ref: 'User',
-                  default: null
-                },
-                reactions: {
-                  type: Map,
-                  of: [{
-                    userId: {
-                      type: mongoose.Schema.Types.ObjectId,
-                      ref: 'User'
-                    }
-                  }],
-                  default: {}
-                },
-                createdAt: {
-                  type: Date,
-                  default: Date.now
-                }
-              }
-            ]
+            _id: false,
+            date: { type: String, required: true },
+            amount: { type: Number, default: 0 },
+            updatedAt: { type: Date, default: Date.now }
           }
         ]
       }
     ],
-    userDiaryEntries: [
-      {
-        userId: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'User',
-          required: true
-        },
-        text: {
-          type: String,
-          default: '',
-          trim: true,
-          maxlength: 1000
-        },
-        imageUrl: {
-          type: String,
-          default: null
-        },
-        actionTitle: {
-          type: String,
-          default: ''
-        },
-        actionId: {
-          type: mongoose.Schema.Types.ObjectId
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now
+    // Joins through an approval-required invite, waiting for the owner.
+    // Hidden by default; load with .select('+pendingParticipants').
+    pendingParticipants: {
+      type: [
+        {
+          _id: false,
+          userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+          },
+          inviteId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'MissionInvite',
+            default: null
+          },
+          requestedAt: {
+            type: Date,
+            default: Date.now
+          }
         }
-      }
-    ]
+      ],
+      default: [],
+      select: false
+    },
+    allowComments: {
+      type: Boolean,
+      default: true
+    }
   },
   {
     timestamps: { createdAt: true, updatedAt: false }
   }
 );
 
+// GET /api/challenges: public missions newest first, by owner, by end date window
+challengeSchema.index({ privacy: 1, createdAt: -1, _id: -1 });
+challengeSchema.index({ privacy: 1, challengeType: 1, endDate: 1 });
+challengeSchema.index({ owner: 1, createdAt: -1 });
+// Following feed: missions a followed user joined that are still in the feed window
+challengeSchema.index({ 'participants.userId': 1, endDate: -1 });
+challengeSchema.index({ category: 1, createdAt: -1 });
+challengeSchema.index({ tags: 1 });
+challengeSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  {
+    weights: { title: 10, tags: 5, description: 2 },
+    language_override: 'searchLanguage',
+    name: 'challenge_search_text'
+  }
+);
+
+challengeSchema.pre('save', function setSearchLanguage(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('description')) {
+    this.searchLanguage = detectSearchLanguage(this.title, this.description);
+  }
+  next();
+});
+
+// PUT /:id updates through findByIdAndUpdate, which skips save hooks
+challengeSchema.pre('findOneAndUpdate', function setSearchLanguage(next) {
+  const update = this.getUpdate() || {};
+  const fields = update.$set || update;
+  if (fields.title !== undefined || fields.description !== undefined) {
+    fields.searchLanguage = detectSearchLanguage(fields.title, fields.description);
+  }
+  next();
+});
+
 module.exports = mongoose.model('Challenge', challengeSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Comment on a mission. Top-level comments have no parent; replies point at
+// the comment they answer (`parentId`) and at the top-level comment of their
+// thread (`rootId`), so a whole thread loads with one query at any depth.
+const commentSchema = new mongoose.Schema(
+  {
+    challengeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Challenge',
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null
+    },
+    rootId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null
+    },
+    // 0 for top-level comments
+    depth: {
+      type: Number,
+      default: 0
+    },
+    text: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: 1000
+    },
+    imageUrl: {
+      type: String,
+      default: null
+    },
+    // The user being replied to, as sent by the client
+    mentionedUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Users @mentioned in the text, resolved on the server
+    mentionedUserIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      default: []
+    },
+    // True when the comment is a diary entry shared to the community
+    sharedFromDiary: {
+      type: Boolean,
+      default: false
+    },
+    // Number of reactions per emoji; who reacted lives in CommentReaction
+    reactionCounts: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    edited: {
+      type: Boolean,
+      default: false
+    },
+    editedAt: {
+      type: Date,
+      default: null
+    },
+    // Earlier versions of the text, oldest first
+    revisions: {
+      type: [{
+        _id: false,
+        text: { type: String, default: '' },
+        editedAt: { type: Date, default: Date.now }
+      }],
+      default: [],
+      select: false
+    },
+    // Set instead of deleting when the comment still has replies, so the thread stays intact
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reportCount: {
+      type: Number,
+      default: 0
+    },
+    // Set once reports reach the threshold; cleared when a moderator dismisses them
+    hiddenAt: {
+      type: Date,
+      default: null
+    }
+  }
+);
+
+commentSchema.index({ challengeId: 1, parentId: 1, createdAt: 1, _id: 1 });
+commentSchema.index({ rootId: 1, createdAt: 1 });
+
+module.exports = mongoose.models.Comment || mongoose.model('Comment', commentSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One user's emoji reaction to a comment. Comment.reactionCounts holds the
+// per-emoji totals so threads can be listed without loading these.
+const commentReactionSchema = new mongoose.Schema(
+  {
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      required: true
+    },
+    challengeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Challenge',
+      required: true,
+      index: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    emoji: {
+      type: String,
+      required: true
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+commentReactionSchema.index({ commentId: 1, userId: 1, emoji: 1 }, { unique: true });
+commentReactionSchema.index({ commentId: 1, emoji: 1, createdAt: -1 });
+
+module.exports = mongoose.models.CommentReaction || mongoose.model('CommentReaction', commentReactionSchema);
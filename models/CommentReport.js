@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { COMMENT_REPORT_REASONS, MAX_REPORT_DETAILS_LENGTH } = require('../constants/commentModeration');
+
+// A user's report of a mission comment, queued for the owner or a co-owner to review
+const commentReportSchema = new mongoose.Schema(
+  {
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      required: true
+    },
+    challengeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Challenge',
+      required: true
+    },
+    reporterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: COMMENT_REPORT_REASONS,
+      required: true
+    },
+    details: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: MAX_REPORT_DETAILS_LENGTH
+    },
+    // 'dismissed' when a moderator kept the comment, 'actioned' when they removed it
+    status: {
+      type: String,
+      enum: ['pending', 'dismissed', 'actioned'],
+      default: 'pending'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+commentReportSchema.index({ commentId: 1, reporterId: 1 }, { unique: true });
+commentReportSchema.index({ challengeId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.models.CommentReport || mongoose.model('CommentReport', commentReportSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const {
+  DIARY_MOOD_MIN,
+  DIARY_MOOD_MAX,
+  MAX_DIARY_TEXT_LENGTH,
+  MAX_DIARY_PHOTOS
+} = require('../constants/diary');
+
+// A participant's private diary entry on a mission. `day` is the author's
+// local day the entry is about; on habit missions it can be bound to one of
+// the author's completedDays.
+const diaryEntrySchema = new mongoose.Schema(
+  {
+    challengeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Challenge',
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // 'YYYY-MM-DD'
+    day: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    boundToCompletedDay: {
+      type: Boolean,
+      default: false
+    },
+    mood: {
+      type: Number,
+      min: DIARY_MOOD_MIN,
+      max: DIARY_MOOD_MAX,
+      default: null
+    },
+    text: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: MAX_DIARY_TEXT_LENGTH
+    },
+    imageUrls: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (urls) => urls.length <= MAX_DIARY_PHOTOS,
+        message: `At most ${MAX_DIARY_PHOTOS} photos per entry`
+      }
+    },
+    // Quest reports: the action the entry was written for
+    actionTitle: {
+      type: String,
+      default: ''
+    },
+    actionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// GET /api/challenges/:id/diary: one author's entries on a mission, newest day first
+diaryEntrySchema.index({ challengeId: 1, userId: 1, day: -1, createdAt: -1 });
+// Weekly chronicle: one author's entries across missions for a range of days
+diaryEntrySchema.index({ userId: 1, day: 1 });
+
+module.exports = mongoose.models.DiaryEntry || mongoose.model('DiaryEntry', diaryEntrySchema);
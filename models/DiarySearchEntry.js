@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Searchable copy of a diary entry shared to a mission's community feed
+// (a comment with sharedFromDiary). Kept in sync by utils/searchService.js.
+const diarySearchEntrySchema = new mongoose.Schema(
+  {
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    challengeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Challenge',
+      required: true,
+      index: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    text: {
+      type: String,
+      default: ''
+    },
+    imageUrl: {
+      type: String,
+      default: null
+    },
+    // Stemming language for the text index: 'russian' or 'english'
+    searchLanguage: {
+      type: String,
+      default: 'english'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }
+);
+
+diarySearchEntrySchema.index({ commentId: 1 }, { unique: true });
+diarySearchEntrySchema.index(
+  { text: 'text' },
+  { language_override: 'searchLanguage', name: 'diary_text' }
+);
+
+module.exports = mongoose.models.DiarySearchEntry || mongoose.model('DiarySearchEntry', diarySearchEntrySchema);
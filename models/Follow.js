@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema(
+  {
+    followerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    followingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Follows of non-public profiles wait for the followed user's approval.
+    status: {
+      type: String,
+      enum: ['pending', 'accepted'],
+      default: 'accepted'
+    },
+    acceptedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+followSchema.index({ followerId: 1, followingId: 1 }, { unique: true });
+followSchema.index({ followingId: 1, status: 1, createdAt: -1 });
+followSchema.index({ followerId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.models.Follow || mongoose.model('Follow', followSchema);
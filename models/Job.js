@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // Deduplicates enqueues, e.g. one recurring tick per time slot across all instances.
+    uniqueKey: {
+      type: String,
+      default: undefined
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'succeeded', 'failed'],
+      default: 'queued'
+    },
+    runAt: {
+      type: Date,
+      default: Date.now
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3
+    },
+    lockedBy: {
+      type: String,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    minimize: false
+  }
+);
+
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+// Finished jobs are kept for a week for inspection.
+jobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60, partialFilterExpression: { status: { $in: ['succeeded', 'failed'] } } }
+);
+
+module.exports = mongoose.models.Job || mongoose.model('Job', jobSchema);
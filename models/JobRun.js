@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One row per job attempt.
+const jobRunSchema = new mongoose.Schema(
+  {
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    attempt: {
+      type: Number,
+      required: true
+    },
+    workerId: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['succeeded', 'failed'],
+      required: true
+    },
+    startedAt: {
+      type: Date,
+      required: true
+    },
+    finishedAt: {
+      type: Date,
+      required: true
+    },
+    durationMs: {
+      type: Number,
+      default: 0
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false
+  }
+);
+
+jobRunSchema.index({ jobId: 1, attempt: 1 });
+jobRunSchema.index({ name: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.models.JobRun || mongoose.model('JobRun', jobRunSchema);
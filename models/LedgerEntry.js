@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every sparks / XP balance change. Never updated in place.
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    currency: {
+      type: String,
+      enum: ['sparks', 'xp'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    eventType: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    eventKey: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    localDate: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'localDate must be YYYY-MM-DD']
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false
+  }
+);
+
+ledgerEntrySchema.index({ userId: 1, currency: 1, eventKey: 1 }, { unique: true });
+ledgerEntrySchema.index({ userId: 1, currency: 1, _id: -1 });
+ledgerEntrySchema.index({ userId: 1, currency: 1, localDate: 1 });
+
+module.exports = mongoose.models.LedgerEntry || mongoose.model('LedgerEntry', ledgerEntrySchema);
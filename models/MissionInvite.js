@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Shareable invite link to a mission. Anyone holding the token can join while
+// it is not revoked, expired or used up; private missions can only be joined this way.
+const missionInviteSchema = new mongoose.Schema(
+  {
+    challengeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Challenge',
+      required: true,
+      index: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    token: {
+      type: String,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    maxUses: {
+      type: Number,
+      min: 1,
+      default: null
+    },
+    useCount: {
+      type: Number,
+      default: 0
+    },
+    // Joins through this invite wait for the owner's approval
+    requiresApproval: {
+      type: Boolean,
+      default: false
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    acceptances: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true
+        },
+        status: {
+          type: String,
+          enum: ['pending', 'accepted', 'rejected'],
+          default: 'accepted'
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        },
+        decidedAt: {
+          type: Date,
+          default: null
+        }
+      }
+    ]
+  },
+  {
+    timestamps: true
+  }
+);
+
+missionInviteSchema.index({ token: 1 }, { unique: true });
+missionInviteSchema.index({ challengeId: 1, createdBy: 1 });
+
+module.exports = mongoose.models.MissionInvite || mongoose.model('MissionInvite', missionInviteSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { MISSION_CATEGORIES } = require('../constants/missionCategories');
+
+// Curated starting points for new missions; seeded by scripts/seed-mission-templates.js.
+const missionTemplateSchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+    description: {
+      type: String,
+      default: '',
+      trim: true
+    },
+    imageUrl: {
+      type: String,
+      default: ''
+    },
+    challengeType: {
+      type: String,
+      enum: ['habit', 'result'],
+      default: 'habit'
+    },
+    frequency: {
+      type: String,
+      default: null
+    },
+    schedule: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    dailyTarget: {
+      type: {
+        amount: Number,
+        unit: String
+      },
+      default: null
+    },
+    durationDays: {
+      type: Number,
+      min: 1,
+      default: 30
+    },
+    actions: [
+      {
+        _id: false,
+        text: { type: String, default: '' },
+        children: [
+          {
+            _id: false,
+            text: { type: String, default: '' }
+          }
+        ]
+      }
+    ],
+    difficulty: {
+      type: String,
+      enum: ['easy', 'medium', 'heroic'],
+      default: 'medium'
+    },
+    reward: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: 500
+    },
+    category: {
+      type: String,
+      enum: MISSION_CATEGORIES,
+      default: 'other'
+    },
+    tags: {
+      type: [String],
+      default: []
+    },
+    sortOrder: {
+      type: Number,
+      default: 0
+    },
+    isPublished: {
+      type: Boolean,
+      default: true
+    },
+    usageCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+missionTemplateSchema.index({ slug: 1 }, { unique: true });
+missionTemplateSchema.index({ isPublished: 1, category: 1, usageCount: -1 });
+missionTemplateSchema.index({ tags: 1 });
+
+module.exports = mongoose.models.MissionTemplate || mongoose.model('MissionTemplate', missionTemplateSchema);
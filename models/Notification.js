@@ -10,7 +10,7 @@ const notificationSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['mention', 'comment', 'join', 'watch', 'daily_recap', 'referral_completed'],
+      enum: ['mention', 'comment', 'join', 'join_request', 'ownership_transfer', 'comment_report', 'watch', 'daily_recap', 'referral_completed', 'follow', 'follow_request'],
       required: true
     },
     title: {
@@ -32,7 +32,7 @@ const notificationSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Challenge',
       required: function requiredChallengeId() {
-        return this.type !== 'daily_recap' && this.type !== 'referral_completed';
+        return !['daily_recap', 'referral_completed', 'follow', 'follow_request'].includes(this.type);
       },
       default: null
     },
@@ -48,7 +48,7 @@ const notificationSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: function requiredFromUserId() {
-        return this.type !== 'daily_recap';
+        return !['daily_recap', 'comment_report'].includes(this.type);
       },
       default: null
     },
@@ -67,6 +67,8 @@ notificationSchema.index({ createdAt: -1 });
 
 // Index for efficient queries
 notificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
+// Per-author mention rate limit
+notificationSchema.index({ fromUserId: 1, type: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Notification', notificationSchema);
 
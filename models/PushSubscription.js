@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One row per browser/device push endpoint; a user can have several.
+const pushSubscriptionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    endpoint: {
+      type: String,
+      required: true
+    },
+    keys: {
+      p256dh: {
+        type: String,
+        required: true
+      },
+      auth: {
+        type: String,
+        required: true
+      }
+    },
+    deviceLabel: {
+      type: String,
+      trim: true,
+      maxlength: 80,
+      default: ''
+    },
+    userAgent: {
+      type: String,
+      default: ''
+    },
+    lastSuccessAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+pushSubscriptionSchema.index({ endpoint: 1 }, { unique: true });
+pushSubscriptionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.PushSubscription || mongoose.model('PushSubscription', pushSubscriptionSchema);
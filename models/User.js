@@ -1,7 +1,6 @@
 const mongoose = require('mongoose');
 
-// Check if the model already exists to prevent model overwrite error
-const User = mongoose.models.User || mongoose.model('User', new mongoose.Schema({
+const userSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
@@ -19,11 +18,17 @@ const User = mongoose.models.User || mongoose.model('User', new mongoose.Schema(
     type: String,
     default: ''
   },
+  // Null for accounts that only sign in with Google.
   password: {
     type: String,
-    required: true,
+    default: null,
     minlength: 6
   },
+  googleId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   watchedChallenges: {
     type: [mongoose.Schema.Types.ObjectId],
     ref: 'Challenge',
@@ -37,6 +42,26 @@ const User = mongoose.models.User || mongoose.model('User', new mongoose.Schema(
     type: Date,
     default: null
   },
+  // No default on purpose: accounts created before verification existed have no
+  // value and are treated as verified; new sign-ups store an explicit false.
+  emailVerified: {
+    type: Boolean
+  },
+  // Set while an email change waits for confirmation; `email` is only swapped afterwards.
+  pendingEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  emailVerificationToken: {
+    type: String,
+    default: null
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null
+  },
   dailyChecklists: [{
     date: {
       type: Date,
@@ -77,10 +102,6 @@ const User = mongoose.models.User || mongoose.model('User', new mongoose.Schema(
     type: Number,
     default: 0
   },
-  awardedSparksEventKeys: {
-    type: [String],
-    default: []
-  },
   sparksDailyCap: {
     clientDay: {
       type: String,
@@ -91,20 +112,6 @@ const User = mongoose.models.User || mongoose.model('User', new mongoose.Schema(
       default: 0
     }
   },
-  awardedXpEventKeys: {
-    type: [String],
-    default: []
-  },
-  pushSubscription: {
-    type: {
-      endpoint: String,
-      keys: {
-        p256dh: String,
-        auth: String
-      }
-    },
-    default: null
-  },
   dailyRecapEnabled: {
     type: Boolean,
     default: false
@@ -127,6 +134,21 @@ const User = mongoose.models.User || mongoose.model('User', new mongoose.Schema(
     enum: ['ru', 'en'],
     default: 'en'
   },
+  privacySettings: {
+    profileVisibility: {
+      type: String,
+      enum: ['public', 'followers', 'private'],
+      default: 'public'
+    },
+    showChecklistHistory: {
+      type: Boolean,
+      default: false
+    },
+    showStats: {
+      type: Boolean,
+      default: true
+    }
+  },
   dailyRecapLastSentLocalDate: {
     type: String,
     default: null
@@ -168,6 +190,12 @@ const User = mongoose.models.User || mongoose.model('User', new mongoose.Schema(
     type: Date,
     default: Date.now
   }
-}));
+});
+
+// GET /api/search: names are not stemmed, so 'none' keeps every word as typed
+userSchema.index({ name: 'text' }, { default_language: 'none', name: 'user_name_text' });
+
+// Check if the model already exists to prevent model overwrite error
+const User = mongoose.models.User || mongoose.model('User', userSchema);
 
 module.exports = User; 
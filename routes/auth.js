@@ -1,18 +1,23 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Challenge = require('../models/Challenge');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const passport = require('passport');
 const {
+  getFrontendUrl,
   sendPasswordResetEmail,
   sendPasswordResetSuccessEmail,
+  sendEmailVerificationEmail,
+  sendEmailChangeConfirmationEmail,
   sendNewUserRegistrationNotifyEmail,
   sendWeeklyChronicleEmail,
   sendReactivationEmail
 } = require('../utils/emailService');
 const { buildWeeklyChronicleReport, resolveUserReportLanguage } = require('../utils/weeklyChronicleReport');
 const registerRateLimiter = require('../middleware/registerRateLimiter');
+const optionalAuth = require('../middleware/optionalAuth');
 
 const {
   getClientDayRange,
@@ -29,31 +34,81 @@ const {
   getChecklistHistory
 } = require('../utils/dailyChecklistService');
 const {
-  awardDailyFullCompletionXp,
   awardChecklistTaskXp,
   awardStreakMilestoneXp
 } = require('../utils/xpService');
+const { claimDailyFullCompletionXp } = require('../utils/dailyBonusService');
 const {
   awardChecklistTaskSparks,
   awardStreakMilestoneSparks,
   awardManifestSparks,
+  awardInviteManifestSparks,
   spendSparksOnce
 } = require('../utils/sparksService');
 const {
   buildChecklistTaskAwardKey,
   buildResultActionChecklistTaskKey,
   SPARKS_AMOUNTS,
+  SPARKS_EVENT_TYPES,
   buildFreezeDaySparksKey
 } = require('../constants/sparksRules');
 const {
   findChallengeParticipant,
   isChallengeFinished,
   isDayEffectiveCompleted,
-  appendUniqueParticipantDay,
-  isDateScheduledForChallenge
+  appendUniqueParticipantDay
 } = require('../utils/challengeHelpers');
+const { isHabitDueOnDate } = require('../utils/habitSchedule');
+const { isDateWithinRange } = require('../utils/dailyProgress');
 const { buildRewardPayload } = require('../utils/rewardResponse');
 const { fetchPaginatedUsers } = require('../utils/usersListService');
+const { fetchLedgerHistory } = require('../utils/ledgerService');
+const { verifyAccessToken } = require('../utils/authTokens');
+const {
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  serializeSession
+} = require('../utils/sessionService');
+const {
+  GOOGLE_STRATEGY_NAME,
+  ensureGoogleStrategy,
+  signOAuthState,
+  verifyOAuthState,
+  signGoogleLinkToken,
+  verifyGoogleLinkToken,
+  resolveGoogleUser,
+  getAuthMethods
+} = require('../utils/googleAuth');
+const {
+  isEmailVerified,
+  issueEmailVerificationToken,
+  clearEmailVerificationToken,
+  resolveRequestLanguage
+} = require('../utils/emailVerificationService');
+const {
+  PROFILE_VISIBILITY_VALUES,
+  resolvePrivacySettings,
+  canViewFullProfile,
+  serializePublicProfile
+} = require('../utils/publicProfile');
+const {
+  followUser,
+  unfollowUser,
+  acceptFollowRequest,
+  declineFollowRequest,
+  isFollowing,
+  getFollowStatus,
+  getFollowCounts,
+  listFollowers,
+  listFollowing,
+  listPendingFollowRequests,
+  buildFollowingFeed
+} = require('../utils/followService');
+const { notifyUserFollow } = require('../utils/notificationService');
 const {
   generateUniqueReferralCode,
   resolveReferrerByCode,
@@ -75,14 +130,12 @@ function serializeUserForClient(user) {
   };
 }
 
-const JWT_SECRET = process.env.JWT_SECRET || 'supersecretkey';
-
 // JWT middleware (for future use)
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
   if (!token) return res.status(401).json({ message: 'No token provided' });
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  verifyAccessToken(token, (err, user) => {
     if (err) return res.status(403).json({ message: 'Invalid token' });
     req.user = user;
     next();
@@ -126,8 +179,8 @@ router.get('/users', async (req, res) => {
   }
 });
 
-// Get user by ID
-router.get('/users/:id', async (req, res) => {
+// Get user by ID (public profile, filtered by the user's privacy settings)
+router.get('/users/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -141,18 +194,33 @@ router.get('/users/:id', async (req, res) => {
     
     const user = await User.findById(id, {
       name: 1,
-      email: 1,
       avatarUrl: 1,
       xp: 1,
       sparks: 1,
       createdAt: 1,
       _id: 1,
-      dailyChecklists: 1
+      dailyChecklists: 1,
+      privacySettings: 1
     }).lean();
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+
+    const viewerId = req.user?.id || null;
+    const [followStatus, followCounts] = await Promise.all([
+      getFollowStatus(viewerId, user._id),
+      getFollowCounts(user._id)
+    ]);
+    const isFollower = followStatus === 'accepted';
+    const followInfo = { ...followCounts, followStatus };
+
+    if (!canViewFullProfile(user, viewerId, { isFollower })) {
+      return res.json({
+        message: 'User retrieved successfully',
+        user: { ...serializePublicProfile(user, { viewerId, isFollower }), ...followInfo }
+      });
+    }
     
     // Get challenge count for the user (excluding private challenges)
     const challengeCount = await Challenge.countDocuments({
@@ -162,18 +230,21 @@ router.get('/users/:id', async (req, res) => {
       ],
       privacy: { $ne: 'private' }
     });
-    
-    const rawOffset = req.headers['x-client-tz-offset'];
-    const tzOffsetMin = Number.isFinite(Number(rawOffset)) ? Number(rawOffset) : null;
-    const checklistHistory = await getChecklistHistory(user._id, user.dailyChecklists, tzOffsetMin);
 
-    const userObj = { ...user };
-    userObj.challengeCount = challengeCount;
-    userObj.checklistHistory = checklistHistory;
+    const isOwner = String(user._id) === String(viewerId);
+    let checklistHistory = [];
+    if (isOwner || resolvePrivacySettings(user).showChecklistHistory) {
+      const rawOffset = req.headers['x-client-tz-offset'];
+      const tzOffsetMin = Number.isFinite(Number(rawOffset)) ? Number(rawOffset) : null;
+      checklistHistory = await getChecklistHistory(user._id, user.dailyChecklists, tzOffsetMin);
+    }
     
     res.json({
       message: 'User retrieved successfully',
-      user: userObj
+      user: {
+        ...serializePublicProfile(user, { viewerId, isFollower, challengeCount, checklistHistory }),
+        ...followInfo
+      }
     });
   } catch (error) {
     console.error('Error in /users/:id endpoint:', error);
@@ -185,6 +256,154 @@ router.get('/users/:id', async (req, res) => {
   }
 });
 
+// Follow a user (public profiles immediately, others via a follow request)
+router.post('/users/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const result = await followUser(req.user.id, req.params.id);
+    if (result.reason === 'cannot_follow_self') {
+      return res.status(400).json({ message: 'You cannot follow yourself' });
+    }
+    if (result.reason === 'user_not_found') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { follow, created } = result;
+    if (created) {
+      await notifyUserFollow({
+        followedUserId: follow.followingId,
+        fromUserId: req.user.id,
+        isRequest: follow.status === 'pending'
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      message: follow.status === 'pending' ? 'Follow request sent' : 'User followed',
+      followStatus: follow.status,
+      ...(await getFollowCounts(follow.followingId))
+    });
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({ message: 'Error following user', error: error.message });
+  }
+});
+
+// Unfollow a user (or withdraw a pending follow request)
+router.delete('/users/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const removed = await unfollowUser(req.user.id, req.params.id);
+    if (!removed) {
+      return res.status(404).json({ message: 'You are not following this user' });
+    }
+
+    res.json({
+      message: 'User unfollowed',
+      followStatus: null,
+      ...(await getFollowCounts(req.params.id))
+    });
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({ message: 'Error unfollowing user', error: error.message });
+  }
+});
+
+function followListHandler(listFn) {
+  return async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+      }
+
+      const user = await User.findById(req.params.id).select('_id privacySettings').lean();
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const viewerId = req.user?.id || null;
+      const isFollower = await isFollowing(viewerId, user._id);
+      if (!canViewFullProfile(user, viewerId, { isFollower })) {
+        return res.status(403).json({ message: 'This profile is not visible to you' });
+      }
+
+      const { users, pagination } = await listFn(user._id, req.query);
+      res.json({ users, total: pagination.total, pagination });
+    } catch (error) {
+      console.error('Follow list error:', error);
+      res.status(500).json({ message: 'Error fetching follow list', error: error.message });
+    }
+  };
+}
+
+router.get('/users/:id/followers', optionalAuth, followListHandler(listFollowers));
+router.get('/users/:id/following', optionalAuth, followListHandler(listFollowing));
+
+// Pending follow requests to the current user
+router.get('/follow-requests', authenticateToken, async (req, res) => {
+  try {
+    const { users, pagination } = await listPendingFollowRequests(req.user.id, req.query);
+    res.json({ users, total: pagination.total, pagination });
+  } catch (error) {
+    console.error('Follow requests error:', error);
+    res.status(500).json({ message: 'Error fetching follow requests', error: error.message });
+  }
+});
+
+router.post('/follow-requests/:userId/accept', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const follow = await acceptFollowRequest(req.user.id, req.params.userId);
+    if (!follow) {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
+
+    res.json({ message: 'Follow request accepted', ...(await getFollowCounts(req.user.id)) });
+  } catch (error) {
+    console.error('Accept follow request error:', error);
+    res.status(500).json({ message: 'Error accepting follow request', error: error.message });
+  }
+});
+
+// Decline a pending request (the requester simply stays a non-follower)
+router.delete('/follow-requests/:userId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const declined = await declineFollowRequest(req.user.id, req.params.userId);
+    if (!declined) {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
+
+    res.json({ message: 'Follow request declined' });
+  } catch (error) {
+    console.error('Decline follow request error:', error);
+    res.status(500).json({ message: 'Error declining follow request', error: error.message });
+  }
+});
+
+// Activity feed from followed users
+router.get('/feed/following', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const activities = await buildFollowingFeed(req.user.id, { limit });
+    res.json({ activities });
+  } catch (error) {
+    console.error('Following feed error:', error);
+    res.status(500).json({ message: 'Error fetching following feed', error: error.message });
+  }
+});
+
 // Register a new user
 router.post('/register', registerRateLimiter, async (req, res) => {
   try {
@@ -222,32 +441,31 @@ router.post('/register', registerRateLimiter, async (req, res) => {
       email: normalizedEmail,
       avatarUrl: req.body.avatarUrl || '',
       password: hashedPassword,
+      emailVerified: false,
       xp: 0,
       sparks: 0,
       referralCode: newReferralCode,
       referredBy: referrer?._id || null
     });
+    const verificationToken = issueEmailVerificationToken(user);
     await user.save();
 
     if (referrer) {
       await createPendingReferral(referrer._id, user._id);
     }
 
+    // The admin notification is sent once the address is confirmed (see /verify-email).
     try {
-      await sendNewUserRegistrationNotifyEmail({
-        userName: user.name,
-        userEmail: user.email,
-        registeredAt: user.createdAt
-      });
+      const origin = req.headers.origin || req.headers.referer || null;
+      await sendEmailVerificationEmail(user.email, verificationToken, user.name, origin, resolveRequestLanguage(req));
     } catch (emailError) {
-      console.error('Failed to send registration notify email:', emailError);
+      console.error('Failed to send email verification email:', emailError);
     }
 
-    // Generate JWT
-    const token = jwt.sign({ id: user._id, name: user.name }, JWT_SECRET, { expiresIn: '7d' });
+    const { tokens } = await createSession(user, req);
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
@@ -256,7 +474,8 @@ router.post('/register', registerRateLimiter, async (req, res) => {
         xp: user.xp || 0,
         sparks: user.sparks || 0,
         createdAt: user.createdAt,
-        referredBy: user.referredBy || null
+        referredBy: user.referredBy || null,
+        emailVerified: false
       }
     });
   } catch (error) {
@@ -293,11 +512,10 @@ router.post('/login', async (req, res) => {
     if (!isMatch) {
       return res.status(401).json({ message: 'Invalid email or password' });
     }
-    // Generate JWT
-    const token = jwt.sign({ id: user._id, name: user.name }, JWT_SECRET, { expiresIn: '7d' });
+    const { tokens } = await createSession(user, req);
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
@@ -314,6 +532,83 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+    if (!result.tokens) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token', reason: result.reason });
+    }
+
+    res.json({
+      message: 'Token refreshed',
+      ...result.tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Error refreshing token', error: error.message });
+  }
+});
+
+// Logout: revoke the session behind the given refresh token
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    await revokeSessionByRefreshToken(refreshToken);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+});
+
+// List current user's active sessions (devices)
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+    res.json({
+      sessions: sessions.map((session) => serializeSession(session, req.user.sid))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ message: 'Error fetching sessions', error: error.message });
+  }
+});
+
+// Revoke all sessions except the current one
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user.id, { exceptSessionId: req.user.sid });
+    res.json({ message: 'Other sessions revoked', revokedCount });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Error revoking sessions', error: error.message });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.sessionId);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Error revoking session', error: error.message });
+  }
+});
+
 // Get current user's profile (protected)
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
@@ -325,6 +620,10 @@ router.get('/profile', authenticateToken, async (req, res) => {
       sparks: 1,
       createdAt: 1,
       referredBy: 1,
+      password: 1,
+      googleId: 1,
+      emailVerified: 1,
+      pendingEmail: 1,
       _id: 1
     });
     if (!user) {
@@ -346,7 +645,10 @@ router.get('/profile', authenticateToken, async (req, res) => {
         hasFirstMission: referralFlags.hasFirstMission,
         referralHookPending: referralFlags.referralHookPending,
         welcomeHookPending: referralFlags.welcomeHookPending,
-        welcomeHookType: referralFlags.welcomeHookType
+        welcomeHookType: referralFlags.welcomeHookType,
+        authMethods: getAuthMethods(user),
+        emailVerified: isEmailVerified(user),
+        pendingEmail: user.pendingEmail || null
       }
     });
   } catch (error) {
@@ -370,13 +672,41 @@ router.get('/referrals/me', authenticateToken, async (req, res) => {
   }
 });
 
-// Award daily 100% bonus XP (+50) once per client day
+// Award daily 100% bonus XP (+50) once per client day, after verifying the day is complete
 router.post('/xp/daily-bonus', authenticateToken, async (req, res) => {
   try {
-    const { clientDayStr: todayStr } = getClientDayRange(req, 0);
-    const xpResult = await awardDailyFullCompletionXp(req.user.id, todayStr);
-    const user = xpResult.user || await User.findById(req.user.id);
+    const existingUser = await User.findById(req.user.id).select('dailyChecklists');
+    if (!existingUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
+    const { startUtc, endUtc, clientDayStr: todayStr } = getClientDayRange(req, 0);
+    const checklist = await findByClientDay(
+      existingUser._id,
+      todayStr,
+      existingUser.dailyChecklists,
+      startUtc,
+      endUtc
+    );
+    const xpResult = await claimDailyFullCompletionXp(existingUser._id, todayStr, { checklist });
+
+    if (xpResult.reason === 'day_not_complete' || xpResult.reason === 'nothing_scheduled') {
+      return res.status(400).json({
+        message: xpResult.reason === 'nothing_scheduled'
+          ? 'Nothing is scheduled for today'
+          : 'Today is not fully completed yet',
+        awarded: false,
+        date: todayStr,
+        reason: xpResult.reason,
+        progress: {
+          total: xpResult.progress.total,
+          completed: xpResult.progress.completed
+        },
+        missing: xpResult.missing
+      });
+    }
+
+    const user = xpResult.user || await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -417,11 +747,13 @@ router.post('/sparks/manifest', authenticateToken, async (req, res) => {
     }
 
     const { clientDayStr: todayStr } = getClientDayRange(req, 0);
-    const sparksResult = await awardManifestSparks(req.user.id, {
-      type: manifestType,
-      localDate: todayStr,
-      challengeId: challengeId || null
-    });
+    const sparksResult = manifestType === 'invite'
+      ? await awardInviteManifestSparks(req.user.id, { localDate: todayStr, challengeId })
+      : await awardManifestSparks(req.user.id, {
+        type: manifestType,
+        localDate: todayStr,
+        challengeId: null
+      });
     const user = sparksResult.user || await User.findById(req.user.id);
 
     if (!user) {
@@ -436,6 +768,7 @@ router.post('/sparks/manifest', authenticateToken, async (req, res) => {
 
     res.json({
       awarded: sparksResult.awarded,
+      reason: sparksResult.awarded ? null : sparksResult.reason,
       clientDay: todayStr,
       ...rewardPayload
     });
@@ -479,7 +812,7 @@ router.post('/sparks/freeze-day', authenticateToken, async (req, res) => {
 
       const participant = findChallengeParticipant(challenge, userId);
       if (!participant) continue;
-      if (!isDateScheduledForChallenge(challenge, clientDayStr)) continue;
+      if (!isHabitDueOnDate(challenge, participant, clientDayStr)) continue;
       if (isDayEffectiveCompleted(participant, clientDayStr)) continue;
 
       eligible.push({ challenge, participant });
@@ -498,6 +831,7 @@ router.post('/sparks/freeze-day', authenticateToken, async (req, res) => {
     const cost = SPARKS_AMOUNTS.FREEZE_DAY;
     const spendKey = buildFreezeDaySparksKey(userId, clientDayStr);
     const spendResult = await spendSparksOnce(userId, spendKey, cost, {
+      type: SPARKS_EVENT_TYPES.FREEZE_DAY,
       clientDay: clientDayStr
     });
 
@@ -537,6 +871,310 @@ router.post('/sparks/freeze-day', authenticateToken, async (req, res) => {
   }
 });
 
+function parseLedgerHistoryQuery(query = {}) {
+  const { cursor, limit, from, to } = query;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (cursor !== undefined && !mongoose.isValidObjectId(cursor)) {
+    return { error: 'cursor is invalid' };
+  }
+  if (from !== undefined && !datePattern.test(String(from))) {
+    return { error: 'from must be in YYYY-MM-DD format' };
+  }
+  if (to !== undefined && !datePattern.test(String(to))) {
+    return { error: 'to must be in YYYY-MM-DD format' };
+  }
+  if (from && to && String(from) > String(to)) {
+    return { error: 'from must not be after to' };
+  }
+
+  return {
+    options: {
+      cursor: cursor || null,
+      limit,
+      from: from ? String(from) : null,
+      to: to ? String(to) : null
+    }
+  };
+}
+
+function ledgerHistoryHandler(currency) {
+  return async (req, res) => {
+    try {
+      const { error, options } = parseLedgerHistoryQuery(req.query);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const history = await fetchLedgerHistory(req.user.id, currency, options);
+      res.json(history);
+    } catch (error) {
+      console.error(`Error fetching ${currency} history:`, error);
+      res.status(500).json({ message: `Error fetching ${currency} history`, error: error.message });
+    }
+  };
+}
+
+// Ledger of sparks / XP changes for the current user, newest first
+router.get('/sparks/history', authenticateToken, ledgerHistoryHandler('sparks'));
+router.get('/xp/history', authenticateToken, ledgerHistoryHandler('xp'));
+
+const GOOGLE_AUTH_FRONTEND_PATH = '/auth/google/callback';
+
+// Tokens travel in the URL fragment so they never reach server or proxy logs.
+function redirectToGoogleAuthResult(res, origin, params) {
+  const fragment = new URLSearchParams(params).toString();
+  res.redirect(`${getFrontendUrl(origin)}${GOOGLE_AUTH_FRONTEND_PATH}#${fragment}`);
+}
+
+// Start Google sign-in (or linking, when a link token is passed)
+router.get('/google', (req, res, next) => {
+  if (!ensureGoogleStrategy()) {
+    return res.status(503).json({ message: 'Google sign-in is not configured' });
+  }
+
+  let linkUserId = null;
+  if (req.query.linkToken) {
+    linkUserId = verifyGoogleLinkToken(req.query.linkToken);
+    if (!linkUserId) {
+      return res.status(401).json({ message: 'Invalid or expired link token' });
+    }
+  }
+
+  const state = signOAuthState({
+    origin: req.headers.referer || req.headers.origin || null,
+    linkUserId,
+    referralCode: typeof req.query.ref === 'string' ? req.query.ref : null
+  });
+
+  passport.authenticate(GOOGLE_STRATEGY_NAME, {
+    scope: ['profile', 'email'],
+    session: false,
+    prompt: 'select_account',
+    state
+  })(req, res, next);
+});
+
+// Google OAuth callback
+router.get('/google/callback', (req, res, next) => {
+  if (!ensureGoogleStrategy()) {
+    return res.status(503).json({ message: 'Google sign-in is not configured' });
+  }
+
+  const state = verifyOAuthState(req.query.state);
+  const origin = state?.origin || null;
+  if (!state) {
+    return redirectToGoogleAuthResult(res, origin, { error: 'invalid_state' });
+  }
+
+  passport.authenticate(GOOGLE_STRATEGY_NAME, { session: false }, async (authError, profile) => {
+    try {
+      if (authError || !profile) {
+        if (authError) console.error('Google auth error:', authError);
+        return redirectToGoogleAuthResult(res, origin, { error: 'google_auth_failed' });
+      }
+
+      const result = await resolveGoogleUser(profile, {
+        linkUserId: state.linkUserId,
+        referralCode: state.referralCode
+      });
+      if (!result.user) {
+        return redirectToGoogleAuthResult(res, origin, { error: result.reason });
+      }
+
+      if (state.linkUserId) {
+        return redirectToGoogleAuthResult(res, origin, { linked: 'google' });
+      }
+
+      if (result.created) {
+        try {
+          await sendNewUserRegistrationNotifyEmail({
+            userName: result.user.name,
+            userEmail: result.user.email,
+            registeredAt: result.user.createdAt
+          });
+        } catch (emailError) {
+          console.error('Failed to send registration notify email:', emailError);
+        }
+      }
+
+      const { tokens } = await createSession(result.user, req);
+      redirectToGoogleAuthResult(res, origin, {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+        created: result.created ? '1' : '0'
+      });
+    } catch (error) {
+      console.error('Google callback error:', error);
+      redirectToGoogleAuthResult(res, origin, { error: 'server_error' });
+    }
+  })(req, res, next);
+});
+
+// Issue a short-lived token that lets the browser start linking Google to the current account
+router.post('/google/link-token', authenticateToken, async (req, res) => {
+  try {
+    if (!ensureGoogleStrategy()) {
+      return res.status(503).json({ message: 'Google sign-in is not configured' });
+    }
+    res.json({ linkToken: signGoogleLinkToken(req.user.id) });
+  } catch (error) {
+    console.error('Google link token error:', error);
+    res.status(500).json({ message: 'Error creating link token', error: error.message });
+  }
+});
+
+// Unlink Google from the current account
+router.delete('/google', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('password googleId');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.googleId) {
+      return res.status(400).json({ message: 'Google account is not linked' });
+    }
+    if (!user.password) {
+      return res.status(400).json({
+        message: 'Set a password before unlinking Google, otherwise you will not be able to sign in'
+      });
+    }
+
+    await User.updateOne({ _id: user._id, password: { $ne: null } }, { $unset: { googleId: '' } });
+    res.json({
+      message: 'Google account unlinked',
+      authMethods: getAuthMethods({ password: user.password, googleId: null })
+    });
+  } catch (error) {
+    console.error('Google unlink error:', error);
+    res.status(500).json({ message: 'Error unlinking Google account', error: error.message });
+  }
+});
+
+// Set a password (Google-only accounts) or change the current one
+router.put('/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (typeof newPassword !== 'string' || newPassword.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findById(req.user.id).select('password googleId');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.password) {
+      const isMatch = typeof currentPassword === 'string'
+        && await bcrypt.compare(currentPassword, user.password);
+      if (!isMatch) {
+        return res.status(401).json({ message: 'Current password is incorrect' });
+      }
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+    await revokeAllSessions(user._id, { exceptSessionId: req.user.sid });
+
+    res.json({
+      message: 'Password updated successfully',
+      authMethods: getAuthMethods(user)
+    });
+  } catch (error) {
+    console.error('Password update error:', error);
+    res.status(500).json({ message: 'Error updating password', error: error.message });
+  }
+});
+
+// Confirm an email address (new account or pending email change)
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: token,
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    const pendingEmail = user.pendingEmail;
+    const wasVerified = isEmailVerified(user);
+
+    if (pendingEmail) {
+      const existingUser = await User.findOne({ email: pendingEmail, _id: { $ne: user._id } });
+      if (existingUser) {
+        clearEmailVerificationToken(user);
+        await user.save();
+        return res.status(409).json({ message: 'A user with this email already exists' });
+      }
+      user.email = pendingEmail;
+    }
+
+    user.emailVerified = true;
+    clearEmailVerificationToken(user);
+    await user.save();
+
+    if (!pendingEmail && !wasVerified) {
+      try {
+        await sendNewUserRegistrationNotifyEmail({
+          userName: user.name,
+          userEmail: user.email,
+          registeredAt: user.createdAt
+        });
+      } catch (emailError) {
+        console.error('Failed to send registration notify email:', emailError);
+      }
+    }
+
+    res.json({
+      message: pendingEmail ? 'Email changed successfully' : 'Email verified successfully',
+      user: { ...serializeUserForClient(user), emailVerified: true }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    if (error?.code === 11000 && error?.keyPattern?.email) {
+      return res.status(409).json({ message: 'A user with this email already exists' });
+    }
+    res.status(500).json({ message: 'Error verifying email', error: error.message });
+  }
+});
+
+// Resend the verification email for the current address or a pending email change
+router.post('/verify-email/resend', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.pendingEmail && isEmailVerified(user)) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const pendingEmail = user.pendingEmail;
+    const verificationToken = issueEmailVerificationToken(user, { pendingEmail });
+    await user.save();
+
+    const origin = req.headers.origin || req.headers.referer || null;
+    const language = resolveRequestLanguage(req, user);
+    if (pendingEmail) {
+      await sendEmailChangeConfirmationEmail(pendingEmail, verificationToken, user.name, origin, language);
+    } else {
+      await sendEmailVerificationEmail(user.email, verificationToken, user.name, origin, language);
+    }
+
+    res.json({ message: 'Verification email sent', email: pendingEmail || user.email });
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({ message: 'Error sending verification email', error: error.message });
+  }
+});
+
 // Forgot password endpoint
 router.post('/forgot-password', async (req, res) => {
   try {
@@ -604,6 +1242,7 @@ router.post('/reset-password', async (req, res) => {
     user.resetPasswordToken = null;
     user.resetPasswordExpires = null;
     await user.save();
+    await revokeAllSessions(user._id);
 
     try {
       const origin = req.headers.origin || req.headers.referer || null;
@@ -627,6 +1266,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
   try {
     const updates = {};
     const { name, email, avatarUrl } = req.body;
+    let requestedEmail = null;
 
     if (name !== undefined) {
       if (!name || typeof name !== 'string' || !name.trim()) {
@@ -646,7 +1286,8 @@ router.put('/profile', authenticateToken, async (req, res) => {
       if (existingUser) {
         return res.status(409).json({ message: 'A user with this email already exists' });
       }
-      updates.email = normalizedEmail;
+      // Applied only after the new address is confirmed via /verify-email
+      requestedEmail = normalizedEmail;
     }
 
     if (avatarUrl !== undefined) {
@@ -656,23 +1297,56 @@ router.put('/profile', authenticateToken, async (req, res) => {
       updates.avatarUrl = avatarUrl;
     }
 
-    if (Object.keys(updates).length === 0) {
+    if (Object.keys(updates).length === 0 && !requestedEmail) {
       return res.status(400).json({ message: 'No valid fields provided for update' });
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { $set: updates },
-      { new: true, select: 'name email avatarUrl xp sparks createdAt _id' }
-    );
-
+    const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    user.set(updates);
+
+    let verificationToken = null;
+    if (requestedEmail && requestedEmail !== user.email) {
+      verificationToken = issueEmailVerificationToken(user, { pendingEmail: requestedEmail });
+    } else if (requestedEmail && user.pendingEmail) {
+      // Switching back to the current address cancels the pending change
+      clearEmailVerificationToken(user);
+    }
+
+    await user.save();
+
+    if (verificationToken) {
+      try {
+        const origin = req.headers.origin || req.headers.referer || null;
+        await sendEmailChangeConfirmationEmail(
+          requestedEmail,
+          verificationToken,
+          user.name,
+          origin,
+          resolveRequestLanguage(req, user)
+        );
+      } catch (emailError) {
+        console.error('Failed to send email change confirmation email:', emailError);
+      }
+    }
+
     res.json({
-      message: 'Profile updated successfully',
-      user
+      message: verificationToken
+        ? 'Profile updated. Confirm your new email address to complete the change.'
+        : 'Profile updated successfully',
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        avatarUrl: user.avatarUrl,
+        xp: user.xp,
+        sparks: user.sparks,
+        createdAt: user.createdAt,
+        pendingEmail: user.pendingEmail || null
+      }
     });
   } catch (error) {
     console.error('Profile update error:', error);
@@ -737,6 +1411,66 @@ router.put('/weekly-chronicle-settings', authenticateToken, async (req, res) =>
   }
 });
 
+router.get('/privacy-settings', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id, 'privacySettings');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(resolvePrivacySettings(user));
+  } catch (error) {
+    console.error('Error getting privacy settings:', error);
+    res.status(500).json({ message: 'Error getting privacy settings', error: error.message });
+  }
+});
+
+router.put('/privacy-settings', authenticateToken, async (req, res) => {
+  try {
+    const { profileVisibility, showChecklistHistory, showStats } = req.body || {};
+
+    if (profileVisibility !== undefined && !PROFILE_VISIBILITY_VALUES.includes(profileVisibility)) {
+      return res.status(400).json({ message: 'profileVisibility must be "public", "followers" or "private"' });
+    }
+
+    if (showChecklistHistory !== undefined && typeof showChecklistHistory !== 'boolean') {
+      return res.status(400).json({ message: 'showChecklistHistory must be a boolean' });
+    }
+
+    if (showStats !== undefined && typeof showStats !== 'boolean') {
+      return res.status(400).json({ message: 'showStats must be a boolean' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (profileVisibility !== undefined) {
+      user.privacySettings.profileVisibility = profileVisibility;
+    }
+
+    if (showChecklistHistory !== undefined) {
+      user.privacySettings.showChecklistHistory = showChecklistHistory;
+    }
+
+    if (showStats !== undefined) {
+      user.privacySettings.showStats = showStats;
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Privacy settings updated',
+      ...resolvePrivacySettings(user)
+    });
+  } catch (error) {
+    console.error('Error updating privacy settings:', error);
+    res.status(500).json({ message: 'Error updating privacy settings', error: error.message });
+  }
+});
+
 router.put('/preferred-language', authenticateToken, async (req, res) => {
   try {
     const { language, preferredLanguage } = req.body || {};
@@ -770,7 +1504,7 @@ router.post('/weekly-chronicle-settings/send-test', authenticateToken, async (re
     const requestLanguage = preferredLanguage ?? language;
 
     const user = await User.findById(req.user.id).select(
-      'email name xp sparks awardedSparksEventKeys dailyRecapTimezone dailyRecapLanguage preferredLanguage'
+      'email emailVerified name xp sparks dailyRecapTimezone dailyRecapLanguage preferredLanguage'
     );
 
     if (!user) {
@@ -780,6 +1514,9 @@ router.post('/weekly-chronicle-settings/send-test', authenticateToken, async (re
     if (!user.email) {
       return res.status(400).json({ message: 'User email is not set' });
     }
+    if (!isEmailVerified(user)) {
+      return res.status(403).json({ message: 'Verify your email address first' });
+    }
 
     const report = await buildWeeklyChronicleReport(user, new Date(), {
       language: requestLanguage
@@ -805,7 +1542,7 @@ router.post('/reactivation-email/send-test', authenticateToken, async (req, res)
     const requestLanguage = preferredLanguage ?? language;
 
     const user = await User.findById(req.user.id).select(
-      'email name sparks preferredLanguage dailyRecapLanguage'
+      'email emailVerified name sparks preferredLanguage dailyRecapLanguage'
     );
 
     if (!user) {
@@ -815,6 +1552,9 @@ router.post('/reactivation-email/send-test', authenticateToken, async (req, res)
     if (!user.email) {
       return res.status(400).json({ message: 'User email is not set' });
     }
+    if (!isEmailVerified(user)) {
+      return res.status(403).json({ message: 'Verify your email address first' });
+    }
 
     const resolvedLanguage = resolveUserReportLanguage(user, requestLanguage);
     const sparksBalance = Math.max(0, Number(user.sparks) || 0);
@@ -968,6 +1708,20 @@ router.put('/daily-checklist/today', authenticateToken, async (req, res) => {
       
       return hasCompletedChecklist || hasCompletedChallenge;
     };
+
+    // A day on which the user's habits are all off-schedule (e.g. Tuesday for a
+    // Mon/Wed/Fri ritual) neither extends nor breaks the streak.
+    const isRestDay = (dateStr) => {
+      let hasActiveHabit = false;
+      for (const challenge of habitChallenges) {
+        if (!isDateWithinRange(dateStr, challenge.startDate, challenge.endDate)) continue;
+        const participant = findChallengeParticipant(challenge, user._id);
+        if (!participant) continue;
+        if (isHabitDueOnDate(challenge, participant, dateStr)) return false;
+        hasActiveHabit = true;
+      }
+      return hasActiveHabit;
+    };
     
     // Calculate streak starting from today
     for (let i = 0; i < 365; i++) {
@@ -977,6 +1731,7 @@ router.put('/daily-checklist/today', authenticateToken, async (req, res) => {
       } else {
         // If it's today and not completed yet, streak might still be alive if yesterday was completed
         if (i === 0) continue;
+        if (isRestDay(clientDayStr)) continue;
         break;
       }
     }
@@ -993,6 +1748,15 @@ router.put('/daily-checklist/today', authenticateToken, async (req, res) => {
       sparksResults.push(await awardStreakMilestoneSparks(user._id, 7, todayStr));
     }
 
+    // Grant the daily 100% bonus as soon as the last item of the day is checked
+    const dailyBonusResult = await claimDailyFullCompletionXp(user._id, todayStr, {
+      checklist: { tasks },
+      challenges: habitChallenges
+    });
+    if (dailyBonusResult.awarded) {
+      xpResults.push(dailyBonusResult);
+    }
+
     const latestUser = await User.findById(user._id).select('name email avatarUrl xp sparks createdAt _id');
     const updatedChecklist = await findByClientDay(
       user._id,
@@ -18,11 +18,29 @@ const {
   resetActionsChecked,
   isDayEffectiveCompleted,
   appendUniqueParticipantDay,
-  isDateScheduledForChallenge
+  getQuestMode,
+  buildParticipantActionTree
 } = require('../utils/challengeHelpers');
+const {
+  markActionCompletedForMember,
+  markActionUncompletedForMember,
+  claimSharedAction,
+  releaseSharedActionClaim,
+  completeSharedAction,
+  releaseMemberActionClaims,
+  preserveActionAssignments,
+  getSharedQuestContributorIds,
+  buildQuestMemberProgress,
+  parseQuestModeInput,
+  hasQuestProgress
+} = require('../utils/questProgress');
 const {
   notifyChallengeCommentRecipient,
   notifyChallengeJoin,
+  notifyChallengeJoinRequest,
+  notifyOwnershipTransferRequest,
+  notifyOwnershipTransferred,
+  notifyCommentReported,
   notifyChallengeWatch
 } = require('../utils/notificationService');
 const { getWelcomeBonusRewardPayload } = require('../utils/referralService');
@@ -43,12 +61,85 @@ const {
 const {
   buildResultActionChecklistTaskKey,
   SPARKS_AMOUNTS,
+  SPARKS_EVENT_TYPES,
   buildMissionExtendSparksKey,
   buildSecondChanceSparksKey
 } = require('../constants/sparksRules');
 const { buildRewardPayload } = require('../utils/rewardResponse');
 const { buildWatchedFeedActivities } = require('../utils/watchedFeedService');
 const { clearReactivationStreakFlag } = require('../utils/reactivationService');
+const { claimDailyFullCompletionXp } = require('../utils/dailyBonusService');
+const { isHabitDueOnDate, parseHabitScheduleInput } = require('../utils/habitSchedule');
+const {
+  MAX_LOGGED_AMOUNT,
+  isQuantitativeHabit,
+  parseDailyTargetInput,
+  getLoggedAmount,
+  applyHabitLog,
+  buildHabitLogUpdate
+} = require('../utils/habitQuantity');
+const {
+  resolveFreshMissionDates,
+  getMissionDurationDays,
+  buildMissionDataFromSource
+} = require('../utils/missionTemplates');
+const {
+  parseMissionCategoryInput,
+  parseMissionTagsInput,
+  parseListQueryParam,
+  buildMissionFacetStage,
+  formatMissionFacets
+} = require('../utils/missionTaxonomy');
+const { buildChallengeFilterStages, fetchChallengeListPage } = require('../utils/challengeListService');
+const { indexSharedDiaryEntry, removeSharedDiaryEntries } = require('../utils/searchService');
+const MissionInvite = require('../models/MissionInvite');
+const Comment = require('../models/Comment');
+const CommentReport = require('../models/CommentReport');
+const DiaryEntry = require('../models/DiaryEntry');
+const {
+  createComment,
+  findPresentedComment,
+  loadCommentThread,
+  getCommentAncestors,
+  editCommentText,
+  removeComment,
+  fetchCommentThreads,
+  attachTopLevelComments
+} = require('../utils/commentService');
+const {
+  toggleCommentReaction,
+  listCommentReactors,
+  removeCommentReactions
+} = require('../utils/commentReactions');
+const { REACTION_EMOJI, normalizeReactionEmoji } = require('../constants/reactions');
+const { parseReportInput, reportComment, resolveCommentReports } = require('../utils/commentModeration');
+const { resolveCommentMentions, resolveReplyTarget, notifyMentionedUsers } = require('../utils/mentions');
+const {
+  parseDiaryEntryInput,
+  parseDiaryFilters,
+  createDiaryEntry,
+  listDiaryEntries
+} = require('../utils/diaryService');
+const { ASSIGNABLE_ROLES, applyOwnershipChange, pickSuccessorId } = require('../utils/challengeOwnership');
+const {
+  generateInviteToken,
+  parseInviteOptions,
+  getInviteStatus,
+  serializeInvite,
+  redeemInviteToken,
+  decideInviteAcceptance
+} = require('../utils/missionInvites');
+const { isMissionCategory } = require('../constants/missionCategories');
+const authenticateToken = require('../middleware/authenticateToken');
+const optionalAuth = require('../middleware/optionalAuth');
+const {
+  authorizeChallenge,
+  getChallengeOwnerId,
+  isChallengeOwner,
+  getChallengeRole,
+  isChallengeManager,
+  canViewChallenge
+} = require('../middleware/challengePolicy');
 
 function serializeUserForClient(user) {
   if (!user) return null;
@@ -89,21 +180,6 @@ async function maybeAwardMissionCommentSparks(req, userId, challenge, ownerId) {
   return { finalUser, sparksResults };
 }
 
-function decodeOptionalAuthUserId(req) {
-  const authHeader = req.headers['authorization'];
-  if (!authHeader) return null;
-  const token = authHeader.split(' ')[1];
-  if (!token) return null;
-  try {
-    const jwt = require('jsonwebtoken');
-    const JWT_SECRET = process.env.JWT_SECRET || 'supersecretkey';
-    const decoded = jwt.verify(token, JWT_SECRET);
-    return decoded?.id || null;
-  } catch {
-    return null;
-  }
-}
-
 function flattenResultActionStates(actions) {
   const map = new Map();
   if (!Array.isArray(actions)) return map;
@@ -225,51 +301,85 @@ async function syncTodayChecklistForResultActions(userId, legacyChecklists, req,
   });
 }
 
-function isChallengeCompleted(challenge, today) {
-  // Check if endDate is in the past
-  if (challenge.endDate) {
-    try {
-      const endDate = new Date(challenge.endDate);
-      endDate.setHours(0, 0, 0, 0);
-      if (endDate < today) {
-        return true; // Challenge ended
-      }
-    } catch (e) {
-      // Continue if date parsing fails
+/**
+ * Rewards newly completed habit days of one participant: per-day XP/sparks,
+ * mission completion, and the daily bonus when today was among them.
+ */
+async function awardAddedHabitDays(req, { challenge, participant, userId, addedDays, wasHabitCompletedBefore }) {
+  if (addedDays.length > 0) {
+    await clearReactivationStreakFlag(userId);
+  }
+
+  const userSelect = 'name email avatarUrl createdAt _id xp sparks';
+  let updatedUser = await User.findById(userId).select(userSelect);
+  const xpResults = [];
+  const sparksResults = [];
+
+  for (const day of addedDays) {
+    const xpResult = await awardHabitDayXp(userId, challenge._id, day);
+    xpResults.push(xpResult);
+    if (xpResult.awarded && xpResult.user) {
+      updatedUser = xpResult.user;
+    }
+
+    const sparksResult = await awardHabitDaySparks(userId, challenge._id, day);
+    sparksResults.push(sparksResult);
+    if (sparksResult.awarded && sparksResult.user) {
+      updatedUser = sparksResult.user;
     }
   }
-  
-  // For result challenges, check if all actions are done
-  if (challenge.challengeType === 'result') {
-    if (!challenge.actions || !Array.isArray(challenge.actions) || challenge.actions.length === 0) {
-      return false; // Not completed if no actions
+
+  let completionXpResult = null;
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const endDate = new Date(challenge.endDate);
+  endDate.setHours(0, 0, 0, 0);
+
+  if (endDate < today && (participant.completedDays || []).length > 0) {
+    completionXpResult = await awardHabitCompletionXp(userId, challenge._id);
+    if (completionXpResult.awarded && completionXpResult.user) {
+      updatedUser = completionXpResult.user;
     }
-    
-    // Check if all actions and their children are checked
-    const allActionsDone = challenge.actions.every(action => {
-      // Parent action must be checked
-      if (!action.checked) return false;
-      
-      // All children must be checked (if any exist)
-      if (action.children && Array.isArray(action.children) && action.children.length > 0) {
-        return action.children.every(child => child.checked);
-      }
-      
-      return true;
+  }
+
+  const isHabitCompletedNow = isHabitChallengeCompleted(challenge, participant);
+
+  if (!wasHabitCompletedBefore && isHabitCompletedNow) {
+    const missionSparksResult = await awardMissionCompletionSparks(userId, challenge._id);
+    sparksResults.push(missionSparksResult);
+    if (missionSparksResult.awarded && missionSparksResult.user) {
+      updatedUser = missionSparksResult.user;
+    }
+  }
+
+  if (completionXpResult) {
+    xpResults.push(completionXpResult);
+  }
+
+  // Checking off today's last ritual may complete the whole day
+  const { startUtc, endUtc, clientDayStr: todayStr } = getClientDayRange(req, 0);
+  if (addedDays.includes(todayStr)) {
+    const dailyBonusResult = await claimDailyFullCompletionXp(userId, todayStr, {
+      dayRange: { startUtc, endUtc }
     });
-    
-    return allActionsDone;
+    if (dailyBonusResult.awarded) {
+      xpResults.push(dailyBonusResult);
+      if (dailyBonusResult.user) {
+        updatedUser = dailyBonusResult.user;
+      }
+    }
   }
-  
-  return false; // Not completed
+
+  return { updatedUser, xpResults, sparksResults };
 }
 
 // Create challenge
-router.post('/', async (req, res) => {
+router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { title, description, startDate, endDate, owner, imageUrl, privacy, challengeType, frequency, actions, allowComments, difficulty, reward } = req.body;
+    const { title, description, startDate, endDate, imageUrl, privacy, challengeType, frequency, actions, allowComments, difficulty, reward, questMode } = req.body;
+    const owner = req.user.id;
 
-    if (!title || !startDate || !endDate || !owner) {
+    if (!title || !startDate || !endDate) {
       return res.status(400).json({ message: 'All fields are required' });
     }
 
@@ -280,7 +390,7 @@ router.post('/', async (req, res) => {
       endDate, 
       owner, 
       difficulty: difficulty || 'medium',
-      participants: [{ userId: owner, completedDays: [] }] 
+      participants: [{ userId: owner, role: 'owner', completedDays: [] }]
     };
     if (imageUrl) {
       challengeData.imageUrl = imageUrl;
@@ -293,7 +403,19 @@ router.post('/', async (req, res) => {
     }
     // Only set frequency for habit challenges, don't include it for result challenges
     if (challengeType === 'habit' && frequency) {
-      challengeData.frequency = frequency;
+      const parsedSchedule = parseHabitScheduleInput(frequency, req.body.schedule);
+      if (parsedSchedule.error) {
+        return res.status(400).json({ message: parsedSchedule.error });
+      }
+      challengeData.frequency = parsedSchedule.frequency;
+      challengeData.schedule = parsedSchedule.schedule;
+    }
+    if (challengeType === 'habit' && req.body.dailyTarget !== undefined) {
+      const parsedTarget = parseDailyTargetInput(req.body.dailyTarget);
+      if (parsedTarget.error) {
+        return res.status(400).json({ message: parsedTarget.error });
+      }
+      challengeData.dailyTarget = parsedTarget.dailyTarget;
     }
     // Explicitly don't set frequency for result challenges
     if (challengeType === 'result') {
@@ -304,10 +426,31 @@ router.post('/', async (req, res) => {
     }
     if (challengeType === 'result') {
       challengeData.reward = typeof reward === 'string' ? reward.trim() : '';
+      if (questMode !== undefined) {
+        const parsedQuestMode = parseQuestModeInput(questMode);
+        if (parsedQuestMode.error) {
+          return res.status(400).json({ message: parsedQuestMode.error });
+        }
+        challengeData.questMode = parsedQuestMode.questMode;
+      }
     }
     if (allowComments !== undefined) {
       challengeData.allowComments = allowComments;
     }
+    if (req.body.category !== undefined) {
+      const parsedCategory = parseMissionCategoryInput(req.body.category);
+      if (parsedCategory.error) {
+        return res.status(400).json({ message: parsedCategory.error });
+      }
+      challengeData.category = parsedCategory.category;
+    }
+    if (req.body.tags !== undefined) {
+      const parsedTags = parseMissionTagsInput(req.body.tags);
+      if (parsedTags.error) {
+        return res.status(400).json({ message: parsedTags.error });
+      }
+      challengeData.tags = parsedTags.tags;
+    }
 
     const challenge = new Challenge(challengeData);
     await challenge.save();
@@ -324,40 +467,73 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Update challenge actions progress (Result Challenges)
-router.patch('/:id/actions', async (req, res) => {
+// Clone a mission into a new one owned by the caller, with fresh dates and no progress
+router.post('/:id/clone', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { actions } = req.body;
+    const owner = req.user.id;
+    const { title, privacy } = req.body || {};
 
-    if (!actions || !Array.isArray(actions)) {
-      return res.status(400).json({ message: 'Actions array is required' });
-    }
+    const source = await Challenge.findById(id)
+      .select('title description imageUrl privacy category tags challengeType questMode frequency schedule dailyTarget actions difficulty reward startDate endDate owner participants.userId');
 
-    const challenge = await Challenge.findById(id);
-    if (!challenge) {
+    if (!source) {
       return res.status(404).json({ message: 'Challenge not found' });
     }
 
-    if (challenge.challengeType !== 'result' && challenge.challengeType !== 'habit') {
-      return res.status(400).json({ message: 'This route is only for result or habit challenges' });
+    const canSeeSource = source.privacy !== 'private'
+      || isChallengeOwner(source, owner)
+      || !!findChallengeParticipant(source, owner);
+    if (!canSeeSource) {
+      return res.status(403).json({ message: 'You cannot clone this challenge' });
     }
 
-    const authUserId = decodeOptionalAuthUserId(req);
-    if (!authUserId) {
-      return res.status(401).json({ message: 'Authentication required' });
+    const { startDate, endDate } = resolveFreshMissionDates(req, getMissionDurationDays(source));
+    const challengeData = buildMissionDataFromSource(source, {
+      ownerId: owner,
+      startDate,
+      endDate,
+      privacy: privacy === 'private' ? 'private' : 'public'
+    });
+    if (typeof title === 'string' && title.trim()) {
+      challengeData.title = title.trim();
     }
+    challengeData.clonedFromChallengeId = source._id;
 
-    // Security check: only owner can update progress of result challenge
-    const ownerId = challenge.owner?._id || challenge.owner;
-    if (authUserId.toString() !== ownerId.toString()) {
-      return res.status(403).json({ message: 'You are not authorized to update this challenge' });
+    const challenge = new Challenge(challengeData);
+    await challenge.save();
+
+    const welcomeBonusPayload = await getWelcomeBonusRewardPayload(owner, serializeUserForClient);
+
+    res.status(201).json({
+      message: 'Challenge cloned successfully',
+      challenge,
+      ...welcomeBonusPayload
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error cloning challenge', error: error.message });
+  }
+});
+
+// Update challenge actions progress (Result Challenges)
+router.patch('/:id/actions', authenticateToken, authorizeChallenge('owner'), async (req, res) => {
+  try {
+    const { actions } = req.body;
+    const challenge = req.challenge;
+    const authUserId = req.user.id;
+
+    if (!actions || !Array.isArray(actions)) {
+      return res.status(400).json({ message: 'Actions array is required' });
+    }
+
+    if (challenge.challengeType !== 'result' && challenge.challengeType !== 'habit') {
+      return res.status(400).json({ message: 'This route is only for result or habit challenges' });
     }
 
     const prevActions = JSON.parse(JSON.stringify(challenge.actions || []));
     const wasCompletedBefore = isResultChallengeCompleted(prevActions);
 
-    challenge.actions = actions;
+    challenge.actions = preserveActionAssignments(challenge, actions, authUserId);
     await challenge.save();
 
     const isCompletedNow = isResultChallengeCompleted(challenge.actions);
@@ -445,48 +621,59 @@ router.patch('/:id/actions', async (req, res) => {
   }
 });
 
-// Complete a single quest (result) action, optionally with a diary report
-router.post('/:id/actions/:actionId/complete', async (req, res) => {
+// Complete a single quest (result) action for the acting member, optionally with a diary report
+router.post('/:id/actions/:actionId/complete', authenticateToken, authorizeChallenge('member'), async (req, res) => {
   try {
-    const { id, actionId } = req.params;
-    const { mode = 'check', text, imageUrl, shareToCommunity } = req.body;
-
-    const challenge = await Challenge.findById(id);
-    if (!challenge) {
-      return res.status(404).json({ message: 'Challenge not found' });
-    }
+    const { actionId } = req.params;
+    const { mode = 'check', text, imageUrl, imageUrls, mood, shareToCommunity } = req.body;
+    let challenge = req.challenge;
+    const authUserId = req.user.id;
 
     if (challenge.challengeType !== 'result') {
       return res.status(400).json({ message: 'This route is only for result challenges' });
     }
 
-    const authUserId = decodeOptionalAuthUserId(req);
-    if (!authUserId) {
-      return res.status(401).json({ message: 'Authentication required' });
+    let action = challenge.actions.id(actionId);
+    if (!action) {
+      return res.status(404).json({ message: 'Action not found' });
     }
 
-    const ownerId = challenge.owner?._id || challenge.owner;
-    if (authUserId.toString() !== ownerId.toString()) {
-      return res.status(403).json({ message: 'You are not authorized to update this challenge' });
-    }
+    const { clientDayStr: todayStr } = getClientDayRange(req, 0);
 
-    const action = challenge.actions.id(actionId);
-    if (!action) {
-      return res.status(404).json({ message: 'Action not found' });
+    // Validate the report before completing anything, so report sparks always come with a saved report
+    let reportEntry = null;
+    if (mode === 'report') {
+      const parsedReport = parseDiaryEntryInput(
+        { text, imageUrl, imageUrls, mood },
+        { challengeType: challenge.challengeType, today: todayStr }
+      );
+      if (parsedReport.error) {
+        return res.status(400).json({ message: parsedReport.error });
+      }
+      reportEntry = parsedReport.entry;
     }
 
-    const prevActions = JSON.parse(JSON.stringify(challenge.actions || []));
+    const isSharedQuest = getQuestMode(challenge) === 'shared';
+    const prevActions = buildParticipantActionTree(challenge, authUserId);
     const wasCompletedBefore = isResultChallengeCompleted(prevActions);
 
-    action.checked = true;
-    if (Array.isArray(action.children)) {
-      action.children.forEach((child) => { child.checked = true; });
+    if (isSharedQuest) {
+      const completed = await completeSharedAction(challenge._id, action._id, authUserId);
+      if (!completed) {
+        const message = action.checked
+          ? 'This action is already completed'
+          : 'This action is claimed by another member';
+        return res.status(409).json({ message });
+      }
+      challenge = await Challenge.findById(challenge._id);
+      action = challenge.actions.id(actionId);
+    } else {
+      markActionCompletedForMember(challenge, action, authUserId);
+      await challenge.save();
     }
 
-    await challenge.save();
-
-    const isCompletedNow = isResultChallengeCompleted(challenge.actions);
-    const { clientDayStr: todayStr } = getClientDayRange(req, 0);
+    const nextActions = buildParticipantActionTree(challenge, authUserId);
+    const isCompletedNow = isResultChallengeCompleted(nextActions);
 
     let updatedUser = null;
     const xpResults = [];
@@ -514,16 +701,20 @@ router.post('/:id/actions/:actionId/complete', async (req, res) => {
     }
 
     if (!wasCompletedBefore && isCompletedNow) {
-      const completionXpResult = await awardResultCompletionXp(authUserId, challenge);
-      xpResults.push(completionXpResult);
-      if (completionXpResult.awarded && completionXpResult.user) {
-        updatedUser = completionXpResult.user;
-      }
-
-      const missionSparksResult = await awardMissionCompletionSparks(authUserId, challenge._id);
-      sparksResults.push(missionSparksResult);
-      if (missionSparksResult.awarded && missionSparksResult.user) {
-        updatedUser = missionSparksResult.user;
+      // A finished shared quest rewards every member who completed part of it
+      const completionRecipientIds = isSharedQuest
+        ? getSharedQuestContributorIds(challenge)
+        : [authUserId.toString()];
+
+      for (const recipientId of completionRecipientIds) {
+        const isActingUser = recipientId === authUserId.toString();
+        const completionXpResult = await awardResultCompletionXp(recipientId, challenge);
+        const missionSparksResult = await awardMissionCompletionSparks(recipientId, challenge._id);
+
+        if (isActingUser) {
+          xpResults.push(completionXpResult);
+          sparksResults.push(missionSparksResult);
+        }
       }
     }
 
@@ -536,7 +727,7 @@ router.post('/:id/actions/:actionId/complete', async (req, res) => {
           req,
           challenge,
           prevActions,
-          challenge.actions
+          nextActions
         );
       }
     } catch (syncErr) {
@@ -546,40 +737,34 @@ router.post('/:id/actions/:actionId/complete', async (req, res) => {
     let entry = null;
     let sharedCommentId = null;
 
-    if (mode === 'report') {
-      const reportText = (text && text.trim()) ? text.trim() : '';
-      const reportImage = imageUrl ? String(imageUrl).trim() : null;
-
-      if (!reportText && !reportImage) {
-        return res.status(400).json({ message: 'Report text or image is required' });
-      }
-
-      challenge.userDiaryEntries.push({
+    if (reportEntry) {
+      entry = await createDiaryEntry({
+        challengeId: challenge._id,
         userId: authUserId,
-        text: reportText,
-        imageUrl: reportImage,
+        entry: reportEntry,
         actionTitle: action.text || '',
-        actionId: action._id,
-        createdAt: new Date()
+        actionId: action._id
       });
 
       if (shareToCommunity === true && challenge.allowComments) {
-        challenge.comments.push({
+        const reportText = reportEntry.text;
+        const mentionedUserIds = await resolveCommentMentions(challenge, reportText, { authorId: authUserId });
+        const sharedComment = await createComment({
+          challengeId: challenge._id,
           userId: authUserId,
           text: reportText,
-          imageUrl: reportImage,
-          createdAt: new Date()
+          imageUrl: entry.imageUrl,
+          mentionedUserIds,
+          sharedFromDiary: true
+        });
+        sharedCommentId = sharedComment._id;
+        await indexSharedDiaryEntry(challenge._id, sharedComment);
+        await notifyMentionedUsers({
+          challenge,
+          authorId: authUserId,
+          userIds: mentionedUserIds,
+          commentId: sharedComment._id
         });
-      }
-
-      await challenge.save();
-      await challenge.populate('userDiaryEntries.userId', 'name avatarUrl');
-
-      entry = challenge.userDiaryEntries[challenge.userDiaryEntries.length - 1];
-
-      if (shareToCommunity === true && challenge.allowComments) {
-        const sharedComment = challenge.comments[challenge.comments.length - 1];
-        sharedCommentId = sharedComment?._id || null;
       }
     }
 
@@ -592,6 +777,7 @@ router.post('/:id/actions/:actionId/complete', async (req, res) => {
     res.json({
       message: 'Action completed successfully',
       challenge,
+      memberProgress: buildQuestMemberProgress(challenge),
       entry,
       sharedCommentId,
       ...rewardPayload
@@ -601,38 +787,134 @@ router.post('/:id/actions/:actionId/complete', async (req, res) => {
   }
 });
 
-// Update challenge
-router.put('/:id', async (req, res) => {
+// Reopen a quest action for the acting member (shared quests: the completer or the owner)
+router.delete('/:id/actions/:actionId/complete', authenticateToken, authorizeChallenge('member'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { title, description, startDate, endDate, owner, imageUrl, privacy, challengeType, frequency, actions, completedDays, allowComments, difficulty, reward } = req.body;
+    const challenge = req.challenge;
+    const authUserId = req.user.id;
 
-    if (!title || !startDate || !endDate) {
-      return res.status(400).json({ message: 'All fields are required' });
+    if (challenge.challengeType !== 'result') {
+      return res.status(400).json({ message: 'This route is only for result challenges' });
     }
 
-    // Load existing challenge
-    const existingChallenge = await Challenge.findById(id);
+    const action = challenge.actions.id(req.params.actionId);
+    if (!action) {
+      return res.status(404).json({ message: 'Action not found' });
+    }
 
-    if (!existingChallenge) {
-      return res.status(404).json({ message: 'Challenge not found' });
+    if (getQuestMode(challenge) === 'shared' && action.completedBy
+      && action.completedBy.toString() !== authUserId.toString()
+      && !isChallengeOwner(challenge, authUserId)) {
+      return res.status(403).json({ message: 'Only the member who completed this action can reopen it' });
     }
 
-    const authUserId = decodeOptionalAuthUserId(req);
-    const isAdmin = false; 
+    const prevActions = buildParticipantActionTree(challenge, authUserId);
+    markActionUncompletedForMember(challenge, action, authUserId);
+    await challenge.save();
 
-    // Security check: only owner can update challenge details
-    const ownerId = existingChallenge.owner?._id || existingChallenge.owner;
-    if (!authUserId || (authUserId.toString() !== ownerId.toString() && !isAdmin)) {
-      return res.status(403).json({ message: 'You are not authorized to update this challenge' });
+    try {
+      const userForChecklist = await User.findById(authUserId).select('dailyChecklists');
+      if (userForChecklist) {
+        await syncTodayChecklistForResultActions(
+          userForChecklist._id,
+          userForChecklist.dailyChecklists,
+          req,
+          challenge,
+          prevActions,
+          buildParticipantActionTree(challenge, authUserId)
+        );
+      }
+    } catch (syncErr) {
+      console.error('Error syncing result actions to daily checklist:', syncErr);
     }
 
-    const effectiveOwnerId = owner || existingChallenge.owner;
+    res.json({
+      message: 'Action reopened successfully',
+      challenge,
+      memberProgress: buildQuestMemberProgress(challenge)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error reopening action', error: error.message });
+  }
+});
 
-    const update = { title, description: description || '', startDate, endDate };
-    if (owner) {
-      update.owner = owner;
+// Claim an open action of a shared quest
+router.post('/:id/actions/:actionId/claim', authenticateToken, authorizeChallenge('member'), async (req, res) => {
+  try {
+    const challenge = req.challenge;
+
+    if (challenge.challengeType !== 'result' || getQuestMode(challenge) !== 'shared') {
+      return res.status(400).json({ message: 'Actions can only be claimed in shared quests' });
+    }
+
+    if (!challenge.actions.id(req.params.actionId)) {
+      return res.status(404).json({ message: 'Action not found' });
+    }
+
+    const claimed = await claimSharedAction(challenge._id, req.params.actionId, req.user.id);
+    if (!claimed) {
+      return res.status(409).json({ message: 'This action is already claimed or completed' });
+    }
+
+    const updatedChallenge = await Challenge.findById(challenge._id);
+
+    res.json({
+      message: 'Action claimed successfully',
+      challenge: updatedChallenge,
+      memberProgress: buildQuestMemberProgress(updatedChallenge)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error claiming action', error: error.message });
+  }
+});
+
+// Release a claim (the claimer, or the owner for anyone's claim)
+router.delete('/:id/actions/:actionId/claim', authenticateToken, authorizeChallenge('member'), async (req, res) => {
+  try {
+    const challenge = req.challenge;
+
+    if (challenge.challengeType !== 'result' || getQuestMode(challenge) !== 'shared') {
+      return res.status(400).json({ message: 'Actions can only be claimed in shared quests' });
+    }
+
+    if (!challenge.actions.id(req.params.actionId)) {
+      return res.status(404).json({ message: 'Action not found' });
+    }
+
+    const released = await releaseSharedActionClaim(challenge._id, req.params.actionId, req.user.id, {
+      isOwner: isChallengeOwner(challenge, req.user.id)
+    });
+    if (!released) {
+      return res.status(409).json({ message: 'You have no open claim on this action' });
+    }
+
+    const updatedChallenge = await Challenge.findById(challenge._id);
+
+    res.json({
+      message: 'Claim released successfully',
+      challenge: updatedChallenge,
+      memberProgress: buildQuestMemberProgress(updatedChallenge)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error releasing claim', error: error.message });
+  }
+});
+
+// Update challenge
+router.put('/:id', authenticateToken, authorizeChallenge('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, description, startDate, endDate, imageUrl, privacy, challengeType, frequency, actions, completedDays, allowComments, difficulty, reward, questMode } = req.body;
+
+    if (!title || !startDate || !endDate) {
+      return res.status(400).json({ message: 'All fields are required' });
     }
+
+    const existingChallenge = req.challenge;
+    const authUserId = req.user.id;
+    const effectiveOwnerId = existingChallenge.owner;
+
+    const update = { title, description: description || '', startDate, endDate };
     if (imageUrl !== undefined) {
       update.imageUrl = imageUrl;
     }
@@ -646,13 +928,27 @@ router.put('/:id', async (req, res) => {
       update.difficulty = difficulty;
     }
     if (frequency !== undefined && challengeType === 'habit') {
-      update.frequency = frequency;
+      const parsedSchedule = parseHabitScheduleInput(frequency, req.body.schedule);
+      if (parsedSchedule.error) {
+        return res.status(400).json({ message: parsedSchedule.error });
+      }
+      update.frequency = parsedSchedule.frequency;
+      update.schedule = parsedSchedule.schedule;
     } else if (challengeType === 'result') {
       update.frequency = null;
+      update.schedule = null;
+      update.dailyTarget = null;
+    }
+    if (req.body.dailyTarget !== undefined && challengeType === 'habit') {
+      const parsedTarget = parseDailyTargetInput(req.body.dailyTarget);
+      if (parsedTarget.error) {
+        return res.status(400).json({ message: parsedTarget.error });
+      }
+      update.dailyTarget = parsedTarget.dailyTarget;
     }
     
     if (actions !== undefined) {
-      update.actions = actions;
+      update.actions = preserveActionAssignments(existingChallenge, actions, authUserId);
     } else if (challengeType === 'habit' && !existingChallenge.actions) {
       update.actions = [];
     }
@@ -660,11 +956,35 @@ router.put('/:id', async (req, res) => {
     if (allowComments !== undefined) {
       update.allowComments = allowComments;
     }
+    if (req.body.category !== undefined) {
+      const parsedCategory = parseMissionCategoryInput(req.body.category);
+      if (parsedCategory.error) {
+        return res.status(400).json({ message: parsedCategory.error });
+      }
+      update.category = parsedCategory.category;
+    }
+    if (req.body.tags !== undefined) {
+      const parsedTags = parseMissionTagsInput(req.body.tags);
+      if (parsedTags.error) {
+        return res.status(400).json({ message: parsedTags.error });
+      }
+      update.tags = parsedTags.tags;
+    }
 
     const effectiveType = challengeType !== undefined ? challengeType : existingChallenge.challengeType;
     if (effectiveType === 'result' && reward !== undefined) {
       update.reward = typeof reward === 'string' ? reward.trim() : '';
     }
+    if (effectiveType === 'result' && questMode !== undefined) {
+      const parsedQuestMode = parseQuestModeInput(questMode);
+      if (parsedQuestMode.error) {
+        return res.status(400).json({ message: parsedQuestMode.error });
+      }
+      if (parsedQuestMode.questMode !== getQuestMode(existingChallenge) && hasQuestProgress(existingChallenge)) {
+        return res.status(409).json({ message: 'questMode cannot change once actions have been claimed or checked' });
+      }
+      update.questMode = parsedQuestMode.questMode;
+    }
 
     const prevActions = JSON.parse(JSON.stringify(existingChallenge.actions || []));
     const wasCompletedBeforePut = isResultChallengeCompleted(prevActions);
@@ -682,7 +1002,7 @@ router.put('/:id', async (req, res) => {
     const putXpResults = [];
     const putSparksResults = [];
 
-    if (actions !== undefined && authUserId && challenge.challengeType === 'result') {
+    if (actions !== undefined && challenge.challengeType === 'result') {
       const user = await User.findById(authUserId);
       if (user) {
         updatedUser = user;
@@ -748,9 +1068,7 @@ router.put('/:id', async (req, res) => {
     const putRewardPayload = (putXpResults.length > 0 || putSparksResults.length > 0)
       ? buildRewardPayload({
           user: serializeUserForClient(
-            authUserId
-              ? await User.findById(authUserId).select('name email avatarUrl xp sparks createdAt _id')
-              : updatedUser
+            await User.findById(authUserId).select('name email avatarUrl xp sparks createdAt _id')
           ),
           xpResults: putXpResults,
           sparksResults: putSparksResults
@@ -767,15 +1085,13 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// Join challenge
-router.post('/:id/join', async (req, res) => {
+// Join challenge. Private challenges require a valid invite token; invites that
+// require approval put the user on the owner's pending list instead.
+router.post('/:id/join', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ message: 'User ID is required to join a challenge' });
-    }
+    const userId = req.user.id;
+    const inviteToken = req.body?.inviteToken || null;
 
     const challenge = await Challenge.findById(id);
 
@@ -783,10 +1099,7 @@ router.post('/:id/join', async (req, res) => {
       return res.status(404).json({ message: 'Challenge not found' });
     }
 
-    // Only habit challenges can be joined
-    if (challenge.challengeType !== 'habit') {
-      return res.status(400).json({ message: 'Only habit challenges can be joined' });
-    }
+    const isPrivate = challenge.privacy === 'private';
 
     // Check if user is already a participant
     const existingParticipant = challenge.participants.find(
@@ -797,8 +1110,39 @@ router.post('/:id/join', async (req, res) => {
       return res.status(400).json({ message: 'You have already joined this challenge' });
     }
 
-    // Add new participant with empty completedDays array
-    challenge.participants.push({ userId, completedDays: [] });
+    if (isPrivate && !inviteToken) {
+      return res.status(403).json({ message: 'An invite is required to join this challenge' });
+    }
+
+    const hasPendingRequest = await Challenge.exists({ _id: id, 'pendingParticipants.userId': userId });
+    if (hasPendingRequest) {
+      return res.status(409).json({ message: 'Your join request is waiting for approval' });
+    }
+
+    let redemption = null;
+    if (inviteToken) {
+      redemption = await redeemInviteToken(inviteToken, { challengeId: challenge._id, userId });
+      // A stale link to a public challenge still lets the user join, just without the invite
+      if (redemption.error && isPrivate) {
+        return res.status(403).json({ message: 'This invite link is no longer valid', reason: redemption.error });
+      }
+    }
+
+    if (redemption?.pending) {
+      await Challenge.updateOne(
+        { _id: id },
+        { $push: { pendingParticipants: { userId, inviteId: redemption.invite._id, requestedAt: new Date() } } }
+      );
+      await notifyChallengeJoinRequest({ ownerId: getChallengeOwnerId(challenge), fromUserId: userId, challenge });
+
+      return res.status(202).json({
+        message: 'Join request sent to the challenge owner',
+        pending: true
+      });
+    }
+
+    // Add new participant with empty progress (completedDays for habits, checkedActionIds for quests)
+    challenge.participants.push({ userId, completedDays: [], checkedActionIds: [] });
     await challenge.save();
 
     const ownerId = challenge.owner?._id || challenge.owner;
@@ -817,14 +1161,10 @@ router.post('/:id/join', async (req, res) => {
 });
 
 // Leave challenge
-router.post('/:id/leave', async (req, res) => {
+router.post('/:id/leave', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ message: 'User ID is required' });
-    }
+    const userId = req.user.id;
 
     const challenge = await Challenge.findById(id)
       .populate('owner', 'name avatarUrl')
@@ -843,10 +1183,27 @@ router.post('/:id/leave', async (req, res) => {
       return res.status(400).json({ message: 'You are not a participant of this challenge' });
     }
 
-    // Remove participant
+    // An owner hands the mission over instead of leaving it without one
+    let newOwnerId = null;
+    if (isChallengeOwner(challenge, userId)) {
+      newOwnerId = pickSuccessorId(challenge, userId);
+      if (!newOwnerId) {
+        return res.status(400).json({ message: 'You are the only participant. Delete the challenge instead of leaving it' });
+      }
+      applyOwnershipChange(challenge, newOwnerId);
+    } else if (challenge.ownershipTransfer?.toUserId?.toString() === userId.toString()) {
+      challenge.ownershipTransfer = null;
+    }
+
+    // Remove participant and release their open claims in a shared quest
     challenge.participants.splice(participantIndex, 1);
+    releaseMemberActionClaims(challenge, userId);
     await challenge.save();
 
+    if (newOwnerId) {
+      await notifyOwnershipTransferred({ toUserId: newOwnerId, fromUserId: userId, challenge });
+    }
+
     // Refresh challenge data
     const updatedChallenge = await Challenge.findById(id)
       .populate('owner', 'name avatarUrl')
@@ -854,37 +1211,365 @@ router.post('/:id/leave', async (req, res) => {
 
     res.json({
       message: 'Successfully left the challenge',
-      challenge: updatedChallenge
+      challenge: updatedChallenge,
+      newOwnerId
     });
   } catch (error) {
     res.status(500).json({ message: 'Error leaving challenge', error: error.message });
   }
 });
 
-// Extend a finished challenge for sparks
-router.post('/:id/extend', async (req, res) => {
+// Create an invite link. Any member can invite to a public challenge; only the owner to a private one.
+router.post('/:id/invites', authenticateToken, authorizeChallenge('member'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const authUserId = decodeOptionalAuthUserId(req);
+    const challenge = req.challenge;
+    const userId = req.user.id;
 
-    if (!authUserId) {
-      return res.status(401).json({ message: 'Authentication required' });
+    if (challenge.privacy === 'private' && !isChallengeOwner(challenge, userId)) {
+      return res.status(403).json({ message: 'Only the owner can invite to a private challenge' });
     }
 
-    const challenge = await Challenge.findById(id);
-
-    if (!challenge) {
-      return res.status(404).json({ message: 'Challenge not found' });
+    const parsed = parseInviteOptions(req.body || {});
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
     }
 
-    const participant = findChallengeParticipant(challenge, authUserId);
-    if (!participant) {
-      return res.status(403).json({ message: 'You are not a participant of this challenge' });
-    }
+    const invite = await MissionInvite.create({
+      challengeId: challenge._id,
+      createdBy: userId,
+      token: generateInviteToken(),
+      ...parsed.options
+    });
 
-    if (!isChallengeFinished(challenge)) {
-      return res.status(400).json({ message: 'Only finished missions can be extended' });
-    }
+    res.status(201).json({
+      message: 'Invite created',
+      invite: serializeInvite(invite, { origin: req.headers.origin })
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating invite', error: error.message });
+  }
+});
+
+// List invites: the owner sees all of them, other members only their own
+router.get('/:id/invites', authenticateToken, authorizeChallenge('member'), async (req, res) => {
+  try {
+    const challenge = req.challenge;
+    const userId = req.user.id;
+
+    const query = { challengeId: challenge._id };
+    if (!isChallengeOwner(challenge, userId)) {
+      query.createdBy = userId;
+    }
+
+    const invites = await MissionInvite.find(query).sort({ createdAt: -1 }).lean();
+
+    res.json({
+      invites: invites.map((invite) => serializeInvite(invite, { origin: req.headers.origin }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching invites', error: error.message });
+  }
+});
+
+// Revoke an invite (owner or the member who created it)
+router.delete('/:id/invites/:inviteId', authenticateToken, authorizeChallenge('member'), async (req, res) => {
+  try {
+    const challenge = req.challenge;
+    const userId = req.user.id;
+
+    const invite = await MissionInvite.findOne({ _id: req.params.inviteId, challengeId: challenge._id });
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    if (!isChallengeOwner(challenge, userId) && invite.createdBy.toString() !== userId.toString()) {
+      return res.status(403).json({ message: 'You are not authorized to revoke this invite' });
+    }
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await invite.save();
+    }
+
+    res.json({
+      message: 'Invite revoked',
+      invite: serializeInvite(invite, { includeToken: false })
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error revoking invite', error: error.message });
+  }
+});
+
+// Pending join requests (owner or co-owner)
+router.get('/:id/join-requests', authenticateToken, authorizeChallenge('manager'), async (req, res) => {
+  try {
+    const challenge = await Challenge.findById(req.params.id)
+      .select('+pendingParticipants')
+      .populate('pendingParticipants.userId', 'name avatarUrl');
+
+    res.json({ requests: challenge?.pendingParticipants || [] });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching join requests', error: error.message });
+  }
+});
+
+// Approve a pending join request (owner or co-owner)
+router.post('/:id/members/:userId/approve', authenticateToken, authorizeChallenge('manager'), async (req, res) => {
+  try {
+    const { id, userId: memberId } = req.params;
+
+    const challenge = await Challenge.findById(id).select('+pendingParticipants');
+    const request = (challenge.pendingParticipants || []).find(
+      (entry) => entry.userId.toString() === memberId.toString()
+    );
+
+    if (!request) {
+      return res.status(404).json({ message: 'Join request not found' });
+    }
+
+    challenge.pendingParticipants = challenge.pendingParticipants.filter((entry) => entry !== request);
+    if (!findChallengeParticipant(challenge, memberId)) {
+      challenge.participants.push({ userId: request.userId, completedDays: [], checkedActionIds: [] });
+    }
+    await challenge.save();
+    await decideInviteAcceptance(request.inviteId, request.userId, 'accepted');
+
+    const updatedChallenge = await Challenge.findById(id)
+      .populate('owner', 'name avatarUrl')
+      .populate('participants.userId', 'name avatarUrl');
+
+    res.json({
+      message: 'Participant approved',
+      challenge: updatedChallenge
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error approving participant', error: error.message });
+  }
+});
+
+// Remove a participant or reject a pending join request. Co-owners can remove
+// members; only the owner can remove a co-owner.
+router.delete('/:id/members/:userId', authenticateToken, authorizeChallenge('manager'), async (req, res) => {
+  try {
+    const { id, userId: memberId } = req.params;
+
+    const challenge = await Challenge.findById(id).select('+pendingParticipants');
+
+    if (isChallengeOwner(challenge, memberId)) {
+      return res.status(400).json({ message: 'The owner cannot be removed from the challenge' });
+    }
+
+    const request = (challenge.pendingParticipants || []).find(
+      (entry) => entry.userId.toString() === memberId.toString()
+    );
+    const participantIndex = challenge.participants.findIndex(
+      (p) => p.userId && p.userId.toString() === memberId.toString()
+    );
+
+    if (!request && participantIndex === -1) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (participantIndex !== -1
+      && getChallengeRole(challenge, memberId) === 'co-owner'
+      && !isChallengeOwner(challenge, req.user.id)) {
+      return res.status(403).json({ message: 'Only the owner can remove a co-owner' });
+    }
+
+    if (request) {
+      challenge.pendingParticipants = challenge.pendingParticipants.filter((entry) => entry !== request);
+    }
+    if (participantIndex !== -1) {
+      challenge.participants.splice(participantIndex, 1);
+      releaseMemberActionClaims(challenge, memberId);
+      if (challenge.ownershipTransfer?.toUserId?.toString() === memberId.toString()) {
+        challenge.ownershipTransfer = null;
+      }
+    }
+    await challenge.save();
+
+    if (request) {
+      await decideInviteAcceptance(request.inviteId, request.userId, 'rejected');
+    }
+
+    const updatedChallenge = await Challenge.findById(id)
+      .populate('owner', 'name avatarUrl')
+      .populate('participants.userId', 'name avatarUrl');
+
+    res.json({
+      message: participantIndex !== -1 ? 'Participant removed' : 'Join request rejected',
+      challenge: updatedChallenge
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error removing participant', error: error.message });
+  }
+});
+
+// Change a participant's role (owner only)
+router.put('/:id/members/:userId/role', authenticateToken, authorizeChallenge('owner'), async (req, res) => {
+  try {
+    const { userId: memberId } = req.params;
+    const { role } = req.body;
+    const challenge = req.challenge;
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` });
+    }
+    if (isChallengeOwner(challenge, memberId)) {
+      return res.status(400).json({ message: 'Use an ownership transfer to change the owner' });
+    }
+
+    const participant = findChallengeParticipant(challenge, memberId);
+    if (!participant) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    participant.role = role;
+    await challenge.save();
+
+    res.json({ message: 'Role updated', userId: memberId, role });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating role', error: error.message });
+  }
+});
+
+// Offer ownership to another participant; applied once they accept
+router.post('/:id/transfer-ownership', authenticateToken, authorizeChallenge('owner'), async (req, res) => {
+  try {
+    const { userId: toUserId } = req.body;
+    const authUserId = req.user.id;
+    const challenge = req.challenge;
+
+    if (!toUserId) {
+      return res.status(400).json({ message: 'userId is required' });
+    }
+    if (toUserId.toString() === authUserId.toString()) {
+      return res.status(400).json({ message: 'You already own this challenge' });
+    }
+    if (!findChallengeParticipant(challenge, toUserId)) {
+      return res.status(400).json({ message: 'Ownership can only be transferred to a participant' });
+    }
+
+    challenge.ownershipTransfer = { toUserId, requestedBy: authUserId, requestedAt: new Date() };
+    await challenge.save();
+
+    await notifyOwnershipTransferRequest({ toUserId, fromUserId: authUserId, challenge });
+
+    res.json({
+      message: 'Ownership transfer requested',
+      ownershipTransfer: challenge.ownershipTransfer
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error requesting ownership transfer', error: error.message });
+  }
+});
+
+// Accept a pending ownership transfer (recipient only)
+router.post('/:id/transfer-ownership/accept', authenticateToken, async (req, res) => {
+  try {
+    const authUserId = req.user.id;
+    const challenge = await Challenge.findById(req.params.id);
+
+    if (!challenge) {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+    if (challenge.ownershipTransfer?.toUserId?.toString() !== authUserId.toString()) {
+      return res.status(404).json({ message: 'No pending ownership transfer for you' });
+    }
+    if (!findChallengeParticipant(challenge, authUserId)) {
+      challenge.ownershipTransfer = null;
+      await challenge.save();
+      return res.status(400).json({ message: 'You are no longer a participant of this challenge' });
+    }
+
+    const previousOwnerId = getChallengeOwnerId(challenge);
+    applyOwnershipChange(challenge, authUserId);
+    await challenge.save();
+
+    const updatedChallenge = await Challenge.findById(challenge._id)
+      .populate('owner', 'name avatarUrl')
+      .populate('participants.userId', 'name avatarUrl');
+
+    res.json({
+      message: 'You are now the owner of this challenge',
+      previousOwnerId,
+      challenge: updatedChallenge
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error accepting ownership transfer', error: error.message });
+  }
+});
+
+// Cancel (owner) or decline (recipient) a pending ownership transfer
+router.delete('/:id/transfer-ownership', authenticateToken, async (req, res) => {
+  try {
+    const authUserId = req.user.id.toString();
+    const challenge = await Challenge.findById(req.params.id);
+
+    if (!challenge) {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+
+    const recipientId = challenge.ownershipTransfer?.toUserId?.toString();
+    if (!recipientId) {
+      return res.status(404).json({ message: 'No pending ownership transfer' });
+    }
+    if (recipientId !== authUserId && !isChallengeOwner(challenge, authUserId)) {
+      return res.status(403).json({ message: 'Only the owner or the recipient can cancel this transfer' });
+    }
+
+    challenge.ownershipTransfer = null;
+    await challenge.save();
+
+    res.json({
+      message: recipientId === authUserId ? 'Ownership transfer declined' : 'Ownership transfer cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error cancelling ownership transfer', error: error.message });
+  }
+});
+
+// Settings co-owners may change: description and comments
+router.patch('/:id/settings', authenticateToken, authorizeChallenge('manager'), async (req, res) => {
+  try {
+    const { description, allowComments } = req.body;
+    const challenge = req.challenge;
+
+    if (description === undefined && allowComments === undefined) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+    if (allowComments !== undefined && typeof allowComments !== 'boolean') {
+      return res.status(400).json({ message: 'allowComments must be a boolean' });
+    }
+
+    if (description !== undefined) {
+      challenge.description = description ? String(description) : '';
+    }
+    if (allowComments !== undefined) {
+      challenge.allowComments = allowComments;
+    }
+    await challenge.save();
+
+    res.json({
+      message: 'Challenge settings updated',
+      description: challenge.description,
+      allowComments: challenge.allowComments
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating challenge settings', error: error.message });
+  }
+});
+
+// Extend a finished challenge for sparks
+router.post('/:id/extend', authenticateToken, authorizeChallenge('participant'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const authUserId = req.user.id;
+    const challenge = req.challenge;
+
+    if (!isChallengeFinished(challenge)) {
+      return res.status(400).json({ message: 'Only finished missions can be extended' });
+    }
 
     const durationDays = getInclusiveDaysBetween(challenge.startDate, challenge.endDate);
     if (durationDays < 1) {
@@ -898,6 +1583,7 @@ router.post('/:id/extend', async (req, res) => {
     const extendCost = SPARKS_AMOUNTS.MISSION_EXTEND;
     const spendKey = buildMissionExtendSparksKey(id, clientDayStr);
     const spendResult = await spendSparksOnce(authUserId, spendKey, extendCost, {
+      type: SPARKS_EVENT_TYPES.MISSION_EXTEND,
       challengeId: id,
       clientDay: clientDayStr
     });
@@ -912,28 +1598,40 @@ router.post('/:id/extend', async (req, res) => {
       return res.status(400).json({ message: 'Unable to spend sparks', reason: spendResult.reason });
     }
 
-    const ownerId = challenge.owner?._id || challenge.owner;
-    const isCurrentUserOwner = ownerId && ownerId.toString() === authUserId.toString();
-
-    challenge.startDate = newStartDate;
-    challenge.endDate = newEndDate;
+    // The owner or a co-owner restarts the mission for everyone; a member
+    // continues in a copy of their own instead of taking the mission over.
+    const extendsInPlace = isChallengeManager(challenge, authUserId);
+    let extendedChallengeId = challenge._id;
 
-    if (isCurrentUserOwner) {
+    if (extendsInPlace) {
+      challenge.startDate = newStartDate;
+      challenge.endDate = newEndDate;
       challenge.participants.forEach((p) => {
         p.completedDays = [];
+        p.checkedActionIds = [];
+        p.dailyLogs = [];
       });
-    } else {
-      challenge.owner = authUserId;
-      challenge.participants = [{ userId: authUserId, completedDays: [] }];
-    }
 
-    if (challenge.challengeType === 'result') {
-      resetActionsChecked(challenge.actions);
-    }
+      if (challenge.challengeType === 'result') {
+        resetActionsChecked(challenge.actions);
+      }
 
-    await challenge.save();
+      await challenge.save();
+    } else {
+      const copy = new Challenge({
+        ...buildMissionDataFromSource(challenge, {
+          ownerId: authUserId,
+          startDate: newStartDate,
+          endDate: newEndDate,
+          privacy: challenge.privacy
+        }),
+        clonedFromChallengeId: challenge._id
+      });
+      await copy.save();
+      extendedChallengeId = copy._id;
+    }
 
-    const populatedChallenge = await Challenge.findById(id)
+    const populatedChallenge = await Challenge.findById(extendedChallengeId)
       .populate('owner', 'name avatarUrl')
       .populate('participants.userId', 'name avatarUrl');
 
@@ -944,6 +1642,7 @@ router.post('/:id/extend', async (req, res) => {
     res.json({
       message: 'Challenge extended successfully',
       challenge: populatedChallenge,
+      extendedAsCopy: !extendsInPlace,
       sparksSpent: extendCost,
       durationDays,
       ...rewardPayload
@@ -954,20 +1653,11 @@ router.post('/:id/extend', async (req, res) => {
 });
 
 // Second chance: mark today as protected completion for sparks (habit only)
-router.post('/:id/second-chance', async (req, res) => {
+router.post('/:id/second-chance', authenticateToken, authorizeChallenge('participant'), async (req, res) => {
   try {
     const { id } = req.params;
-    const authUserId = decodeOptionalAuthUserId(req);
-
-    if (!authUserId) {
-      return res.status(401).json({ message: 'Authentication required' });
-    }
-
-    const challenge = await Challenge.findById(id);
-
-    if (!challenge) {
-      return res.status(404).json({ message: 'Challenge not found' });
-    }
+    const authUserId = req.user.id;
+    const challenge = req.challenge;
 
     if (challenge.challengeType !== 'habit') {
       return res.status(400).json({ message: 'Only habit challenges support second chance' });
@@ -977,14 +1667,6 @@ router.post('/:id/second-chance', async (req, res) => {
       return res.status(400).json({ message: 'Mission is already finished' });
     }
 
-    const participantIndex = challenge.participants.findIndex(
-      (p) => p.userId && p.userId.toString() === authUserId.toString()
-    );
-
-    if (participantIndex === -1) {
-      return res.status(403).json({ message: 'You are not a participant of this challenge' });
-    }
-
     const { clientDayStr } = getClientDayRange(req, 0);
     const clientHour = getClientLocalHour(req);
 
@@ -995,12 +1677,12 @@ router.post('/:id/second-chance', async (req, res) => {
       });
     }
 
-    if (!isDateScheduledForChallenge(challenge, clientDayStr)) {
+    const participant = findChallengeParticipant(challenge, authUserId);
+
+    if (!isHabitDueOnDate(challenge, participant, clientDayStr)) {
       return res.status(400).json({ message: 'Today is not a scheduled day for this mission' });
     }
 
-    const participant = challenge.participants[participantIndex];
-
     if (isDayEffectiveCompleted(participant, clientDayStr)) {
       return res.status(400).json({ message: 'Today is already completed for this mission' });
     }
@@ -1008,6 +1690,7 @@ router.post('/:id/second-chance', async (req, res) => {
     const cost = SPARKS_AMOUNTS.SECOND_CHANCE;
     const spendKey = buildSecondChanceSparksKey(id, authUserId, clientDayStr);
     const spendResult = await spendSparksOnce(authUserId, spendKey, cost, {
+      type: SPARKS_EVENT_TYPES.SECOND_CHANCE,
       challengeId: id,
       clientDay: clientDayStr
     });
@@ -1044,236 +1727,62 @@ router.post('/:id/second-chance', async (req, res) => {
   }
 });
 
-// Get all challenges
-router.get('/', async (req, res) => {
+// Get all challenges (offset pagination with ?page, or keyset pagination with ?cursor)
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { excludeFinished, type, activity, participants, creationDate, page, limit, title, owner, createdBy, popularity, isCompleted } = req.query;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    // Pagination parameters
-    const pageNum = parseInt(page) || 1;
-    const limitNum = parseInt(limit) || 20;
-    const skip = (pageNum - 1) * limitNum;
-    
-    let query = {};
-    
-    // Filter by type (challengeType)
-    if (type && (type === 'habit' || type === 'result')) {
-      query.challengeType = type;
-    }
-    
-    // Filter by title (search)
-    if (title && title.trim()) {
-      query.title = { $regex: title.trim(), $options: 'i' }; // Case-insensitive search
-    }
-    
-    // Filter by owner (createdBy is an alias for owner)
-    if (owner || createdBy) {
-      query.owner = owner || createdBy;
-    }
-    
-    // Filter by privacy - exclude private challenges
-    query.privacy = { $ne: 'private' };
-    
-    // Get all challenges first
-    let allChallenges = await Challenge.find(query)
-      .sort({ createdAt: -1 })
-      .populate('owner', 'name avatarUrl')
-      .populate('participants.userId', 'name avatarUrl');
-    
-    // Apply activity filter (active/finished/upcoming)
-    if (activity) {
-      allChallenges = allChallenges.filter(challenge => {
-        if (!challenge.startDate || !challenge.endDate) return false;
-        
-        const startDate = new Date(challenge.startDate);
-        startDate.setHours(0, 0, 0, 0);
-        const endDate = new Date(challenge.endDate);
-        endDate.setHours(0, 0, 0, 0);
-        
-        if (activity === 'active') {
-          return startDate <= today && endDate >= today;
-        } else if (activity === 'finished') {
-          // Check if challenge is finished
-          if (endDate < today) return true;
-          
-          // For result challenges, check if all actions are done
-          if (challenge.challengeType === 'result') {
-            if (!challenge.actions || !Array.isArray(challenge.actions) || challenge.actions.length === 0) {
-              return false;
-            }
-            return challenge.actions.every(action => {
-              if (!action.checked) return false;
-              if (action.children && Array.isArray(action.children) && action.children.length > 0) {
-                return action.children.every(child => child.checked);
-              }
-              return true;
-            });
-          }
-          return false;
-        } else if (activity === 'upcoming') {
-          return startDate > today;
-        }
-        return true;
-      });
-    }
-    
-    // Apply isCompleted filter
-    // If isCompleted is not sent, exclude completed challenges by default
-    // If isCompleted is 'true', include only completed challenges
-    // If isCompleted is 'false', exclude completed challenges
-    // If isCompleted is 'all', include both active and completed
-    if (isCompleted !== undefined && isCompleted !== 'all') {
-      const includeCompleted = isCompleted === 'true' || isCompleted === true;
-      allChallenges = allChallenges.filter(challenge => {
-        const completed = isChallengeCompleted(challenge, today);
-        return includeCompleted ? completed : !completed;
-      });
-    } else if (isCompleted === undefined) {
-      // Default behavior: exclude completed challenges if isCompleted is not specified
-      allChallenges = allChallenges.filter(challenge => {
-        return !isChallengeCompleted(challenge, today);
-      });
-    }
-    
-    // Apply excludeFinished filter (if excludeFinished is true, filter out finished challenges)
-    // This is kept for backward compatibility but isCompleted takes precedence
-    if (excludeFinished === 'true' && !activity && isCompleted === undefined) {
-      allChallenges = allChallenges.filter(challenge => {
-        // Check if endDate is in the past
-        if (challenge.endDate) {
-          try {
-            const endDate = new Date(challenge.endDate);
-            endDate.setHours(0, 0, 0, 0);
-            if (endDate < today) {
-              return false; // Exclude if endDate is in past
-            }
-          } catch (e) {
-            // Continue if date parsing fails
-          }
-        }
-        
-        // For result challenges, check if all actions are done
-        if (challenge.challengeType === 'result') {
-          if (!challenge.actions || !Array.isArray(challenge.actions) || challenge.actions.length === 0) {
-            return true; // Include if no actions
-          }
-          
-          // Check if all actions and their children are checked
-          const allActionsDone = challenge.actions.every(action => {
-            // Parent action must be checked
-            if (!action.checked) return false;
-            
-            // All children must be checked (if any exist)
-            if (action.children && Array.isArray(action.children) && action.children.length > 0) {
-              return action.children.every(child => child.checked);
-            }
-            
-            return true;
-          });
-          
-          if (allActionsDone) {
-            return false; // Exclude if all actions are done
-          }
-        }
-        
-        return true; // Include the challenge
-      });
-    }
-    
-    // Filter by participants count
-    if (participants) {
-      allChallenges = allChallenges.filter(challenge => {
-        const participantCount = (challenge.participants || []).length;
-        
-        if (participants === '0') {
-          return participantCount === 0;
-        } else if (participants === '1-5') {
-          return participantCount >= 1 && participantCount <= 5;
-        } else if (participants === '6+') {
-          return participantCount >= 6;
-        }
-        return true;
-      });
-    }
-    
-    // Filter by creation date
-    if (creationDate) {
-      allChallenges = allChallenges.filter(challenge => {
-        const creationDateValue = challenge.createdAt || challenge.startDate;
-        if (!creationDateValue) return false;
-        
-        const created = new Date(creationDateValue);
-        created.setHours(0, 0, 0, 0);
-        const daysDiff = Math.floor((today - created) / (1000 * 60 * 60 * 24));
-        
-        if (creationDate === 'today') {
-          return daysDiff === 0;
-        } else if (creationDate === 'week') {
-          return daysDiff >= 0 && daysDiff <= 7;
-        } else if (creationDate === 'month') {
-          return daysDiff >= 0 && daysDiff <= 30;
-        } else if (creationDate === 'older') {
-          return daysDiff > 30;
-        }
-        return true;
-      });
-    }
-    
-    // Sort by popularity if requested
-    if (popularity === 'most') {
-      // Sort by participant count descending (most popular first)
-      allChallenges.sort((a, b) => {
-        const countA = (a.participants || []).length;
-        const countB = (b.participants || []).length;
-        return countB - countA;
-      });
-    } else if (popularity === 'least') {
-      // Sort by participant count ascending (least popular first)
-      allChallenges.sort((a, b) => {
-        const countA = (a.participants || []).length;
-        const countB = (b.participants || []).length;
-        return countA - countB;
-      });
+    const { page, limit, cursor } = req.query;
+
+    const result = await fetchChallengeListPage(Challenge, req.query, { page, limit, cursor });
+    if (!result) {
+      return res.status(400).json({ message: 'Invalid cursor' });
     }
-    
-    // Apply pagination
-    const totalChallenges = allChallenges.length;
-    const paginatedChallenges = allChallenges.slice(skip, skip + limitNum);
-    const hasMore = skip + limitNum < totalChallenges;
-    
-    const requestingUserId = decodeOptionalAuthUserId(req);
+
+    const requestingUserId = req.user?.id || null;
     const challengesWithWatchers = await enrichChallengesWithWatchState(
-      paginatedChallenges,
+      result.challenges,
       requestingUserId,
       User
     );
 
     res.json({
       challenges: challengesWithWatchers,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total: totalChallenges,
-        hasMore
-      }
+      pagination: result.pagination
     });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching challenges', error: error.message });
   }
 });
 
-// Most popular active public habit challenge (featured main ritual card)
-router.get('/main-ritual', async (req, res) => {
+// Category and tag counts for the missions matching the current list filters
+router.get('/facets', optionalAuth, async (req, res) => {
   try {
-    const challenge = await findMainRitualChallenge(Challenge);
+    const categories = parseListQueryParam(req.query.category);
+    const [result] = await Challenge.aggregate([
+      ...buildChallengeFilterStages(req.query, { ignoreCategory: true }),
+      buildMissionFacetStage({ categories })
+    ]);
+
+    res.json(formatMissionFacets(result, { categories }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching challenge facets', error: error.message });
+  }
+});
+
+// Most popular active public habit challenge (featured main ritual card), optionally per category
+router.get('/main-ritual', optionalAuth, async (req, res) => {
+  try {
+    const { category } = req.query;
+    if (category !== undefined && !isMissionCategory(category)) {
+      return res.status(400).json({ message: 'Unknown category' });
+    }
+
+    const challenge = await findMainRitualChallenge(Challenge, { category });
 
     if (!challenge) {
       return res.json({ challenge: null });
     }
 
-    const requestingUserId = decodeOptionalAuthUserId(req);
+    const requestingUserId = req.user?.id || null;
     const [enriched] = await enrichChallengesWithWatchState(
       [challenge],
       requestingUserId,
@@ -1287,7 +1796,7 @@ router.get('/main-ritual', async (req, res) => {
 });
 
 // Update participant's completedDays (HABIT CHALLENGE ONLY)
-router.put('/:id/participant/:userId/completedDays', async (req, res) => {
+router.put('/:id/participant/:userId/completedDays', authenticateToken, async (req, res) => {
   try {
     const { id, userId } = req.params;
     let { completedDays } = req.body;
@@ -1320,9 +1829,8 @@ router.put('/:id/participant/:userId/completedDays', async (req, res) => {
       return res.status(404).json({ message: 'Participant not found in this challenge' });
     }
 
-    const authUserId = decodeOptionalAuthUserId(req);
     // Security: Only the user themselves can update their progress
-    if (!authUserId || authUserId.toString() !== userId.toString()) {
+    if (req.user.id.toString() !== userId.toString()) {
       return res.status(403).json({ message: 'You are not authorized to update this progress' });
     }
 
@@ -1344,60 +1852,110 @@ router.put('/:id/participant/:userId/completedDays', async (req, res) => {
 
     const addedDays = completedDays.filter((day) => !prevCompletedDayKeys.has(day));
 
+    if (isQuantitativeHabit(challenge)) {
+      const target = Number(challenge.dailyTarget.amount);
+      const unreachedDay = addedDays.find((day) => getLoggedAmount(prevParticipant, day) < target);
+      if (unreachedDay) {
+        return res.status(400).json({
+          message: `Log at least ${target} ${challenge.dailyTarget.unit} to complete ${unreachedDay}`,
+          date: unreachedDay
+        });
+      }
+    }
+
     challenge.participants[participantIndex].completedDays = completedDays;
     await challenge.save();
 
-    if (addedDays.length > 0) {
-      await clearReactivationStreakFlag(userId);
-    }
+    const { updatedUser, xpResults, sparksResults } = await awardAddedHabitDays(req, {
+      challenge,
+      participant: challenge.participants[participantIndex],
+      userId,
+      addedDays,
+      wasHabitCompletedBefore
+    });
+
+    const rewardPayload = buildRewardPayload({
+      user: serializeUserForClient(updatedUser),
+      xpResults,
+      sparksResults
+    });
+
+    res.json({
+      message: 'Completed days updated successfully',
+      challenge,
+      ...rewardPayload
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating completed days', error: error.message });
+  }
+});
 
-    const userSelect = 'name email avatarUrl createdAt _id xp sparks';
-    let updatedUser = await User.findById(userId).select(userSelect);
-    const xpResults = [];
-    const sparksResults = [];
+// Log an amount for a quantitative habit; the day completes once the target is reached
+router.post('/:id/log', authenticateToken, authorizeChallenge('participant'), async (req, res) => {
+  try {
+    const challenge = req.challenge;
+    const authUserId = req.user.id;
+    const { amount, mode = 'add' } = req.body || {};
 
-    for (const day of addedDays) {
-      const xpResult = await awardHabitDayXp(userId, challenge._id, day);
-      xpResults.push(xpResult);
-      if (xpResult.awarded && xpResult.user) {
-        updatedUser = xpResult.user;
-      }
+    if (!isQuantitativeHabit(challenge)) {
+      return res.status(400).json({ message: 'This mission has no daily target to log against' });
+    }
 
-      const sparksResult = await awardHabitDaySparks(userId, challenge._id, day);
-      sparksResults.push(sparksResult);
-      if (sparksResult.awarded && sparksResult.user) {
-        updatedUser = sparksResult.user;
-      }
+    const value = Number(amount);
+    if (!Number.isFinite(value) || Math.abs(value) > MAX_LOGGED_AMOUNT) {
+      return res.status(400).json({ message: 'amount must be a number' });
+    }
+    if (mode !== 'add' && mode !== 'set') {
+      return res.status(400).json({ message: "mode must be 'add' or 'set'" });
+    }
+    if (mode === 'set' && value < 0) {
+      return res.status(400).json({ message: 'amount cannot be negative' });
     }
 
-    let completionXpResult = null;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const endDate = new Date(challenge.endDate);
-    endDate.setHours(0, 0, 0, 0);
+    const { clientDayStr: todayStr } = getClientDayRange(req, 0);
+    const date = req.body?.date || todayStr;
 
-    if (endDate < today && completedDays.length > 0) {
-      completionXpResult = await awardHabitCompletionXp(userId, challenge._id);
-      if (completionXpResult.awarded && completionXpResult.user) {
-        updatedUser = completionXpResult.user;
-      }
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ message: 'date must be in YYYY-MM-DD format' });
+    }
+    if (date > todayStr) {
+      return res.status(400).json({ message: 'Cannot log progress for a future day' });
+    }
+    const startStr = challenge.startDate ? normalizeDateLikeToYmd(challenge.startDate) : null;
+    const endStr = challenge.endDate ? normalizeDateLikeToYmd(challenge.endDate) : null;
+    if ((startStr && date < startStr) || (endStr && date > endStr)) {
+      return res.status(400).json({ message: "date must be within the mission's dates" });
     }
 
-    const updatedParticipant = challenge.participants[participantIndex];
-    const isHabitCompletedNow = isHabitChallengeCompleted(challenge, updatedParticipant);
+    const current = findChallengeParticipant(challenge, authUserId);
 
-    if (!wasHabitCompletedBefore && isHabitCompletedNow) {
-      const missionSparksResult = await awardMissionCompletionSparks(userId, challenge._id);
-      sparksResults.push(missionSparksResult);
-      if (missionSparksResult.awarded && missionSparksResult.user) {
-        updatedUser = missionSparksResult.user;
-      }
+    if (!isHabitDueOnDate(challenge, current, date)) {
+      return res.status(400).json({ message: 'This day is not a scheduled day for this mission' });
     }
 
-    if (completionXpResult) {
-      xpResults.push(completionXpResult);
+    // Atomic write; the returned pre-image is replayed in memory for the response.
+    const updated = await Challenge.findOneAndUpdate(
+      { _id: challenge._id, 'participants.userId': current.userId },
+      buildHabitLogUpdate(current.userId, date, value, mode),
+      { new: false }
+    );
+    if (!updated) {
+      return res.status(404).json({ message: 'Challenge not found' });
     }
 
+    const participant = findChallengeParticipant(updated, authUserId);
+    const wasHabitCompletedBefore = isHabitChallengeCompleted(updated, participant);
+    const log = applyHabitLog(updated, participant, date, value, mode);
+
+    const addedDays = log.reached && !log.wasReached ? [log.date] : [];
+    const { updatedUser, xpResults, sparksResults } = await awardAddedHabitDays(req, {
+      challenge: updated,
+      participant,
+      userId: authUserId,
+      addedDays,
+      wasHabitCompletedBefore
+    });
+
     const rewardPayload = buildRewardPayload({
       user: serializeUserForClient(updatedUser),
       xpResults,
@@ -1405,24 +1963,25 @@ router.put('/:id/participant/:userId/completedDays', async (req, res) => {
     });
 
     res.json({
-      message: 'Completed days updated successfully',
-      challenge,
+      message: 'Progress logged successfully',
+      log,
+      challenge: updated,
       ...rewardPayload
     });
   } catch (error) {
-    res.status(500).json({ message: 'Error updating completed days', error: error.message });
+    res.status(500).json({ message: 'Error logging progress', error: error.message });
   }
 });
 
 // Get challenges by user
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', optionalAuth, async (req, res) => {
   try {
     const { userId } = req.params;
     const { excludePrivate, type, activity, participants, creationDate } = req.query;
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
-    const requestingUserId = decodeOptionalAuthUserId(req);
+    const requestingUserId = req.user?.id || null;
 
     if (!userId) {
       return res.status(400).json({ message: 'User ID is required' });
@@ -1545,10 +2104,10 @@ router.get('/user/:userId', async (req, res) => {
 });
 
 // Watched feed (must be before /watched/:userId and /:id)
-router.get('/watched/feed/:userId', async (req, res) => {
+router.get('/watched/feed/:userId', optionalAuth, async (req, res) => {
   try {
     const { userId } = req.params;
-    const authUserId = decodeOptionalAuthUserId(req);
+    const authUserId = req.user?.id || null;
 
     if (authUserId && authUserId.toString() !== userId.toString()) {
       return res.status(403).json({ message: 'You are not authorized to view this feed' });
@@ -1564,11 +2123,11 @@ router.get('/watched/feed/:userId', async (req, res) => {
     }
 
     const challenges = await Challenge.find({ _id: { $in: user.watchedChallenges } })
-      .select('title allowComments participants comments endDate challengeType actions')
+      .select('title allowComments participants endDate challengeType actions')
       .populate('participants.userId', 'name avatarUrl')
-      .populate('comments.userId', 'name avatarUrl');
+      .lean();
 
-    const activities = buildWatchedFeedActivities(challenges);
+    const activities = buildWatchedFeedActivities(await attachTopLevelComments(challenges));
 
     res.json({ activities });
   } catch (error) {
@@ -1602,25 +2161,85 @@ router.get('/watched/:userId', async (req, res) => {
   }
 });
 
+// Preview the mission behind an invite link
+router.get('/invites/:token', optionalAuth, async (req, res) => {
+  try {
+    const invite = await MissionInvite.findOne({ token: req.params.token }).lean();
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    // Revoked, expired or used-up links reveal nothing about the mission
+    const status = getInviteStatus(invite);
+    if (status !== 'active') {
+      return res.json({ invite: { status } });
+    }
+
+    const challenge = await Challenge.findById(invite.challengeId)
+      .select('title description imageUrl privacy challengeType category startDate endDate owner participants.userId')
+      .populate('owner', 'name avatarUrl');
+    if (!challenge) {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+
+    const viewerId = req.user?.id || null;
+
+    res.json({
+      invite: {
+        status,
+        expiresAt: invite.expiresAt,
+        requiresApproval: !!invite.requiresApproval
+      },
+      challenge: {
+        _id: challenge._id,
+        title: challenge.title,
+        description: challenge.description,
+        imageUrl: challenge.imageUrl,
+        privacy: challenge.privacy,
+        challengeType: challenge.challengeType,
+        category: challenge.category,
+        startDate: challenge.startDate,
+        endDate: challenge.endDate,
+        owner: challenge.owner,
+        participantCount: (challenge.participants || []).length
+      },
+      isMember: !!viewerId && (isChallengeOwner(challenge, viewerId) || !!findChallengeParticipant(challenge, viewerId))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching invite', error: error.message });
+  }
+});
+
 // Get challenge by ID (must be after more specific routes like /user/:userId)
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
     const User = require('../models/User');
 
-    const [challenge, watchersCount] = await Promise.all([
+    const [challenge, watchersCount, commentCount] = await Promise.all([
       Challenge.findById(id)
         .populate('owner', 'name avatarUrl')
         .populate('participants.userId', 'name avatarUrl'),
-      User.countDocuments({ watchedChallenges: id })
+      User.countDocuments({ watchedChallenges: id }),
+      Comment.countDocuments({ challengeId: id })
     ]);
     
-    if (!challenge) {
+    if (!canViewChallenge(challenge, req.user?.id)) {
       return res.status(404).json({ message: 'Challenge not found' });
     }
     
     const challengeObj = challenge.toObject();
     challengeObj.watchersCount = watchersCount;
+    challengeObj.commentCount = commentCount;
+    challengeObj.viewerRole = req.user?.id ? getChallengeRole(challenge, req.user.id) : null;
+
+    if (challenge.challengeType === 'result') {
+      challengeObj.memberProgress = buildQuestMemberProgress(challenge);
+      // The viewer's own checklist state; equals `actions` for the owner and in shared quests
+      if (req.user?.id && findChallengeParticipant(challenge, req.user.id)) {
+        challengeObj.myActions = buildParticipantActionTree(challenge, req.user.id);
+      }
+    }
     
     res.json(challengeObj);
   } catch (error) {
@@ -1629,17 +2248,17 @@ router.get('/:id', async (req, res) => {
 });
 
 // Delete challenge
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateToken, authorizeChallenge('owner'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const challenge = await Challenge.findById(id);
-
-    if (!challenge) {
-      return res.status(404).json({ message: 'Challenge not found' });
-    }
-
     await Challenge.findByIdAndDelete(id);
+    await Comment.deleteMany({ challengeId: id });
+    await CommentReport.deleteMany({ challengeId: id });
+    await removeCommentReactions({ challengeId: id });
+    await removeSharedDiaryEntries({ challengeId: id });
+    await DiaryEntry.deleteMany({ challengeId: id });
+    await MissionInvite.deleteMany({ challengeId: id });
 
     res.json({
       message: 'Challenge deleted successfully'
@@ -1650,13 +2269,9 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Watch a challenge
-router.post('/:id/watch', async (req, res) => {
+router.post('/:id/watch', authenticateToken, async (req, res) => {
   try {
-    const { userId } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ message: 'User ID is required' });
-    }
+    const userId = req.user.id;
 
     const challenge = await Challenge.findById(req.params.id).populate('owner', '_id');
     if (!challenge) {
@@ -1686,13 +2301,9 @@ router.post('/:id/watch', async (req, res) => {
 });
 
 // Unwatch a challenge
-router.post('/:id/unwatch', async (req, res) => {
+router.post('/:id/unwatch', authenticateToken, async (req, res) => {
   try {
-    const { userId } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ message: 'User ID is required' });
-    }
+    const userId = req.user.id;
 
     const challenge = await Challenge.findById(req.params.id);
     if (!challenge) {
@@ -1716,373 +2327,115 @@ router.post('/:id/unwatch', async (req, res) => {
   }
 });
 
-// Add a comment to a challenge
-router.post('/:id/comments', async (req, res) => {
-  try {
-    const { userId, text, imageUrl } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ message: 'User ID is required' });
-    }
-    
-    if ((!text || !text.trim()) && !imageUrl) {
-      return res.status(400).json({ message: 'Comment text or image is required' });
-    }
-
-    const challenge = await Challenge.findById(req.params.id).populate('owner', '_id');
-    if (!challenge) {
-      return res.status(404).json({ message: 'Challenge not found' });
-    }
-
-    if (!challenge.allowComments) {
-      return res.status(403).json({ message: 'Comments are disabled for this challenge' });
-    }
-
-    const comment = {
-      userId,
-      text: (text && text.trim()) ? text.trim() : '',
-      imageUrl: imageUrl || null,
-      createdAt: new Date()
-    };
-
-    challenge.comments.push(comment);
-    await challenge.save();
-
-    // Populate user info for the new comment
-    await challenge.populate('comments.userId', 'name avatarUrl');
-
-    const newComment = challenge.comments[challenge.comments.length - 1];
-    const ownerId = challenge.owner?._id || challenge.owner;
-
-    const { finalUser, sparksResults } = await maybeAwardMissionCommentSparks(
-      req,
-      userId,
-      challenge,
-      ownerId
-    );
-
-    // Notify challenge owner (same flow as mention notifications)
-    if (ownerId) {
-      await notifyChallengeCommentRecipient({
-        recipientUserId: ownerId,
-        fromUserId: userId,
-        challenge,
-        type: 'comment',
-        commentId: newComment._id
-      });
-    }
-
-    const rewardPayload = buildRewardPayload({
-      user: serializeUserForClient(finalUser),
-      sparksResults
-    });
-
-    res.status(201).json({
-      message: 'Comment added successfully',
-      comment: newComment,
-      ...rewardPayload
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Error adding comment', error: error.message });
-  }
-});
-
-// Get comments for a challenge
-router.get('/:id/comments', async (req, res) => {
-  try {
-    const challenge = await Challenge.findById(req.params.id)
-      .populate('comments.userId', 'name avatarUrl')
-      .populate('comments.replies.userId', 'name avatarUrl')
-      .populate('comments.replies.mentionedUserId', 'name avatarUrl')
-      .select('comments allowComments');
-    
-    if (!challenge) {
-      return res.status(404).json({ message: 'Challenge not found' });
-    }
-
-    // Manually populate nested replies (replies to replies) since Mongoose doesn't support deep nested populate
-    const User = require('../models/User');
-    for (const comment of challenge.comments) {
-      if (comment.replies && comment.replies.length > 0) {
-        for (const reply of comment.replies) {
-          if (reply.replies && reply.replies.length > 0) {
-            for (const nestedReply of reply.replies) {
-              // Populate userId for nested replies
-              if (nestedReply.userId && !nestedReply.userId.name) {
-                const userId = nestedReply.userId._id || nestedReply.userId;
-                const user = await User.findById(userId).select('name avatarUrl');
-                if (user) {
-                  nestedReply.userId = user;
-                }
-              }
-              // Populate mentionedUserId for nested replies
-              if (nestedReply.mentionedUserId && !nestedReply.mentionedUserId.name) {
-                const mentionedUserId = nestedReply.mentionedUserId._id || nestedReply.mentionedUserId;
-                const mentionedUser = await User.findById(mentionedUserId).select('name avatarUrl');
-                if (mentionedUser) {
-                  nestedReply.mentionedUserId = mentionedUser;
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-
-    res.json({ 
-      comments: challenge.comments || [],
-      allowComments: challenge.allowComments 
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Error fetching comments', error: error.message });
-  }
-});
-
-// Reply to a comment
-router.post('/:id/comments/:commentId/reply', async (req, res) => {
-  try {
-    const { userId, text, mentionedUserId, imageUrl } = req.body;
-    
-    if (!userId || !text || !text.trim()) {
-      return res.status(400).json({ message: 'User ID and reply text are required' });
-    }
-
-    const challenge = await Challenge.findById(req.params.id).populate('owner', '_id');
-    if (!challenge) {
-      return res.status(404).json({ message: 'Challenge not found' });
-    }
-
-    if (!challenge.allowComments) {
-      return res.status(403).json({ message: 'Comments are disabled for this challenge' });
-    }
-
-    const comment = challenge.comments.id(req.params.commentId);
-    if (!comment) {
-      return res.status(404).json({ message: 'Comment not found' });
-    }
-
-    const reply = {
-      userId,
-      text: text.trim(),
-      imageUrl: imageUrl || null,
-      mentionedUserId: mentionedUserId || null,
-      createdAt: new Date()
-    };
-
-    comment.replies.push(reply);
-    await challenge.save();
-
-    // Populate user info for the new reply
-    await challenge.populate('comments.replies.userId', 'name avatarUrl');
-    await challenge.populate('comments.replies.mentionedUserId', 'name avatarUrl');
-
-    const newReply = comment.replies[comment.replies.length - 1];
-    const ownerId = challenge.owner?._id || challenge.owner;
-    const { finalUser, sparksResults } = await maybeAwardMissionCommentSparks(
-      req,
-      userId,
-      challenge,
-      ownerId
-    );
-    
-    if (mentionedUserId) {
-      await notifyChallengeCommentRecipient({
-        recipientUserId: mentionedUserId,
-        fromUserId: userId,
-        challenge,
-        type: 'mention',
-        commentId: comment._id,
-        replyId: newReply._id
-      });
-    }
-
-    const rewardPayload = buildRewardPayload({
-      user: serializeUserForClient(finalUser),
-      sparksResults
-    });
-
-    res.status(201).json({ message: 'Reply added successfully', reply: newReply, ...rewardPayload });
-  } catch (error) {
-    res.status(500).json({ message: 'Error adding reply', error: error.message });
-  }
-});
-
-// Delete a comment (only by owner or comment author)
-router.delete('/:id/comments/:commentId', async (req, res) => {
-  try {
-    const { userId } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ message: 'User ID is required' });
-    }
-
-    const challenge = await Challenge.findById(req.params.id);
-    if (!challenge) {
-      return res.status(404).json({ message: 'Challenge not found' });
-    }
-
-    const comment = challenge.comments.id(req.params.commentId);
-    if (!comment) {
-      return res.status(404).json({ message: 'Comment not found' });
-    }
-
-    // Check if user is owner or comment author
-    const ownerId = challenge.owner?._id || challenge.owner;
-    const commentUserId = comment.userId?._id || comment.userId;
-    
-    if (ownerId.toString() !== userId.toString() && commentUserId.toString() !== userId.toString()) {
-      return res.status(403).json({ message: 'You are not authorized to delete this comment' });
-    }
-
-    comment.deleteOne();
-    await challenge.save();
-
-    res.json({ message: 'Comment deleted successfully' });
-  } catch (error) {
-    res.status(500).json({ message: 'Error deleting comment', error: error.message });
-  }
-});
-
-// Get the current user's private diary entries (owner only)
-router.get('/:id/diary', async (req, res) => {
-  try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({ message: 'User ID is required' });
-    }
-
-    const challenge = await Challenge.findById(req.params.id)
-      .populate('userDiaryEntries.userId', 'name avatarUrl')
-      .select('userDiaryEntries owner allowComments');
-
-    if (!challenge) {
-      return res.status(404).json({ message: 'Challenge not found' });
-    }
-
-    const ownerId = challenge.owner?._id || challenge.owner;
-    if (!ownerId || ownerId.toString() !== userId.toString()) {
-      return res.status(403).json({ message: 'You are not authorized to view this diary' });
-    }
-
-    const entries = (challenge.userDiaryEntries || []).filter((entry) => {
-      const entryUserId = entry.userId?._id || entry.userId;
-      return entryUserId && entryUserId.toString() === userId.toString();
-    });
-
-    res.json({ entries });
-  } catch (error) {
-    res.status(500).json({ message: 'Error fetching diary entries', error: error.message });
-  }
-});
-
-// Add a private diary entry (owner only), optionally sharing it to the community feed
-router.post('/:id/diary', async (req, res) => {
-  try {
-    const { userId, text, imageUrl, shareToCommunity } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ message: 'User ID is required' });
-    }
-
+// Add a top-level comment to a challenge
+router.post('/:id/comments', authenticateToken, async (req, res) => {
+  try {
+    const { text, imageUrl } = req.body;
+    const userId = req.user.id;
+
     if ((!text || !text.trim()) && !imageUrl) {
-      return res.status(400).json({ message: 'Diary text or image is required' });
+      return res.status(400).json({ message: 'Comment text or image is required' });
     }
 
     const challenge = await Challenge.findById(req.params.id).populate('owner', '_id');
-    if (!challenge) {
+    if (!canViewChallenge(challenge, userId)) {
       return res.status(404).json({ message: 'Challenge not found' });
     }
 
-    const ownerId = challenge.owner?._id || challenge.owner;
-    if (!ownerId || ownerId.toString() !== userId.toString()) {
-      return res.status(403).json({ message: 'You are not authorized to write in this diary' });
+    if (!challenge.allowComments) {
+      return res.status(403).json({ message: 'Comments are disabled for this challenge' });
     }
 
-    const entryData = {
+    const commentText = (text && text.trim()) ? text.trim() : '';
+    const mentionedUserIds = await resolveCommentMentions(challenge, commentText, { authorId: userId });
+    const created = await createComment({
+      challengeId: challenge._id,
       userId,
-      text: (text && text.trim()) ? text.trim() : '',
+      text: commentText,
       imageUrl: imageUrl || null,
-      createdAt: new Date()
-    };
+      mentionedUserIds
+    });
+    const newComment = await findPresentedComment(created._id, { viewerId: userId });
+    const ownerId = challenge.owner?._id || challenge.owner;
 
-    challenge.userDiaryEntries.push(entryData);
+    const { finalUser, sparksResults } = await maybeAwardMissionCommentSparks(
+      req,
+      userId,
+      challenge,
+      ownerId
+    );
 
-    let sharedCommentId = null;
-    if (shareToCommunity === true && challenge.allowComments) {
-      challenge.comments.push({
-        userId,
-        text: entryData.text,
-        imageUrl: entryData.imageUrl,
-        createdAt: new Date()
+    // Notify challenge owner (same flow as mention notifications)
+    if (ownerId) {
+      await notifyChallengeCommentRecipient({
+        recipientUserId: ownerId,
+        fromUserId: userId,
+        challenge,
+        type: 'comment',
+        commentId: newComment._id
       });
     }
 
-    await challenge.save();
-
-    await challenge.populate('userDiaryEntries.userId', 'name avatarUrl');
-
-    const newEntry = challenge.userDiaryEntries[challenge.userDiaryEntries.length - 1];
+    await notifyMentionedUsers({
+      challenge,
+      authorId: userId,
+      userIds: mentionedUserIds,
+      commentId: newComment._id,
+      skipUserIds: [ownerId]
+    });
 
-    if (shareToCommunity === true && challenge.allowComments) {
-      const sharedComment = challenge.comments[challenge.comments.length - 1];
-      sharedCommentId = sharedComment?._id || null;
-    }
+    const rewardPayload = buildRewardPayload({
+      user: serializeUserForClient(finalUser),
+      sparksResults
+    });
 
     res.status(201).json({
-      message: 'Diary entry added successfully',
-      entry: newEntry,
-      sharedCommentId
+      message: 'Comment added successfully',
+      comment: newComment,
+      ...rewardPayload
     });
   } catch (error) {
-    res.status(500).json({ message: 'Error adding diary entry', error: error.message });
+    res.status(500).json({ message: 'Error adding comment', error: error.message });
   }
 });
 
-// Delete a private diary entry (owner / author only)
-router.delete('/:id/diary/:entryId', async (req, res) => {
+// Get comment threads for a challenge, a page of top-level comments at a time
+router.get('/:id/comments', optionalAuth, async (req, res) => {
   try {
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ message: 'User ID is required' });
-    }
-
-    const challenge = await Challenge.findById(req.params.id);
-    if (!challenge) {
+    const challenge = await Challenge.findById(req.params.id).select('allowComments privacy owner participants.userId participants.role');
+    if (!canViewChallenge(challenge, req.user?.id)) {
       return res.status(404).json({ message: 'Challenge not found' });
     }
 
-    const entry = challenge.userDiaryEntries.id(req.params.entryId);
-    if (!entry) {
-      return res.status(404).json({ message: 'Diary entry not found' });
-    }
-
-    const entryUserId = entry.userId?._id || entry.userId;
-    if (!entryUserId || entryUserId.toString() !== userId.toString()) {
-      return res.status(403).json({ message: 'You are not authorized to delete this diary entry' });
-    }
-
-    entry.deleteOne();
-    await challenge.save();
+    const viewerId = req.user?.id || null;
+    const { comments, pagination } = await fetchCommentThreads(challenge._id, {
+      page: req.query.page,
+      limit: req.query.limit,
+      viewer: { viewerId, canModerate: !!viewerId && isChallengeManager(challenge, viewerId) }
+    });
 
-    res.json({ message: 'Diary entry deleted successfully' });
+    res.json({
+      comments,
+      allowComments: challenge.allowComments,
+      pagination
+    });
   } catch (error) {
-    res.status(500).json({ message: 'Error deleting diary entry', error: error.message });
+    res.status(500).json({ message: 'Error fetching comments', error: error.message });
   }
 });
 
-// Reply to a reply (nested reply)
-router.post('/:id/comments/:commentId/replies/:replyId/reply', async (req, res) => {
+// Reply to a comment or to a reply at any depth
+router.post('/:id/comments/:commentId/reply', authenticateToken, async (req, res) => {
   try {
-    const { userId, text, mentionedUserId, imageUrl } = req.body;
-    
-    if (!userId || !text || !text.trim()) {
-      return res.status(400).json({ message: 'User ID and reply text are required' });
+    const { text, mentionedUserId, imageUrl } = req.body;
+    const userId = req.user.id;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ message: 'Reply text is required' });
     }
 
     const challenge = await Challenge.findById(req.params.id).populate('owner', '_id');
-    if (!challenge) {
+    if (!canViewChallenge(challenge, userId)) {
       return res.status(404).json({ message: 'Challenge not found' });
     }
 
@@ -2090,26 +2443,26 @@ router.post('/:id/comments/:commentId/replies/:replyId/reply', async (req, res)
       return res.status(403).json({ message: 'Comments are disabled for this challenge' });
     }
 
-    const comment = challenge.comments.id(req.params.commentId);
-    if (!comment) {
+    const parent = await Comment.findOne({ _id: req.params.commentId, challengeId: challenge._id });
+    if (!parent) {
       return res.status(404).json({ message: 'Comment not found' });
     }
-
-    const parentReply = comment.replies.id(req.params.replyId);
-    if (!parentReply) {
-      return res.status(404).json({ message: 'Reply not found' });
+    if (parent.deletedAt) {
+      return res.status(400).json({ message: 'Cannot reply to a deleted comment' });
     }
 
-    const nestedReply = {
+    const mentionedUserIds = await resolveCommentMentions(challenge, text.trim(), { authorId: userId });
+    const replyToUserId = await resolveReplyTarget(challenge, mentionedUserId, { authorId: userId });
+    const created = await createComment({
+      challengeId: challenge._id,
       userId,
       text: text.trim(),
       imageUrl: imageUrl || null,
-      mentionedUserId: mentionedUserId || null,
-      createdAt: new Date()
-    };
-
-    parentReply.replies.push(nestedReply);
-    await challenge.save();
+      mentionedUserId: replyToUserId,
+      mentionedUserIds,
+      parent
+    });
+    const newReply = await findPresentedComment(created._id, { viewerId: userId });
 
     const ownerId = challenge.owner?._id || challenge.owner;
     const { finalUser, sparksResults } = await maybeAwardMissionCommentSparks(
@@ -2119,397 +2472,443 @@ router.post('/:id/comments/:commentId/replies/:replyId/reply', async (req, res)
       ownerId
     );
 
-    // Re-fetch and populate user info for the new nested reply
-    const User = require('../models/User');
-    const updatedChallenge = await Challenge.findById(req.params.id)
-      .populate('comments.userId', 'name avatarUrl')
-      .populate('comments.replies.userId', 'name avatarUrl')
-      .populate('comments.replies.mentionedUserId', 'name avatarUrl');
-    
-    const updatedComment = updatedChallenge.comments.id(req.params.commentId);
-    const updatedParentReply = updatedComment.replies.id(req.params.replyId);
-    const newNestedReply = updatedParentReply.replies[updatedParentReply.replies.length - 1];
-    
-    // Manually populate the nested reply user data
-    if (newNestedReply.userId) {
-      const userId = newNestedReply.userId._id || newNestedReply.userId;
-      const user = await User.findById(userId).select('name avatarUrl');
-      if (user) {
-        newNestedReply.userId = user;
-      }
-    }
-    if (newNestedReply.mentionedUserId) {
-      const mentionedUserId = newNestedReply.mentionedUserId._id || newNestedReply.mentionedUserId;
-      const mentionedUser = await User.findById(mentionedUserId).select('name avatarUrl');
-      if (mentionedUser) {
-        newNestedReply.mentionedUserId = mentionedUser;
-      }
-    }
-    
-    if (mentionedUserId) {
-      await notifyChallengeCommentRecipient({
-        recipientUserId: mentionedUserId,
-        fromUserId: userId,
-        challenge,
-        type: 'mention',
-        commentId: comment._id,
-        replyId: newNestedReply._id
-      });
-    }
+    await notifyMentionedUsers({
+      challenge,
+      authorId: userId,
+      userIds: replyToUserId ? [replyToUserId] : [],
+      commentId: created.rootId,
+      replyId: created._id,
+      isHandleMention: false
+    });
+
+    await notifyMentionedUsers({
+      challenge,
+      authorId: userId,
+      userIds: mentionedUserIds,
+      commentId: created.rootId,
+      replyId: created._id,
+      skipUserIds: [replyToUserId]
+    });
 
     const rewardPayload = buildRewardPayload({
       user: serializeUserForClient(finalUser),
       sparksResults
     });
-    
-    // Return the properly populated nested reply
-    res.status(201).json({ 
-      message: 'Nested reply added successfully', 
-      reply: newNestedReply,
-      parentReply: updatedParentReply,
-      comment: updatedComment,
-      ...rewardPayload
-    });
+
+    res.status(201).json({ message: 'Reply added successfully', reply: newReply, ...rewardPayload });
   } catch (error) {
-    res.status(500).json({ message: 'Error adding nested reply', error: error.message });
+    res.status(500).json({ message: 'Error adding reply', error: error.message });
   }
 });
 
-// Delete a reply (only by owner, comment author, or reply author)
-router.delete('/:id/comments/:commentId/replies/:replyId', async (req, res) => {
+// Delete a comment or reply (by its author, the author of a comment it answers,
+// the owner or a co-owner). Comments that have replies are left as tombstones.
+router.delete('/:id/comments/:commentId', authenticateToken, async (req, res) => {
   try {
-    const { userId } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ message: 'User ID is required' });
-    }
+    const userId = req.user.id;
 
     const challenge = await Challenge.findById(req.params.id);
     if (!challenge) {
       return res.status(404).json({ message: 'Challenge not found' });
     }
 
-    const comment = challenge.comments.id(req.params.commentId);
-    if (!comment) {
+    const comment = await Comment.findOne({ _id: req.params.commentId, challengeId: challenge._id });
+    if (!comment || comment.deletedAt) {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
-    const reply = comment.replies.id(req.params.replyId);
-    if (!reply) {
-      return res.status(404).json({ message: 'Reply not found' });
-    }
+    const thread = await loadCommentThread(comment);
+    const authorIds = [comment, ...getCommentAncestors(thread, comment)]
+      .map((entry) => entry.userId?.toString());
 
-    // Check if user is owner, comment author, or reply author
-    const ownerId = challenge.owner?._id || challenge.owner;
-    const commentUserId = comment.userId?._id || comment.userId;
-    const replyUserId = reply.userId?._id || reply.userId;
-    
-    if (ownerId.toString() !== userId.toString() && 
-        commentUserId.toString() !== userId.toString() && 
-        replyUserId.toString() !== userId.toString()) {
-      return res.status(403).json({ message: 'You are not authorized to delete this reply' });
+    if (!isChallengeManager(challenge, userId) && !authorIds.includes(userId.toString())) {
+      return res.status(403).json({ message: 'You are not authorized to delete this comment' });
     }
 
-    reply.deleteOne();
-    await challenge.save();
+    const { tombstoned } = await removeComment(comment, thread, { deletedBy: userId });
+
+    if (comment.sharedFromDiary) {
+      await removeSharedDiaryEntries({ commentId: comment._id });
+    }
 
-    res.json({ message: 'Reply deleted successfully' });
+    res.json({ message: 'Comment deleted successfully', tombstoned });
   } catch (error) {
-    res.status(500).json({ message: 'Error deleting reply', error: error.message });
+    res.status(500).json({ message: 'Error deleting comment', error: error.message });
   }
 });
 
-// Delete a nested reply
-router.delete('/:id/comments/:commentId/replies/:replyId/replies/:nestedReplyId', async (req, res) => {
+// Add or remove a reaction to a comment or reply
+router.post('/:id/comments/:commentId/reactions', authenticateToken, async (req, res) => {
   try {
-    const { userId } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ message: 'User ID is required' });
+    const userId = req.user.id;
+
+    if (!req.body.emoji) {
+      return res.status(400).json({ message: 'Emoji is required' });
     }
 
-    const challenge = await Challenge.findById(req.params.id);
-    if (!challenge) {
+    const emoji = normalizeReactionEmoji(req.body.emoji);
+    if (!emoji) {
+      return res.status(400).json({ message: `Emoji must be one of: ${REACTION_EMOJI.join(' ')}` });
+    }
+
+    const challenge = await Challenge.findById(req.params.id).select('privacy owner participants.userId');
+    if (!canViewChallenge(challenge, userId)) {
       return res.status(404).json({ message: 'Challenge not found' });
     }
 
-    const comment = challenge.comments.id(req.params.commentId);
-    if (!comment) {
+    const comment = await Comment.findOne({ _id: req.params.commentId, challengeId: req.params.id })
+      .select('challengeId deletedAt');
+    if (!comment || comment.deletedAt) {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
-    const parentReply = comment.replies.id(req.params.replyId);
-    if (!parentReply) {
-      return res.status(404).json({ message: 'Parent reply not found' });
+    const { removed, reactions } = await toggleCommentReaction(comment, userId, emoji);
+
+    res.json({
+      message: removed ? 'Reaction removed' : 'Reaction added',
+      reactions
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating reaction', error: error.message });
+  }
+});
+
+// Who reacted to a comment, a page at a time; `?emoji=` narrows it to one emoji
+router.get('/:id/comments/:commentId/reactions', optionalAuth, async (req, res) => {
+  try {
+    let emoji = null;
+    if (req.query.emoji) {
+      emoji = normalizeReactionEmoji(req.query.emoji);
+      if (!emoji) {
+        return res.status(400).json({ message: `Emoji must be one of: ${REACTION_EMOJI.join(' ')}` });
+      }
     }
 
-    const nestedReply = parentReply.replies.id(req.params.nestedReplyId);
-    if (!nestedReply) {
-      return res.status(404).json({ message: 'Nested reply not found' });
+    const challenge = await Challenge.findById(req.params.id).select('privacy owner participants.userId');
+    if (!canViewChallenge(challenge, req.user?.id)) {
+      return res.status(404).json({ message: 'Challenge not found' });
     }
 
-    // Check if user is owner, comment author, parent reply author, or nested reply author
-    const ownerId = challenge.owner?._id || challenge.owner;
-    const commentUserId = comment.userId?._id || comment.userId;
-    const parentReplyUserId = parentReply.userId?._id || parentReply.userId;
-    const nestedReplyUserId = nestedReply.userId?._id || nestedReply.userId;
-    
-    if (ownerId.toString() !== userId.toString() && 
-        commentUserId.toString() !== userId.toString() && 
-        parentReplyUserId.toString() !== userId.toString() &&
-        nestedReplyUserId.toString() !== userId.toString()) {
-      return res.status(403).json({ message: 'You are not authorized to delete this nested reply' });
+    const comment = await Comment.findOne({ _id: req.params.commentId, challengeId: req.params.id })
+      .select('deletedAt');
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ message: 'Comment not found' });
     }
 
-    nestedReply.deleteOne();
-    await challenge.save();
+    const { reactors, pagination } = await listCommentReactors(comment._id, {
+      emoji,
+      page: req.query.page,
+      limit: req.query.limit
+    });
 
-    res.json({ message: 'Nested reply deleted successfully' });
+    res.json({ reactors, pagination });
   } catch (error) {
-    res.status(500).json({ message: 'Error deleting nested reply', error: error.message });
+    res.status(500).json({ message: 'Error fetching reactions', error: error.message });
   }
 });
 
-// Add or remove reaction to a comment
-router.post('/:id/comments/:commentId/reactions', async (req, res) => {
+// Edit the text of a comment or reply (author only); earlier versions are kept as revisions
+router.patch('/:id/comments/:commentId', authenticateToken, async (req, res) => {
   try {
-    const { userId, emoji } = req.body;
-    
-    if (!userId || !emoji) {
-      return res.status(400).json({ message: 'User ID and emoji are required' });
-    }
+    const { text } = req.body;
+    const userId = req.user.id;
 
-    const challenge = await Challenge.findById(req.params.id);
+    const challenge = await Challenge.findById(req.params.id).select('title allowComments privacy owner participants.userId');
     if (!challenge) {
       return res.status(404).json({ message: 'Challenge not found' });
     }
 
-    const comment = challenge.comments.id(req.params.commentId);
-    if (!comment) {
+    if (!challenge.allowComments) {
+      return res.status(403).json({ message: 'Comments are disabled for this challenge' });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, challengeId: challenge._id })
+      .select('+revisions');
+    if (!comment || comment.deletedAt) {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
-    // Initialize reactions Map if it doesn't exist
-    if (!comment.reactions) {
-      comment.reactions = new Map();
+    if (comment.userId.toString() !== userId.toString()) {
+      return res.status(403).json({ message: 'You can only edit your own comments' });
     }
 
-    // Get or create the emoji array
-    if (!comment.reactions.has(emoji)) {
-      comment.reactions.set(emoji, []);
+    const nextText = typeof text === 'string' ? text.trim() : '';
+    if (!nextText && !comment.imageUrl) {
+      return res.status(400).json({ message: 'Comment text is required' });
     }
 
-    const emojiReactions = comment.reactions.get(emoji);
-    const userIdStr = userId.toString();
+    if (nextText !== comment.text) {
+      const previousMentionIds = comment.mentionedUserIds.map((id) => id.toString());
+      const mentionedUserIds = await resolveCommentMentions(challenge, nextText, { authorId: userId });
 
-    // Check if user already reacted
-    const existingIndex = emojiReactions.findIndex(r => {
-      const rUserId = r.userId?._id || r.userId;
-      return rUserId && rUserId.toString() === userIdStr;
-    });
+      editCommentText(comment, nextText);
+      comment.mentionedUserIds = mentionedUserIds;
+      await comment.save();
 
-    if (existingIndex >= 0) {
-      // Remove reaction
-      emojiReactions.splice(existingIndex, 1);
-      if (emojiReactions.length === 0) {
-        comment.reactions.delete(emoji);
+      if (comment.sharedFromDiary && !comment.hiddenAt) {
+        await indexSharedDiaryEntry(challenge._id, comment);
       }
-    } else {
-      // Add reaction
-      emojiReactions.push({ userId });
-    }
 
-    await challenge.save();
-
-    // Populate user info for reactions
-    const User = require('../models/User');
-    const populatedReactions = {};
-    for (const [emojiKey, reactions] of comment.reactions.entries()) {
-      populatedReactions[emojiKey] = await Promise.all(
-        reactions.map(async (r) => {
-          if (r.userId && !r.userId.name) {
-            const uid = r.userId._id || r.userId;
-            const user = await User.findById(uid).select('name avatarUrl');
-            return { userId: user || r.userId };
-          }
-          return r;
-        })
-      );
+      // Only people added by this edit are notified
+      await notifyMentionedUsers({
+        challenge,
+        authorId: userId,
+        userIds: mentionedUserIds.filter((id) => !previousMentionIds.includes(id)),
+        commentId: comment.rootId || comment._id,
+        replyId: comment.rootId ? comment._id : null
+      });
     }
 
-    res.json({ 
-      message: existingIndex >= 0 ? 'Reaction removed' : 'Reaction added',
-      reactions: populatedReactions
+    res.json({
+      message: 'Comment updated successfully',
+      comment: await findPresentedComment(comment._id, { viewerId: userId })
     });
   } catch (error) {
-    res.status(500).json({ message: 'Error updating reaction', error: error.message });
+    res.status(500).json({ message: 'Error updating comment', error: error.message });
   }
 });
 
-// Add or remove reaction to a reply
-router.post('/:id/comments/:commentId/replies/:replyId/reactions', async (req, res) => {
+// Earlier versions of a comment (author, owner or co-owner)
+router.get('/:id/comments/:commentId/revisions', authenticateToken, async (req, res) => {
   try {
-    const { userId, emoji } = req.body;
-    
-    if (!userId || !emoji) {
-      return res.status(400).json({ message: 'User ID and emoji are required' });
-    }
+    const userId = req.user.id;
 
-    const challenge = await Challenge.findById(req.params.id);
+    const challenge = await Challenge.findById(req.params.id).select('owner participants.userId participants.role');
     if (!challenge) {
       return res.status(404).json({ message: 'Challenge not found' });
     }
 
-    const comment = challenge.comments.id(req.params.commentId);
-    if (!comment) {
+    const comment = await Comment.findOne({ _id: req.params.commentId, challengeId: challenge._id })
+      .select('userId text editedAt deletedAt +revisions');
+    if (!comment || comment.deletedAt) {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
-    const reply = comment.replies.id(req.params.replyId);
-    if (!reply) {
-      return res.status(404).json({ message: 'Reply not found' });
+    if (comment.userId.toString() !== userId.toString() && !isChallengeManager(challenge, userId)) {
+      return res.status(403).json({ message: 'You are not authorized to view this comment history' });
+    }
+
+    res.json({
+      current: { text: comment.text, editedAt: comment.editedAt },
+      revisions: comment.revisions
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching comment revisions', error: error.message });
+  }
+});
+
+// Report a comment or reply for review by the owner and co-owners
+router.post('/:id/comments/:commentId/report', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const parsed = parseReportInput(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const challenge = await Challenge.findById(req.params.id).select('title privacy owner participants.userId participants.role');
+    if (!challenge) {
+      return res.status(404).json({ message: 'Challenge not found' });
     }
 
-    // Initialize reactions Map if it doesn't exist
-    if (!reply.reactions) {
-      reply.reactions = new Map();
+    if (challenge.privacy === 'private' && !getChallengeRole(challenge, userId)) {
+      return res.status(403).json({ message: 'You are not a member of this challenge' });
     }
 
-    // Get or create the emoji array
-    if (!reply.reactions.has(emoji)) {
-      reply.reactions.set(emoji, []);
+    const comment = await Comment.findOne({ _id: req.params.commentId, challengeId: challenge._id });
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ message: 'Comment not found' });
     }
 
-    const emojiReactions = reply.reactions.get(emoji);
-    const userIdStr = userId.toString();
+    if (comment.userId.toString() === userId.toString()) {
+      return res.status(400).json({ message: 'You cannot report your own comment' });
+    }
 
-    // Check if user already reacted
-    const existingIndex = emojiReactions.findIndex(r => {
-      const rUserId = r.userId?._id || r.userId;
-      return rUserId && rUserId.toString() === userIdStr;
+    const result = await reportComment(comment, {
+      reporterId: userId,
+      reason: parsed.reason,
+      details: parsed.details
     });
 
-    if (existingIndex >= 0) {
-      // Remove reaction
-      emojiReactions.splice(existingIndex, 1);
-      if (emojiReactions.length === 0) {
-        reply.reactions.delete(emoji);
-      }
-    } else {
-      // Add reaction
-      emojiReactions.push({ userId });
+    if (result.duplicate) {
+      return res.status(409).json({ message: 'You have already reported this comment' });
     }
 
-    await challenge.save();
+    if (result.hiddenNow && comment.sharedFromDiary) {
+      await removeSharedDiaryEntries({ commentId: comment._id });
+    }
 
-    // Populate user info for reactions
-    const User = require('../models/User');
-    const populatedReactions = {};
-    for (const [emojiKey, reactions] of reply.reactions.entries()) {
-      populatedReactions[emojiKey] = await Promise.all(
-        reactions.map(async (r) => {
-          if (r.userId && !r.userId.name) {
-            const uid = r.userId._id || r.userId;
-            const user = await User.findById(uid).select('name avatarUrl');
-            return { userId: user || r.userId };
-          }
-          return r;
-        })
-      );
+    // The owner hears about the first report and about the comment being hidden
+    if (result.reportCount === 1 || result.hiddenNow) {
+      await notifyCommentReported({
+        ownerId: getChallengeOwnerId(challenge),
+        challenge,
+        commentId: comment._id,
+        hidden: result.hiddenNow
+      });
     }
 
-    res.json({ 
-      message: existingIndex >= 0 ? 'Reaction removed' : 'Reaction added',
-      reactions: populatedReactions
-    });
+    res.status(201).json({ message: 'Comment reported', hidden: result.hidden });
   } catch (error) {
-    res.status(500).json({ message: 'Error updating reaction', error: error.message });
+    res.status(500).json({ message: 'Error reporting comment', error: error.message });
   }
 });
 
-// Add or remove reaction to a nested reply
-router.post('/:id/comments/:commentId/replies/:replyId/replies/:nestedReplyId/reactions', async (req, res) => {
+// Pending comment reports (owner or co-owner)
+router.get('/:id/comment-reports', authenticateToken, authorizeChallenge('manager'), async (req, res) => {
   try {
-    const { userId, emoji } = req.body;
-    
-    if (!userId || !emoji) {
-      return res.status(400).json({ message: 'User ID and emoji are required' });
-    }
+    const reports = await CommentReport.find({ challengeId: req.challenge._id, status: 'pending' })
+      .sort({ createdAt: -1 })
+      .populate('reporterId', 'name avatarUrl')
+      .populate({
+        path: 'commentId',
+        select: 'userId text imageUrl reportCount hiddenAt createdAt',
+        populate: { path: 'userId', select: 'name avatarUrl' }
+      })
+      .lean();
+
+    res.json({ reports });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching comment reports', error: error.message });
+  }
+});
 
-    const challenge = await Challenge.findById(req.params.id);
-    if (!challenge) {
-      return res.status(404).json({ message: 'Challenge not found' });
+// Review a reported comment (owner or co-owner): 'dismiss' restores it, 'remove' deletes it
+router.post('/:id/comments/:commentId/review', authenticateToken, authorizeChallenge('manager'), async (req, res) => {
+  try {
+    const { action } = req.body;
+    const userId = req.user.id;
+    const challenge = req.challenge;
+
+    if (action !== 'dismiss' && action !== 'remove') {
+      return res.status(400).json({ message: "action must be 'dismiss' or 'remove'" });
     }
 
-    const comment = challenge.comments.id(req.params.commentId);
-    if (!comment) {
+    const comment = await Comment.findOne({ _id: req.params.commentId, challengeId: challenge._id });
+    if (!comment || comment.deletedAt) {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
-    const parentReply = comment.replies.id(req.params.replyId);
-    if (!parentReply) {
-      return res.status(404).json({ message: 'Reply not found' });
-    }
+    if (action === 'dismiss') {
+      await Comment.updateOne({ _id: comment._id }, { $set: { hiddenAt: null, reportCount: 0 } });
+      await resolveCommentReports(comment._id, { status: 'dismissed', reviewedBy: userId });
 
-    const nestedReply = parentReply.replies.id(req.params.nestedReplyId);
-    if (!nestedReply) {
-      return res.status(404).json({ message: 'Nested reply not found' });
-    }
+      if (comment.sharedFromDiary) {
+        await indexSharedDiaryEntry(challenge._id, comment);
+      }
 
-    // Initialize reactions Map if it doesn't exist
-    if (!nestedReply.reactions) {
-      nestedReply.reactions = new Map();
+      return res.json({ message: 'Reports dismissed' });
     }
 
-    // Get or create the emoji array
-    if (!nestedReply.reactions.has(emoji)) {
-      nestedReply.reactions.set(emoji, []);
+    const thread = await loadCommentThread(comment);
+    const { tombstoned } = await removeComment(comment, thread, { deletedBy: userId });
+    await resolveCommentReports(comment._id, { status: 'actioned', reviewedBy: userId });
+
+    if (comment.sharedFromDiary) {
+      await removeSharedDiaryEntries({ commentId: comment._id });
     }
 
-    const emojiReactions = nestedReply.reactions.get(emoji);
-    const userIdStr = userId.toString();
+    res.json({ message: 'Comment removed', tombstoned });
+  } catch (error) {
+    res.status(500).json({ message: 'Error reviewing comment', error: error.message });
+  }
+});
+
+// Get the current user's private diary entries on this mission (any member),
+// filtered by ?from=&to= (YYYY-MM-DD) and ?mood=4,5
+router.get('/:id/diary', authenticateToken, authorizeChallenge('member'), async (req, res) => {
+  try {
+    const { filters, error } = parseDiaryFilters(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
-    // Check if user already reacted
-    const existingIndex = emojiReactions.findIndex(r => {
-      const rUserId = r.userId?._id || r.userId;
-      return rUserId && rUserId.toString() === userIdStr;
+    const { entries, pagination } = await listDiaryEntries(req.challenge._id, req.user.id, {
+      filters,
+      page: req.query.page,
+      limit: req.query.limit
     });
 
-    if (existingIndex >= 0) {
-      // Remove reaction
-      emojiReactions.splice(existingIndex, 1);
-      if (emojiReactions.length === 0) {
-        nestedReply.reactions.delete(emoji);
-      }
-    } else {
-      // Add reaction
-      emojiReactions.push({ userId });
+    res.json({ entries, pagination });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching diary entries', error: error.message });
+  }
+});
+
+// Add a private diary entry (any member), optionally bound to a completed day
+// and/or shared to the community feed
+router.post('/:id/diary', authenticateToken, authorizeChallenge('member'), async (req, res) => {
+  try {
+    const { shareToCommunity } = req.body;
+    const userId = req.user.id;
+    const challenge = req.challenge;
+    const participant = findChallengeParticipant(challenge, userId);
+    const { clientDayStr: todayStr } = getClientDayRange(req, 0);
+
+    const { entry: entryData, error } = parseDiaryEntryInput(req.body, {
+      challengeType: challenge.challengeType,
+      completedDays: participant?.completedDays || [],
+      today: todayStr
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    await challenge.save();
+    const newEntry = await createDiaryEntry({ challengeId: challenge._id, userId, entry: entryData });
 
-    // Populate user info for reactions
-    const User = require('../models/User');
-    const populatedReactions = {};
-    for (const [emojiKey, reactions] of nestedReply.reactions.entries()) {
-      populatedReactions[emojiKey] = await Promise.all(
-        reactions.map(async (r) => {
-          if (r.userId && !r.userId.name) {
-            const uid = r.userId._id || r.userId;
-            const user = await User.findById(uid).select('name avatarUrl');
-            return { userId: user || r.userId };
-          }
-          return r;
-        })
-      );
+    let sharedCommentId = null;
+    if (shareToCommunity === true && challenge.allowComments) {
+      const mentionedUserIds = await resolveCommentMentions(challenge, entryData.text, { authorId: userId });
+      const sharedComment = await createComment({
+        challengeId: challenge._id,
+        userId,
+        text: entryData.text,
+        imageUrl: newEntry.imageUrl,
+        mentionedUserIds,
+        sharedFromDiary: true
+      });
+      sharedCommentId = sharedComment._id;
+      await indexSharedDiaryEntry(challenge._id, sharedComment);
+      await notifyMentionedUsers({
+        challenge,
+        authorId: userId,
+        userIds: mentionedUserIds,
+        commentId: sharedComment._id
+      });
     }
 
-    res.json({ 
-      message: existingIndex >= 0 ? 'Reaction removed' : 'Reaction added',
-      reactions: populatedReactions
+    res.status(201).json({
+      message: 'Diary entry added successfully',
+      entry: newEntry,
+      sharedCommentId
     });
   } catch (error) {
-    res.status(500).json({ message: 'Error updating reaction', error: error.message });
+    res.status(500).json({ message: 'Error adding diary entry', error: error.message });
+  }
+});
+
+// Delete a private diary entry (author only)
+router.delete('/:id/diary/:entryId', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const entry = await DiaryEntry.findOne({ _id: req.params.entryId, challengeId: req.params.id })
+      .select('userId')
+      .lean();
+    if (!entry) {
+      return res.status(404).json({ message: 'Diary entry not found' });
+    }
+
+    if (entry.userId.toString() !== userId.toString()) {
+      return res.status(403).json({ message: 'You are not authorized to delete this diary entry' });
+    }
+
+    await DiaryEntry.deleteOne({ _id: entry._id });
+
+    res.json({ message: 'Diary entry deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting diary entry', error: error.message });
   }
 });
 
@@ -1,7 +1,15 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { getVapidPublicKey, getVapidDiagnostics } = require('../utils/pushService');
+const PushSubscription = require('../models/PushSubscription');
+const {
+  getVapidPublicKey,
+  getVapidDiagnostics,
+  savePushSubscription,
+  serializePushSubscription
+} = require('../utils/pushService');
+const { verifyAccessToken } = require('../utils/authTokens');
 
 // Middleware to authenticate token - use the same as auth routes
 const authenticateToken = (req, res, next) => {
@@ -12,11 +20,7 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ message: 'Access token required' });
   }
 
-  const jwt = require('jsonwebtoken');
-  // Use the same JWT_SECRET as auth routes
-  const JWT_SECRET = process.env.JWT_SECRET || 'supersecretkey';
-
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  verifyAccessToken(token, (err, user) => {
     if (err) {
       console.error('[Push] Token verification failed:', err.message);
       return res.status(403).json({ message: 'Invalid or expired token' });
@@ -48,73 +52,121 @@ router.get('/diagnostics', authenticateToken, (req, res) => {
   }
 })
 
-// Subscribe to push notifications
+// Subscribe this device to push notifications
 router.post('/subscribe', authenticateToken, async (req, res) => {
   try {
-    const { subscription } = req.body;
+    const { subscription, deviceLabel } = req.body;
     const userId = req.user.id;
-    
-    if (!subscription || !subscription.endpoint || !subscription.keys) {
+
+    if (!subscription || !subscription.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
       return res.status(400).json({ message: 'Invalid subscription object' });
     }
 
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    if (deviceLabel !== undefined && typeof deviceLabel !== 'string') {
+      return res.status(400).json({ message: 'deviceLabel must be a string' });
     }
 
-    // Store push subscription
-    user.pushSubscription = {
-      endpoint: subscription.endpoint,
-      keys: {
-        p256dh: subscription.keys.p256dh,
-        auth: subscription.keys.auth
-      }
-    };
+    const userExists = await User.exists({ _id: userId });
+    if (!userExists) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
-    await user.save();
+    const saved = await savePushSubscription(userId, subscription, {
+      deviceLabel,
+      userAgent: req.get('user-agent') || ''
+    });
 
-    res.json({ message: 'Push subscription saved successfully' });
+    res.json({
+      message: 'Push subscription saved successfully',
+      device: serializePushSubscription(saved, subscription.endpoint)
+    });
   } catch (error) {
     console.error('[Push] Error saving push subscription:', error);
     res.status(500).json({ message: 'Error saving push subscription', error: error.message });
   }
 });
 
-// Unsubscribe from push notifications
+// Unsubscribe a device; without an endpoint every device of the user is removed
 router.post('/unsubscribe', authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    const { endpoint } = req.body || {};
+    const filter = { userId: req.user.id };
+
+    if (endpoint !== undefined) {
+      if (typeof endpoint !== 'string' || !endpoint) {
+        return res.status(400).json({ message: 'endpoint must be a non-empty string' });
+      }
+      filter.endpoint = endpoint;
     }
 
-    user.pushSubscription = null;
-    await user.save();
+    const { deletedCount } = await PushSubscription.deleteMany(filter);
 
-    res.json({ message: 'Push subscription removed successfully' });
+    res.json({ message: 'Push subscription removed successfully', removed: deletedCount });
   } catch (error) {
     console.error('Error removing push subscription:', error);
     res.status(500).json({ message: 'Error removing push subscription', error: error.message });
   }
 });
 
-// Get push subscription status for the current user
+// Get push subscription status for the current user and, with ?endpoint=, for this device
 router.get('/status', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const user = await User.findById(userId, 'pushSubscription');
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    const hasSubscription = !!user.pushSubscription;
-    res.json({ hasSubscription });
+    const endpoint = typeof req.query.endpoint === 'string' ? req.query.endpoint : null;
+    const subscriptions = await PushSubscription.find({ userId: req.user.id }).select('endpoint').lean();
+
+    res.json({
+      hasSubscription: subscriptions.length > 0,
+      deviceCount: subscriptions.length,
+      isDeviceSubscribed: endpoint
+        ? subscriptions.some((subscription) => subscription.endpoint === endpoint)
+        : null
+    });
   } catch (error) {
     console.error(`[Push] Error checking push subscription status:`, error);
     res.status(500).json({ message: 'Error checking push subscription status', error: error.message });
   }
 });
 
+// List subscribed devices; ?endpoint= marks the calling device
+router.get('/devices', authenticateToken, async (req, res) => {
+  try {
+    const endpoint = typeof req.query.endpoint === 'string' ? req.query.endpoint : null;
+    const subscriptions = await PushSubscription.find({ userId: req.user.id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      devices: subscriptions.map((subscription) => serializePushSubscription(subscription, endpoint))
+    });
+  } catch (error) {
+    console.error('[Push] Error listing push devices:', error);
+    res.status(500).json({ message: 'Error listing push devices', error: error.message });
+  }
+});
+
+// Remove another device by id (e.g. a lost phone)
+router.delete('/devices/:deviceId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.deviceId)) {
+      return res.status(400).json({ message: 'Invalid device id' });
+    }
+
+    const { deletedCount } = await PushSubscription.deleteOne({
+      _id: req.params.deviceId,
+      userId: req.user.id
+    });
+
+    if (deletedCount === 0) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+
+    res.json({ message: 'Device removed successfully' });
+  } catch (error) {
+    console.error('[Push] Error removing push device:', error);
+    res.status(500).json({ message: 'Error removing push device', error: error.message });
+  }
+});
+
 router.get('/daily-recap-settings', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(
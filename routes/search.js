@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  MIN_QUERY_LENGTH,
+  normalizeSearchQuery,
+  parseSearchTypes,
+  searchAll
+} = require('../utils/searchService');
+
+// Unified search over public missions, shared diary entries and public profiles
+router.get('/', async (req, res) => {
+  try {
+    const { q, type, page, limit } = req.query;
+    const query = normalizeSearchQuery(q);
+
+    if (query.length < MIN_QUERY_LENGTH) {
+      return res.status(400).json({ message: `Search query must be at least ${MIN_QUERY_LENGTH} characters` });
+    }
+
+    const result = await searchAll(query, { types: parseSearchTypes(type), page, limit });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Error searching', error: error.message });
+  }
+});
+
+module.exports = router;
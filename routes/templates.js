@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Challenge = require('../models/Challenge');
+const MissionTemplate = require('../models/MissionTemplate');
+const { MISSION_CATEGORIES, isMissionCategory } = require('../constants/missionCategories');
+const {
+  resolveFreshMissionDates,
+  buildMissionDataFromSource,
+  serializeTemplate
+} = require('../utils/missionTemplates');
+const { getWelcomeBonusRewardPayload } = require('../utils/referralService');
+const authenticateToken = require('../middleware/authenticateToken');
+
+const MAX_PAGE_SIZE = 50;
+
+function serializeUserForClient(user) {
+  if (!user) return null;
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    avatarUrl: user.avatarUrl,
+    xp: user.xp || 0,
+    sparks: user.sparks || 0,
+    createdAt: user.createdAt
+  };
+}
+
+// List published templates, optionally filtered by category, tag or type
+router.get('/', async (req, res) => {
+  try {
+    const { category, tag, type, sort, page, limit } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || 20));
+
+    const query = { isPublished: true };
+    if (category) {
+      if (!isMissionCategory(category)) {
+        return res.status(400).json({ message: 'Unknown category', categories: MISSION_CATEGORIES });
+      }
+      query.category = category;
+    }
+    if (tag) {
+      query.tags = String(tag).trim().toLowerCase();
+    }
+    if (type === 'habit' || type === 'result') {
+      query.challengeType = type;
+    }
+
+    const sortOrder = sort === 'popular'
+      ? { usageCount: -1, sortOrder: 1, _id: 1 }
+      : { sortOrder: 1, usageCount: -1, _id: 1 };
+
+    const [templates, total] = await Promise.all([
+      MissionTemplate.find(query)
+        .sort(sortOrder)
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      MissionTemplate.countDocuments(query)
+    ]);
+
+    res.json({
+      templates: templates.map(serializeTemplate),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        hasMore: pageNum * limitNum < total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching templates', error: error.message });
+  }
+});
+
+// Categories with the number of published templates in each
+router.get('/categories', async (req, res) => {
+  try {
+    const counts = await MissionTemplate.aggregate([
+      { $match: { isPublished: true } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+    const countByCategory = new Map(counts.map((entry) => [entry._id, entry.count]));
+
+    res.json({
+      categories: MISSION_CATEGORIES.map((category) => ({
+        category,
+        count: countByCategory.get(category) || 0
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching template categories', error: error.message });
+  }
+});
+
+// Single template by id or slug
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const template = await MissionTemplate.findOne(
+      mongoose.Types.ObjectId.isValid(id) ? { _id: id, isPublished: true } : { slug: id, isPublished: true }
+    ).lean();
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.json({ template: serializeTemplate(template) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching template', error: error.message });
+  }
+});
+
+// Start a new mission from a template
+router.post('/:id/use', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const owner = req.user.id;
+    const { title, privacy } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    const template = await MissionTemplate.findOne({ _id: id, isPublished: true }).lean();
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    const { startDate, endDate } = resolveFreshMissionDates(req, template.durationDays);
+    const challengeData = buildMissionDataFromSource(template, {
+      ownerId: owner,
+      startDate,
+      endDate,
+      privacy: privacy === 'private' ? 'private' : 'public'
+    });
+    if (typeof title === 'string' && title.trim()) {
+      challengeData.title = title.trim();
+    }
+    challengeData.templateId = template._id;
+
+    const challenge = new Challenge(challengeData);
+    await challenge.save();
+
+    await MissionTemplate.updateOne({ _id: template._id }, { $inc: { usageCount: 1 } });
+
+    const welcomeBonusPayload = await getWelcomeBonusRewardPayload(owner, serializeUserForClient);
+
+    res.status(201).json({
+      message: 'Challenge created from template',
+      challenge,
+      ...welcomeBonusPayload
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating challenge from template', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+/**
+ * One-off backfill: creates LedgerEntry rows for sparks / XP event keys that were
+ * awarded before the ledger existed. Amounts for those keys were never stored, so
+ * they are estimated from the key prefix and flagged with meta.estimated = true.
+ *
+ * Safe to re-run: the (userId, currency, eventKey) unique index skips rows that
+ * already exist. Reads the legacy User.awarded*EventKeys arrays, so run it before
+ * scripts/migrate-awarded-event-keys.js removes them.
+ *
+ * Usage: node scripts/backfill-ledger.js
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Challenge = require('../models/Challenge');
+const LedgerEntry = require('../models/LedgerEntry');
+const {
+  SPARKS_AMOUNTS,
+  SPARKS_EVENT_TYPES,
+  SPARKS_EVENT_KEY_PREFIXES,
+  getStreakMilestoneSparks
+} = require('../constants/sparksRules');
+const {
+  XP_AMOUNTS,
+  XP_EVENT_TYPES,
+  XP_EVENT_KEY_PREFIXES,
+  getResultCompletionXp,
+  getStreakMilestoneXp
+} = require('../constants/xpRules');
+
+const SPEND_PREFIXES = new Set([
+  SPARKS_EVENT_KEY_PREFIXES.MISSION_EXTEND,
+  SPARKS_EVENT_KEY_PREFIXES.FREEZE_DAY,
+  SPARKS_EVENT_KEY_PREFIXES.SECOND_CHANCE
+]);
+
+function extractLocalDateFromKey(key) {
+  for (const part of String(key || '').split(':')) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(part)) {
+      return part;
+    }
+  }
+  return null;
+}
+
+function estimateSparksEvent(eventKey) {
+  const [prefix, ...rest] = String(eventKey).split(':');
+  const amountsByPrefix = {
+    [SPARKS_EVENT_KEY_PREFIXES.CHECKLIST_TASK]: [SPARKS_EVENT_TYPES.CHECKLIST_TASK, SPARKS_AMOUNTS.TASK_COMPLETION],
+    [SPARKS_EVENT_KEY_PREFIXES.HABIT_DAY]: [SPARKS_EVENT_TYPES.HABIT_DAY, SPARKS_AMOUNTS.TASK_COMPLETION],
+    [SPARKS_EVENT_KEY_PREFIXES.MANIFEST]: [SPARKS_EVENT_TYPES.MANIFEST, SPARKS_AMOUNTS.MANIFEST],
+    [SPARKS_EVENT_KEY_PREFIXES.STREAK_MILESTONE]: [
+      SPARKS_EVENT_TYPES.STREAK_MILESTONE,
+      getStreakMilestoneSparks(parseInt(rest[0], 10))
+    ],
+    [SPARKS_EVENT_KEY_PREFIXES.MISSION_COMPLETION]: [SPARKS_EVENT_TYPES.MISSION_COMPLETION, SPARKS_AMOUNTS.MISSION_COMPLETION],
+    [SPARKS_EVENT_KEY_PREFIXES.MISSION_EXTEND]: [SPARKS_EVENT_TYPES.MISSION_EXTEND, SPARKS_AMOUNTS.MISSION_EXTEND],
+    [SPARKS_EVENT_KEY_PREFIXES.FREEZE_DAY]: [SPARKS_EVENT_TYPES.FREEZE_DAY, SPARKS_AMOUNTS.FREEZE_DAY],
+    [SPARKS_EVENT_KEY_PREFIXES.SECOND_CHANCE]: [SPARKS_EVENT_TYPES.SECOND_CHANCE, SPARKS_AMOUNTS.SECOND_CHANCE],
+    [SPARKS_EVENT_KEY_PREFIXES.REFERRAL]: [SPARKS_EVENT_TYPES.REFERRAL, SPARKS_AMOUNTS.REFERRAL],
+    [SPARKS_EVENT_KEY_PREFIXES.SIGNUP_BONUS]: [SPARKS_EVENT_TYPES.SIGNUP_BONUS, SPARKS_AMOUNTS.SIGNUP_BONUS],
+    [SPARKS_EVENT_KEY_PREFIXES.MISSION_COMMENT]: [SPARKS_EVENT_TYPES.MISSION_COMMENT, SPARKS_AMOUNTS.MISSION_COMMENT]
+  };
+
+  const match = amountsByPrefix[prefix];
+  if (!match || !match[1]) return null;
+
+  const [eventType, amount] = match;
+  return {
+    eventType,
+    amount: SPEND_PREFIXES.has(prefix) ? -amount : amount
+  };
+}
+
+async function estimateXpEvent(eventKey, challengeCache) {
+  const [prefix, ...rest] = String(eventKey).split(':');
+
+  switch (prefix) {
+    case XP_EVENT_KEY_PREFIXES.HABIT_DAY:
+      return { eventType: XP_EVENT_TYPES.HABIT_DAY, amount: XP_AMOUNTS.HABIT_DAY };
+    case XP_EVENT_KEY_PREFIXES.HABIT_COMPLETION:
+      return { eventType: XP_EVENT_TYPES.HABIT_COMPLETION, amount: XP_AMOUNTS.HABIT_COMPLETION };
+    case XP_EVENT_KEY_PREFIXES.RESULT_ACTION:
+      return { eventType: XP_EVENT_TYPES.RESULT_ACTION, amount: XP_AMOUNTS.RESULT_ACTION };
+    case XP_EVENT_KEY_PREFIXES.DAILY_FULL_COMPLETION:
+      return { eventType: XP_EVENT_TYPES.DAILY_FULL_COMPLETION, amount: XP_AMOUNTS.DAILY_FULL_COMPLETION };
+    case XP_EVENT_KEY_PREFIXES.CHECKLIST_TASK:
+      return { eventType: XP_EVENT_TYPES.CHECKLIST_TASK, amount: XP_AMOUNTS.CHECKLIST_TASK };
+    case XP_EVENT_KEY_PREFIXES.STREAK_MILESTONE:
+      return { eventType: XP_EVENT_TYPES.STREAK_MILESTONE, amount: getStreakMilestoneXp(parseInt(rest[0], 10)) };
+    case XP_EVENT_KEY_PREFIXES.RESULT_COMPLETION: {
+      const challengeId = rest[0];
+      if (!challengeCache.has(challengeId)) {
+        const challenge = mongoose.isValidObjectId(challengeId)
+          ? await Challenge.findById(challengeId).select('difficulty').lean()
+          : null;
+        challengeCache.set(challengeId, challenge);
+      }
+      const challenge = challengeCache.get(challengeId) || { difficulty: 'medium' };
+      return { eventType: XP_EVENT_TYPES.RESULT_COMPLETION, amount: getResultCompletionXp(challenge) };
+    }
+    default:
+      return null;
+  }
+}
+
+function buildBackfillEntry(user, currency, eventKey, estimate) {
+  return {
+    userId: user._id,
+    currency,
+    amount: estimate.amount,
+    eventType: estimate.eventType,
+    eventKey,
+    meta: { type: estimate.eventType, backfilled: true, estimated: true },
+    localDate: extractLocalDateFromKey(eventKey)
+      || new Date(user.createdAt || Date.now()).toISOString().slice(0, 10)
+  };
+}
+
+async function insertIgnoringDuplicates(entries) {
+  if (entries.length === 0) return 0;
+
+  try {
+    const inserted = await LedgerEntry.insertMany(entries, { ordered: false });
+    return inserted.length;
+  } catch (error) {
+    if (error?.code === 11000 || error?.writeErrors) {
+      return error.insertedCount ?? 0;
+    }
+    throw error;
+  }
+}
+
+async function run() {
+  if (!process.env.ATLAS_URI) {
+    console.error('ATLAS_URI is not defined in environment variables');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.ATLAS_URI);
+  await LedgerEntry.syncIndexes();
+
+  const challengeCache = new Map();
+  let usersProcessed = 0;
+  let entriesInserted = 0;
+  let keysSkipped = 0;
+
+  // The arrays are no longer part of the User schema, so read them off the raw collection.
+  const cursor = User.collection.find(
+    {},
+    { projection: { _id: 1, createdAt: 1, awardedSparksEventKeys: 1, awardedXpEventKeys: 1 } }
+  );
+
+  for await (const user of cursor) {
+    const entries = [];
+
+    for (const eventKey of user.awardedSparksEventKeys || []) {
+      const estimate = estimateSparksEvent(eventKey);
+      if (!estimate) {
+        keysSkipped += 1;
+        continue;
+      }
+      entries.push(buildBackfillEntry(user, 'sparks', eventKey, estimate));
+    }
+
+    for (const eventKey of user.awardedXpEventKeys || []) {
+      const estimate = await estimateXpEvent(eventKey, challengeCache);
+      if (!estimate || !estimate.amount) {
+        keysSkipped += 1;
+        continue;
+      }
+      entries.push(buildBackfillEntry(user, 'xp', eventKey, estimate));
+    }
+
+    entriesInserted += await insertIgnoringDuplicates(entries);
+    usersProcessed += 1;
+  }
+
+  console.log(`Users processed: ${usersProcessed}`);
+  console.log(`Ledger entries inserted: ${entriesInserted}`);
+  console.log(`Unrecognized keys skipped: ${keysSkipped}`);
+
+  await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+  console.error('Ledger backfill failed:', error);
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
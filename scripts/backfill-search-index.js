@@ -0,0 +1,66 @@
+/**
+ * Prepares existing data for GET /api/search: builds the text indexes, sets
+ * Challenge.searchLanguage and copies diary entries shared to the community
+ * into the DiarySearchEntry collection. Run scripts/migrate-embedded-comments.js
+ * first on databases that still have comments embedded in challenges.
+ *
+ * Entries are upserted by comment id, so the script is safe to re-run.
+ *
+ * Usage: node scripts/backfill-search-index.js
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Challenge = require('../models/Challenge');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const DiarySearchEntry = require('../models/DiarySearchEntry');
+const { detectSearchLanguage } = require('../utils/searchLanguage');
+const { indexSharedDiaryEntry } = require('../utils/searchService');
+
+async function run() {
+  if (!process.env.ATLAS_URI) {
+    console.error('ATLAS_URI is not defined in environment variables');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.ATLAS_URI);
+  await Promise.all([Challenge.syncIndexes(), User.syncIndexes(), DiarySearchEntry.syncIndexes()]);
+
+  let challengesProcessed = 0;
+  let diaryEntriesIndexed = 0;
+
+  const challengeCursor = Challenge.find({})
+    .select('title description searchLanguage')
+    .lean()
+    .cursor();
+
+  for await (const challenge of challengeCursor) {
+    const searchLanguage = detectSearchLanguage(challenge.title, challenge.description);
+    if (challenge.searchLanguage !== searchLanguage) {
+      await Challenge.collection.updateOne({ _id: challenge._id }, { $set: { searchLanguage } });
+    }
+    challengesProcessed += 1;
+  }
+
+  const commentCursor = Comment.find({ sharedFromDiary: true, parentId: null })
+    .select('challengeId userId text imageUrl sharedFromDiary createdAt')
+    .lean()
+    .cursor();
+
+  for await (const comment of commentCursor) {
+    await indexSharedDiaryEntry(comment.challengeId, comment);
+    diaryEntriesIndexed += 1;
+  }
+
+  console.log(`Challenges processed: ${challengesProcessed}`);
+  console.log(`Shared diary entries indexed: ${diaryEntriesIndexed}`);
+
+  await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+  console.error('Search index backfill failed:', error);
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
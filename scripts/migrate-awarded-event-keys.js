@@ -0,0 +1,109 @@
+/**
+ * One-off migration: moves the legacy User.awardedSparksEventKeys /
+ * awardedXpEventKeys arrays into the AwardedEvent collection.
+ *
+ * Only idempotency records are written; balances and the ledger are left
+ * untouched, so nothing is awarded twice. Keys are pulled from a user's arrays
+ * only after they exist in AwardedEvent, which makes the script safe to re-run
+ * (e.g. once before and once after deploying, to catch keys written by old
+ * instances in between). Run scripts/backfill-ledger.js first if the ledger has
+ * not been backfilled yet.
+ *
+ * Usage: node scripts/migrate-awarded-event-keys.js
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AwardedEvent = require('../models/AwardedEvent');
+
+const LEGACY_FIELDS = {
+  sparks: 'awardedSparksEventKeys',
+  xp: 'awardedXpEventKeys'
+};
+
+const HAS_LEGACY_KEYS = {
+  $or: [
+    { awardedSparksEventKeys: { $exists: true } },
+    { awardedXpEventKeys: { $exists: true } }
+  ]
+};
+
+async function insertIgnoringDuplicates(docs) {
+  if (docs.length === 0) return 0;
+
+  try {
+    const inserted = await AwardedEvent.insertMany(docs, { ordered: false });
+    return inserted.length;
+  } catch (error) {
+    if (error?.code === 11000 || error?.writeErrors) {
+      const nonDuplicate = (error.writeErrors || []).find((writeError) => writeError.code !== 11000);
+      if (nonDuplicate) throw error;
+      return error.insertedCount ?? 0;
+    }
+    throw error;
+  }
+}
+
+async function run() {
+  if (!process.env.ATLAS_URI) {
+    console.error('ATLAS_URI is not defined in environment variables');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.ATLAS_URI);
+  await AwardedEvent.syncIndexes();
+
+  let usersProcessed = 0;
+  let eventsInserted = 0;
+  let keysMoved = 0;
+
+  // The arrays are no longer part of the User schema, so work on the raw collection.
+  const cursor = User.collection.find(
+    HAS_LEGACY_KEYS,
+    { projection: { _id: 1, awardedSparksEventKeys: 1, awardedXpEventKeys: 1 } }
+  );
+
+  for await (const user of cursor) {
+    const docs = [];
+    const pull = {};
+
+    for (const [currency, field] of Object.entries(LEGACY_FIELDS)) {
+      const keys = [...new Set((user[field] || []).filter(Boolean))];
+      if (keys.length === 0) continue;
+
+      keys.forEach((eventKey) => docs.push({ userId: user._id, eventKey, currency }));
+      pull[field] = keys;
+      keysMoved += keys.length;
+    }
+
+    eventsInserted += await insertIgnoringDuplicates(docs);
+
+    if (Object.keys(pull).length > 0) {
+      await User.collection.updateOne({ _id: user._id }, { $pullAll: pull });
+    }
+    usersProcessed += 1;
+  }
+
+  // Drop arrays that are now empty; anything added concurrently stays for the next run.
+  for (const field of Object.values(LEGACY_FIELDS)) {
+    await User.collection.updateMany({ [field]: { $size: 0 } }, { $unset: { [field]: '' } });
+  }
+
+  const leftover = await User.collection.countDocuments(HAS_LEGACY_KEYS);
+
+  console.log(`Users processed: ${usersProcessed}`);
+  console.log(`Event keys moved: ${keysMoved}`);
+  console.log(`AwardedEvent records inserted: ${eventsInserted}`);
+  if (leftover > 0) {
+    console.log(`Users still holding legacy keys (re-run to move them): ${leftover}`);
+  }
+
+  await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+  console.error('Awarded event key migration failed:', error);
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
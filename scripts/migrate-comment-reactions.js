@@ -0,0 +1,88 @@
+/**
+ * One-off migration: moves the legacy Comment.reactions map (emoji -> [{ userId }])
+ * into the CommentReaction collection, sets Comment.reactionCounts from it and
+ * unsets the map. Run after scripts/migrate-embedded-comments.js.
+ *
+ * Reactions are upserted and counts recomputed from the collection, so the
+ * script is safe to re-run.
+ *
+ * Usage: node scripts/migrate-comment-reactions.js
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const CommentReaction = require('../models/CommentReaction');
+
+const HAS_LEGACY_REACTIONS = { reactions: { $exists: true } };
+
+async function run() {
+  if (!process.env.ATLAS_URI) {
+    console.error('ATLAS_URI is not defined in environment variables');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.ATLAS_URI);
+  await CommentReaction.syncIndexes();
+
+  let commentsProcessed = 0;
+  let reactionsMoved = 0;
+
+  // The field is no longer part of the Comment schema, so work on the raw collection.
+  const cursor = Comment.collection.find(
+    HAS_LEGACY_REACTIONS,
+    { projection: { _id: 1, challengeId: 1, reactions: 1, createdAt: 1 } }
+  );
+
+  for await (const comment of cursor) {
+    const operations = [];
+    for (const [emoji, entries] of Object.entries(comment.reactions || {})) {
+      for (const entry of entries || []) {
+        if (!entry?.userId) continue;
+        operations.push({
+          updateOne: {
+            filter: { commentId: comment._id, userId: entry.userId, emoji },
+            update: {
+              $setOnInsert: {
+                commentId: comment._id,
+                challengeId: comment.challengeId,
+                userId: entry.userId,
+                emoji,
+                createdAt: comment.createdAt || new Date()
+              }
+            },
+            upsert: true
+          }
+        });
+      }
+    }
+
+    if (operations.length > 0) {
+      const result = await CommentReaction.collection.bulkWrite(operations, { ordered: false });
+      reactionsMoved += result.upsertedCount || 0;
+    }
+
+    const counts = await CommentReaction.aggregate([
+      { $match: { commentId: comment._id } },
+      { $group: { _id: '$emoji', count: { $sum: 1 } } }
+    ]);
+    const reactionCounts = Object.fromEntries(counts.map((entry) => [entry._id, entry.count]));
+
+    await Comment.collection.updateOne(
+      { _id: comment._id },
+      { $set: { reactionCounts }, $unset: { reactions: '' } }
+    );
+    commentsProcessed += 1;
+  }
+
+  console.log(`Comments processed: ${commentsProcessed}`);
+  console.log(`Reactions moved: ${reactionsMoved}`);
+
+  await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+  console.error('Comment reaction migration failed:', error);
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+/**
+ * One-off migration: moves diary entries embedded in Challenge.userDiaryEntries
+ * into the DiaryEntry collection and unsets the field.
+ *
+ * Entries keep their _id. Their `day` is the creation date in the author's
+ * recap timezone (UTC when unset); none are bound to a completed day. Existing
+ * ids are left as they are, so the script is safe to re-run.
+ *
+ * Usage: node scripts/migrate-diary-entries.js
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Challenge = require('../models/Challenge');
+const DiaryEntry = require('../models/DiaryEntry');
+const User = require('../models/User');
+const { toLocalDateKey } = require('../utils/dateHelpers');
+
+const HAS_EMBEDDED_DIARY = { userDiaryEntries: { $exists: true } };
+
+function toDiaryEntryDoc(challengeId, entry, timeZone) {
+  const createdAt = entry.createdAt || new Date();
+
+  return {
+    _id: entry._id,
+    challengeId,
+    userId: entry.userId,
+    day: toLocalDateKey(createdAt, timeZone || 'UTC'),
+    boundToCompletedDay: false,
+    mood: null,
+    text: entry.text || '',
+    imageUrls: entry.imageUrl ? [entry.imageUrl] : [],
+    actionTitle: entry.actionTitle || '',
+    actionId: entry.actionId || null,
+    createdAt
+  };
+}
+
+async function run() {
+  if (!process.env.ATLAS_URI) {
+    console.error('ATLAS_URI is not defined in environment variables');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.ATLAS_URI);
+  await DiaryEntry.syncIndexes();
+
+  let challengesProcessed = 0;
+  let entriesMoved = 0;
+
+  // The field is no longer part of the Challenge schema, so work on the raw collection.
+  const cursor = Challenge.collection.find(
+    HAS_EMBEDDED_DIARY,
+    { projection: { _id: 1, userDiaryEntries: 1 } }
+  );
+
+  for await (const challenge of cursor) {
+    const entries = (challenge.userDiaryEntries || []).filter((entry) => entry?._id && entry.userId);
+
+    if (entries.length > 0) {
+      const authors = await User.find({ _id: { $in: entries.map((entry) => entry.userId) } })
+        .select('dailyRecapTimezone')
+        .lean();
+      const timeZoneByUser = new Map(authors.map((user) => [String(user._id), user.dailyRecapTimezone]));
+
+      const result = await DiaryEntry.collection.bulkWrite(
+        entries.map((entry) => {
+          const doc = toDiaryEntryDoc(challenge._id, entry, timeZoneByUser.get(String(entry.userId)));
+          return { updateOne: { filter: { _id: doc._id }, update: { $setOnInsert: doc }, upsert: true } };
+        }),
+        { ordered: false }
+      );
+      entriesMoved += result.upsertedCount || 0;
+    }
+
+    await Challenge.collection.updateOne({ _id: challenge._id }, { $unset: { userDiaryEntries: '' } });
+    challengesProcessed += 1;
+  }
+
+  console.log(`Challenges processed: ${challengesProcessed}`);
+  console.log(`Diary entries moved: ${entriesMoved}`);
+
+  await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+  console.error('Diary migration failed:', error);
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+/**
+ * One-off migration: moves comments embedded in Challenge.comments (with their
+ * two levels of replies) into the Comment collection and unsets the field.
+ *
+ * Comments keep their _id, so notification links and DiarySearchEntry
+ * documents stay valid. Existing ids are left as they are, so the script is
+ * safe to re-run.
+ *
+ * Reactions are copied as the legacy map; run scripts/migrate-comment-reactions.js
+ * afterwards to move them into CommentReaction.
+ *
+ * Usage: node scripts/migrate-embedded-comments.js
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Challenge = require('../models/Challenge');
+const Comment = require('../models/Comment');
+
+const HAS_EMBEDDED_COMMENTS = { comments: { $exists: true } };
+
+function toCommentDoc(challengeId, entry, { parentId = null, rootId = null, depth = 0 } = {}) {
+  return {
+    _id: entry._id,
+    challengeId,
+    userId: entry.userId,
+    parentId,
+    rootId,
+    depth,
+    text: entry.text || '',
+    imageUrl: entry.imageUrl || null,
+    mentionedUserId: entry.mentionedUserId || null,
+    sharedFromDiary: entry.sharedFromDiary === true,
+    reactions: entry.reactions || {},
+    createdAt: entry.createdAt || new Date()
+  };
+}
+
+function flattenEmbeddedComments(challengeId, comments) {
+  const docs = [];
+
+  for (const comment of comments || []) {
+    if (!comment?._id || !comment.userId) continue;
+    docs.push(toCommentDoc(challengeId, comment));
+
+    for (const reply of comment.replies || []) {
+      if (!reply?._id || !reply.userId) continue;
+      docs.push(toCommentDoc(challengeId, reply, { parentId: comment._id, rootId: comment._id, depth: 1 }));
+
+      for (const nestedReply of reply.replies || []) {
+        if (!nestedReply?._id || !nestedReply.userId) continue;
+        docs.push(toCommentDoc(challengeId, nestedReply, { parentId: reply._id, rootId: comment._id, depth: 2 }));
+      }
+    }
+  }
+
+  return docs;
+}
+
+async function run() {
+  if (!process.env.ATLAS_URI) {
+    console.error('ATLAS_URI is not defined in environment variables');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.ATLAS_URI);
+  await Comment.syncIndexes();
+
+  let challengesProcessed = 0;
+  let commentsMoved = 0;
+
+  // The field is no longer part of the Challenge schema, so work on the raw collection.
+  const cursor = Challenge.collection.find(
+    HAS_EMBEDDED_COMMENTS,
+    { projection: { _id: 1, comments: 1 } }
+  );
+
+  for await (const challenge of cursor) {
+    const docs = flattenEmbeddedComments(challenge._id, challenge.comments);
+
+    if (docs.length > 0) {
+      const result = await Comment.collection.bulkWrite(
+        docs.map((doc) => ({
+          updateOne: { filter: { _id: doc._id }, update: { $setOnInsert: doc }, upsert: true }
+        })),
+        { ordered: false }
+      );
+      commentsMoved += result.upsertedCount || 0;
+    }
+
+    await Challenge.collection.updateOne({ _id: challenge._id }, { $unset: { comments: '' } });
+    challengesProcessed += 1;
+  }
+
+  console.log(`Challenges processed: ${challengesProcessed}`);
+  console.log(`Comments moved: ${commentsMoved}`);
+
+  await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+  console.error('Comment migration failed:', error);
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+/**
+ * One-off migration: moves the legacy single User.pushSubscription into the
+ * PushSubscription collection (one device per user) and unsets the field.
+ *
+ * Endpoints that already exist in the collection are left as they are, so the
+ * script is safe to re-run.
+ *
+ * Usage: node scripts/migrate-push-subscriptions.js
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const PushSubscription = require('../models/PushSubscription');
+
+const HAS_LEGACY_SUBSCRIPTION = { pushSubscription: { $exists: true } };
+
+async function run() {
+  if (!process.env.ATLAS_URI) {
+    console.error('ATLAS_URI is not defined in environment variables');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.ATLAS_URI);
+  await PushSubscription.syncIndexes();
+
+  let usersProcessed = 0;
+  let subscriptionsMoved = 0;
+
+  // The field is no longer part of the User schema, so work on the raw collection.
+  const cursor = User.collection.find(
+    HAS_LEGACY_SUBSCRIPTION,
+    { projection: { _id: 1, pushSubscription: 1 } }
+  );
+
+  for await (const user of cursor) {
+    const legacy = user.pushSubscription;
+
+    if (legacy?.endpoint && legacy.keys?.p256dh && legacy.keys?.auth) {
+      const result = await PushSubscription.updateOne(
+        { endpoint: legacy.endpoint },
+        {
+          $setOnInsert: {
+            userId: user._id,
+            endpoint: legacy.endpoint,
+            keys: { p256dh: legacy.keys.p256dh, auth: legacy.keys.auth },
+            deviceLabel: 'Migrated device'
+          }
+        },
+        { upsert: true }
+      );
+      subscriptionsMoved += result.upsertedCount || 0;
+    }
+
+    await User.collection.updateOne({ _id: user._id }, { $unset: { pushSubscription: '' } });
+    usersProcessed += 1;
+  }
+
+  console.log(`Users processed: ${usersProcessed}`);
+  console.log(`Push subscriptions moved: ${subscriptionsMoved}`);
+
+  await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+  console.error('Push subscription migration failed:', error);
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
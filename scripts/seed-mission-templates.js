@@ -0,0 +1,47 @@
+/**
+ * Upserts the curated templates from constants/missionTemplates.js by slug.
+ * usageCount is never overwritten, so the script is safe to re-run.
+ *
+ * Usage: node scripts/seed-mission-templates.js
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const MissionTemplate = require('../models/MissionTemplate');
+const { MISSION_TEMPLATES } = require('../constants/missionTemplates');
+
+async function run() {
+  if (!process.env.ATLAS_URI) {
+    console.error('ATLAS_URI is not defined in environment variables');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.ATLAS_URI);
+  await MissionTemplate.syncIndexes();
+
+  let upserted = 0;
+  let updated = 0;
+
+  for (const template of MISSION_TEMPLATES) {
+    const result = await MissionTemplate.updateOne(
+      { slug: template.slug },
+      {
+        $set: { isPublished: true, ...template },
+        $setOnInsert: { usageCount: 0 }
+      },
+      { upsert: true, runValidators: true }
+    );
+
+    if (result.upsertedCount > 0) upserted += 1;
+    else if (result.modifiedCount > 0) updated += 1;
+  }
+
+  console.log(`Templates: ${MISSION_TEMPLATES.length}, created: ${upserted}, updated: ${updated}`);
+  await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+  console.error('Seeding mission templates failed:', error);
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
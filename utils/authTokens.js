@@ -0,0 +1,54 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not defined in environment variables');
+  }
+  return secret;
+}
+
+function signAccessToken(user, sessionId = null) {
+  const payload = { id: user._id, name: user.name };
+  if (sessionId) {
+    payload.sid = String(sessionId);
+  }
+  return jwt.sign(payload, getJwtSecret(), { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+}
+
+function isSessionActive(sessionId) {
+  return Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+}
+
+/**
+ * Callback-style verification shared by the auth middlewares. A missing secret
+ * is reported as a verification error so requests fail closed. Tokens bound to
+ * a session (`sid`) stop working as soon as that session is revoked or expires.
+ */
+function verifyAccessToken(token, callback) {
+  let secret;
+  try {
+    secret = getJwtSecret();
+  } catch (error) {
+    return callback(error);
+  }
+
+  return jwt.verify(token, secret, (err, payload) => {
+    if (err) return callback(err);
+    if (!payload?.sid) return callback(null, payload);
+
+    isSessionActive(payload.sid)
+      .then((active) => (active ? callback(null, payload) : callback(new Error('Session revoked'))))
+      .catch(callback);
+  });
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  getJwtSecret,
+  signAccessToken,
+  verifyAccessToken
+};
@@ -121,20 +121,24 @@ async function enrichChallengesWithWatchState(challenges, viewerUserId, UserMode
 
 /**
  * Returns the most popular active public habit challenge (main ritual), or null.
+ * Pass `category` to pick the main ritual within one category.
  * Uses aggregation so only one document is loaded with full population.
  */
-async function findMainRitualChallenge(ChallengeModel, { today = new Date() } = {}) {
+async function findMainRitualChallenge(ChallengeModel, { today = new Date(), category } = {}) {
   const dayStart = new Date(today);
   dayStart.setHours(0, 0, 0, 0);
 
+  const match = {
+    challengeType: 'habit',
+    privacy: { $ne: 'private' },
+    endDate: { $gte: dayStart }
+  };
+  if (category) {
+    match.category = buildCategoryMatch([category]);
+  }
+
   const [top] = await ChallengeModel.aggregate([
-    {
-      $match: {
-        challengeType: 'habit',
-        privacy: { $ne: 'private' },
-        endDate: { $gte: dayStart }
-      }
-    },
+    { $match: match },
     {
       $addFields: {
         participantCount: { $size: { $ifNull: ['$participants', []] } }
@@ -155,28 +159,15 @@ async function findMainRitualChallenge(ChallengeModel, { today = new Date() } =
 }
 
 const { normalizeDateLikeToYmd } = require('./dateHelpers');
-
-function countScheduledMissionDays(startDate, endDate, frequency = 'daily') {
-  const startKey = normalizeDateLikeToYmd(startDate);
-  const endKey = normalizeDateLikeToYmd(endDate);
-  if (!startKey || !endKey) return 0;
-
-  const start = new Date(`${startKey}T00:00:00Z`);
-  const end = new Date(`${endKey}T00:00:00Z`);
-  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) return 0;
-
-  let count = 0;
-  const current = new Date(start);
-  let dayIndex = 0;
-
-  while (current <= end) {
-    const isScheduled = frequency !== 'everyOtherDay' || (dayIndex % 2 === 0);
-    if (isScheduled) count += 1;
-    current.setUTCDate(current.getUTCDate() + 1);
-    dayIndex += 1;
-  }
-
-  return count;
+const { buildCategoryMatch } = require('./missionTaxonomy');
+const {
+  isDateInHabitSchedule,
+  countScheduledHabitDays,
+  countFulfilledHabitDays
+} = require('./habitSchedule');
+
+function countScheduledMissionDays(startDate, endDate, frequency = 'daily', schedule = null) {
+  return countScheduledHabitDays({ startDate, endDate, frequency, schedule });
 }
 
 const MS_PER_DAY = 1000 * 60 * 60 * 24;
@@ -232,35 +223,16 @@ function appendUniqueParticipantDay(participant, field, dateStr) {
 }
 
 function isDateScheduledForChallenge(challenge, dateStr) {
-  const startKey = normalizeDateLikeToYmd(challenge?.startDate);
-  const endKey = normalizeDateLikeToYmd(challenge?.endDate);
-  const key = normalizeDateLikeToYmd(dateStr);
-  if (!startKey || !endKey || !key) return false;
-  if (key < startKey || key > endKey) return false;
-
-  if (challenge.frequency !== 'everyOtherDay') {
-    return true;
-  }
-
-  const start = new Date(`${startKey}T00:00:00Z`);
-  const current = new Date(`${key}T00:00:00Z`);
-  const diffDays = Math.floor((current.getTime() - start.getTime()) / MS_PER_DAY);
-  return diffDays % 2 === 0;
+  return isDateInHabitSchedule(challenge, dateStr);
 }
 
 function isHabitChallengeCompleted(challenge, participant) {
   if (!challenge || !participant) return false;
 
-  const totalScheduled = countScheduledMissionDays(
-    challenge.startDate,
-    challenge.endDate,
-    challenge.frequency
-  );
+  const totalScheduled = countScheduledHabitDays(challenge);
   if (totalScheduled <= 0) return false;
 
-  const completedDayKeys = new Set(getParticipantEffectiveDays(participant));
-
-  return completedDayKeys.size >= totalScheduled;
+  return countFulfilledHabitDays(challenge, participant) >= totalScheduled;
 }
 
 function isPastEndDate(endDate) {
@@ -327,13 +299,53 @@ function findChallengeParticipant(challenge, userId) {
   }) || null;
 }
 
+function getQuestMode(challenge) {
+  return challenge?.questMode === 'shared' ? 'shared' : 'individual';
+}
+
+/**
+ * True when `userId`'s quest progress is the challenge-level actions[].checked:
+ * always in shared quests, and for the owner in individual quests.
+ */
+function usesChallengeActionState(challenge, userId) {
+  if (getQuestMode(challenge) === 'shared') return true;
+  const ownerId = challenge?.owner?._id || challenge?.owner;
+  return !!ownerId && !!userId && ownerId.toString() === userId.toString();
+}
+
+/**
+ * Plain copy of the quest actions with `checked` reflecting what `userId` has
+ * done, so the action-tree helpers above work per member.
+ */
+function buildParticipantActionTree(challenge, userId) {
+  const actions = (challenge?.actions || []).map((action) => (
+    typeof action.toObject === 'function' ? action.toObject() : { ...action }
+  ));
+
+  if (usesChallengeActionState(challenge, userId)) {
+    return actions;
+  }
+
+  const participant = findChallengeParticipant(challenge, userId);
+  const checkedIds = new Set((participant?.checkedActionIds || []).map(String));
+
+  return actions.map((action) => ({
+    ...action,
+    checked: checkedIds.has(String(action._id)),
+    children: (action.children || []).map((child) => ({
+      ...child,
+      checked: checkedIds.has(String(child._id))
+    }))
+  }));
+}
+
 function isChallengeSuccessful(challenge, userId) {
   if (!isChallengeFinished(challenge)) {
     return false;
   }
 
   if (challenge.challengeType === 'result') {
-    return isResultChallengeCompleted(challenge.actions);
+    return isResultChallengeCompleted(buildParticipantActionTree(challenge, userId));
   }
 
   if (challenge.challengeType === 'habit') {
@@ -362,6 +374,10 @@ function resetActionsChecked(actions) {
 
   for (const action of actions) {
     action.checked = false;
+    action.claimedBy = null;
+    action.claimedAt = null;
+    action.completedBy = null;
+    action.completedAt = null;
     if (Array.isArray(action.children)) {
       for (const child of action.children) {
         child.checked = false;
@@ -384,6 +400,9 @@ module.exports = {
   isMissionFinishedForCommentSparks,
   isChallengeSuccessful,
   findChallengeParticipant,
+  getQuestMode,
+  usesChallengeActionState,
+  buildParticipantActionTree,
   getInclusiveDaysBetween,
   resetActionsChecked,
   getParticipantDayKeys,
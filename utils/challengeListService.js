@@ -0,0 +1,343 @@
+const mongoose = require('mongoose');
+const { buildTaxonomyQuery, parseListQueryParam } = require('./missionTaxonomy');
+
+// Result quest is done when it has actions and every action and sub-action is checked.
+const ACTIONS_DONE_EXPR = {
+  $and: [
+    { $gt: [{ $size: { $ifNull: ['$actions', []] } }, 0] },
+    {
+      $allElementsTrue: [{
+        $map: {
+          input: { $ifNull: ['$actions', []] },
+          as: 'action',
+          in: {
+            $and: [
+              { $eq: ['$$action.checked', true] },
+              {
+                $allElementsTrue: [{
+                  $map: {
+                    input: { $ifNull: ['$$action.children', []] },
+                    as: 'child',
+                    in: { $eq: ['$$child.checked', true] }
+                  }
+                }]
+              }
+            ]
+          }
+        }
+      }]
+    }
+  ]
+};
+
+/** Server-local midnight boundaries the list filters compare against. */
+function getListDayBounds(now = new Date()) {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  const shift = (days) => {
+    const date = new Date(today);
+    date.setDate(date.getDate() + days);
+    return date;
+  };
+
+  return { today, tomorrow: shift(1), weekAgo: shift(-7), monthAgo: shift(-30) };
+}
+
+function toObjectIdOrNull(value) {
+  return mongoose.Types.ObjectId.isValid(value) ? new mongoose.Types.ObjectId(String(value)) : null;
+}
+
+/**
+ * Index-friendly filters on stored fields: type, title, owner, privacy,
+ * taxonomy and the date windows of the activity filter.
+ */
+function buildBaseMatch(filters, bounds, { ignoreCategory = false } = {}) {
+  const { type, title, owner, createdBy, activity } = filters;
+  const match = { privacy: { $ne: 'private' } };
+
+  if (type === 'habit' || type === 'result') {
+    match.challengeType = type;
+  }
+  if (title && title.trim()) {
+    match.title = { $regex: title.trim(), $options: 'i' };
+  }
+  if (owner || createdBy) {
+    const ownerId = toObjectIdOrNull(owner || createdBy);
+    match.owner = ownerId || { $in: [] };
+  }
+
+  Object.assign(match, buildTaxonomyQuery({
+    categories: ignoreCategory ? [] : parseListQueryParam(filters.category),
+    tags: parseListQueryParam(filters.tags ?? filters.tag)
+  }));
+
+  // Any activity value requires both dates; active/upcoming are plain date windows
+  if (activity === 'active') {
+    match.startDate = { $lt: bounds.tomorrow };
+    match.endDate = { $gte: bounds.today };
+  } else if (activity === 'upcoming') {
+    match.startDate = { $gte: bounds.tomorrow };
+    match.endDate = { $type: 'date' };
+  } else if (activity) {
+    match.startDate = { $type: 'date' };
+    match.endDate = { $type: 'date' };
+  }
+
+  return match;
+}
+
+function buildCreationDateCondition(creationDate, bounds) {
+  if (creationDate === 'today') {
+    return { createdRef: { $gte: bounds.today, $lt: bounds.tomorrow } };
+  }
+  if (creationDate === 'week') {
+    return { createdRef: { $gte: bounds.weekAgo, $lt: bounds.tomorrow } };
+  }
+  if (creationDate === 'month') {
+    return { createdRef: { $gte: bounds.monthAgo, $lt: bounds.tomorrow } };
+  }
+  if (creationDate === 'older') {
+    return { createdRef: { $lt: bounds.monthAgo } };
+  }
+  return { createdRef: { $type: 'date' } };
+}
+
+/** Filters on the values computed by the $project stage (completion, participant count, created date). */
+function buildComputedMatch(filters, bounds) {
+  const { activity, isCompleted, participants, creationDate } = filters;
+  const conditions = [];
+
+  if (activity === 'finished') {
+    conditions.push({ isCompleted: true });
+  }
+
+  // Completed missions are hidden unless isCompleted is 'true' (only completed) or 'all'.
+  // This also covers the legacy excludeFinished=true flag.
+  if (isCompleted === undefined) {
+    conditions.push({ isCompleted: false });
+  } else if (isCompleted !== 'all') {
+    conditions.push({ isCompleted: isCompleted === 'true' || isCompleted === true });
+  }
+
+  if (participants === '0') {
+    conditions.push({ participantCount: 0 });
+  } else if (participants === '1-5') {
+    conditions.push({ participantCount: { $gte: 1, $lte: 5 } });
+  } else if (participants === '6+') {
+    conditions.push({ participantCount: { $gte: 6 } });
+  }
+
+  if (creationDate) {
+    conditions.push(buildCreationDateCondition(creationDate, bounds));
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+}
+
+/**
+ * Stages shared by the list and facets routes: matches public missions and
+ * projects each to the small set of fields the filters and sort need.
+ */
+function buildChallengeFilterStages(filters = {}, { now = new Date(), ignoreCategory = false } = {}) {
+  const bounds = getListDayBounds(now);
+
+  return [
+    { $match: buildBaseMatch(filters, bounds, { ignoreCategory }) },
+    {
+      $project: {
+        createdAt: { $ifNull: ['$createdAt', null] },
+        createdRef: { $ifNull: ['$createdAt', '$startDate'] },
+        category: 1,
+        tags: 1,
+        participantCount: { $size: { $ifNull: ['$participants', []] } },
+        isCompleted: {
+          $or: [
+            {
+              $and: [
+                { $eq: [{ $type: '$endDate' }, 'date'] },
+                { $lt: ['$endDate', bounds.today] }
+              ]
+            },
+            { $and: [{ $eq: ['$challengeType', 'result'] }, ACTIONS_DONE_EXPR] }
+          ]
+        }
+      }
+    },
+    { $match: buildComputedMatch(filters, bounds) }
+  ];
+}
+
+/** Sort keys in priority order; newest first, by participant count when `popularity` is set. */
+function getListSortKeys(popularity) {
+  const keys = [];
+  if (popularity === 'most') keys.push(['participantCount', -1]);
+  if (popularity === 'least') keys.push(['participantCount', 1]);
+  keys.push(['createdAt', -1], ['_id', -1]);
+  return keys;
+}
+
+function encodeListCursor(item, popularity) {
+  const payload = {
+    t: item.createdAt ? new Date(item.createdAt).toISOString() : null,
+    id: String(item._id)
+  };
+  if (popularity === 'most' || popularity === 'least') {
+    payload.p = item.participantCount;
+  }
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/** Returns the decoded sort values, or null when the cursor is malformed. */
+function decodeListCursor(cursor, popularity) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const id = toObjectIdOrNull(payload?.id);
+    const createdAt = payload?.t === null ? null : new Date(payload?.t);
+    if (!id || (createdAt && Number.isNaN(createdAt.getTime()))) return null;
+
+    const values = { createdAt, _id: id };
+    if (popularity === 'most' || popularity === 'least') {
+      if (!Number.isInteger(payload.p)) return null;
+      values.participantCount = payload.p;
+    }
+    return values;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keyset condition for "after the cursor" in the given sort order. Uses $expr
+ * so missing dates compare as null, matching how $sort orders them.
+ */
+function buildCursorMatch(sortKeys, cursorValues) {
+  const branches = sortKeys.map(([field, direction], index) => {
+    const equalPrefix = sortKeys
+      .slice(0, index)
+      .map(([prevField]) => ({ $eq: [`$${prevField}`, cursorValues[prevField]] }));
+    const comparison = { [direction === -1 ? '$lt' : '$gt']: [`$${field}`, cursorValues[field]] };
+    return { $and: [...equalPrefix, comparison] };
+  });
+
+  return { $match: { $expr: { $or: branches } } };
+}
+
+/**
+ * Keyset condition on the stored fields for the default newest-first order, as
+ * a plain query so the { privacy, createdAt, _id } index serves it. Missions
+ * without createdAt sort last.
+ */
+function buildStoredCursorMatch(cursorValues) {
+  const { createdAt, _id: id } = cursorValues;
+  if (!createdAt) {
+    return { $match: { createdAt: null, _id: { $lt: id } } };
+  }
+  return {
+    $match: {
+      $or: [
+        { createdAt: { $lt: createdAt } },
+        { createdAt, _id: { $lt: id } },
+        { createdAt: null }
+      ]
+    }
+  };
+}
+
+/**
+ * The default order sorts (and applies the cursor) on stored fields before the
+ * $project, so it can use the index; popularity sorts on the computed count.
+ * Cursor pages skip the total and resolve to the items directly.
+ */
+function buildChallengeListPipeline(filters = {}, { now = new Date(), skip = 0, limit = 20, cursorValues = null } = {}) {
+  const sortKeys = getListSortKeys(filters.popularity);
+  const sortStage = { $sort: Object.fromEntries(sortKeys) };
+  const [baseMatch, projectStage, computedMatch] = buildChallengeFilterStages(filters, { now });
+  const sortsOnStoredFields = filters.popularity !== 'most' && filters.popularity !== 'least';
+
+  const stages = [baseMatch];
+  const pageStages = [];
+
+  if (sortsOnStoredFields) {
+    stages.push(sortStage);
+    if (cursorValues) stages.push(buildStoredCursorMatch(cursorValues));
+    stages.push(projectStage, computedMatch);
+  } else {
+    stages.push(projectStage, computedMatch);
+    pageStages.push(sortStage);
+    if (cursorValues) pageStages.push(buildCursorMatch(sortKeys, cursorValues));
+  }
+
+  if (!cursorValues && skip > 0) {
+    pageStages.push({ $skip: skip });
+  }
+  pageStages.push({ $limit: limit + 1 });
+
+  if (cursorValues) {
+    return [...stages, ...pageStages];
+  }
+  return [
+    ...stages,
+    {
+      $facet: {
+        metadata: [{ $count: 'total' }],
+        items: pageStages
+      }
+    }
+  ];
+}
+
+/**
+ * One page of GET /api/challenges. Filtering, sorting and paging run in the
+ * aggregation; only the ids of the page are then loaded with populates.
+ * Resolves to null when `cursor` is malformed.
+ */
+async function fetchChallengeListPage(ChallengeModel, filters = {}, { page, limit, cursor, now = new Date() } = {}) {
+  const safeLimit = Math.max(1, parseInt(limit, 10) || 20);
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+
+  let cursorValues = null;
+  if (cursor) {
+    cursorValues = decodeListCursor(cursor, filters.popularity);
+    if (!cursorValues) return null;
+  }
+
+  const skip = cursorValues ? 0 : (safePage - 1) * safeLimit;
+  const rows = await ChallengeModel.aggregate(
+    buildChallengeListPipeline(filters, { now, skip, limit: safeLimit, cursorValues })
+  );
+
+  const pageItems = cursorValues ? rows : rows[0]?.items || [];
+  const total = cursorValues ? null : rows[0]?.metadata?.[0]?.total || 0;
+  const items = pageItems.slice(0, safeLimit);
+  const hasMore = pageItems.length > safeLimit;
+  const lastItem = items[items.length - 1];
+
+  const ids = items.map((item) => item._id);
+  const docs = ids.length > 0
+    ? await ChallengeModel.find({ _id: { $in: ids } })
+      .populate('owner', 'name avatarUrl')
+      .populate('participants.userId', 'name avatarUrl')
+    : [];
+  const docsById = new Map(docs.map((doc) => [String(doc._id), doc]));
+
+  return {
+    challenges: ids.map((id) => docsById.get(String(id))).filter(Boolean),
+    pagination: {
+      page: cursorValues ? null : safePage,
+      limit: safeLimit,
+      total,
+      hasMore,
+      nextCursor: hasMore && lastItem ? encodeListCursor(lastItem, filters.popularity) : null
+    }
+  };
+}
+
+module.exports = {
+  getListDayBounds,
+  buildChallengeFilterStages,
+  buildChallengeListPipeline,
+  encodeListCursor,
+  decodeListCursor,
+  fetchChallengeListPage
+};
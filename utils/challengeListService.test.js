@@ -0,0 +1,374 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const {
+  buildChallengeFilterStages,
+  buildChallengeListPipeline,
+  decodeListCursor,
+  encodeListCursor
+} = require('./challengeListService');
+
+// Runs the list pipelines against in-memory fixtures and compares them with the
+// filter semantics GET /api/challenges had when it filtered in JavaScript.
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2025, 5, 15, 14, 30);
+const TODAY = new Date(2025, 5, 15);
+const OWNER_A = new mongoose.Types.ObjectId();
+const OWNER_B = new mongoose.Types.ObjectId();
+
+function daysFromToday(days, hours = 9) {
+  const date = new Date(TODAY);
+  date.setDate(date.getDate() + days);
+  date.setHours(hours);
+  return date;
+}
+
+function participantsOf(count) {
+  return Array.from({ length: count }, () => ({ userId: new mongoose.Types.ObjectId() }));
+}
+
+// --- Minimal aggregation evaluator for the operators the pipelines use ---
+
+function typeRank(value) {
+  if (value === null || value === undefined) return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  if (value instanceof mongoose.Types.ObjectId) return 7;
+  if (typeof value === 'boolean') return 8;
+  if (value instanceof Date) return 9;
+  return 4;
+}
+
+function compareValues(a, b) {
+  const rankDiff = typeRank(a) - typeRank(b);
+  if (rankDiff !== 0) return rankDiff;
+  if (a === null || a === undefined) return 0;
+  const left = a instanceof Date ? a.getTime() : String(a);
+  const right = b instanceof Date ? b.getTime() : String(b);
+  if (typeof a === 'number' || typeof a === 'boolean') return Number(a) - Number(b);
+  if (a instanceof Date) return left - right;
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function bsonType(value) {
+  if (value === undefined) return 'missing';
+  if (value === null) return 'null';
+  if (value instanceof Date) return 'date';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function evalExpr(expr, doc, vars = {}) {
+  if (typeof expr === 'string' && expr.startsWith('$$')) {
+    const [name, ...path] = expr.slice(2).split('.');
+    return path.reduce((value, key) => value?.[key], vars[name]);
+  }
+  if (typeof expr === 'string' && expr.startsWith('$')) return doc[expr.slice(1)];
+  if (!expr || typeof expr !== 'object' || expr instanceof Date || expr instanceof mongoose.Types.ObjectId) {
+    return expr;
+  }
+
+  const [op] = Object.keys(expr);
+  const args = expr[op];
+  const evalArg = (arg) => evalExpr(arg, doc, vars);
+
+  switch (op) {
+    case '$ifNull': {
+      const value = evalArg(args[0]);
+      return value === null || value === undefined ? evalArg(args[1]) : value;
+    }
+    case '$size': return evalArg(args).length;
+    case '$type': return bsonType(evalArg(args));
+    case '$and': return args.every((arg) => Boolean(evalArg(arg)));
+    case '$or': return args.some((arg) => Boolean(evalArg(arg)));
+    case '$eq': return compareValues(evalArg(args[0]), evalArg(args[1])) === 0;
+    case '$lt': return compareValues(evalArg(args[0]), evalArg(args[1])) < 0;
+    case '$gt': return compareValues(evalArg(args[0]), evalArg(args[1])) > 0;
+    case '$allElementsTrue': return evalArg(args[0]).every(Boolean);
+    case '$map':
+      return evalArg(args.input).map((item) => evalExpr(args.in, doc, { ...vars, [args.as]: item }));
+    default: throw new Error(`Unsupported expression ${op}`);
+  }
+}
+
+function matchesCondition(value, condition) {
+  const isOperatorObject = condition && typeof condition === 'object'
+    && !(condition instanceof Date) && !(condition instanceof mongoose.Types.ObjectId)
+    && Object.keys(condition).every((key) => key.startsWith('$'));
+
+  if (!isOperatorObject) {
+    if (Array.isArray(value)) return value.some((item) => compareValues(item, condition) === 0);
+    return compareValues(value ?? null, condition) === 0;
+  }
+
+  return Object.entries(condition).every(([op, operand]) => {
+    const sameType = value !== undefined && value !== null && typeRank(value) === typeRank(operand);
+    switch (op) {
+      case '$ne': return !matchesCondition(value, operand);
+      case '$in': return operand.some((item) => matchesCondition(value, item));
+      case '$all': return operand.every((item) => (value || []).includes(item));
+      case '$regex': return typeof value === 'string' && new RegExp(operand, condition.$options).test(value);
+      case '$options': return true;
+      case '$type': return bsonType(value) === operand;
+      case '$lt': return sameType && compareValues(value, operand) < 0;
+      case '$lte': return sameType && compareValues(value, operand) <= 0;
+      case '$gt': return sameType && compareValues(value, operand) > 0;
+      case '$gte': return sameType && compareValues(value, operand) >= 0;
+      default: throw new Error(`Unsupported query operator ${op}`);
+    }
+  });
+}
+
+function matchesQuery(doc, query) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$and') return condition.every((part) => matchesQuery(doc, part));
+    if (key === '$or') return condition.some((part) => matchesQuery(doc, part));
+    if (key === '$expr') return Boolean(evalExpr(condition, doc));
+    return matchesCondition(doc[key], condition);
+  });
+}
+
+function runPipeline(docs, pipeline) {
+  return pipeline.reduce((current, stage) => {
+    const [name] = Object.keys(stage);
+    const spec = stage[name];
+
+    switch (name) {
+      case '$match': return current.filter((doc) => matchesQuery(doc, spec));
+      case '$project':
+        return current.map((doc) => {
+          const projected = { _id: doc._id };
+          for (const [field, value] of Object.entries(spec)) {
+            projected[field] = value === 1 ? doc[field] : evalExpr(value, doc);
+          }
+          return projected;
+        });
+      case '$sort':
+        return [...current].sort((a, b) => {
+          for (const [field, direction] of Object.entries(spec)) {
+            const diff = compareValues(a[field], b[field]);
+            if (diff !== 0) return diff * direction;
+          }
+          return 0;
+        });
+      case '$skip': return current.slice(spec);
+      case '$limit': return current.slice(0, spec);
+      case '$count': return current.length > 0 ? [{ [spec]: current.length }] : [];
+      case '$facet':
+        return [Object.fromEntries(
+          Object.entries(spec).map(([field, stages]) => [field, runPipeline(current, stages)])
+        )];
+      default: throw new Error(`Unsupported stage ${name}`);
+    }
+  }, docs);
+}
+
+// --- Reference: the JavaScript filtering GET /api/challenges used before ---
+
+function legacyIsCompleted(challenge, today) {
+  if (challenge.endDate) {
+    const endDate = new Date(challenge.endDate);
+    endDate.setHours(0, 0, 0, 0);
+    if (endDate < today) return true;
+  }
+  if (challenge.challengeType === 'result') {
+    if (!Array.isArray(challenge.actions) || challenge.actions.length === 0) return false;
+    return challenge.actions.every((action) => action.checked
+      && (action.children || []).every((child) => child.checked));
+  }
+  return false;
+}
+
+function legacyFilter(challenges, query, today) {
+  const { excludeFinished, type, activity, participants, creationDate, title, owner, popularity, isCompleted } = query;
+
+  let result = challenges
+    .filter((challenge) => challenge.privacy !== 'private')
+    .filter((challenge) => !(type === 'habit' || type === 'result') || challenge.challengeType === type)
+    .filter((challenge) => !title || new RegExp(title.trim(), 'i').test(challenge.title))
+    .filter((challenge) => !owner || String(challenge.owner) === String(owner))
+    .sort((a, b) => compareValues(b.createdAt ?? null, a.createdAt ?? null)
+      || compareValues(b._id, a._id));
+
+  if (activity) {
+    result = result.filter((challenge) => {
+      if (!challenge.startDate || !challenge.endDate) return false;
+      const startDate = new Date(challenge.startDate);
+      startDate.setHours(0, 0, 0, 0);
+      const endDate = new Date(challenge.endDate);
+      endDate.setHours(0, 0, 0, 0);
+      if (activity === 'active') return startDate <= today && endDate >= today;
+      if (activity === 'finished') return legacyIsCompleted(challenge, today);
+      if (activity === 'upcoming') return startDate > today;
+      return true;
+    });
+  }
+
+  if (isCompleted !== undefined && isCompleted !== 'all') {
+    const includeCompleted = isCompleted === 'true';
+    result = result.filter((challenge) => legacyIsCompleted(challenge, today) === includeCompleted);
+  } else if (isCompleted === undefined) {
+    result = result.filter((challenge) => !legacyIsCompleted(challenge, today));
+  }
+
+  if (excludeFinished === 'true' && !activity && isCompleted === undefined) {
+    result = result.filter((challenge) => !legacyIsCompleted(challenge, today));
+  }
+
+  if (participants) {
+    result = result.filter((challenge) => {
+      const count = (challenge.participants || []).length;
+      if (participants === '0') return count === 0;
+      if (participants === '1-5') return count >= 1 && count <= 5;
+      if (participants === '6+') return count >= 6;
+      return true;
+    });
+  }
+
+  if (creationDate) {
+    result = result.filter((challenge) => {
+      const value = challenge.createdAt || challenge.startDate;
+      if (!value) return false;
+      const created = new Date(value);
+      created.setHours(0, 0, 0, 0);
+      const daysDiff = Math.floor((today - created) / DAY);
+      if (creationDate === 'today') return daysDiff === 0;
+      if (creationDate === 'week') return daysDiff >= 0 && daysDiff <= 7;
+      if (creationDate === 'month') return daysDiff >= 0 && daysDiff <= 30;
+      if (creationDate === 'older') return daysDiff > 30;
+      return true;
+    });
+  }
+
+  const countOf = (challenge) => (challenge.participants || []).length;
+  if (popularity === 'most') result.sort((a, b) => countOf(b) - countOf(a));
+  if (popularity === 'least') result.sort((a, b) => countOf(a) - countOf(b));
+
+  return result;
+}
+
+// --- Fixtures ---
+
+const checkedActions = [{ checked: true, children: [{ checked: true }] }, { checked: true, children: [] }];
+const openActions = [{ checked: true, children: [{ checked: false }] }];
+
+const fixtures = [
+  { title: 'Morning run', challengeType: 'habit', startDate: daysFromToday(-3), endDate: daysFromToday(10), createdAt: daysFromToday(-3), participants: participantsOf(3) },
+  { title: 'Read books', challengeType: 'habit', startDate: daysFromToday(-40), endDate: daysFromToday(-1), createdAt: daysFromToday(-40), participants: participantsOf(7) },
+  { title: 'Launch site', challengeType: 'result', startDate: daysFromToday(-5), endDate: daysFromToday(20), createdAt: daysFromToday(-5), participants: participantsOf(1), actions: checkedActions },
+  { title: 'Write novel', challengeType: 'result', startDate: daysFromToday(-2), endDate: daysFromToday(30), createdAt: daysFromToday(0, 8), participants: participantsOf(2), actions: openActions },
+  { title: 'Empty quest', challengeType: 'result', startDate: daysFromToday(0, 0), endDate: daysFromToday(0, 23), createdAt: daysFromToday(0, 10), participants: [], actions: [] },
+  { title: 'Future swim', challengeType: 'habit', startDate: daysFromToday(1, 0), endDate: daysFromToday(15), createdAt: daysFromToday(-8), participants: participantsOf(6) },
+  { title: 'Legacy walk', challengeType: 'habit', startDate: daysFromToday(-60), endDate: daysFromToday(5), participants: participantsOf(2) },
+  { title: 'Secret diet', challengeType: 'habit', privacy: 'private', startDate: daysFromToday(-1), endDate: daysFromToday(5), createdAt: daysFromToday(-1), participants: participantsOf(1) },
+  { title: 'Ends today', challengeType: 'habit', startDate: daysFromToday(-7), endDate: daysFromToday(0, 0), createdAt: daysFromToday(-7), participants: participantsOf(3) },
+  { title: 'Month old', challengeType: 'habit', startDate: daysFromToday(-30), endDate: daysFromToday(3), createdAt: daysFromToday(-30), participants: participantsOf(3) }
+].map((fixture, index) => ({
+  _id: new mongoose.Types.ObjectId(),
+  privacy: 'public',
+  owner: index % 2 === 0 ? OWNER_A : OWNER_B,
+  ...fixture
+}));
+
+const filterValues = {
+  type: [undefined, 'habit', 'result'],
+  activity: [undefined, 'active', 'finished', 'upcoming'],
+  isCompleted: [undefined, 'all', 'true', 'false'],
+  participants: [undefined, '0', '1-5', '6+'],
+  creationDate: [undefined, 'today', 'week', 'month', 'older'],
+  popularity: [undefined, 'most', 'least']
+};
+
+function* filterCombinations(keys = Object.keys(filterValues), base = {}) {
+  if (keys.length === 0) {
+    yield base;
+    return;
+  }
+  const [key, ...rest] = keys;
+  for (const value of filterValues[key]) {
+    yield* filterCombinations(rest, value === undefined ? base : { ...base, [key]: value });
+  }
+}
+
+function listIds(filters, options = {}) {
+  const limit = options.limit || fixtures.length;
+  const rows = runPipeline(fixtures, buildChallengeListPipeline(filters, { now: NOW, limit, ...options }));
+  const items = options.cursorValues ? rows : rows[0].items;
+  return {
+    ids: items.slice(0, limit).map((item) => String(item._id)),
+    items: items.slice(0, limit),
+    hasMore: items.length > limit,
+    total: options.cursorValues ? null : rows[0].metadata[0]?.total || 0
+  };
+}
+
+// Every combination of the filters returns the legacy results in the legacy order.
+let combinations = 0;
+for (const filters of filterCombinations()) {
+  const expected = legacyFilter(fixtures, filters, TODAY).map((challenge) => String(challenge._id));
+  const actual = listIds(filters);
+  assert.deepStrictEqual(actual.ids, expected, `filters ${JSON.stringify(filters)}`);
+  assert.strictEqual(actual.total, expected.length);
+  combinations += 1;
+}
+assert.ok(combinations > 1000);
+
+// Title, owner and the legacy excludeFinished flag
+for (const filters of [
+  { title: 'RUN' },
+  { title: '^w' },
+  { owner: String(OWNER_B) },
+  { createdBy: String(OWNER_A), isCompleted: 'all' },
+  { excludeFinished: 'true' },
+  { excludeFinished: 'true', isCompleted: 'all' }
+]) {
+  const reference = { ...filters, owner: filters.owner || filters.createdBy };
+  const expected = legacyFilter(fixtures, reference, TODAY).map((challenge) => String(challenge._id));
+  assert.deepStrictEqual(listIds(filters).ids, expected, `filters ${JSON.stringify(filters)}`);
+}
+assert.deepStrictEqual(listIds({ owner: 'not-an-id' }).ids, []);
+
+// Offset pages slice the same ordering
+const allIds = listIds({ isCompleted: 'all', popularity: 'most' }).ids;
+const secondPage = listIds({ isCompleted: 'all', popularity: 'most' }, { skip: 3, limit: 3 });
+assert.deepStrictEqual(secondPage.ids, allIds.slice(3, 6));
+assert.strictEqual(secondPage.hasMore, true);
+
+// Walking with cursors visits every mission once, in order, for each sort
+for (const popularity of [undefined, 'most', 'least']) {
+  const filters = { isCompleted: 'all', popularity };
+  const expected = listIds(filters).ids;
+  const visited = [];
+  let cursorValues = null;
+
+  for (let guard = 0; guard < fixtures.length; guard += 1) {
+    const page = listIds(filters, { limit: 2, cursorValues });
+    visited.push(...page.ids);
+    if (!page.hasMore) break;
+    const cursor = encodeListCursor(page.items[page.items.length - 1], popularity);
+    cursorValues = decodeListCursor(cursor, popularity);
+    assert.ok(cursorValues);
+  }
+
+  assert.deepStrictEqual(visited, expected, `cursor walk popularity=${popularity}`);
+}
+
+// The default order sorts and pages on stored fields before the $project
+const defaultCursorPipeline = buildChallengeListPipeline({}, {
+  now: NOW,
+  cursorValues: { createdAt: TODAY, _id: OWNER_A }
+});
+const projectIndex = defaultCursorPipeline.findIndex((stage) => stage.$project);
+assert.ok(defaultCursorPipeline.findIndex((stage) => stage.$sort) < projectIndex);
+assert.ok(defaultCursorPipeline.findIndex((stage) => stage.$match?.$or) < projectIndex);
+assert.ok(defaultCursorPipeline.every((stage) => !stage.$facet));
+
+assert.strictEqual(decodeListCursor('not-a-cursor'), null);
+assert.strictEqual(decodeListCursor(encodeListCursor({ _id: OWNER_A, createdAt: null }), 'most'), null);
+
+// Facets can drop the category filter but keep everything else
+const facetStages = buildChallengeFilterStages({ category: 'fitness', type: 'habit' }, { now: NOW, ignoreCategory: true });
+assert.strictEqual(facetStages[0].$match.category, undefined);
+assert.strictEqual(facetStages[0].$match.challengeType, 'habit');
+
+console.log('challengeListService.test.js: all assertions passed');
@@ -0,0 +1,58 @@
+const { findChallengeParticipant } = require('./challengeHelpers');
+
+const ASSIGNABLE_ROLES = Object.freeze(['co-owner', 'member']);
+
+function toIdString(value) {
+  const id = value?._id || value;
+  return id ? id.toString() : null;
+}
+
+/**
+ * Makes `newOwnerId` the owner (adding them as a participant if needed) and
+ * gives the previous owner `previousOwnerRole` if they are still a participant.
+ * Clears any pending transfer. Caller saves.
+ */
+function applyOwnershipChange(challenge, newOwnerId, { previousOwnerRole = 'co-owner' } = {}) {
+  const previousOwnerId = toIdString(challenge.owner);
+
+  challenge.owner = newOwnerId;
+  challenge.ownershipTransfer = null;
+
+  const previousOwner = previousOwnerId ? findChallengeParticipant(challenge, previousOwnerId) : null;
+  if (previousOwner && previousOwnerId !== String(newOwnerId)) {
+    previousOwner.role = previousOwnerRole;
+  }
+
+  const newOwner = findChallengeParticipant(challenge, newOwnerId);
+  if (newOwner) {
+    newOwner.role = 'owner';
+  } else {
+    challenge.participants.push({ userId: newOwnerId, role: 'owner', completedDays: [], checkedActionIds: [] });
+  }
+}
+
+/**
+ * Who takes over when the owner leaves: the pending transfer recipient, then
+ * the longest-standing co-owner, then the longest-standing member.
+ */
+function pickSuccessorId(challenge, leavingUserId) {
+  const others = (challenge.participants || []).filter((participant) => {
+    const id = toIdString(participant.userId);
+    return id && id !== String(leavingUserId);
+  });
+  if (others.length === 0) return null;
+
+  const pendingRecipientId = toIdString(challenge.ownershipTransfer?.toUserId);
+  const pendingRecipient = others.find((participant) => toIdString(participant.userId) === pendingRecipientId);
+  const successor = pendingRecipient
+    || others.find((participant) => participant.role === 'co-owner')
+    || others[0];
+
+  return toIdString(successor.userId);
+}
+
+module.exports = {
+  ASSIGNABLE_ROLES,
+  applyOwnershipChange,
+  pickSuccessorId
+};
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const { applyOwnershipChange, pickSuccessorId } = require('./challengeOwnership');
+const { getChallengeRole, isChallengeManager, canViewChallenge } = require('../middleware/challengePolicy');
+
+function makeChallenge(participants, extra = {}) {
+  return {
+    owner: 'owner',
+    ownershipTransfer: null,
+    participants: participants.map(([userId, role]) => ({ userId, role, completedDays: [] })),
+    ...extra
+  };
+}
+
+function runTests() {
+  const challenge = makeChallenge([['owner', 'owner'], ['a', 'member'], ['b', 'co-owner']]);
+  assert.strictEqual(getChallengeRole(challenge, 'owner'), 'owner');
+  assert.strictEqual(getChallengeRole(challenge, 'b'), 'co-owner');
+  assert.strictEqual(getChallengeRole(challenge, 'a'), 'member');
+  assert.strictEqual(getChallengeRole(challenge, 'stranger'), null);
+  assert.strictEqual(isChallengeManager(challenge, 'b'), true);
+  assert.strictEqual(isChallengeManager(challenge, 'a'), false);
+
+  // Legacy missions have no roles stored; the owner still comes from challenge.owner
+  const legacy = makeChallenge([['owner', undefined], ['a', undefined]]);
+  assert.strictEqual(getChallengeRole(legacy, 'owner'), 'owner');
+  assert.strictEqual(getChallengeRole(legacy, 'a'), 'member');
+
+  assert.strictEqual(pickSuccessorId(challenge, 'owner'), 'b', 'co-owner before earlier member');
+  assert.strictEqual(
+    pickSuccessorId({ ...challenge, ownershipTransfer: { toUserId: 'a' } }, 'owner'),
+    'a',
+    'pending transfer recipient first'
+  );
+  assert.strictEqual(pickSuccessorId(makeChallenge([['owner', 'owner'], ['a', 'member']]), 'owner'), 'a');
+  assert.strictEqual(pickSuccessorId(makeChallenge([['owner', 'owner']]), 'owner'), null);
+
+  const transferred = makeChallenge([['owner', 'owner'], ['a', 'member']], { ownershipTransfer: { toUserId: 'a' } });
+  applyOwnershipChange(transferred, 'a');
+  assert.strictEqual(transferred.owner, 'a');
+  assert.strictEqual(transferred.ownershipTransfer, null);
+  assert.strictEqual(getChallengeRole(transferred, 'a'), 'owner');
+  assert.strictEqual(getChallengeRole(transferred, 'owner'), 'co-owner');
+
+  const leaving = makeChallenge([['a', 'member']]);
+  applyOwnershipChange(leaving, 'a', { previousOwnerRole: 'member' });
+  assert.strictEqual(leaving.participants[0].role, 'owner');
+
+  const hidden = makeChallenge([['owner', 'owner'], ['a', 'member']], { privacy: 'private' });
+  assert.strictEqual(canViewChallenge(hidden, 'owner'), true);
+  assert.strictEqual(canViewChallenge(hidden, 'a'), true);
+  assert.strictEqual(canViewChallenge(hidden, 'stranger'), false);
+  assert.strictEqual(canViewChallenge(hidden, null), false);
+  assert.strictEqual(canViewChallenge(makeChallenge([['owner', 'owner']]), null), true);
+  assert.strictEqual(canViewChallenge(null, 'owner'), false);
+
+  console.log('challengeOwnership.test.js: all assertions passed');
+}
+
+runTests();
@@ -0,0 +1,81 @@
+const Comment = require('../models/Comment');
+const CommentReport = require('../models/CommentReport');
+const {
+  COMMENT_REPORT_REASONS,
+  COMMENT_REPORT_HIDE_THRESHOLD,
+  MAX_REPORT_DETAILS_LENGTH
+} = require('../constants/commentModeration');
+
+/** Validates `{ reason, details }` from the report body. */
+function parseReportInput(body = {}) {
+  const reason = String(body.reason || '').trim();
+  if (!COMMENT_REPORT_REASONS.includes(reason)) {
+    return { error: `reason must be one of: ${COMMENT_REPORT_REASONS.join(', ')}` };
+  }
+
+  const details = body.details ? String(body.details).trim() : '';
+  if (details.length > MAX_REPORT_DETAILS_LENGTH) {
+    return { error: `details must be at most ${MAX_REPORT_DETAILS_LENGTH} characters` };
+  }
+
+  return { reason, details };
+}
+
+/**
+ * Queues a report for review and counts it on the comment, hiding the comment
+ * once COMMENT_REPORT_HIDE_THRESHOLD users have reported it. Resolves to
+ * `{ duplicate: true }` if this user already reported the comment.
+ */
+async function reportComment(comment, { reporterId, reason, details }) {
+  try {
+    await CommentReport.create({
+      commentId: comment._id,
+      challengeId: comment.challengeId,
+      reporterId,
+      reason,
+      details
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return { duplicate: true };
+    }
+    throw error;
+  }
+
+  const updated = await Comment.findOneAndUpdate(
+    { _id: comment._id },
+    { $inc: { reportCount: 1 } },
+    { new: true }
+  );
+  const reportCount = updated?.reportCount || 0;
+
+  let hiddenNow = false;
+  if (reportCount >= COMMENT_REPORT_HIDE_THRESHOLD) {
+    const hidden = await Comment.updateOne(
+      { _id: comment._id, hiddenAt: null, deletedAt: null },
+      { $set: { hiddenAt: new Date() } }
+    );
+    hiddenNow = hidden.modifiedCount > 0;
+  }
+
+  return {
+    duplicate: false,
+    reportCount,
+    hidden: hiddenNow || !!updated?.hiddenAt,
+    hiddenNow
+  };
+}
+
+/** Closes the pending reports of a comment after a moderator's decision. */
+async function resolveCommentReports(commentId, { status, reviewedBy }) {
+  await CommentReport.updateMany(
+    { commentId, status: 'pending' },
+    { $set: { status, reviewedBy, reviewedAt: new Date() } }
+  );
+}
+
+module.exports = {
+  parseReportInput,
+  reportComment,
+  resolveCommentReports
+};
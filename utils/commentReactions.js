@@ -0,0 +1,133 @@
+const Comment = require('../models/Comment');
+const CommentReaction = require('../models/CommentReaction');
+const User = require('../models/User');
+const { REACTION_EMOJI } = require('../constants/reactions');
+
+const DEFAULT_REACTORS_PER_PAGE = 20;
+const MAX_REACTORS_PER_PAGE = 100;
+
+function toIdString(value) {
+  const id = value?._id || value;
+  return id ? id.toString() : null;
+}
+
+function emojiOrder(emoji) {
+  const index = REACTION_EMOJI.indexOf(emoji);
+  return index === -1 ? REACTION_EMOJI.length : index;
+}
+
+/**
+ * `[{ emoji, count, reactedByMe }]` for the emoji with a positive count, in
+ * REACTION_EMOJI order. `reactionCounts` may be a Map or a plain object.
+ */
+function summarizeReactions(reactionCounts, viewerEmojis = []) {
+  const entries = reactionCounts instanceof Map
+    ? [...reactionCounts.entries()]
+    : Object.entries(reactionCounts || {});
+
+  return entries
+    .filter(([, count]) => count > 0)
+    .sort(([a, countA], [b, countB]) => (emojiOrder(a) - emojiOrder(b)) || (countB - countA))
+    .map(([emoji, count]) => ({ emoji, count, reactedByMe: viewerEmojis.includes(emoji) }));
+}
+
+/** Map of comment id -> emoji the viewer reacted with, in one query. */
+async function loadViewerReactions(commentIds, viewerId) {
+  const byComment = new Map();
+  if (!viewerId || commentIds.length === 0) return byComment;
+
+  const reactions = await CommentReaction.find({ commentId: { $in: commentIds }, userId: viewerId })
+    .select('commentId emoji')
+    .lean();
+
+  for (const reaction of reactions) {
+    const commentId = toIdString(reaction.commentId);
+    if (!byComment.has(commentId)) byComment.set(commentId, []);
+    byComment.get(commentId).push(reaction.emoji);
+  }
+  return byComment;
+}
+
+/** Adds the user's `emoji` reaction, or removes it if already there. */
+async function toggleCommentReaction(comment, userId, emoji) {
+  const key = { commentId: comment._id, userId, emoji };
+  const countPath = `reactionCounts.${emoji}`;
+
+  const existing = await CommentReaction.findOneAndDelete(key);
+  let removed = !!existing;
+
+  if (removed) {
+    await Comment.updateOne({ _id: comment._id }, { $inc: { [countPath]: -1 } });
+  } else {
+    try {
+      await CommentReaction.create({ ...key, challengeId: comment.challengeId });
+      await Comment.updateOne({ _id: comment._id }, { $inc: { [countPath]: 1 } });
+    } catch (error) {
+      // A concurrent request already added the same reaction
+      if (error?.code !== 11000) throw error;
+    }
+  }
+
+  const [updated, viewerReactions] = await Promise.all([
+    Comment.findById(comment._id).select('reactionCounts').lean(),
+    loadViewerReactions([comment._id], userId)
+  ]);
+
+  return {
+    removed,
+    reactions: summarizeReactions(updated?.reactionCounts, viewerReactions.get(toIdString(comment._id)))
+  };
+}
+
+/** Who reacted to a comment, newest first, optionally for one emoji. */
+async function listCommentReactors(commentId, { emoji = null, page, limit } = {}) {
+  const safeLimit = Math.min(MAX_REACTORS_PER_PAGE, Math.max(1, parseInt(limit, 10) || DEFAULT_REACTORS_PER_PAGE));
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+  const skip = (safePage - 1) * safeLimit;
+  const filter = emoji ? { commentId, emoji } : { commentId };
+
+  const [total, reactions] = await Promise.all([
+    CommentReaction.countDocuments(filter),
+    CommentReaction.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(safeLimit)
+      .select('userId emoji createdAt')
+      .lean()
+  ]);
+
+  const users = await User.find({ _id: { $in: reactions.map((reaction) => reaction.userId) } })
+    .select('name avatarUrl')
+    .lean();
+  const usersById = new Map(users.map((user) => [toIdString(user._id), user]));
+
+  return {
+    reactors: reactions.map((reaction) => ({
+      user: usersById.get(toIdString(reaction.userId)) || { _id: reaction.userId },
+      emoji: reaction.emoji,
+      reactedAt: reaction.createdAt
+    })),
+    pagination: {
+      page: safePage,
+      limit: safeLimit,
+      total,
+      hasMore: skip + reactions.length < total
+    }
+  };
+}
+
+async function removeCommentReactions({ commentIds, challengeId } = {}) {
+  if (commentIds) {
+    await CommentReaction.deleteMany({ commentId: { $in: commentIds } });
+  } else if (challengeId) {
+    await CommentReaction.deleteMany({ challengeId });
+  }
+}
+
+module.exports = {
+  summarizeReactions,
+  loadViewerReactions,
+  toggleCommentReaction,
+  listCommentReactors,
+  removeCommentReactions
+};
@@ -0,0 +1,26 @@
+const assert = require('assert');
+const { summarizeReactions } = require('./commentReactions');
+const { normalizeReactionEmoji } = require('../constants/reactions');
+
+function runTests() {
+  const counts = new Map([['🔥', 1], ['👍', 4], ['❤️', 0], ['🦄', 2]]);
+  assert.deepStrictEqual(summarizeReactions(counts, ['🔥']), [
+    { emoji: '👍', count: 4, reactedByMe: false },
+    { emoji: '🔥', count: 1, reactedByMe: true },
+    { emoji: '🦄', count: 2, reactedByMe: false }
+  ], 'allowed emoji in display order, zero counts dropped, legacy emoji last');
+
+  assert.deepStrictEqual(summarizeReactions({ '🎉': 3 }), [{ emoji: '🎉', count: 3, reactedByMe: false }], 'plain objects from lean()');
+  assert.deepStrictEqual(summarizeReactions(undefined), []);
+
+  assert.strictEqual(normalizeReactionEmoji('👍'), '👍');
+  assert.strictEqual(normalizeReactionEmoji('❤'), '❤️', 'missing variation selector');
+  assert.strictEqual(normalizeReactionEmoji(' 👍️ '), '👍', 'extra variation selector');
+  assert.strictEqual(normalizeReactionEmoji('🦄'), null);
+  assert.strictEqual(normalizeReactionEmoji('reactionCounts.$x'), null);
+  assert.strictEqual(normalizeReactionEmoji(42), null);
+
+  console.log('commentReactions.test.js: all assertions passed');
+}
+
+runTests();
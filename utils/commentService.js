@@ -0,0 +1,339 @@
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { MAX_COMMENT_REVISIONS } = require('../constants/commentModeration');
+const { summarizeReactions, loadViewerReactions, removeCommentReactions } = require('./commentReactions');
+
+const COMMENT_USER_FIELDS = 'name avatarUrl';
+const DEFAULT_THREADS_PER_PAGE = 20;
+const MAX_THREADS_PER_PAGE = 50;
+
+function toIdString(value) {
+  const id = value?._id || value;
+  return id ? id.toString() : null;
+}
+
+function compareByCreatedAt(a, b) {
+  const diff = new Date(a.createdAt) - new Date(b.createdAt);
+  return diff !== 0 ? diff : String(a._id).localeCompare(String(b._id));
+}
+
+/**
+ * Nests a flat list of comments under their parents as `replies`, oldest
+ * first. Comments whose parent is not in the list are returned as roots.
+ */
+function buildCommentTree(comments) {
+  const nodes = [...comments].sort(compareByCreatedAt).map((comment) => ({ ...comment, replies: [] }));
+  const nodesById = new Map(nodes.map((node) => [toIdString(node._id), node]));
+  const roots = [];
+
+  for (const node of nodes) {
+    const parent = nodesById.get(toIdString(node.parentId));
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+}
+
+/** Ids of `commentId` and everything below it, from a flat list of its thread. */
+function collectSubtreeIds(threadComments, commentId) {
+  const childrenByParent = new Map();
+  for (const comment of threadComments) {
+    const parentId = toIdString(comment.parentId);
+    if (!parentId) continue;
+    if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, []);
+    childrenByParent.get(parentId).push(toIdString(comment._id));
+  }
+
+  const ids = [];
+  const queue = [toIdString(commentId)];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    ids.push(id);
+    queue.push(...(childrenByParent.get(id) || []));
+  }
+  return ids;
+}
+
+/** Parent, grandparent, ... up to the top-level comment, from a flat list of the thread. */
+function getCommentAncestors(threadComments, comment) {
+  const commentsById = new Map(threadComments.map((entry) => [toIdString(entry._id), entry]));
+  const ancestors = [];
+  const seen = new Set();
+
+  let parent = commentsById.get(toIdString(comment.parentId));
+  while (parent && !seen.has(toIdString(parent._id))) {
+    seen.add(toIdString(parent._id));
+    ancestors.push(parent);
+    parent = commentsById.get(toIdString(parent.parentId));
+  }
+  return ancestors;
+}
+
+/**
+ * What to delete when `commentId` (which has no replies) is removed: the
+ * comment itself plus tombstoned ancestors left without any replies.
+ */
+function collectPrunableIds(threadComments, commentId) {
+  const commentsById = new Map(threadComments.map((entry) => [toIdString(entry._id), entry]));
+  const childCounts = new Map();
+  for (const entry of threadComments) {
+    const parentId = toIdString(entry.parentId);
+    if (parentId) childCounts.set(parentId, (childCounts.get(parentId) || 0) + 1);
+  }
+
+  const ids = [toIdString(commentId)];
+  let parent = commentsById.get(toIdString(commentsById.get(ids[0])?.parentId));
+  while (parent && parent.deletedAt && childCounts.get(toIdString(parent._id)) === 1) {
+    const parentId = toIdString(parent._id);
+    ids.push(parentId);
+    parent = commentsById.get(toIdString(parent.parentId));
+  }
+  return ids;
+}
+
+/**
+ * Public shape of a comment for the viewer: tombstones lose their content,
+ * and reported-and-hidden comments are only shown to moderators and the author.
+ * `viewerEmojis` are the viewer's own reactions to this comment.
+ */
+function presentComment(comment, { viewerId = null, canModerate = false, viewerEmojis = [] } = {}) {
+  const { reportCount, reactionCounts, ...rest } = comment;
+
+  if (comment.deletedAt) {
+    return { ...rest, text: '', imageUrl: null, mentionedUserId: null, mentionedUserIds: [], reactions: [], deleted: true };
+  }
+
+  const hidden = !!comment.hiddenAt;
+  const isAuthor = !!viewerId && toIdString(comment.userId) === viewerId.toString();
+  if (hidden && !canModerate && !isAuthor) {
+    return { ...rest, text: '', imageUrl: null, mentionedUserId: null, mentionedUserIds: [], reactions: [], hidden };
+  }
+
+  const presented = { ...rest, reactions: summarizeReactions(reactionCounts, viewerEmojis), hidden };
+  return canModerate ? { ...presented, reportCount: reportCount || 0 } : presented;
+}
+
+/** Replaces author and mentioned user ids on lean comments with `{ _id, name, avatarUrl }`, in one query. */
+async function attachCommentUsers(comments) {
+  const ids = new Set();
+  for (const comment of comments) {
+    [comment.userId, comment.mentionedUserId, ...(comment.mentionedUserIds || [])]
+      .map(toIdString)
+      .filter(Boolean)
+      .forEach((id) => ids.add(id));
+  }
+  if (ids.size === 0) return comments;
+
+  const users = await User.find({ _id: { $in: [...ids] } }).select(COMMENT_USER_FIELDS).lean();
+  const usersById = new Map(users.map((user) => [toIdString(user._id), user]));
+  const lookup = (id) => usersById.get(toIdString(id)) || id;
+
+  return comments.map((comment) => ({
+    ...comment,
+    userId: lookup(comment.userId),
+    mentionedUserId: comment.mentionedUserId ? lookup(comment.mentionedUserId) : null,
+    mentionedUserIds: (comment.mentionedUserIds || []).map(lookup)
+  }));
+}
+
+/** Creates a top-level comment, or a reply to `parent` at any depth. */
+async function createComment({
+  challengeId,
+  userId,
+  text = '',
+  imageUrl = null,
+  parent = null,
+  mentionedUserId = null,
+  mentionedUserIds = [],
+  sharedFromDiary = false
+}) {
+  return Comment.create({
+    challengeId,
+    userId,
+    text,
+    imageUrl,
+    mentionedUserId,
+    mentionedUserIds,
+    sharedFromDiary,
+    parentId: parent?._id || null,
+    rootId: parent ? (parent.rootId || parent._id) : null,
+    depth: parent ? (parent.depth || 0) + 1 : 0,
+    createdAt: new Date()
+  });
+}
+
+/** A single comment in the same shape as fetchCommentThreads items (without replies). */
+async function findPresentedComment(commentId, viewer = {}) {
+  const comment = await Comment.findById(commentId).lean();
+  if (!comment) return null;
+
+  const [[withUsers], viewerReactions] = await Promise.all([
+    attachCommentUsers([comment]),
+    loadViewerReactions([comment._id], viewer.viewerId)
+  ]);
+  return presentComment(withUsers, { ...viewer, viewerEmojis: viewerReactions.get(toIdString(comment._id)) || [] });
+}
+
+/** Flat list of the whole thread `comment` belongs to, top-level comment included. */
+async function loadCommentThread(comment) {
+  const rootId = comment.rootId || comment._id;
+  return Comment.find({ $or: [{ _id: rootId }, { rootId }] })
+    .select('_id parentId userId sharedFromDiary deletedAt')
+    .lean();
+}
+
+/** Stores the current text as a revision and replaces it. `comment` must include `revisions`; caller saves. */
+function editCommentText(comment, text, now = new Date()) {
+  comment.revisions.push({ text: comment.text, editedAt: comment.editedAt || comment.createdAt });
+  if (comment.revisions.length > MAX_COMMENT_REVISIONS) {
+    comment.revisions.splice(0, comment.revisions.length - MAX_COMMENT_REVISIONS);
+  }
+  comment.text = text;
+  comment.edited = true;
+  comment.editedAt = now;
+}
+
+/**
+ * Deletes a comment. One that still has replies becomes a tombstone instead;
+ * otherwise it is removed together with tombstoned ancestors it was keeping.
+ */
+async function removeComment(comment, threadComments, { deletedBy }) {
+  const commentId = toIdString(comment._id);
+  const hasReplies = threadComments.some((entry) => toIdString(entry.parentId) === commentId);
+
+  if (hasReplies) {
+    await Comment.updateOne(
+      { _id: comment._id },
+      {
+        $set: {
+          deletedAt: new Date(),
+          deletedBy,
+          text: '',
+          imageUrl: null,
+          mentionedUserId: null,
+          mentionedUserIds: [],
+          reactionCounts: {},
+          revisions: [],
+          hiddenAt: null
+        }
+      }
+    );
+    await removeCommentReactions({ commentIds: [comment._id] });
+    return { tombstoned: true, removedIds: [] };
+  }
+
+  const removedIds = collectPrunableIds(threadComments, comment._id);
+  await Comment.deleteMany({ _id: { $in: removedIds } });
+  await removeCommentReactions({ commentIds: removedIds });
+  return { tombstoned: false, removedIds };
+}
+
+/**
+ * One page of a mission's top-level comments, oldest first, each with its
+ * full reply tree and `replyCount`. `viewer` is passed to presentComment.
+ */
+async function fetchCommentThreads(challengeId, { page, limit, viewer = {} } = {}) {
+  const safeLimit = Math.min(MAX_THREADS_PER_PAGE, Math.max(1, parseInt(limit, 10) || DEFAULT_THREADS_PER_PAGE));
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+  const skip = (safePage - 1) * safeLimit;
+  const filter = { challengeId, parentId: null };
+
+  const [total, roots] = await Promise.all([
+    Comment.countDocuments(filter),
+    Comment.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(safeLimit)
+      .lean()
+  ]);
+
+  const replies = roots.length > 0
+    ? await Comment.find({ rootId: { $in: roots.map((root) => root._id) } }).lean()
+    : [];
+
+  const all = [...roots, ...replies];
+  const [withUsers, viewerReactions] = await Promise.all([
+    attachCommentUsers(all),
+    loadViewerReactions(all.map((comment) => comment._id), viewer.viewerId)
+  ]);
+
+  const replyCounts = new Map();
+  for (const reply of replies) {
+    const rootId = toIdString(reply.rootId);
+    replyCounts.set(rootId, (replyCounts.get(rootId) || 0) + 1);
+  }
+
+  const presented = withUsers.map((comment) => presentComment(comment, {
+    ...viewer,
+    viewerEmojis: viewerReactions.get(toIdString(comment._id)) || []
+  }));
+  const comments = buildCommentTree(presented).map((thread) => ({
+    ...thread,
+    replyCount: replyCounts.get(toIdString(thread._id)) || 0
+  }));
+
+  return {
+    comments,
+    pagination: {
+      page: safePage,
+      limit: safeLimit,
+      total,
+      hasMore: skip + roots.length < total
+    }
+  };
+}
+
+/**
+ * Sets `comments` on each (lean) challenge to its top-level comments with the
+ * author populated, for the activity feeds.
+ */
+async function attachTopLevelComments(challenges, { sharedFromDiaryOnly = false } = {}) {
+  if (challenges.length === 0) return challenges;
+
+  const filter = {
+    challengeId: { $in: challenges.map((challenge) => challenge._id) },
+    parentId: null,
+    deletedAt: null,
+    hiddenAt: null
+  };
+  if (sharedFromDiaryOnly) {
+    filter.sharedFromDiary = true;
+  }
+
+  const comments = await Comment.find(filter)
+    .select('challengeId userId sharedFromDiary createdAt')
+    .populate('userId', COMMENT_USER_FIELDS)
+    .lean();
+
+  const commentsByChallenge = new Map();
+  for (const comment of comments) {
+    const challengeId = toIdString(comment.challengeId);
+    if (!commentsByChallenge.has(challengeId)) commentsByChallenge.set(challengeId, []);
+    commentsByChallenge.get(challengeId).push(comment);
+  }
+
+  return challenges.map((challenge) => ({
+    ...challenge,
+    comments: commentsByChallenge.get(toIdString(challenge._id)) || []
+  }));
+}
+
+module.exports = {
+  buildCommentTree,
+  collectSubtreeIds,
+  getCommentAncestors,
+  collectPrunableIds,
+  presentComment,
+  attachCommentUsers,
+  createComment,
+  findPresentedComment,
+  loadCommentThread,
+  editCommentText,
+  removeComment,
+  fetchCommentThreads,
+  attachTopLevelComments
+};
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const {
+  buildCommentTree,
+  collectSubtreeIds,
+  getCommentAncestors,
+  collectPrunableIds,
+  presentComment
+} = require('./commentService');
+
+function makeComment(id, parentId, minute, userId = `user-${id}`) {
+  return {
+    _id: id,
+    parentId,
+    userId,
+    createdAt: new Date(Date.UTC(2026, 5, 1, 12, minute))
+  };
+}
+
+// root-a
+// ├── a1
+// │   └── a1x
+// │       └── a1xy   (deeper than the old two-level limit)
+// └── a2
+// root-b
+const thread = [
+  makeComment('a2', 'root-a', 5),
+  makeComment('a1xy', 'a1x', 4),
+  makeComment('root-b', null, 2),
+  makeComment('a1', 'root-a', 1),
+  makeComment('a1x', 'a1', 3),
+  makeComment('root-a', null, 0)
+];
+
+function runTests() {
+  const tree = buildCommentTree(thread);
+  assert.deepStrictEqual(tree.map((node) => node._id), ['root-a', 'root-b'], 'roots oldest first');
+  assert.deepStrictEqual(tree[0].replies.map((node) => node._id), ['a1', 'a2']);
+  assert.strictEqual(tree[0].replies[0].replies[0].replies[0]._id, 'a1xy');
+  assert.deepStrictEqual(tree[1].replies, []);
+
+  const orphanTree = buildCommentTree([makeComment('a1x', 'a1', 3), makeComment('a1xy', 'a1x', 4)]);
+  assert.deepStrictEqual(orphanTree.map((node) => node._id), ['a1x'], 'missing parent makes a root');
+
+  assert.deepStrictEqual(collectSubtreeIds(thread, 'a1').sort(), ['a1', 'a1x', 'a1xy']);
+  assert.deepStrictEqual(collectSubtreeIds(thread, 'root-a').sort(), ['a1', 'a1x', 'a1xy', 'a2', 'root-a']);
+  assert.deepStrictEqual(collectSubtreeIds(thread, 'a2'), ['a2']);
+
+  const deepest = thread.find((comment) => comment._id === 'a1xy');
+  assert.deepStrictEqual(getCommentAncestors(thread, deepest).map((node) => node._id), ['a1x', 'a1', 'root-a']);
+  assert.deepStrictEqual(getCommentAncestors(thread, thread.find((comment) => comment._id === 'root-a')), []);
+
+  const cyclic = [makeComment('x', 'y', 0), makeComment('y', 'x', 1)];
+  assert.strictEqual(getCommentAncestors(cyclic, cyclic[0]).length, 2, 'stops on a parent cycle');
+
+  // Deleting the last reply under tombstones also removes the tombstones it kept
+  const tombstoned = thread.map((comment) => (
+    ['a1', 'a1x'].includes(comment._id) ? { ...comment, deletedAt: new Date() } : comment
+  ));
+  assert.deepStrictEqual(collectPrunableIds(tombstoned, 'a1xy'), ['a1xy', 'a1x', 'a1']);
+  assert.deepStrictEqual(collectPrunableIds(thread, 'a1xy'), ['a1xy'], 'live parents stay');
+  const withSibling = [...tombstoned, makeComment('a1x2', 'a1', 6)];
+  assert.deepStrictEqual(collectPrunableIds(withSibling, 'a1xy'), ['a1xy', 'a1x'], 'stops at a tombstone with other replies');
+
+  const base = { ...makeComment('c', null, 0, 'author'), text: 'hello', imageUrl: 'img', reactionCounts: { '👍': 2 }, reportCount: 3 };
+  const deleted = presentComment({ ...base, deletedAt: new Date() });
+  assert.strictEqual(deleted.deleted, true);
+  assert.strictEqual(deleted.text, '');
+  assert.strictEqual(deleted.reportCount, undefined);
+
+  const hidden = { ...base, hiddenAt: new Date() };
+  assert.strictEqual(presentComment(hidden, { viewerId: 'someone' }).text, '', 'hidden from others');
+  assert.strictEqual(presentComment(hidden, { viewerId: 'author' }).text, 'hello', 'visible to the author');
+  const moderated = presentComment(hidden, { viewerId: 'owner', canModerate: true });
+  assert.strictEqual(moderated.text, 'hello');
+  assert.strictEqual(moderated.hidden, true);
+  assert.strictEqual(moderated.reportCount, 3);
+  assert.strictEqual(presentComment(base).hidden, false);
+  assert.deepStrictEqual(presentComment(base, { viewerEmojis: ['👍'] }).reactions, [{ emoji: '👍', count: 2, reactedByMe: true }]);
+  assert.strictEqual(presentComment(base).reactionCounts, undefined);
+  assert.deepStrictEqual(presentComment(hidden, { viewerId: 'someone' }).reactions, []);
+
+  console.log('commentService.test.js: all assertions passed');
+}
+
+runTests();
@@ -0,0 +1,74 @@
+const User = require('../models/User');
+const { buildDailyProgress, getMissingDailyItems, loadHabitChallengesForUser } = require('./dailyProgress');
+const { findByUserAndLocalDate } = require('./dailyChecklistService');
+const { findLatestChecklistInRange } = require('./dateHelpers');
+const { awardDailyFullCompletionXp } = require('./xpService');
+const { isEventKeyClaimed } = require('./ledgerService');
+const { buildDailyFullCompletionXpKey } = require('../constants/xpRules');
+
+/**
+ * The day's checklist, falling back to the legacy `user.dailyChecklists` entry
+ * inside `dayRange` (the client's day in UTC; the UTC day of `localDate` if omitted),
+ * like findByClientDay.
+ */
+async function loadChecklistForDay(userId, localDate, dayRange = null) {
+  const stored = await findByUserAndLocalDate(userId, localDate);
+  if (stored) return stored;
+
+  const startUtc = dayRange?.startUtc || new Date(`${localDate}T00:00:00.000Z`);
+  const endUtc = dayRange?.endUtc || new Date(startUtc.getTime() + 24 * 60 * 60 * 1000);
+  const user = await User.findById(userId).select('dailyChecklists').lean();
+  return findLatestChecklistInRange(user?.dailyChecklists, startUtc, endUtc);
+}
+
+/**
+ * Evaluates `localDate` on the server: every scheduled ritual and every
+ * checklist task must be done. Pass `checklist` / `challenges` when the caller
+ * already has them loaded, and `dayRange` ({ startUtc, endUtc }) for legacy checklists.
+ */
+async function evaluateDailyFullCompletion(userId, localDate, options = {}) {
+  const [challenges, checklist] = await Promise.all([
+    options.challenges ?? loadHabitChallengesForUser(userId),
+    options.checklist !== undefined
+      ? Promise.resolve(options.checklist)
+      : loadChecklistForDay(userId, localDate, options.dayRange)
+  ]);
+
+  const progress = buildDailyProgress({ checklist, challenges, userId, localDate });
+  const missing = getMissingDailyItems({ checklist, challenges, userId, localDate });
+
+  return { progress, missing };
+}
+
+/**
+ * Grants the daily 100% bonus only when the day is actually complete.
+ * Resolves to an XP result; rejected claims carry `progress` and `missing`.
+ */
+async function claimDailyFullCompletionXp(userId, localDate, options = {}) {
+  const eventKey = buildDailyFullCompletionXpKey(localDate);
+
+  if (await isEventKeyClaimed(userId, eventKey)) {
+    return { awarded: false, xpGained: 0, reason: 'already_awarded', eventKey };
+  }
+
+  const { progress, missing } = await evaluateDailyFullCompletion(userId, localDate, options);
+
+  if (!progress.isComplete) {
+    return {
+      awarded: false,
+      xpGained: 0,
+      reason: progress.isEmpty ? 'nothing_scheduled' : 'day_not_complete',
+      eventKey,
+      progress,
+      missing
+    };
+  }
+
+  const result = await awardDailyFullCompletionXp(userId, localDate);
+  return { ...result, progress, missing };
+}
+
+module.exports = {
+  evaluateDailyFullCompletion,
+  claimDailyFullCompletionXp
+};
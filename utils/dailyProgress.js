@@ -1,6 +1,7 @@
 const Challenge = require('../models/Challenge');
 const { toLocalDateKey, normalizeDateLikeToYmd } = require('./dateHelpers');
 const { getChecklistProgress, findByUserAndLocalDate } = require('./dailyChecklistService');
+const { isDateInHabitSchedule, isHabitDueOnDate } = require('./habitSchedule');
 
 /**
  * Calendar-day bounds for a mission (YYYY-MM-DD), without timezone shifting.
@@ -34,28 +35,16 @@ function isHabitFinished(challenge, localDate) {
  */
 function isHabitScheduledOnLocalDate(challenge, localDate) {
   if (!challenge?.startDate || !challenge?.endDate) return false;
-
-  const { startKey, endKey } = getMissionDateKeys(challenge);
-  if (!localDate || !startKey || !endKey) return false;
-  if (localDate < startKey || localDate > endKey) return false;
-
-  if (challenge.frequency !== 'everyOtherDay') return true;
-
-  const start = new Date(`${startKey}T00:00:00Z`);
-  const target = new Date(`${localDate}T00:00:00Z`);
-  const dayIndex = Math.floor((target - start) / (1000 * 60 * 60 * 24));
-
-  return dayIndex >= 0 && dayIndex % 2 === 0;
+  return isDateInHabitSchedule(challenge, localDate);
 }
 
 function isChallengeActiveOnLocalDate(challenge, localDate) {
   return isHabitScheduledOnLocalDate(challenge, localDate);
 }
 
-function getMissionProgressForDate(challenges, userId, localDate) {
-  let total = 0;
-  let completed = 0;
+function getScheduledMissionsForDate(challenges, userId, localDate) {
   const userIdStr = String(userId);
+  const scheduled = [];
 
   for (const challenge of challenges || []) {
     if (isHabitFinished(challenge, localDate)) continue;
@@ -65,15 +54,41 @@ function getMissionProgressForDate(challenges, userId, localDate) {
       return participantEntry?.userId && String(participantEntry.userId) === userIdStr;
     });
     if (!participant) continue;
-
-    total += 1;
+    if (!isHabitDueOnDate(challenge, participant, localDate)) continue;
 
     const completedDays = Array.isArray(participant.completedDays) ? participant.completedDays : [];
-    const isDoneToday = completedDays.some((day) => normalizeDateLikeToYmd(day) === localDate);
-    if (isDoneToday) completed += 1;
+    const isDone = completedDays.some((day) => normalizeDateLikeToYmd(day) === localDate);
+    scheduled.push({ challenge, isDone });
   }
 
-  return { total, completed };
+  return scheduled;
+}
+
+function getMissionProgressForDate(challenges, userId, localDate) {
+  const scheduled = getScheduledMissionsForDate(challenges, userId, localDate);
+
+  return {
+    total: scheduled.length,
+    completed: scheduled.filter((entry) => entry.isDone).length
+  };
+}
+
+/** Scheduled rituals and checklist tasks that are not done yet on `localDate`. */
+function getMissingDailyItems({ checklist, challenges, userId, localDate }) {
+  const missions = getScheduledMissionsForDate(challenges, userId, localDate)
+    .filter((entry) => !entry.isDone)
+    .map(({ challenge }) => ({
+      challengeId: String(challenge._id),
+      title: challenge.title || null
+    }));
+
+  const tasks = Array.isArray(checklist?.tasks) ? checklist.tasks : [];
+  const checklistTasks = tasks
+    .map((task, index) => ({ index, title: task?.title || null, done: !!task?.done }))
+    .filter((task) => !task.done)
+    .map(({ index, title }) => ({ index, title }));
+
+  return { missions, checklistTasks };
 }
 
 function buildDailyProgress({ checklist, challenges, userId, localDate, timeZone }) {
@@ -126,7 +141,7 @@ async function loadHabitChallengesForUser(userId) {
   return Challenge.find({
     challengeType: 'habit',
     'participants.userId': userId
-  }).select('startDate endDate frequency participants');
+  }).select('title startDate endDate frequency schedule participants');
 }
 
 async function getUserDailyProgress(user, now, options = {}) {
@@ -157,6 +172,7 @@ module.exports = {
   isHabitScheduledOnLocalDate,
   isChallengeActiveOnLocalDate,
   getMissionProgressForDate,
+  getMissingDailyItems,
   buildDailyProgress,
   groupChallengesByUserId,
   loadHabitChallengesForUser,
@@ -1,6 +1,7 @@
 const assert = require('assert');
 const {
   buildDailyProgress,
+  getMissingDailyItems,
   getMissionProgressForDate,
   isHabitScheduledOnLocalDate
 } = require('./dailyProgress');
@@ -88,6 +89,20 @@ function runTests() {
   });
   assert.strictEqual(missionsDoneChecklistPending.isComplete, false);
 
+  const missingItems = getMissingDailyItems({
+    checklist: { tasks: [{ title: 'Step 1', done: true }, { title: 'Step 2', done: false }] },
+    challenges: [
+      dailyChallenge,
+      { ...makeChallenge({ startDate, endDate, frequency: 'daily' }), _id: 'challenge-2', title: 'Read' }
+    ],
+    userId,
+    localDate: '2026-06-03'
+  });
+  assert.deepStrictEqual(missingItems, {
+    missions: [{ challengeId: 'challenge-2', title: 'Read' }],
+    checklistTasks: [{ index: 1, title: 'Step 2' }]
+  });
+
   const missionProgress = getMissionProgressForDate(
     [makeChallenge({ startDate, endDate, frequency: 'daily', completedDays: ['2026-06-04'] })],
     userId,
@@ -1,16 +1,13 @@
 const User = require('../models/User');
 const Challenge = require('../models/Challenge');
+const PushSubscription = require('../models/PushSubscription');
 const { findForRecapBatch } = require('./dailyChecklistService');
 const { toLocalDateKey, getLocalParts } = require('./dateHelpers');
 const { groupChallengesByUserId, getUserDailyProgress } = require('./dailyProgress');
 const { sendDailyRecapNotification } = require('./notificationService');
 
-const CHECK_EVERY_MS = 60 * 1000;
 const RECAP_SEND_WINDOW_MINUTES = 10;
 
-let intervalId = null;
-let isRunning = false;
-
 function parseClockToMinutes(timeStr) {
   const match = /^(\d{1,2}):(\d{2})$/.exec(String(timeStr || '').trim());
   if (!match) return null;
@@ -73,75 +70,70 @@ async function processUserDailyRecap(user, now, challenges, checklistByUserAndDa
 
   if (progress.isEmpty || progress.isComplete) return;
 
-  await sendDailyRecapNotification(user, localDate);
-
-  user.dailyRecapLastSentLocalDate = localDate;
-  await user.save();
-}
+  // Claim the day before sending so overlapping ticks cannot both send; release it if sending fails.
+  const previousLocalDate = user.dailyRecapLastSentLocalDate || null;
+  const claim = await User.updateOne(
+    { _id: user._id, dailyRecapLastSentLocalDate: { $ne: localDate } },
+    { $set: { dailyRecapLastSentLocalDate: localDate } }
+  );
+  if (claim.modifiedCount === 0) return;
 
-async function runDailyRecapTick() {
-  if (isRunning) return;
-  isRunning = true;
   try {
-    const now = new Date();
-
-    const candidates = await User.find({
-      dailyRecapEnabled: true,
-      pushSubscription: { $ne: null },
-      dailyRecapTime: { $exists: true, $ne: '' }
-    })
-      .select('_id dailyRecapTime dailyRecapTimezone dailyRecapLastSentLocalDate')
-      .lean();
-
-    const dueUserIds = candidates
-      .filter((user) => isUserDueForRecapTick(user, now))
-      .map((user) => user._id);
-
-    if (dueUserIds.length === 0) return;
-
-    const dueUsers = await User.find({ _id: { $in: dueUserIds } }).select(
-      '_id pushSubscription dailyRecapTime dailyRecapTimezone dailyRecapLanguage dailyRecapLastSentLocalDate'
-    );
-
-    const dueUserIdSet = new Set(dueUsers.map((user) => String(user._id)));
-    const [challenges, checklistByUserAndDate] = await Promise.all([
-      Challenge.find({
-        challengeType: 'habit',
-        'participants.userId': { $in: dueUserIds }
-      }).select('startDate endDate frequency participants'),
-      findForRecapBatch(dueUsers, now)
-    ]);
-
-    const challengesByUserId = groupChallengesByUserId(challenges, dueUserIdSet);
-
-    for (const user of dueUsers) {
-      try {
-        const userChallenges = challengesByUserId.get(String(user._id)) || [];
-        await processUserDailyRecap(user, now, userChallenges, checklistByUserAndDate);
-      } catch (error) {
-        console.error('[DailyRecap] Failed user tick:', user?._id?.toString(), error?.message || error);
-      }
-    }
+    await sendDailyRecapNotification(user, localDate);
   } catch (error) {
-    console.error('[DailyRecap] Tick failed:', error?.message || error);
-  } finally {
-    isRunning = false;
+    await User.updateOne(
+      { _id: user._id, dailyRecapLastSentLocalDate: localDate },
+      { $set: { dailyRecapLastSentLocalDate: previousLocalDate } }
+    );
+    throw error;
   }
 }
 
-function startDailyRecapScheduler() {
-  if (intervalId) return;
-  intervalId = setInterval(runDailyRecapTick, CHECK_EVERY_MS);
-  setTimeout(runDailyRecapTick, 5000);
-}
-
-function stopDailyRecapScheduler() {
-  if (!intervalId) return;
-  clearInterval(intervalId);
-  intervalId = null;
+async function runDailyRecapTick() {
+  const now = new Date();
+
+  const subscribedUserIds = await PushSubscription.distinct('userId');
+  if (subscribedUserIds.length === 0) return;
+
+  const candidates = await User.find({
+    _id: { $in: subscribedUserIds },
+    dailyRecapEnabled: true,
+    dailyRecapTime: { $exists: true, $ne: '' }
+  })
+    .select('_id dailyRecapTime dailyRecapTimezone dailyRecapLastSentLocalDate')
+    .lean();
+
+  const dueUserIds = candidates
+    .filter((user) => isUserDueForRecapTick(user, now))
+    .map((user) => user._id);
+
+  if (dueUserIds.length === 0) return;
+
+  const dueUsers = await User.find({ _id: { $in: dueUserIds } }).select(
+    '_id dailyRecapTime dailyRecapTimezone dailyRecapLanguage dailyRecapLastSentLocalDate'
+  );
+
+  const dueUserIdSet = new Set(dueUsers.map((user) => String(user._id)));
+  const [challenges, checklistByUserAndDate] = await Promise.all([
+    Challenge.find({
+      challengeType: 'habit',
+      'participants.userId': { $in: dueUserIds }
+    }).select('startDate endDate frequency schedule participants'),
+    findForRecapBatch(dueUsers, now)
+  ]);
+
+  const challengesByUserId = groupChallengesByUserId(challenges, dueUserIdSet);
+
+  for (const user of dueUsers) {
+    try {
+      const userChallenges = challengesByUserId.get(String(user._id)) || [];
+      await processUserDailyRecap(user, now, userChallenges, checklistByUserAndDate);
+    } catch (error) {
+      console.error('[DailyRecap] Failed user tick:', user?._id?.toString(), error?.message || error);
+    }
+  }
 }
 
 module.exports = {
-  startDailyRecapScheduler,
-  stopDailyRecapScheduler
+  runDailyRecapTick
 };
@@ -0,0 +1,241 @@
+const Challenge = require('../models/Challenge');
+const DiaryEntry = require('../models/DiaryEntry');
+const User = require('../models/User');
+const {
+  DIARY_MOOD_MIN,
+  DIARY_MOOD_MAX,
+  MAX_DIARY_TEXT_LENGTH,
+  MAX_DIARY_PHOTOS,
+  DIARY_HIGHLIGHTS_PER_WEEK,
+  MAX_DIARY_QUOTE_LENGTH
+} = require('../constants/diary');
+
+const DIARY_USER_FIELDS = 'name avatarUrl';
+const DEFAULT_ENTRIES_PER_PAGE = 20;
+const MAX_ENTRIES_PER_PAGE = 100;
+const YMD_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toIdString(value) {
+  const id = value?._id || value;
+  return id ? id.toString() : null;
+}
+
+function isDayKey(value) {
+  return typeof value === 'string' && YMD_PATTERN.test(value);
+}
+
+function isMood(value) {
+  return Number.isInteger(value) && value >= DIARY_MOOD_MIN && value <= DIARY_MOOD_MAX;
+}
+
+const MOOD_ERROR = `mood must be a whole number from ${DIARY_MOOD_MIN} to ${DIARY_MOOD_MAX}`;
+
+/** `null` when no mood was given, the rating, or `{ error }`. */
+function parseDiaryMood(value) {
+  if (value === undefined || value === null || value === '') return { mood: null };
+
+  const mood = Number(value);
+  return isMood(mood) ? { mood } : { error: MOOD_ERROR };
+}
+
+/**
+ * Validates a new diary entry from the request body. `day` is optional and
+ * binds the entry to one of the author's completed days on a habit mission;
+ * without it the entry is for `today`. Accepts `imageUrls` or a single `imageUrl`.
+ */
+function parseDiaryEntryInput(body = {}, { challengeType, completedDays = [], today }) {
+  const text = typeof body.text === 'string' ? body.text.trim() : '';
+  if (text.length > MAX_DIARY_TEXT_LENGTH) {
+    return { error: `Diary text must be at most ${MAX_DIARY_TEXT_LENGTH} characters` };
+  }
+
+  const rawImages = Array.isArray(body.imageUrls) ? body.imageUrls : [body.imageUrl];
+  const imageUrls = rawImages
+    .filter((url) => typeof url === 'string' && url.trim())
+    .map((url) => url.trim());
+  if (imageUrls.length > MAX_DIARY_PHOTOS) {
+    return { error: `At most ${MAX_DIARY_PHOTOS} photos per entry` };
+  }
+
+  if (!text && imageUrls.length === 0) {
+    return { error: 'Diary text or image is required' };
+  }
+
+  const { mood, error: moodError } = parseDiaryMood(body.mood);
+  if (moodError) return { error: moodError };
+
+  if (body.day === undefined || body.day === null || body.day === '') {
+    return { entry: { day: today, boundToCompletedDay: false, mood, text, imageUrls } };
+  }
+
+  if (!isDayKey(body.day)) {
+    return { error: 'day must be a YYYY-MM-DD date' };
+  }
+  if (challengeType !== 'habit') {
+    return { error: 'Only habit mission entries can be bound to a day' };
+  }
+  if (!completedDays.includes(body.day)) {
+    return { error: 'day must be one of your completed days' };
+  }
+
+  return { entry: { day: body.day, boundToCompletedDay: true, mood, text, imageUrls } };
+}
+
+/** `from` / `to` (YYYY-MM-DD, inclusive) and `mood` (e.g. `4` or `4,5`) from the query string. */
+function parseDiaryFilters(query = {}) {
+  const filters = { from: null, to: null, moods: [] };
+
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    if (!isDayKey(query[key])) {
+      return { error: `${key} must be a YYYY-MM-DD date` };
+    }
+    filters[key] = query[key];
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: 'from must not be after to' };
+  }
+
+  if (query.mood !== undefined && query.mood !== '') {
+    const moods = String(query.mood).split(',').map((value) => Number(value.trim()));
+    if (!moods.every(isMood)) {
+      return { error: MOOD_ERROR };
+    }
+    filters.moods = [...new Set(moods)];
+  }
+
+  return { filters };
+}
+
+function buildDiaryQuery(challengeId, userId, { from = null, to = null, moods = [] } = {}) {
+  const query = { challengeId, userId };
+
+  if (from || to) {
+    query.day = {};
+    if (from) query.day.$gte = from;
+    if (to) query.day.$lte = to;
+  }
+  if (moods.length > 0) {
+    query.mood = { $in: moods };
+  }
+
+  return query;
+}
+
+/** API shape: `userId` holds the author's name and avatar; `imageUrl` is the first photo. */
+function presentDiaryEntry(entry, user = null) {
+  const plain = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+  return {
+    ...plain,
+    userId: user || plain.userId,
+    imageUrl: plain.imageUrls?.[0] || null
+  };
+}
+
+async function createDiaryEntry({ challengeId, userId, entry, actionTitle = '', actionId = null }) {
+  const [created, user] = await Promise.all([
+    DiaryEntry.create({ ...entry, challengeId, userId, actionTitle, actionId }),
+    User.findById(userId).select(DIARY_USER_FIELDS).lean()
+  ]);
+  return presentDiaryEntry(created, user);
+}
+
+/** One author's entries on a mission, newest day first, paginated. */
+async function listDiaryEntries(challengeId, userId, { filters, page, limit } = {}) {
+  const safeLimit = Math.min(MAX_ENTRIES_PER_PAGE, Math.max(1, parseInt(limit, 10) || DEFAULT_ENTRIES_PER_PAGE));
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+  const skip = (safePage - 1) * safeLimit;
+  const query = buildDiaryQuery(challengeId, userId, filters);
+
+  const [total, entries, user] = await Promise.all([
+    DiaryEntry.countDocuments(query),
+    DiaryEntry.find(query)
+      .sort({ day: -1, createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(safeLimit)
+      .lean(),
+    User.findById(userId).select(DIARY_USER_FIELDS).lean()
+  ]);
+
+  return {
+    entries: entries.map((entry) => presentDiaryEntry(entry, user)),
+    pagination: {
+      page: safePage,
+      limit: safeLimit,
+      total,
+      hasMore: skip + entries.length < total
+    }
+  };
+}
+
+/** Collapses whitespace and cuts at a word boundary with an ellipsis. */
+function toDiaryQuote(text, maxLength = MAX_DIARY_QUOTE_LENGTH) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  if (flat.length <= maxLength) return flat;
+
+  const cut = flat.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+/**
+ * The entries worth quoting from a week: ones with text, best mood first,
+ * then entries written for a completed day, then the latest. At most one per day.
+ */
+function pickDiaryHighlights(entries, limit = DIARY_HIGHLIGHTS_PER_WEEK) {
+  const ranked = entries
+    .filter((entry) => entry.text && entry.text.trim())
+    .sort((a, b) => ((b.mood || 0) - (a.mood || 0))
+      || (Number(!!b.boundToCompletedDay) - Number(!!a.boundToCompletedDay))
+      || (new Date(b.createdAt) - new Date(a.createdAt)));
+
+  const seenDays = new Set();
+  const highlights = [];
+  for (const entry of ranked) {
+    if (highlights.length >= limit) break;
+    if (seenDays.has(entry.day)) continue;
+    seenDays.add(entry.day);
+    highlights.push(entry);
+  }
+  return highlights;
+}
+
+/** Quotes from the user's diary entries for `dayKeys` (one week), across their missions. */
+async function findWeeklyDiaryHighlights(userId, dayKeys) {
+  if (!dayKeys?.length) return [];
+
+  const entries = await DiaryEntry.find({
+    userId,
+    day: { $gte: dayKeys[0], $lte: dayKeys[dayKeys.length - 1] },
+    text: { $ne: '' }
+  }).select('challengeId day mood text boundToCompletedDay createdAt').lean();
+
+  const highlights = pickDiaryHighlights(entries);
+  if (highlights.length === 0) return [];
+
+  const challenges = await Challenge.find({ _id: { $in: highlights.map((entry) => entry.challengeId) } })
+    .select('title')
+    .lean();
+  const titlesById = new Map(challenges.map((challenge) => [toIdString(challenge._id), challenge.title || '']));
+
+  return highlights.map((entry) => ({
+    challengeId: toIdString(entry.challengeId),
+    challengeTitle: titlesById.get(toIdString(entry.challengeId)) || '',
+    day: entry.day,
+    mood: entry.mood ?? null,
+    quote: toDiaryQuote(entry.text)
+  }));
+}
+
+module.exports = {
+  parseDiaryMood,
+  parseDiaryEntryInput,
+  parseDiaryFilters,
+  buildDiaryQuery,
+  presentDiaryEntry,
+  createDiaryEntry,
+  listDiaryEntries,
+  toDiaryQuote,
+  pickDiaryHighlights,
+  findWeeklyDiaryHighlights
+};
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const {
+  parseDiaryEntryInput,
+  parseDiaryFilters,
+  buildDiaryQuery,
+  presentDiaryEntry,
+  toDiaryQuote,
+  pickDiaryHighlights
+} = require('./diaryService');
+
+const habit = { challengeType: 'habit', completedDays: ['2026-06-01', '2026-06-02'], today: '2026-06-03' };
+
+function runTests() {
+  assert.deepStrictEqual(parseDiaryEntryInput({ text: ' ran 5k ' }, habit).entry, {
+    day: '2026-06-03',
+    boundToCompletedDay: false,
+    mood: null,
+    text: 'ran 5k',
+    imageUrls: []
+  }, 'defaults to today, unbound');
+
+  const bound = parseDiaryEntryInput({ text: 'done', day: '2026-06-02', mood: '4', imageUrl: 'a.png' }, habit).entry;
+  assert.strictEqual(bound.day, '2026-06-02');
+  assert.strictEqual(bound.boundToCompletedDay, true);
+  assert.strictEqual(bound.mood, 4);
+  assert.deepStrictEqual(bound.imageUrls, ['a.png'], 'legacy single imageUrl');
+
+  assert.deepStrictEqual(parseDiaryEntryInput({ imageUrls: ['a', ' ', 'b'] }, habit).entry.imageUrls, ['a', 'b'], 'photo-only entry');
+  assert.ok(parseDiaryEntryInput({ imageUrls: ['a', 'b', 'c', 'd', 'e'] }, habit).error, 'too many photos');
+  assert.ok(parseDiaryEntryInput({ text: '   ' }, habit).error, 'empty entry');
+  assert.ok(parseDiaryEntryInput({ text: 'x'.repeat(1001) }, habit).error, 'text too long');
+  assert.ok(parseDiaryEntryInput({ text: 'x', mood: 6 }, habit).error, 'mood out of range');
+  assert.ok(parseDiaryEntryInput({ text: 'x', mood: 2.5 }, habit).error, 'fractional mood');
+  assert.ok(parseDiaryEntryInput({ text: 'x', day: '2026-06-03' }, habit).error, 'day not completed');
+  assert.ok(parseDiaryEntryInput({ text: 'x', day: '06/01/2026' }, habit).error, 'malformed day');
+  assert.ok(
+    parseDiaryEntryInput({ text: 'x', day: '2026-06-01' }, { ...habit, challengeType: 'result' }).error,
+    'only habit missions bind days'
+  );
+
+  assert.deepStrictEqual(parseDiaryFilters({}).filters, { from: null, to: null, moods: [] });
+  assert.deepStrictEqual(
+    parseDiaryFilters({ from: '2026-06-01', to: '2026-06-07', mood: '5, 4,5' }).filters,
+    { from: '2026-06-01', to: '2026-06-07', moods: [5, 4] }
+  );
+  assert.ok(parseDiaryFilters({ from: '2026-06-07', to: '2026-06-01' }).error, 'inverted range');
+  assert.ok(parseDiaryFilters({ to: 'yesterday' }).error);
+  assert.ok(parseDiaryFilters({ mood: '0' }).error);
+
+  assert.deepStrictEqual(buildDiaryQuery('c', 'u', { from: '2026-06-01', to: null, moods: [5] }), {
+    challengeId: 'c',
+    userId: 'u',
+    day: { $gte: '2026-06-01' },
+    mood: { $in: [5] }
+  });
+  assert.deepStrictEqual(buildDiaryQuery('c', 'u'), { challengeId: 'c', userId: 'u' });
+
+  const presented = presentDiaryEntry({ _id: 'e', userId: 'u', imageUrls: ['a', 'b'] }, { _id: 'u', name: 'Ann' });
+  assert.strictEqual(presented.imageUrl, 'a');
+  assert.strictEqual(presented.userId.name, 'Ann');
+
+  assert.strictEqual(toDiaryQuote('  short\n\ntext '), 'short text');
+  const quote = toDiaryQuote('word '.repeat(50), 30);
+  assert.ok(quote.length <= 30 && quote.endsWith('…') && !quote.includes(' …'), quote);
+
+  const at = (day, hour) => new Date(`${day}T${String(hour).padStart(2, '0')}:00:00.000Z`);
+  const week = [
+    { _id: 'a', day: '2026-06-01', mood: 3, text: 'ok', createdAt: at('2026-06-01', 9) },
+    { _id: 'b', day: '2026-06-02', mood: 5, text: 'great', createdAt: at('2026-06-02', 9) },
+    { _id: 'c', day: '2026-06-02', mood: 5, text: 'also great', createdAt: at('2026-06-02', 10) },
+    { _id: 'd', day: '2026-06-03', mood: 3, text: 'bound', boundToCompletedDay: true, createdAt: at('2026-06-03', 9) },
+    { _id: 'e', day: '2026-06-04', mood: 5, text: '', createdAt: at('2026-06-04', 9) },
+    { _id: 'f', day: '2026-06-05', mood: null, text: 'no mood', createdAt: at('2026-06-05', 9) }
+  ];
+  assert.deepStrictEqual(
+    pickDiaryHighlights(week).map((entry) => entry._id),
+    ['c', 'd', 'a'],
+    'best mood, then bound, then newest; one per day; skips photo-only entries'
+  );
+  assert.deepStrictEqual(pickDiaryHighlights([]), []);
+
+  console.log('diaryService.test.js: all assertions passed');
+}
+
+runTests();
@@ -1,6 +1,10 @@
 const { Resend } = require('resend');
 const { getPasswordResetEmailContent, getPasswordResetSuccessEmailContent } = require('./passwordResetEmailMessages');
 const { getNewUserRegistrationNotifyEmailContent } = require('./registrationNotifyEmailMessages');
+const {
+  getEmailVerificationEmailContent,
+  getEmailChangeConfirmationEmailContent
+} = require('./emailVerificationEmailMessages');
 const { getWeeklyChronicleEmailContent } = require('./weeklyChronicleEmailMessages');
 const { getReactivationEmailContent } = require('./reactivationEmailMessages');
 
@@ -117,6 +121,87 @@ async function sendPasswordResetSuccessEmail(email, userName = 'User', origin =
   }
 }
 
+/**
+ * Send email address verification email for a new account
+ * @param {string} email - Recipient email address
+ * @param {string} verificationToken - Email verification token
+ * @param {string} userName - User's name (optional)
+ * @param {string} origin - Request origin header (optional)
+ * @param {string} language - App UI language ('en' | 'ru', optional)
+ * @returns {Promise<Object>} Resend API response
+ */
+async function sendEmailVerificationEmail(email, verificationToken, userName = 'User', origin = null, language = null) {
+  const frontendUrl = getFrontendUrl(origin);
+  const verifyLink = `${frontendUrl}/verify-email?token=${verificationToken}`;
+  const { subject, html, text } = getEmailVerificationEmailContent({
+    userName,
+    verifyLink,
+    year: new Date().getFullYear(),
+    language
+  });
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: FROM_EMAIL,
+      to: [email],
+      subject,
+      html,
+      text
+    });
+
+    if (error) {
+      console.error('Resend API error:', error);
+      throw new Error(`Failed to send email: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error sending email verification email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send confirmation email to the new address of a pending email change
+ * @param {string} newEmail - New (pending) email address
+ * @param {string} verificationToken - Email verification token
+ * @param {string} userName - User's name (optional)
+ * @param {string} origin - Request origin header (optional)
+ * @param {string} language - App UI language ('en' | 'ru', optional)
+ * @returns {Promise<Object>} Resend API response
+ */
+async function sendEmailChangeConfirmationEmail(newEmail, verificationToken, userName = 'User', origin = null, language = null) {
+  const frontendUrl = getFrontendUrl(origin);
+  const confirmLink = `${frontendUrl}/verify-email?token=${verificationToken}`;
+  const { subject, html, text } = getEmailChangeConfirmationEmailContent({
+    userName,
+    newEmail,
+    confirmLink,
+    year: new Date().getFullYear(),
+    language
+  });
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: FROM_EMAIL,
+      to: [newEmail],
+      subject,
+      html,
+      text
+    });
+
+    if (error) {
+      console.error('Resend API error:', error);
+      throw new Error(`Failed to send email: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error sending email change confirmation email:', error);
+    throw error;
+  }
+}
+
 /**
  * Notify admin when a new user registers.
  * Skips silently when REGISTRATION_NOTIFY_EMAIL is not configured.
@@ -231,8 +316,11 @@ async function sendReactivationEmail(email, payload = {}) {
 }
 
 module.exports = {
+  getFrontendUrl,
   sendPasswordResetEmail,
   sendPasswordResetSuccessEmail,
+  sendEmailVerificationEmail,
+  sendEmailChangeConfirmationEmail,
   sendNewUserRegistrationNotifyEmail,
   sendWeeklyChronicleEmail,
   sendReactivationEmail
@@ -0,0 +1,155 @@
+const { resolveLanguage } = require('./passwordResetEmailMessages');
+
+const VERIFY_MESSAGES = {
+  en: {
+    subject: 'Confirm Your Email - Ignite',
+    title: 'Confirm Your Email',
+    greeting: 'Hello {userName},',
+    bodyIntro: 'Thanks for joining Ignite! Please confirm that this is your email address.',
+    bodyCta: 'Click the button below to confirm your email:',
+    buttonLabel: 'Confirm Email',
+    linkHint: 'Or copy and paste this link into your browser:',
+    expiryNote: "This link will expire in 24 hours. If you didn't create an Ignite account, please ignore this email.",
+    footer: '© {year} Ignite. All rights reserved.',
+    textIntro: 'Thanks for joining Ignite! Please confirm that this is your email address.',
+    textCta: 'Click the following link to confirm your email:'
+  },
+  ru: {
+    subject: 'Подтвердите email — Ignite',
+    title: 'Подтверждение email',
+    greeting: 'Здравствуйте, {userName}!',
+    bodyIntro: 'Спасибо, что присоединились к Ignite! Подтвердите, пожалуйста, что это ваш адрес.',
+    bodyCta: 'Нажмите кнопку ниже, чтобы подтвердить email:',
+    buttonLabel: 'Подтвердить email',
+    linkHint: 'Или скопируйте и вставьте эту ссылку в браузер:',
+    expiryNote: 'Ссылка действительна 24 часа. Если вы не создавали аккаунт Ignite, просто проигнорируйте это письмо.',
+    footer: '© {year} Ignite. Все права защищены.',
+    textIntro: 'Спасибо, что присоединились к Ignite! Подтвердите, пожалуйста, что это ваш адрес.',
+    textCta: 'Перейдите по ссылке, чтобы подтвердить email:'
+  }
+};
+
+const CHANGE_MESSAGES = {
+  en: {
+    subject: 'Confirm Your New Email - Ignite',
+    title: 'Confirm Your New Email',
+    greeting: 'Hello {userName},',
+    bodyIntro: 'We received a request to change the email address of your Ignite account to {newEmail}.',
+    bodyCta: 'Click the button below to confirm the change:',
+    buttonLabel: 'Confirm New Email',
+    linkHint: 'Or copy and paste this link into your browser:',
+    expiryNote: "This link will expire in 24 hours. Your current email stays active until you confirm. If you didn't request this change, please ignore this email.",
+    footer: '© {year} Ignite. All rights reserved.',
+    textIntro: 'We received a request to change the email address of your Ignite account to {newEmail}.',
+    textCta: 'Click the following link to confirm the change:'
+  },
+  ru: {
+    subject: 'Подтвердите новый email — Ignite',
+    title: 'Подтверждение нового email',
+    greeting: 'Здравствуйте, {userName}!',
+    bodyIntro: 'Мы получили запрос на смену email вашего аккаунта Ignite на {newEmail}.',
+    bodyCta: 'Нажмите кнопку ниже, чтобы подтвердить смену:',
+    buttonLabel: 'Подтвердить новый email',
+    linkHint: 'Или скопируйте и вставьте эту ссылку в браузер:',
+    expiryNote: 'Ссылка действительна 24 часа. До подтверждения остаётся активным текущий адрес. Если вы не запрашивали смену email, просто проигнорируйте это письмо.',
+    footer: '© {year} Ignite. Все права защищены.',
+    textIntro: 'Мы получили запрос на смену email вашего аккаунта Ignite на {newEmail}.',
+    textCta: 'Перейдите по ссылке, чтобы подтвердить смену:'
+  }
+};
+
+function format(template, vars) {
+  return Object.entries(vars).reduce(
+    (result, [key, value]) => result.replace(new RegExp(`\\{${key}\\}`, 'g'), value),
+    template
+  );
+}
+
+function buildConfirmationEmail(strings, { userName, link, year, vars = {} }) {
+  const name = userName || 'User';
+  const copyrightYear = String(year ?? new Date().getFullYear());
+
+  const greeting = format(strings.greeting, { userName: name });
+  const footer = format(strings.footer, { year: copyrightYear });
+  const bodyIntro = format(strings.bodyIntro, vars);
+  const textIntro = format(strings.textIntro, vars);
+
+  const html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${strings.title}</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #1FA0F6 0%, #A62EE8 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Ignite</h1>
+          </div>
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-top: 0;">${greeting}</h2>
+            <p>${bodyIntro}</p>
+            <p>${strings.bodyCta}</p>
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${link}"
+                 style="display: inline-block; background: linear-gradient(135deg, #1FA0F6 0%, #A62EE8 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold;">
+                ${strings.buttonLabel}
+              </a>
+            </div>
+            <p style="font-size: 14px; color: #666;">${strings.linkHint}</p>
+            <p style="font-size: 12px; color: #999; word-break: break-all;">${link}</p>
+            <p style="font-size: 14px; color: #666; margin-top: 30px;">
+              ${strings.expiryNote}
+            </p>
+            <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+            <p style="font-size: 12px; color: #999; text-align: center;">
+              ${footer}
+            </p>
+          </div>
+        </body>
+        </html>
+      `;
+
+  const text = `
+        ${greeting}
+
+        ${textIntro}
+
+        ${strings.textCta}
+        ${link}
+
+        ${strings.expiryNote}
+
+        ${footer}
+      `;
+
+  return {
+    subject: strings.subject,
+    html,
+    text
+  };
+}
+
+function getEmailVerificationEmailContent({ userName, verifyLink, year, language }) {
+  return buildConfirmationEmail(VERIFY_MESSAGES[resolveLanguage(language)], {
+    userName,
+    link: verifyLink,
+    year
+  });
+}
+
+function getEmailChangeConfirmationEmailContent({ userName, newEmail, confirmLink, year, language }) {
+  return buildConfirmationEmail(CHANGE_MESSAGES[resolveLanguage(language)], {
+    userName,
+    link: confirmLink,
+    year,
+    vars: { newEmail }
+  });
+}
+
+module.exports = {
+  getEmailVerificationEmailContent,
+  getEmailChangeConfirmationEmailContent,
+  VERIFY_MESSAGES,
+  CHANGE_MESSAGES
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Matches users allowed to receive non-transactional email. Legacy accounts
+// without the flag count as verified.
+const VERIFIED_EMAIL_FILTER = Object.freeze({ emailVerified: { $ne: false } });
+
+function isEmailVerified(user) {
+  return user?.emailVerified !== false;
+}
+
+/**
+ * Puts a fresh verification token on the user document (not saved). With
+ * `pendingEmail` the token confirms an email change instead of the current address.
+ */
+function issueEmailVerificationToken(user, { pendingEmail = null } = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.emailVerificationToken = token;
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+  user.pendingEmail = pendingEmail;
+  return token;
+}
+
+function clearEmailVerificationToken(user) {
+  user.emailVerificationToken = null;
+  user.emailVerificationExpires = null;
+  user.pendingEmail = null;
+}
+
+function resolveRequestLanguage(req, user = null) {
+  return req.body?.language
+    || user?.preferredLanguage
+    || req.headers['accept-language']?.split(',')[0]?.split('-')[0];
+}
+
+module.exports = {
+  EMAIL_VERIFICATION_TTL_MS,
+  VERIFIED_EMAIL_FILTER,
+  isEmailVerified,
+  issueEmailVerificationToken,
+  clearEmailVerificationToken,
+  resolveRequestLanguage
+};
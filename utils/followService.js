@@ -0,0 +1,231 @@
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const Challenge = require('../models/Challenge');
+const LedgerEntry = require('../models/LedgerEntry');
+const { resolvePrivacySettings } = require('./publicProfile');
+const { buildFollowingFeedActivities } = require('./watchedFeedService');
+const { attachTopLevelComments } = require('./commentService');
+const { XP_EVENT_TYPES } = require('../constants/xpRules');
+
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+const FEED_WINDOW_DAYS = 30;
+// Most recent missions the following feed looks at per request
+const FEED_MISSION_LIMIT = 200;
+
+/**
+ * Follows `targetId`. Public profiles are followed immediately; followers-only
+ * and private profiles get a pending request the target has to accept.
+ * Resolves to { follow, created } or { reason }.
+ */
+async function followUser(followerId, targetId) {
+  if (String(followerId) === String(targetId)) {
+    return { reason: 'cannot_follow_self' };
+  }
+
+  const target = await User.findById(targetId).select('_id privacySettings');
+  if (!target) {
+    return { reason: 'user_not_found' };
+  }
+
+  const existing = await Follow.findOne({ followerId, followingId: targetId });
+  if (existing) {
+    return { follow: existing, created: false };
+  }
+
+  const isPublic = resolvePrivacySettings(target).profileVisibility === 'public';
+  try {
+    const follow = await Follow.create({
+      followerId,
+      followingId: targetId,
+      status: isPublic ? 'accepted' : 'pending',
+      acceptedAt: isPublic ? new Date() : null
+    });
+    return { follow, created: true };
+  } catch (error) {
+    if (error?.code === 11000) {
+      const follow = await Follow.findOne({ followerId, followingId: targetId });
+      return { follow, created: false };
+    }
+    throw error;
+  }
+}
+
+/** Removes a follow or withdraws a pending request. */
+async function unfollowUser(followerId, targetId) {
+  const result = await Follow.deleteOne({ followerId, followingId: targetId });
+  return result.deletedCount > 0;
+}
+
+async function acceptFollowRequest(userId, followerId) {
+  return Follow.findOneAndUpdate(
+    { followerId, followingId: userId, status: 'pending' },
+    { $set: { status: 'accepted', acceptedAt: new Date() } },
+    { new: true }
+  );
+}
+
+async function declineFollowRequest(userId, followerId) {
+  const result = await Follow.deleteOne({ followerId, followingId: userId, status: 'pending' });
+  return result.deletedCount > 0;
+}
+
+async function isFollowing(followerId, targetId) {
+  if (!followerId || !targetId) return false;
+  return !!(await Follow.exists({ followerId, followingId: targetId, status: 'accepted' }));
+}
+
+async function getFollowStatus(followerId, targetId) {
+  if (!followerId || !targetId) return null;
+  const follow = await Follow.findOne({ followerId, followingId: targetId }).select('status').lean();
+  return follow?.status || null;
+}
+
+async function getFollowCounts(userId) {
+  const [followersCount, followingCount] = await Promise.all([
+    Follow.countDocuments({ followingId: userId, status: 'accepted' }),
+    Follow.countDocuments({ followerId: userId, status: 'accepted' })
+  ]);
+  return { followersCount, followingCount };
+}
+
+function parseListPagination({ page, limit } = {}) {
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+  const safeLimit = Math.min(MAX_LIST_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIST_LIMIT));
+  return { page: safePage, limit: safeLimit, skip: (safePage - 1) * safeLimit };
+}
+
+async function listFollowRelations(filter, userField, options) {
+  const { page, limit, skip } = parseListPagination(options);
+
+  const [follows, total] = await Promise.all([
+    Follow.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate(userField, 'name avatarUrl')
+      .lean(),
+    Follow.countDocuments(filter)
+  ]);
+
+  const users = follows
+    .filter((follow) => follow[userField])
+    .map((follow) => ({
+      _id: follow[userField]._id,
+      name: follow[userField].name,
+      avatarUrl: follow[userField].avatarUrl || '',
+      followedAt: follow.acceptedAt || follow.createdAt
+    }));
+
+  return {
+    users,
+    pagination: {
+      page,
+      limit,
+      total,
+      hasMore: skip + users.length < total
+    }
+  };
+}
+
+function listFollowers(userId, options) {
+  return listFollowRelations({ followingId: userId, status: 'accepted' }, 'followerId', options);
+}
+
+function listFollowing(userId, options) {
+  return listFollowRelations({ followerId: userId, status: 'accepted' }, 'followingId', options);
+}
+
+function listPendingFollowRequests(userId, options) {
+  return listFollowRelations({ followingId: userId, status: 'pending' }, 'followerId', options);
+}
+
+/**
+ * Activity feed of the users `userId` follows. Private profiles are skipped,
+ * only non-private missions are considered, and streak milestones are left out
+ * for users who hide their stats.
+ */
+async function buildFollowingFeed(userId, { limit } = {}) {
+  const follows = await Follow.find({ followerId: userId, status: 'accepted' })
+    .select('followingId')
+    .lean();
+  if (follows.length === 0) return [];
+
+  const followedUsers = await User.find({ _id: { $in: follows.map((follow) => follow.followingId) } })
+    .select('_id name avatarUrl privacySettings')
+    .lean();
+  const visibleUsers = followedUsers.filter(
+    (user) => resolvePrivacySettings(user).profileVisibility !== 'private'
+  );
+  if (visibleUsers.length === 0) return [];
+
+  const visibleIds = visibleUsers.map((user) => user._id);
+  const statsVisibleIds = visibleUsers
+    .filter((user) => resolvePrivacySettings(user).showStats)
+    .map((user) => user._id);
+  const since = new Date(Date.now() - FEED_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const [missions, milestoneEntries] = await Promise.all([
+    Challenge.find({
+      privacy: { $ne: 'private' },
+      $or: [
+        { owner: { $in: visibleIds }, createdAt: { $gte: since } },
+        // Missions that ended before the window can't hold activity inside it
+        { 'participants.userId': { $in: visibleIds }, endDate: { $gte: since } }
+      ]
+    })
+      .sort({ createdAt: -1 })
+      .limit(FEED_MISSION_LIMIT)
+      .select('title owner createdAt allowComments participants endDate challengeType actions')
+      .populate('owner', 'name avatarUrl')
+      .lean(),
+    LedgerEntry.find({
+      userId: { $in: statsVisibleIds },
+      currency: 'xp',
+      eventType: XP_EVENT_TYPES.STREAK_MILESTONE,
+      createdAt: { $gte: since }
+    })
+      .select('userId meta createdAt')
+      .lean()
+  ]);
+
+  // Participant activity only counts for followed users, whose names are already loaded
+  const usersById = new Map(visibleUsers.map((user) => [String(user._id), user]));
+  const missionsWithUsers = missions.map((mission) => ({
+    ...mission,
+    participants: (mission.participants || []).map((participant) => ({
+      ...participant,
+      userId: usersById.get(String(participant.userId)) || participant.userId
+    }))
+  }));
+
+  // Only shared diary entries reach this feed, not ordinary comments
+  const challenges = await attachTopLevelComments(missionsWithUsers, { sharedFromDiaryOnly: true });
+  const streakMilestones = milestoneEntries.map((entry) => ({
+    _id: entry._id,
+    user: usersById.get(String(entry.userId)) || entry.userId,
+    milestone: entry.meta?.milestone,
+    createdAt: entry.createdAt
+  }));
+
+  return buildFollowingFeedActivities({
+    challenges,
+    followedUserIds: visibleIds,
+    streakMilestones,
+    ...(limit ? { limit } : {})
+  });
+}
+
+module.exports = {
+  followUser,
+  unfollowUser,
+  acceptFollowRequest,
+  declineFollowRequest,
+  isFollowing,
+  getFollowStatus,
+  getFollowCounts,
+  listFollowers,
+  listFollowing,
+  listPendingFollowRequests,
+  buildFollowingFeed
+};
@@ -0,0 +1,182 @@
+const jwt = require('jsonwebtoken');
+const passport = require('passport');
+const { Strategy: GoogleStrategy } = require('passport-google-oauth20');
+const User = require('../models/User');
+const { getJwtSecret } = require('./authTokens');
+const { isEmailVerified } = require('./emailVerificationService');
+const {
+  generateUniqueReferralCode,
+  resolveReferrerByCode,
+  createPendingReferral
+} = require('./referralService');
+
+const GOOGLE_STRATEGY_NAME = 'google';
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+const GOOGLE_LINK_PURPOSE = 'google-link';
+
+let strategyRegistered = false;
+
+function isGoogleAuthConfigured() {
+  return !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET && process.env.GOOGLE_CALLBACK_URL);
+}
+
+/**
+ * Registers the Google strategy once. The verify callback only hands the
+ * profile on; account resolution happens in resolveGoogleUser so the route can
+ * take the OAuth state (login vs. link) into account.
+ */
+function ensureGoogleStrategy() {
+  if (strategyRegistered) return true;
+  if (!isGoogleAuthConfigured()) return false;
+
+  passport.use(GOOGLE_STRATEGY_NAME, new GoogleStrategy(
+    {
+      clientID: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      callbackURL: process.env.GOOGLE_CALLBACK_URL
+    },
+    (accessToken, refreshToken, profile, done) => done(null, profile)
+  ));
+  strategyRegistered = true;
+  return true;
+}
+
+// OAuth `state` is a short-lived signed token, so no server-side session store is needed.
+function signOAuthState({ origin = null, linkUserId = null, referralCode = null } = {}) {
+  return jwt.sign(
+    { origin, linkUserId, referralCode },
+    getJwtSecret(),
+    { expiresIn: OAUTH_STATE_TTL_SECONDS }
+  );
+}
+
+function verifyOAuthState(state) {
+  if (!state || typeof state !== 'string') return null;
+  try {
+    return jwt.verify(state, getJwtSecret());
+  } catch (error) {
+    return null;
+  }
+}
+
+function signGoogleLinkToken(userId) {
+  return jwt.sign(
+    { id: String(userId), purpose: GOOGLE_LINK_PURPOSE },
+    getJwtSecret(),
+    { expiresIn: OAUTH_STATE_TTL_SECONDS }
+  );
+}
+
+function verifyGoogleLinkToken(linkToken) {
+  if (!linkToken || typeof linkToken !== 'string') return null;
+  try {
+    const payload = jwt.verify(linkToken, getJwtSecret());
+    return payload?.purpose === GOOGLE_LINK_PURPOSE && payload.id ? payload.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getVerifiedGoogleEmail(profile) {
+  const email = profile?.emails?.find((entry) => entry?.value && entry.verified !== false);
+  return email ? email.value.trim().toLowerCase() : null;
+}
+
+function getGoogleDisplayName(profile, email) {
+  const name = String(profile?.displayName || profile?.name?.givenName || '').trim();
+  return name || (email ? email.split('@')[0] : 'User');
+}
+
+async function linkGoogleAccount(userId, googleId) {
+  const owner = await User.findOne({ googleId }).select('_id');
+  if (owner && String(owner._id) !== String(userId)) {
+    return { reason: 'google_account_in_use' };
+  }
+
+  const user = await User.findByIdAndUpdate(userId, { $set: { googleId } }, { new: true });
+  if (!user) {
+    return { reason: 'user_not_found' };
+  }
+  return { user, linked: true };
+}
+
+/**
+ * Maps a Google profile to a local user.
+ * With `linkUserId` the Google account is attached to that user. Otherwise an
+ * existing link signs in, an email matching an existing account with a verified
+ * address links it, and anything else registers a new password-less user.
+ * Resolves to { user, created?, linked? } or { reason }.
+ */
+async function resolveGoogleUser(profile, { linkUserId = null, referralCode = null } = {}) {
+  const googleId = profile?.id ? String(profile.id) : null;
+  if (!googleId) {
+    return { reason: 'invalid_profile' };
+  }
+
+  if (linkUserId) {
+    return linkGoogleAccount(linkUserId, googleId);
+  }
+
+  const linkedUser = await User.findOne({ googleId });
+  if (linkedUser) {
+    return { user: linkedUser };
+  }
+
+  const email = getVerifiedGoogleEmail(profile);
+  if (!email) {
+    return { reason: 'email_not_verified' };
+  }
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    if (existingUser.googleId) {
+      return { reason: 'google_account_mismatch' };
+    }
+    // An unverified address may have been registered by someone else, so its
+    // owner has to sign in and link Google from settings instead.
+    if (!isEmailVerified(existingUser)) {
+      return { reason: 'link_requires_sign_in' };
+    }
+    return linkGoogleAccount(existingUser._id, googleId);
+  }
+
+  const referrer = referralCode ? await resolveReferrerByCode(referralCode) : null;
+  const user = new User({
+    name: getGoogleDisplayName(profile, email),
+    email,
+    avatarUrl: profile?.photos?.[0]?.value || '',
+    password: null,
+    googleId,
+    emailVerified: true,
+    xp: 0,
+    sparks: 0,
+    referralCode: await generateUniqueReferralCode(),
+    referredBy: referrer?._id || null
+  });
+  await user.save();
+
+  if (referrer) {
+    await createPendingReferral(referrer._id, user._id);
+  }
+
+  return { user, created: true };
+}
+
+function getAuthMethods(user) {
+  return {
+    password: !!user?.password,
+    google: !!user?.googleId
+  };
+}
+
+module.exports = {
+  GOOGLE_STRATEGY_NAME,
+  isGoogleAuthConfigured,
+  ensureGoogleStrategy,
+  signOAuthState,
+  verifyOAuthState,
+  signGoogleLinkToken,
+  verifyGoogleLinkToken,
+  resolveGoogleUser,
+  getAuthMethods
+};
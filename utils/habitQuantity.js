@@ -0,0 +1,209 @@
+const { normalizeDateLikeToYmd } = require('./dateHelpers');
+const { findChallengeParticipant } = require('./challengeHelpers');
+
+const MAX_UNIT_LENGTH = 20;
+const MAX_LOGGED_AMOUNT = 1000000;
+
+function isQuantitativeHabit(challenge) {
+  return challenge?.challengeType === 'habit' && Number(challenge?.dailyTarget?.amount) > 0;
+}
+
+/**
+ * Validates `dailyTarget` from a create/update request. `null` clears it.
+ * Resolves to { dailyTarget } or { error }.
+ */
+function parseDailyTargetInput(input) {
+  if (input === null) return { dailyTarget: null };
+  if (!input || typeof input !== 'object') {
+    return { error: 'dailyTarget must be an object with amount and unit' };
+  }
+
+  const amount = Number(input.amount);
+  if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_LOGGED_AMOUNT) {
+    return { error: 'dailyTarget.amount must be a positive number' };
+  }
+
+  const unit = typeof input.unit === 'string' ? input.unit.trim() : '';
+  if (!unit || unit.length > MAX_UNIT_LENGTH) {
+    return { error: `dailyTarget.unit is required (up to ${MAX_UNIT_LENGTH} characters)` };
+  }
+
+  return { dailyTarget: { amount, unit } };
+}
+
+function getLoggedAmount(participant, dateStr) {
+  const key = normalizeDateLikeToYmd(dateStr);
+  const entry = (participant?.dailyLogs || []).find((log) => log.date === key);
+  return entry ? Number(entry.amount) || 0 : 0;
+}
+
+/**
+ * Records an amount for `dateStr` ('add' to the day's total or 'set' it) and
+ * keeps completedDays in step with the target. Mutates the participant.
+ */
+function applyHabitLog(challenge, participant, dateStr, amount, mode = 'add') {
+  const key = normalizeDateLikeToYmd(dateStr);
+  const target = Number(challenge.dailyTarget.amount);
+  const previousAmount = getLoggedAmount(participant, key);
+  const nextAmount = Math.min(
+    MAX_LOGGED_AMOUNT,
+    Math.max(0, mode === 'set' ? amount : previousAmount + amount)
+  );
+
+  const logs = (participant.dailyLogs || []).filter((log) => log.date !== key);
+  if (nextAmount > 0) {
+    logs.push({ date: key, amount: nextAmount, updatedAt: new Date() });
+  }
+  participant.dailyLogs = logs.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  const completed = new Set((participant.completedDays || []).map((day) => normalizeDateLikeToYmd(day)));
+  const wasReached = completed.has(key);
+  const reached = nextAmount >= target;
+
+  if (reached) completed.add(key);
+  else completed.delete(key);
+  participant.completedDays = [...completed].filter(Boolean).sort();
+
+  return {
+    date: key,
+    amount: nextAmount,
+    target,
+    unit: challenge.dailyTarget.unit,
+    reached,
+    wasReached
+  };
+}
+
+/**
+ * Update pipeline applying the same change as applyHabitLog to the stored
+ * participant in one atomic write, so concurrent logs cannot overwrite each
+ * other. Keeps dailyLogs and completedDays sorted by date.
+ */
+function buildHabitLogUpdate(userId, dateStr, amount, mode = 'add') {
+  const key = normalizeDateLikeToYmd(dateStr);
+  const splitByDate = (input, field) => ({
+    before: { $filter: { input, as: 'item', cond: { $lt: [field, key] } } },
+    after: { $filter: { input, as: 'item', cond: { $gt: [field, key] } } }
+  });
+  const logs = splitByDate('$$logs', '$$item.date');
+  const days = splitByDate('$$days', '$$item');
+
+  const updatedParticipant = {
+    $let: {
+      vars: {
+        logs: { $ifNull: ['$$p.dailyLogs', []] },
+        days: { $ifNull: ['$$p.completedDays', []] }
+      },
+      in: {
+        $let: {
+          vars: {
+            next: {
+              $min: [
+                MAX_LOGGED_AMOUNT,
+                {
+                  $max: [
+                    0,
+                    mode === 'set'
+                      ? amount
+                      : {
+                          $add: [
+                            amount,
+                            {
+                              $sum: {
+                                $map: {
+                                  input: { $filter: { input: '$$logs', as: 'log', cond: { $eq: ['$$log.date', key] } } },
+                                  as: 'log',
+                                  in: '$$log.amount'
+                                }
+                              }
+                            }
+                          ]
+                        }
+                  ]
+                }
+              ]
+            }
+          },
+          in: {
+            $mergeObjects: [
+              '$$p',
+              {
+                dailyLogs: {
+                  $concatArrays: [
+                    logs.before,
+                    { $cond: [{ $gt: ['$$next', 0] }, [{ date: key, amount: '$$next', updatedAt: '$$NOW' }], []] },
+                    logs.after
+                  ]
+                },
+                completedDays: {
+                  $concatArrays: [
+                    days.before,
+                    { $cond: [{ $gte: ['$$next', '$dailyTarget.amount'] }, [key], []] },
+                    days.after
+                  ]
+                }
+              }
+            ]
+          }
+        }
+      }
+    }
+  };
+
+  return [
+    {
+      $set: {
+        participants: {
+          $map: {
+            input: '$participants',
+            as: 'p',
+            in: { $cond: [{ $eq: ['$$p.userId', userId] }, updatedParticipant, '$$p'] }
+          }
+        }
+      }
+    }
+  ];
+}
+
+/** Logged amounts per day of `dayKeys` for each quantitative habit of the user. */
+function buildQuantitySummaries(habitChallenges, userId, dayKeys) {
+  const summaries = [];
+
+  for (const challenge of habitChallenges || []) {
+    if (!isQuantitativeHabit(challenge)) continue;
+
+    const participant = findChallengeParticipant(challenge, userId);
+    if (!participant) continue;
+
+    const target = Number(challenge.dailyTarget.amount);
+    const days = dayKeys.map((date) => {
+      const amount = getLoggedAmount(participant, date);
+      return { date, amount, reached: amount >= target };
+    });
+    const total = days.reduce((sum, day) => sum + day.amount, 0);
+
+    if (total === 0) continue;
+
+    summaries.push({
+      id: String(challenge._id),
+      title: challenge.title || '',
+      unit: challenge.dailyTarget.unit,
+      dailyTarget: target,
+      total,
+      daysReached: days.filter((day) => day.reached).length,
+      days
+    });
+  }
+
+  return summaries;
+}
+
+module.exports = {
+  MAX_LOGGED_AMOUNT,
+  isQuantitativeHabit,
+  parseDailyTargetInput,
+  getLoggedAmount,
+  applyHabitLog,
+  buildHabitLogUpdate,
+  buildQuantitySummaries
+};
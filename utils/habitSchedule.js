@@ -0,0 +1,223 @@
+const { normalizeDateLikeToYmd } = require('./dateHelpers');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const HABIT_FREQUENCIES = ['daily', 'everyOtherDay', 'weekdays', 'timesPerWeek', 'everyNDays'];
+const MAX_INTERVAL_DAYS = 30;
+
+function dayKeyToUtcDate(dayKey) {
+  return new Date(`${dayKey}T00:00:00Z`);
+}
+
+function addDays(dayKey, days) {
+  const date = dayKeyToUtcDate(dayKey);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function diffDays(fromKey, toKey) {
+  return Math.round((dayKeyToUtcDate(toKey) - dayKeyToUtcDate(fromKey)) / MS_PER_DAY);
+}
+
+/** 0 = Sunday … 6 = Saturday, same as Date#getUTCDay. */
+function getWeekdayIndex(dayKey) {
+  return dayKeyToUtcDate(dayKey).getUTCDay();
+}
+
+/** Monday of the calendar week containing `dayKey`. */
+function getWeekStartKey(dayKey) {
+  return addDays(dayKey, -((getWeekdayIndex(dayKey) + 6) % 7));
+}
+
+/**
+ * Normalized schedule rule for a habit challenge:
+ * - daily
+ * - weekdays: fixed days of the week (`weekdays`, 0 = Sunday)
+ * - timesPerWeek: any `timesPerWeek` days of each Mon–Sun week
+ * - everyNDays: every `intervalDays` days from the start date (everyOtherDay = 2)
+ */
+function getHabitSchedule(challenge) {
+  const frequency = challenge?.frequency;
+  const schedule = challenge?.schedule || {};
+
+  if (frequency === 'everyOtherDay') {
+    return { type: 'everyNDays', intervalDays: 2 };
+  }
+  if (frequency === 'everyNDays' && Number(schedule.intervalDays) >= 1) {
+    return { type: 'everyNDays', intervalDays: Number(schedule.intervalDays) };
+  }
+  if (frequency === 'weekdays' && Array.isArray(schedule.weekdays) && schedule.weekdays.length > 0) {
+    return { type: 'weekdays', weekdays: [...new Set(schedule.weekdays.map(Number))].sort() };
+  }
+  if (frequency === 'timesPerWeek' && Number(schedule.timesPerWeek) >= 1) {
+    return { type: 'timesPerWeek', timesPerWeek: Math.min(7, Number(schedule.timesPerWeek)) };
+  }
+
+  return { type: 'daily' };
+}
+
+function getRangeKeys(challenge) {
+  return {
+    startKey: normalizeDateLikeToYmd(challenge?.startDate),
+    endKey: normalizeDateLikeToYmd(challenge?.endDate)
+  };
+}
+
+/**
+ * Whether `dateStr` can be a habit day at all. For timesPerWeek every day in
+ * range qualifies; use isHabitDueOnDate for whether it is still required.
+ */
+function isDateInHabitSchedule(challenge, dateStr) {
+  const { startKey, endKey } = getRangeKeys(challenge);
+  const key = normalizeDateLikeToYmd(dateStr);
+  if (!startKey || !endKey || !key) return false;
+  if (key < startKey || key > endKey) return false;
+
+  const schedule = getHabitSchedule(challenge);
+
+  if (schedule.type === 'everyNDays') {
+    const dayIndex = diffDays(startKey, key);
+    return dayIndex >= 0 && dayIndex % schedule.intervalDays === 0;
+  }
+  if (schedule.type === 'weekdays') {
+    return schedule.weekdays.includes(getWeekdayIndex(key));
+  }
+
+  return true;
+}
+
+function getParticipantDoneDayKeys(participant) {
+  const keys = new Set();
+  for (const field of ['completedDays', 'frozenDays', 'secondChanceDays']) {
+    for (const day of participant?.[field] || []) {
+      const key = normalizeDateLikeToYmd(day);
+      if (key) keys.add(key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Whether the participant is expected to do the habit on `dateStr`. Same as
+ * isDateInHabitSchedule, except a timesPerWeek habit stops being due once the
+ * week's quota is met on other days.
+ */
+function isHabitDueOnDate(challenge, participant, dateStr) {
+  if (!isDateInHabitSchedule(challenge, dateStr)) return false;
+
+  const schedule = getHabitSchedule(challenge);
+  if (schedule.type !== 'timesPerWeek') return true;
+
+  const key = normalizeDateLikeToYmd(dateStr);
+  const doneDays = getParticipantDoneDayKeys(participant);
+  if (doneDays.has(key)) return true;
+
+  const weekStart = getWeekStartKey(key);
+  const weekEnd = addDays(weekStart, 6);
+  let doneInWeek = 0;
+  for (const day of doneDays) {
+    if (day >= weekStart && day <= weekEnd) doneInWeek += 1;
+  }
+
+  return doneInWeek < schedule.timesPerWeek;
+}
+
+/** Required habit days between start and end (timesPerWeek: capped by days in range per week). */
+function countScheduledHabitDays(challenge) {
+  const { startKey, endKey } = getRangeKeys(challenge);
+  if (!startKey || !endKey || endKey < startKey) return 0;
+
+  const schedule = getHabitSchedule(challenge);
+  const daysPerWeek = new Map();
+  let count = 0;
+
+  for (let key = startKey; key <= endKey; key = addDays(key, 1)) {
+    if (!isDateInHabitSchedule(challenge, key)) continue;
+
+    if (schedule.type === 'timesPerWeek') {
+      const weekStart = getWeekStartKey(key);
+      daysPerWeek.set(weekStart, (daysPerWeek.get(weekStart) || 0) + 1);
+    } else {
+      count += 1;
+    }
+  }
+
+  for (const days of daysPerWeek.values()) {
+    count += Math.min(days, schedule.timesPerWeek);
+  }
+
+  return count;
+}
+
+/** Scheduled days the participant covered (completed, frozen or second chance). */
+function countFulfilledHabitDays(challenge, participant) {
+  const schedule = getHabitSchedule(challenge);
+  const doneDays = [...getParticipantDoneDayKeys(participant)]
+    .filter((key) => isDateInHabitSchedule(challenge, key));
+
+  if (schedule.type !== 'timesPerWeek') {
+    return doneDays.length;
+  }
+
+  const perWeek = new Map();
+  for (const key of doneDays) {
+    const weekStart = getWeekStartKey(key);
+    perWeek.set(weekStart, (perWeek.get(weekStart) || 0) + 1);
+  }
+
+  let count = 0;
+  for (const days of perWeek.values()) {
+    count += Math.min(days, schedule.timesPerWeek);
+  }
+  return count;
+}
+
+/**
+ * Validates `frequency` + `schedule` from a create/update request.
+ * Resolves to { frequency, schedule } or { error }.
+ */
+function parseHabitScheduleInput(frequency, schedule = {}) {
+  const value = frequency || 'daily';
+  if (!HABIT_FREQUENCIES.includes(value)) {
+    return { error: `frequency must be one of: ${HABIT_FREQUENCIES.join(', ')}` };
+  }
+
+  const input = schedule && typeof schedule === 'object' ? schedule : {};
+
+  if (value === 'weekdays') {
+    const weekdays = Array.isArray(input.weekdays) ? [...new Set(input.weekdays.map(Number))] : [];
+    if (weekdays.length === 0 || weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'schedule.weekdays must list days of the week from 0 (Sunday) to 6 (Saturday)' };
+    }
+    return { frequency: value, schedule: { weekdays: weekdays.sort() } };
+  }
+
+  if (value === 'timesPerWeek') {
+    const timesPerWeek = Number(input.timesPerWeek);
+    if (!Number.isInteger(timesPerWeek) || timesPerWeek < 1 || timesPerWeek > 7) {
+      return { error: 'schedule.timesPerWeek must be an integer from 1 to 7' };
+    }
+    return { frequency: value, schedule: { timesPerWeek } };
+  }
+
+  if (value === 'everyNDays') {
+    const intervalDays = Number(input.intervalDays);
+    if (!Number.isInteger(intervalDays) || intervalDays < 2 || intervalDays > MAX_INTERVAL_DAYS) {
+      return { error: `schedule.intervalDays must be an integer from 2 to ${MAX_INTERVAL_DAYS}` };
+    }
+    return { frequency: value, schedule: { intervalDays } };
+  }
+
+  return { frequency: value, schedule: null };
+}
+
+module.exports = {
+  HABIT_FREQUENCIES,
+  getHabitSchedule,
+  getWeekStartKey,
+  isDateInHabitSchedule,
+  isHabitDueOnDate,
+  countScheduledHabitDays,
+  countFulfilledHabitDays,
+  parseHabitScheduleInput
+};
@@ -0,0 +1,58 @@
+const assert = require('assert');
+const {
+  isDateInHabitSchedule,
+  isHabitDueOnDate,
+  countScheduledHabitDays,
+  countFulfilledHabitDays,
+  parseHabitScheduleInput
+} = require('./habitSchedule');
+
+// 2026-06-01 is a Monday
+const startDate = '2026-06-01';
+const endDate = '2026-06-14';
+
+function makeChallenge(frequency, schedule = null) {
+  return { startDate, endDate, frequency, schedule };
+}
+
+function runTests() {
+  const monWedFri = makeChallenge('weekdays', { weekdays: [1, 3, 5] });
+  assert.strictEqual(isDateInHabitSchedule(monWedFri, '2026-06-01'), true);
+  assert.strictEqual(isDateInHabitSchedule(monWedFri, '2026-06-02'), false);
+  assert.strictEqual(isDateInHabitSchedule(monWedFri, '2026-06-05'), true);
+  assert.strictEqual(isDateInHabitSchedule(monWedFri, '2026-06-15'), false, 'outside the range');
+  assert.strictEqual(countScheduledHabitDays(monWedFri), 6);
+
+  const everyThreeDays = makeChallenge('everyNDays', { intervalDays: 3 });
+  assert.strictEqual(isDateInHabitSchedule(everyThreeDays, '2026-06-04'), true);
+  assert.strictEqual(isDateInHabitSchedule(everyThreeDays, '2026-06-05'), false);
+  assert.strictEqual(countScheduledHabitDays(everyThreeDays), 5);
+
+  const legacyEveryOtherDay = makeChallenge('everyOtherDay');
+  assert.strictEqual(isDateInHabitSchedule(legacyEveryOtherDay, '2026-06-03'), true);
+  assert.strictEqual(isDateInHabitSchedule(legacyEveryOtherDay, '2026-06-04'), false);
+  assert.strictEqual(countScheduledHabitDays(makeChallenge('daily')), 14);
+
+  const twiceAWeek = makeChallenge('timesPerWeek', { timesPerWeek: 2 });
+  assert.strictEqual(countScheduledHabitDays(twiceAWeek), 4);
+
+  const participant = { completedDays: ['2026-06-01'], frozenDays: ['2026-06-03'] };
+  assert.strictEqual(isHabitDueOnDate(twiceAWeek, participant, '2026-06-03'), true, 'a done day stays due');
+  assert.strictEqual(isHabitDueOnDate(twiceAWeek, participant, '2026-06-04'), false, 'weekly quota met');
+  assert.strictEqual(isHabitDueOnDate(twiceAWeek, participant, '2026-06-08'), true, 'next week starts over');
+  assert.strictEqual(countFulfilledHabitDays(twiceAWeek, {
+    completedDays: ['2026-06-01', '2026-06-02', '2026-06-03', '2026-06-08']
+  }), 3, 'extra days in a week do not count');
+
+  assert.deepStrictEqual(parseHabitScheduleInput('weekdays', { weekdays: [5, 1, 1] }), {
+    frequency: 'weekdays',
+    schedule: { weekdays: [1, 5] }
+  });
+  assert.ok(parseHabitScheduleInput('timesPerWeek', { timesPerWeek: 9 }).error);
+  assert.ok(parseHabitScheduleInput('hourly').error);
+  assert.deepStrictEqual(parseHabitScheduleInput('daily'), { frequency: 'daily', schedule: null });
+
+  console.log('habitSchedule.test.js: all assertions passed');
+}
+
+runTests();
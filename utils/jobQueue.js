@@ -0,0 +1,226 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+
+const POLL_INTERVAL_MS = 5 * 1000;
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+const handlers = new Map();
+const recurringJobs = new Map();
+
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+let pollTimeoutId = null;
+let isWorkerRunning = false;
+
+/**
+ * @param {string} name
+ * @param {(payload: Object, context: { job: Object }) => Promise<*>} handler
+ * @param {{ leaseMs?: number, maxAttempts?: number }} [options]
+ */
+function registerJobHandler(name, handler, { leaseMs = DEFAULT_LEASE_MS, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  handlers.set(name, { handler, leaseMs, maxAttempts });
+}
+
+/**
+ * Enqueues `name` once per `everyMs` slot. The slot start is part of the
+ * job's uniqueKey, so any number of workers produce a single job per slot.
+ */
+function registerRecurringJob(name, { everyMs, payload = {} }) {
+  recurringJobs.set(name, { everyMs, payload, lastSlot: null });
+}
+
+function getBackoffMs(attempts) {
+  return Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+/** Resolves to the job, or null when a job with the same uniqueKey already exists. */
+async function enqueueJob(name, payload = {}, { runAt = new Date(), uniqueKey = null, maxAttempts } = {}) {
+  const fields = {
+    name,
+    payload,
+    status: 'queued',
+    runAt,
+    maxAttempts: maxAttempts || handlers.get(name)?.maxAttempts || DEFAULT_MAX_ATTEMPTS
+  };
+
+  if (!uniqueKey) {
+    return Job.create(fields);
+  }
+
+  try {
+    return await Job.create({ ...fields, uniqueKey });
+  } catch (error) {
+    if (error?.code === 11000) return null;
+    throw error;
+  }
+}
+
+async function enqueueDueRecurringJobs(now = new Date()) {
+  for (const [name, definition] of recurringJobs) {
+    const slotStart = Math.floor(now.getTime() / definition.everyMs) * definition.everyMs;
+    if (definition.lastSlot === slotStart) continue;
+
+    const slotIso = new Date(slotStart).toISOString();
+    await enqueueJob(name, { ...definition.payload, scheduledFor: slotIso }, {
+      runAt: new Date(slotStart),
+      uniqueKey: `${name}:${slotIso}`
+    });
+    definition.lastSlot = slotStart;
+  }
+}
+
+/**
+ * Atomically leases the next runnable job: a queued job that is due, or a
+ * running job whose lease expired (its worker died mid-run).
+ */
+async function claimNextJob(now = new Date()) {
+  const names = [...handlers.keys()];
+  if (names.length === 0) return null;
+
+  return Job.findOneAndUpdate(
+    {
+      name: { $in: names },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + DEFAULT_LEASE_MS)
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+async function extendLease(job, leaseMs) {
+  await Job.updateOne(
+    { _id: job._id, lockedBy: workerId, status: 'running' },
+    { $set: { lockedUntil: new Date(Date.now() + leaseMs) } }
+  );
+}
+
+async function recordJobRun(job, { status, startedAt, error = null, result = null }) {
+  const finishedAt = new Date();
+  try {
+    await JobRun.create({
+      jobId: job._id,
+      name: job.name,
+      attempt: job.attempts,
+      workerId,
+      status,
+      startedAt,
+      finishedAt,
+      durationMs: finishedAt - startedAt,
+      error,
+      result: result === undefined ? null : result
+    });
+  } catch (recordError) {
+    console.error('[JobQueue] Failed to record job run:', job.name, recordError?.message || recordError);
+  }
+}
+
+async function finishJob(job, update) {
+  // Guarded by lockedBy so a worker that lost its lease cannot overwrite the new owner's state.
+  await Job.updateOne(
+    { _id: job._id, lockedBy: workerId },
+    { $set: { lockedBy: null, lockedUntil: null, ...update } }
+  );
+}
+
+async function runJob(job) {
+  const definition = handlers.get(job.name);
+  const startedAt = new Date();
+
+  if (job.attempts > job.maxAttempts) {
+    const error = 'Lease expired after the last attempt';
+    await finishJob(job, { status: 'failed', lastError: error, completedAt: new Date() });
+    await recordJobRun(job, { status: 'failed', startedAt, error });
+    return;
+  }
+
+  const leaseMs = definition.leaseMs;
+  await extendLease(job, leaseMs);
+  const heartbeatId = setInterval(() => {
+    extendLease(job, leaseMs).catch((error) => {
+      console.error('[JobQueue] Failed to extend lease:', job.name, error?.message || error);
+    });
+  }, Math.max(1000, Math.floor(leaseMs / 3)));
+
+  try {
+    const result = await definition.handler(job.payload || {}, { job });
+    await finishJob(job, { status: 'succeeded', lastError: null, completedAt: new Date() });
+    await recordJobRun(job, { status: 'succeeded', startedAt, result });
+  } catch (error) {
+    const message = error?.message || String(error);
+    console.error(`[JobQueue] Job ${job.name} failed (attempt ${job.attempts}/${job.maxAttempts}):`, message);
+
+    if (job.attempts < job.maxAttempts) {
+      await finishJob(job, {
+        status: 'queued',
+        lastError: message,
+        runAt: new Date(Date.now() + getBackoffMs(job.attempts))
+      });
+    } else {
+      await finishJob(job, { status: 'failed', lastError: message, completedAt: new Date() });
+    }
+    await recordJobRun(job, { status: 'failed', startedAt, error: message });
+  } finally {
+    clearInterval(heartbeatId);
+  }
+}
+
+async function pollOnce() {
+  await enqueueDueRecurringJobs();
+
+  const job = await claimNextJob();
+  if (!job) return false;
+
+  await runJob(job);
+  return true;
+}
+
+function scheduleNextPoll(delayMs) {
+  if (!isWorkerRunning) return;
+  pollTimeoutId = setTimeout(async () => {
+    let processedJob = false;
+    try {
+      processedJob = await pollOnce();
+    } catch (error) {
+      console.error('[JobQueue] Poll failed:', error?.message || error);
+    }
+    scheduleNextPoll(processedJob ? 0 : POLL_INTERVAL_MS);
+  }, delayMs);
+}
+
+function startJobWorker({ initialDelayMs = 5000 } = {}) {
+  if (isWorkerRunning) return;
+  isWorkerRunning = true;
+  console.log(`[JobQueue] Worker ${workerId} started (${[...handlers.keys()].join(', ')})`);
+  scheduleNextPoll(initialDelayMs);
+}
+
+function stopJobWorker() {
+  isWorkerRunning = false;
+  if (pollTimeoutId) {
+    clearTimeout(pollTimeoutId);
+    pollTimeoutId = null;
+  }
+}
+
+module.exports = {
+  registerJobHandler,
+  registerRecurringJob,
+  enqueueJob,
+  getBackoffMs,
+  startJobWorker,
+  stopJobWorker
+};
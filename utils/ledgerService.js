@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const AwardedEvent = require('../models/AwardedEvent');
+const User = require('../models/User');
+const { toLocalDateKey, normalizeDateLikeToYmd } = require('./dateHelpers');
+
+const LEDGER_CURRENCIES = Object.freeze(['sparks', 'xp']);
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+/**
+ * Runs `work(session)` inside a MongoDB transaction so a balance change and its
+ * ledger entry are committed together or not at all.
+ */
+async function withLedgerTransaction(work) {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+function resolveLedgerLocalDate(meta = {}, user = null) {
+  const explicit = normalizeDateLikeToYmd(meta.localDate || meta.clientDay);
+  if (explicit) return explicit;
+
+  return toLocalDateKey(new Date(), user?.dailyRecapTimezone || 'UTC');
+}
+
+async function recordLedgerEntry({ userId, currency, amount, eventKey, meta = {}, user = null }, session) {
+  const [entry] = await LedgerEntry.create([{
+    userId,
+    currency,
+    amount,
+    eventType: meta.type || 'unknown',
+    eventKey,
+    meta,
+    localDate: resolveLedgerLocalDate(meta, user)
+  }], { session });
+
+  return entry;
+}
+
+function isDuplicateKeyError(error) {
+  return error?.code === 11000;
+}
+
+async function isEventKeyClaimed(userId, eventKey) {
+  if (!userId || !eventKey) return false;
+  return !!(await AwardedEvent.exists({ userId, eventKey }));
+}
+
+/**
+ * Claims `eventKey` for the user, applies `userUpdate` and appends the ledger
+ * entry in one transaction.
+ * Resolves to { user } on success, { reason: 'duplicate_event' } when the key was
+ * already claimed, or { reason: 'user_not_matched' } when no user matched
+ * `userFilter` (nothing is written in either failure case).
+ */
+async function applyBalanceChangeOnce({
+  userId,
+  currency,
+  amount,
+  eventKey,
+  meta = {},
+  userFilter = {},
+  userUpdate
+}) {
+  try {
+    return await withLedgerTransaction(async (session) => {
+      await AwardedEvent.create([{ userId, eventKey, currency }], { session });
+
+      const user = await User.findOneAndUpdate(
+        { _id: userId, ...userFilter },
+        userUpdate,
+        { new: true, session }
+      );
+
+      if (!user) {
+        await session.abortTransaction();
+        return { reason: 'user_not_matched' };
+      }
+
+      await recordLedgerEntry({ userId, currency, amount, eventKey, meta, user }, session);
+      return { user };
+    });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return { reason: 'duplicate_event' };
+    }
+    throw error;
+  }
+}
+
+function parseHistoryLimit(value) {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit <= 0) return DEFAULT_HISTORY_LIMIT;
+  return Math.min(MAX_HISTORY_LIMIT, limit);
+}
+
+function buildLedgerHistoryQuery(userId, currency, { cursor = null, from = null, to = null } = {}) {
+  const query = { userId, currency };
+
+  if (cursor) {
+    query._id = { $lt: new mongoose.Types.ObjectId(String(cursor)) };
+  }
+
+  if (from || to) {
+    query.localDate = {};
+    if (from) query.localDate.$gte = from;
+    if (to) query.localDate.$lte = to;
+  }
+
+  return query;
+}
+
+function serializeLedgerEntry(entry) {
+  return {
+    id: entry._id,
+    currency: entry.currency,
+    amount: entry.amount,
+    eventType: entry.eventType,
+    eventKey: entry.eventKey,
+    meta: entry.meta || {},
+    localDate: entry.localDate,
+    createdAt: entry.createdAt
+  };
+}
+
+/**
+ * Newest-first page of ledger entries. `cursor` is the id of the last entry
+ * from the previous page; `from` / `to` are inclusive YYYY-MM-DD local dates.
+ */
+async function fetchLedgerHistory(userId, currency, { cursor = null, limit, from = null, to = null } = {}) {
+  const safeLimit = parseHistoryLimit(limit);
+  const docs = await LedgerEntry.find(buildLedgerHistoryQuery(userId, currency, { cursor, from, to }))
+    .sort({ _id: -1 })
+    .limit(safeLimit + 1)
+    .lean();
+
+  const hasMore = docs.length > safeLimit;
+  const page = hasMore ? docs.slice(0, safeLimit) : docs;
+
+  return {
+    entries: page.map(serializeLedgerEntry),
+    pagination: {
+      limit: safeLimit,
+      nextCursor: hasMore ? String(page[page.length - 1]._id) : null,
+      hasMore
+    }
+  };
+}
+
+/**
+ * Sums positive (earned) amounts for a currency between two local dates, inclusive.
+ */
+async function sumEarnedInRange(userId, currency, startKey, endKey) {
+  const [result] = await LedgerEntry.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        currency,
+        amount: { $gt: 0 },
+        localDate: { $gte: startKey, $lte: endKey }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$amount' },
+        eventCount: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return {
+    total: result?.total || 0,
+    eventCount: result?.eventCount || 0
+  };
+}
+
+module.exports = {
+  LEDGER_CURRENCIES,
+  withLedgerTransaction,
+  resolveLedgerLocalDate,
+  recordLedgerEntry,
+  isEventKeyClaimed,
+  applyBalanceChangeOnce,
+  buildLedgerHistoryQuery,
+  fetchLedgerHistory,
+  sumEarnedInRange
+};
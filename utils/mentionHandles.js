@@ -0,0 +1,64 @@
+// @handle parsing for comment text. A handle is derived from the display name,
+// so it needs no separate username field.
+
+const MAX_MENTIONS_PER_COMMENT = 10;
+
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_.@])@([\p{L}\p{N}_.]{2,40})/gu;
+
+function toIdString(value) {
+  const id = value?._id || value;
+  return id ? id.toString() : null;
+}
+
+/** The @handle of a display name: lowercased, without spaces or punctuation ("Anna Lee" -> "annalee"). */
+function toMentionHandle(name) {
+  return String(name || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}_]+/gu, '');
+}
+
+/** Distinct handles mentioned in `text`, in order of appearance. */
+function extractMentionHandles(text) {
+  const handles = [];
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    const handle = toMentionHandle(match[2]);
+    if (handle.length >= 2 && !handles.includes(handle)) {
+      handles.push(handle);
+    }
+    if (handles.length >= MAX_MENTIONS_PER_COMMENT) break;
+  }
+  return handles;
+}
+
+/**
+ * Ids of the candidates whose handle was mentioned. A handle shared by several
+ * candidates is ambiguous and resolves to nobody; the author is never included.
+ */
+function resolveMentionHandles(handles, candidates, { authorId = null } = {}) {
+  const usersByHandle = new Map();
+  for (const user of candidates) {
+    const handle = toMentionHandle(user.name);
+    if (!handle) continue;
+    if (!usersByHandle.has(handle)) usersByHandle.set(handle, new Set());
+    usersByHandle.get(handle).add(toIdString(user._id));
+  }
+
+  const ids = [];
+  for (const handle of handles) {
+    const matches = usersByHandle.get(handle);
+    if (!matches || matches.size !== 1) continue;
+    const [id] = matches;
+    if (id !== toIdString(authorId) && !ids.includes(id)) {
+      ids.push(id);
+    }
+  }
+  return ids;
+}
+
+module.exports = {
+  MAX_MENTIONS_PER_COMMENT,
+  toMentionHandle,
+  extractMentionHandles,
+  resolveMentionHandles
+};
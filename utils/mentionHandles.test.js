@@ -0,0 +1,37 @@
+const assert = require('assert');
+const {
+  MAX_MENTIONS_PER_COMMENT,
+  toMentionHandle,
+  extractMentionHandles,
+  resolveMentionHandles
+} = require('./mentionHandles');
+
+function runTests() {
+  assert.strictEqual(toMentionHandle('Anna Lee'), 'annalee');
+  assert.strictEqual(toMentionHandle('  Иван Петров '), 'иванпетров');
+  assert.strictEqual(toMentionHandle('o\'Brien-Smith'), 'obriensmith');
+
+  assert.deepStrictEqual(extractMentionHandles('Great job @AnnaLee and @иванпетров!'), ['annalee', 'иванпетров']);
+  assert.deepStrictEqual(extractMentionHandles('@annalee, thanks @AnnaLee.'), ['annalee'], 'de-duplicated, trailing dot dropped');
+  assert.deepStrictEqual(extractMentionHandles('write to anna@example.com'), [], 'emails are not mentions');
+  assert.deepStrictEqual(extractMentionHandles('@a is too short'), []);
+  assert.deepStrictEqual(extractMentionHandles(''), []);
+
+  const many = Array.from({ length: MAX_MENTIONS_PER_COMMENT + 5 }, (_, index) => `@user${index}`).join(' ');
+  assert.strictEqual(extractMentionHandles(many).length, MAX_MENTIONS_PER_COMMENT);
+
+  const candidates = [
+    { _id: 'u1', name: 'Anna Lee' },
+    { _id: 'u2', name: 'Max' },
+    { _id: 'u3', name: 'max' },
+    { _id: 'u4', name: 'Иван Петров' }
+  ];
+  assert.deepStrictEqual(resolveMentionHandles(['annalee', 'иванпетров'], candidates), ['u1', 'u4']);
+  assert.deepStrictEqual(resolveMentionHandles(['max'], candidates), [], 'ambiguous handle resolves to nobody');
+  assert.deepStrictEqual(resolveMentionHandles(['nobody'], candidates), []);
+  assert.deepStrictEqual(resolveMentionHandles(['annalee'], candidates, { authorId: 'u1' }), [], 'no self-mentions');
+
+  console.log('mentionHandles.test.js: all assertions passed');
+}
+
+runTests();
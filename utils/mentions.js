@@ -0,0 +1,104 @@
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { notifyChallengeCommentRecipient } = require('./notificationService');
+const { extractMentionHandles, resolveMentionHandles } = require('./mentionHandles');
+
+// Mention notifications one author can trigger per window; extra mentions are stored but not notified
+const MENTION_NOTIFICATION_LIMIT = 20;
+const MENTION_RATE_WINDOW_MS = 60 * 60 * 1000;
+
+function toIdString(value) {
+  const id = value?._id || value;
+  return id ? id.toString() : null;
+}
+
+/**
+ * Users a comment on `challenge` can mention: the owner and participants, and
+ * on missions that are not private, anyone who has commented there.
+ */
+async function loadMentionCandidates(challenge) {
+  const ids = new Set([toIdString(challenge.owner)]);
+  for (const participant of challenge.participants || []) {
+    ids.add(toIdString(participant.userId));
+  }
+
+  if (challenge.privacy !== 'private') {
+    const commenterIds = await Comment.distinct('userId', { challengeId: challenge._id, deletedAt: null });
+    commenterIds.forEach((id) => ids.add(toIdString(id)));
+  }
+
+  ids.delete(null);
+  return User.find({ _id: { $in: [...ids] } }).select('name').lean();
+}
+
+/** Resolves the @handles in `text` to the ids of users who can see `challenge`. */
+async function resolveCommentMentions(challenge, text, { authorId }) {
+  const handles = extractMentionHandles(text);
+  if (handles.length === 0) return [];
+
+  const candidates = await loadMentionCandidates(challenge);
+  return resolveMentionHandles(handles, candidates, { authorId });
+}
+
+/**
+ * The user a reply answers (the client-supplied `mentionedUserId`), kept only
+ * when they could also be @mentioned on `challenge`; null otherwise.
+ */
+async function resolveReplyTarget(challenge, userId, { authorId }) {
+  if (typeof userId !== 'string' || !userId || userId === toIdString(authorId)) return null;
+
+  const candidates = await loadMentionCandidates(challenge);
+  return candidates.some((candidate) => toIdString(candidate._id) === userId) ? userId : null;
+}
+
+/** The first recipients that still fit in the author's hourly mention budget. */
+async function applyMentionRateLimit(authorId, recipientIds, now = new Date()) {
+  if (recipientIds.length === 0) return [];
+
+  const recentCount = await Notification.countDocuments({
+    fromUserId: authorId,
+    type: 'mention',
+    createdAt: { $gte: new Date(now.getTime() - MENTION_RATE_WINDOW_MS) }
+  });
+  return recipientIds.slice(0, Math.max(0, MENTION_NOTIFICATION_LIMIT - recentCount));
+}
+
+/**
+ * Sends a 'mention' notification to each of `userIds` (minus `skipUserIds`,
+ * e.g. users already notified about the same comment), within the author's rate limit.
+ * `isHandleMention: false` words it as a reply to the recipient instead of an @handle.
+ */
+async function notifyMentionedUsers({
+  challenge,
+  authorId,
+  userIds,
+  commentId,
+  replyId = null,
+  skipUserIds = [],
+  isHandleMention = true
+}) {
+  const skipped = new Set(skipUserIds.filter(Boolean).map(toIdString));
+  const recipients = userIds.map(toIdString).filter((id) => id && !skipped.has(id));
+  const allowed = await applyMentionRateLimit(authorId, recipients);
+
+  for (const recipientUserId of allowed) {
+    await notifyChallengeCommentRecipient({
+      recipientUserId,
+      fromUserId: authorId,
+      challenge,
+      type: 'mention',
+      commentId,
+      replyId,
+      isHandleMention
+    });
+  }
+
+  return { notifiedUserIds: allowed, rateLimitedCount: recipients.length - allowed.length };
+}
+
+module.exports = {
+  resolveCommentMentions,
+  resolveReplyTarget,
+  notifyMentionedUsers
+};
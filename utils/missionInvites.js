@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const MissionInvite = require('../models/MissionInvite');
+
+const MAX_INVITE_EXPIRY_HOURS = 90 * 24;
+const MAX_INVITE_USES = 1000;
+
+function generateInviteToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+/** Validates `{ expiresInHours, maxUses, requiresApproval }` from the create-invite body. */
+function parseInviteOptions(body = {}) {
+  const options = { expiresAt: null, maxUses: null, requiresApproval: body.requiresApproval === true };
+
+  if (body.expiresInHours !== undefined && body.expiresInHours !== null) {
+    const hours = Number(body.expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_INVITE_EXPIRY_HOURS) {
+      return { error: `expiresInHours must be between 1 and ${MAX_INVITE_EXPIRY_HOURS}` };
+    }
+    options.expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+  }
+
+  if (body.maxUses !== undefined && body.maxUses !== null) {
+    const maxUses = Number(body.maxUses);
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES) {
+      return { error: `maxUses must be an integer between 1 and ${MAX_INVITE_USES}` };
+    }
+    options.maxUses = maxUses;
+  }
+
+  return { options };
+}
+
+/** 'active', or why the invite can no longer be used: 'revoked', 'expired' or 'used_up'. */
+function getInviteStatus(invite, now = new Date()) {
+  if (!invite) return 'not_found';
+  if (invite.revokedAt) return 'revoked';
+  if (invite.expiresAt && new Date(invite.expiresAt) <= now) return 'expired';
+  if (invite.maxUses && invite.useCount >= invite.maxUses) return 'used_up';
+  return 'active';
+}
+
+function buildInviteLink(challengeId, token, origin) {
+  const base = (origin || process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${base}/challenges/${challengeId}?invite=${encodeURIComponent(token)}`;
+}
+
+function serializeInvite(invite, { origin = null, includeToken = true } = {}) {
+  if (!invite) return null;
+
+  const acceptances = invite.acceptances || [];
+  const serialized = {
+    id: invite._id,
+    challengeId: invite.challengeId,
+    createdBy: invite.createdBy,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    useCount: invite.useCount || 0,
+    requiresApproval: !!invite.requiresApproval,
+    status: getInviteStatus(invite),
+    acceptedCount: acceptances.filter((entry) => entry.status === 'accepted').length,
+    pendingCount: acceptances.filter((entry) => entry.status === 'pending').length,
+    createdAt: invite.createdAt
+  };
+
+  if (includeToken) {
+    serialized.token = invite.token;
+    serialized.link = buildInviteLink(invite.challengeId, invite.token, origin);
+  }
+
+  return serialized;
+}
+
+/**
+ * Atomically takes one use of an active invite for `challengeId` and records
+ * the joining user. Resolves to the updated invite, or `{ error }` with the
+ * reason the token cannot be used.
+ */
+async function redeemInviteToken(token, { challengeId, userId, now = new Date() }) {
+  const invite = await MissionInvite.findOne({ token: String(token || ''), challengeId });
+  const status = getInviteStatus(invite, now);
+  if (status !== 'active') {
+    return { error: status };
+  }
+
+  const acceptanceStatus = invite.requiresApproval ? 'pending' : 'accepted';
+  const updated = await MissionInvite.findOneAndUpdate(
+    {
+      _id: invite._id,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$useCount', '$maxUses'] } }] }
+      ]
+    },
+    {
+      $inc: { useCount: 1 },
+      $push: {
+        acceptances: {
+          userId,
+          status: acceptanceStatus,
+          createdAt: now,
+          decidedAt: acceptanceStatus === 'accepted' ? now : null
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { error: getInviteStatus(await MissionInvite.findById(invite._id), now) };
+  }
+
+  return { invite: updated, pending: acceptanceStatus === 'pending' };
+}
+
+/**
+ * Records the owner's decision on a pending join that came through an invite.
+ * A rejection gives the use back to the invite.
+ */
+async function decideInviteAcceptance(inviteId, userId, status) {
+  if (!inviteId) return;
+
+  const update = {
+    $set: { 'acceptances.$[entry].status': status, 'acceptances.$[entry].decidedAt': new Date() }
+  };
+  if (status === 'rejected') {
+    update.$inc = { useCount: -1 };
+  }
+
+  await MissionInvite.updateOne(
+    { _id: inviteId, acceptances: { $elemMatch: { userId, status: 'pending' } } },
+    update,
+    { arrayFilters: [{ 'entry.userId': userId, 'entry.status': 'pending' }] }
+  );
+}
+
+/** Users who joined `challengeId` through invites created by `inviterId`. */
+async function getAcceptedInviteeIds(inviterId, challengeId) {
+  const invites = await MissionInvite.find({ challengeId, createdBy: inviterId })
+    .select('acceptances')
+    .lean();
+
+  const inviteeIds = new Set();
+  for (const invite of invites) {
+    for (const entry of invite.acceptances || []) {
+      if (entry.status === 'accepted' && String(entry.userId) !== String(inviterId)) {
+        inviteeIds.add(String(entry.userId));
+      }
+    }
+  }
+  return [...inviteeIds];
+}
+
+module.exports = {
+  generateInviteToken,
+  parseInviteOptions,
+  getInviteStatus,
+  serializeInvite,
+  redeemInviteToken,
+  decideInviteAcceptance,
+  getAcceptedInviteeIds
+};
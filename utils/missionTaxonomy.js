@@ -0,0 +1,125 @@
+const {
+  MISSION_CATEGORIES,
+  MAX_MISSION_TAGS,
+  isMissionCategory,
+  normalizeMissionTags
+} = require('../constants/missionCategories');
+
+const DEFAULT_TAG_FACET_LIMIT = 30;
+
+function parseMissionCategoryInput(value) {
+  if (value === null || value === '') {
+    return { category: 'other' };
+  }
+  if (!isMissionCategory(value)) {
+    return { error: `category must be one of: ${MISSION_CATEGORIES.join(', ')}` };
+  }
+  return { category: value };
+}
+
+function parseMissionTagsInput(value) {
+  if (value === null) {
+    return { tags: [] };
+  }
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list)) {
+    return { error: 'tags must be an array of strings' };
+  }
+  if (list.length > MAX_MISSION_TAGS) {
+    return { error: `A mission can have at most ${MAX_MISSION_TAGS} tags` };
+  }
+  return { tags: normalizeMissionTags(list) };
+}
+
+/** Splits a `?category=a,b` / `?tags=x,y` query value into a clean list. */
+function parseListQueryParam(value) {
+  if (value === undefined || value === null) return [];
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  return raw.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/** Missions created before categories existed have no field and count as 'other'. */
+function buildCategoryMatch(categories) {
+  const values = categories.includes('other') ? [...categories, null] : categories;
+  return values.length === 1 ? values[0] : { $in: values };
+}
+
+/**
+ * Mongo filter for the list routes: any of `categories`, all of `tags`.
+ * Unknown categories are dropped rather than rejected so stale links keep working.
+ */
+function buildTaxonomyQuery({ categories = [], tags = [] } = {}) {
+  const query = {};
+  const knownCategories = categories.filter(isMissionCategory);
+  const normalizedTags = normalizeMissionTags(tags);
+
+  if (knownCategories.length > 0) {
+    query.category = buildCategoryMatch(knownCategories);
+  }
+  if (normalizedTags.length > 0) {
+    query.tags = { $all: normalizedTags };
+  }
+
+  return query;
+}
+
+function getChallengeCategory(challenge) {
+  return isMissionCategory(challenge?.category) ? challenge.category : 'other';
+}
+
+/**
+ * `$facet` stage counting an already-filtered mission list inside the
+ * aggregation. Category counts ignore the selected categories so the client
+ * can switch between them; tag counts are taken within the selected categories.
+ */
+function buildMissionFacetStage({ categories = [], tagLimit = DEFAULT_TAG_FACET_LIMIT } = {}) {
+  const selectedCategories = categories.filter(isMissionCategory);
+  const categoryExpr = {
+    $cond: [{ $in: ['$category', [...MISSION_CATEGORIES]] }, '$category', 'other']
+  };
+
+  const tagStages = [];
+  if (selectedCategories.length > 0) {
+    tagStages.push({ $match: { $expr: { $in: [categoryExpr, selectedCategories] } } });
+  }
+  tagStages.push(
+    { $project: { tags: { $setUnion: [{ $ifNull: ['$tags', []] }, []] } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: tagLimit }
+  );
+
+  return {
+    $facet: {
+      categories: [{ $group: { _id: categoryExpr, count: { $sum: 1 } } }],
+      tags: tagStages
+    }
+  };
+}
+
+/** Shapes the `$facet` result, listing every category even with no missions. */
+function formatMissionFacets(result, { categories = [] } = {}) {
+  const selectedCategories = new Set(categories.filter(isMissionCategory));
+  const categoryCounts = new Map((result?.categories || []).map((entry) => [entry._id, entry.count]));
+
+  return {
+    categories: MISSION_CATEGORIES.map((category) => ({
+      category,
+      count: categoryCounts.get(category) || 0,
+      selected: selectedCategories.has(category)
+    })),
+    tags: (result?.tags || []).map((entry) => ({ tag: entry._id, count: entry.count }))
+  };
+}
+
+module.exports = {
+  parseMissionCategoryInput,
+  parseMissionTagsInput,
+  parseListQueryParam,
+  buildCategoryMatch,
+  buildTaxonomyQuery,
+  getChallengeCategory,
+  buildMissionFacetStage,
+  formatMissionFacets
+};
@@ -0,0 +1,112 @@
+const { getClientDayRange } = require('./dateHelpers');
+const { getInclusiveDaysBetween } = require('./challengeHelpers');
+
+const DEFAULT_TEMPLATE_DURATION_DAYS = 30;
+const MAX_TEMPLATE_DURATION_DAYS = 366;
+
+/** Copies an action tree as a fresh, unchecked checklist (new ids, no claims). */
+function copyActionTree(actions) {
+  if (!Array.isArray(actions)) return [];
+
+  return actions.map((action) => ({
+    text: action?.text || '',
+    checked: false,
+    children: (action?.children || []).map((child) => ({
+      text: child?.text || '',
+      checked: false
+    }))
+  }));
+}
+
+function clampDurationDays(value) {
+  const days = Math.floor(Number(value));
+  if (!Number.isFinite(days) || days < 1) return DEFAULT_TEMPLATE_DURATION_DAYS;
+  return Math.min(days, MAX_TEMPLATE_DURATION_DAYS);
+}
+
+/**
+ * Fresh start/end dates for a copied mission: starts on the client's today and
+ * keeps the source duration.
+ */
+function resolveFreshMissionDates(req, durationDays) {
+  const days = clampDurationDays(durationDays);
+  const { startUtc: startDate } = getClientDayRange(req, 0);
+  const { startUtc: endDate } = getClientDayRange(req, days - 1);
+
+  return { startDate, endDate, durationDays: days };
+}
+
+function getMissionDurationDays(challenge) {
+  return clampDurationDays(getInclusiveDaysBetween(challenge?.startDate, challenge?.endDate));
+}
+
+/**
+ * Builds the Challenge document data for a new mission copied from a mission
+ * or a template. Progress, participants, comments and diary are never copied.
+ */
+function buildMissionDataFromSource(source, { ownerId, startDate, endDate, privacy }) {
+  const challengeType = source.challengeType === 'result' ? 'result' : 'habit';
+  const data = {
+    title: source.title,
+    description: source.description || '',
+    imageUrl: source.imageUrl || '',
+    challengeType,
+    difficulty: source.difficulty || 'medium',
+    category: source.category || 'other',
+    tags: [...(source.tags || [])],
+    startDate,
+    endDate,
+    owner: ownerId,
+    participants: [{ userId: ownerId, role: 'owner', completedDays: [] }]
+  };
+
+  if (privacy) {
+    data.privacy = privacy;
+  }
+
+  if (challengeType === 'habit') {
+    data.frequency = source.frequency || 'daily';
+    data.schedule = source.schedule || null;
+    data.dailyTarget = source.dailyTarget?.amount > 0 ? source.dailyTarget : null;
+  } else {
+    data.actions = copyActionTree(source.actions);
+    data.reward = source.reward || '';
+    if (source.questMode) {
+      data.questMode = source.questMode;
+    }
+  }
+
+  return data;
+}
+
+function serializeTemplate(template) {
+  if (!template) return null;
+
+  return {
+    id: template._id,
+    slug: template.slug,
+    title: template.title,
+    description: template.description || '',
+    imageUrl: template.imageUrl || '',
+    challengeType: template.challengeType,
+    frequency: template.frequency || null,
+    schedule: template.schedule || null,
+    dailyTarget: template.dailyTarget || null,
+    durationDays: template.durationDays,
+    actions: template.actions || [],
+    difficulty: template.difficulty,
+    reward: template.reward || '',
+    category: template.category,
+    tags: template.tags || [],
+    usageCount: template.usageCount || 0
+  };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE_DURATION_DAYS,
+  copyActionTree,
+  resolveFreshMissionDates,
+  getMissionDurationDays,
+  buildMissionDataFromSource,
+  serializeTemplate
+};
@@ -11,6 +11,12 @@ const MESSAGES = {
     pushCommentBody: '{fromName} commented on your challenge "{missionTitle}"',
     pushReplyTitle: 'New Reply',
     pushReplyBody: '{fromName} replied to your comment on "{missionTitle}"',
+    pushMentionTitle: 'You Were Mentioned',
+    pushMentionBody: '{fromName} mentioned you in "{missionTitle}"',
+    pushFollowTitle: 'New Follower',
+    pushFollowBody: '{fromName} started following you',
+    pushFollowRequestTitle: 'Follow Request',
+    pushFollowRequestBody: '{fromName} wants to follow you',
     dailyRecapTitle: 'Daily Recap',
     dailyRecapBodies: [
       "Today's missions are still active. Shall we make a final push?",
@@ -24,6 +30,12 @@ const MESSAGES = {
     pushCommentBody: '{fromName} прокомментировал(а) ваш вызов «{missionTitle}»',
     pushReplyTitle: 'Новый ответ',
     pushReplyBody: '{fromName} ответил(а) на ваш комментарий к «{missionTitle}»',
+    pushMentionTitle: 'Вас упомянули',
+    pushMentionBody: '{fromName} упомянул(а) вас в «{missionTitle}»',
+    pushFollowTitle: 'Новый подписчик',
+    pushFollowBody: '{fromName} подписался(-ась) на вас',
+    pushFollowRequestTitle: 'Запрос на подписку',
+    pushFollowRequestBody: '{fromName} хочет подписаться на вас',
     dailyRecapTitle: 'Итоги дня',
     dailyRecapBodies: [
       'Миссии дня еще активны. Сделаем финальный рывок?',
@@ -45,14 +57,22 @@ function formatMessage(template, fromName, missionTitle) {
 /**
  * @param {'comment'|'mention'|string} type
  * @param {boolean} [isReplyToUser] — true when replying to someone's comment
+ * @param {boolean} [isHandleMention] — true for an @handle in the text
  */
-function getLocalizedCommentPush(type, fromName, missionTitle, language, isReplyToUser = false) {
+function getLocalizedCommentPush(type, fromName, missionTitle, language, isReplyToUser = false, isHandleMention = false) {
   const lang = resolveLanguage(language);
   const strings = MESSAGES[lang];
   const name = fromName || strings.someone;
   const title = missionTitle || strings.defaultMission;
   const isReply = type === 'mention' || isReplyToUser;
 
+  if (type === 'mention' && isHandleMention) {
+    return {
+      title: strings.pushMentionTitle,
+      body: formatMessage(strings.pushMentionBody, name, title)
+    };
+  }
+
   if (isReply) {
     return {
       title: strings.pushReplyTitle,
@@ -66,6 +86,19 @@ function getLocalizedCommentPush(type, fromName, missionTitle, language, isReply
   };
 }
 
+/**
+ * @param {boolean} [isRequest] — true when the follow waits for approval
+ */
+function getLocalizedFollowPush(fromName, language, isRequest = false) {
+  const strings = MESSAGES[resolveLanguage(language)];
+  const name = fromName || strings.someone;
+
+  return {
+    title: isRequest ? strings.pushFollowRequestTitle : strings.pushFollowTitle,
+    body: formatMessage(isRequest ? strings.pushFollowRequestBody : strings.pushFollowBody, name, '')
+  };
+}
+
 function getLocalizedDailyRecap(language) {
   const strings = MESSAGES[resolveLanguage(language)];
   const bodies = strings.dailyRecapBodies || MESSAGES.en.dailyRecapBodies;
@@ -79,6 +112,7 @@ function getLocalizedDailyRecap(language) {
 
 module.exports = {
   getLocalizedCommentPush,
+  getLocalizedFollowPush,
   getLocalizedDailyRecap,
   MESSAGES
 };
@@ -1,7 +1,11 @@
 const Notification = require('../models/Notification');
 const User = require('../models/User');
 const { sendPushNotification } = require('./pushService');
-const { getLocalizedCommentPush, getLocalizedDailyRecap } = require('./notificationMessages');
+const {
+  getLocalizedCommentPush,
+  getLocalizedFollowPush,
+  getLocalizedDailyRecap
+} = require('./notificationMessages');
 
 async function createNotificationWithPush({
   userId,
@@ -32,14 +36,18 @@ async function createNotificationWithPush({
   return notification;
 }
 
-/** In-app + push notification for diary activity (owner comment or @mention in reply). */
+/**
+ * In-app + push notification for diary activity: owner comment, a reply to the
+ * recipient, or an @handle mention (`isHandleMention`).
+ */
 async function notifyChallengeCommentRecipient({
   recipientUserId,
   fromUserId,
   challenge,
   type,
   commentId,
-  replyId = null
+  replyId = null,
+  isHandleMention = false
 }) {
   if (!recipientUserId || !fromUserId || !challenge) return;
   if (recipientUserId.toString() === fromUserId.toString()) return;
@@ -57,7 +65,8 @@ async function notifyChallengeCommentRecipient({
       fromName,
       missionTitle,
       recipientUser?.dailyRecapLanguage,
-      isReplyToUser
+      isReplyToUser,
+      isHandleMention
     );
 
     await createNotificationWithPush({
@@ -112,6 +121,124 @@ async function notifyChallengeJoin({ ownerId, fromUserId, challenge }) {
   }
 }
 
+async function notifyChallengeJoinRequest({ ownerId, fromUserId, challenge }) {
+  if (!ownerId || !fromUserId || !challenge) return;
+  if (ownerId.toString() === fromUserId.toString()) return;
+
+  try {
+    const fromUser = await User.findById(fromUserId).select('name');
+    const fromName = fromUser?.name || 'Someone';
+
+    await createNotificationWithPush({
+      userId: ownerId,
+      type: 'join_request',
+      notificationFields: {
+        challengeId: challenge._id,
+        fromUserId
+      },
+      push: {
+        title: 'Join Request',
+        body: `${fromName} wants to join your challenge "${challenge.title}"`,
+        tag: `challenge-${challenge._id}`,
+        data: {
+          challengeId: challenge._id.toString()
+        }
+      }
+    });
+  } catch (notificationError) {
+    console.error('Error creating join request notification:', notificationError);
+  }
+}
+
+/** Asks `toUserId` to accept ownership of a mission. */
+async function notifyOwnershipTransferRequest({ toUserId, fromUserId, challenge }) {
+  if (!toUserId || !fromUserId || !challenge) return;
+
+  try {
+    const fromUser = await User.findById(fromUserId).select('name');
+    const fromName = fromUser?.name || 'Someone';
+
+    await createNotificationWithPush({
+      userId: toUserId,
+      type: 'ownership_transfer',
+      notificationFields: {
+        challengeId: challenge._id,
+        fromUserId
+      },
+      push: {
+        title: 'Ownership Transfer',
+        body: `${fromName} wants to hand over the challenge "${challenge.title}" to you`,
+        tag: `challenge-${challenge._id}`,
+        data: {
+          challengeId: challenge._id.toString()
+        }
+      }
+    });
+  } catch (notificationError) {
+    console.error('Error creating ownership transfer notification:', notificationError);
+  }
+}
+
+/** Tells the new owner a leaving owner handed the mission to them. */
+async function notifyOwnershipTransferred({ toUserId, fromUserId, challenge }) {
+  if (!toUserId || !fromUserId || !challenge) return;
+
+  try {
+    const fromUser = await User.findById(fromUserId).select('name');
+    const fromName = fromUser?.name || 'Someone';
+
+    await createNotificationWithPush({
+      userId: toUserId,
+      type: 'ownership_transfer',
+      notificationFields: {
+        challengeId: challenge._id,
+        fromUserId
+      },
+      push: {
+        title: 'You Are the Owner Now',
+        body: `${fromName} left the challenge "${challenge.title}" and made you its owner`,
+        tag: `challenge-${challenge._id}`,
+        data: {
+          challengeId: challenge._id.toString()
+        }
+      }
+    });
+  } catch (notificationError) {
+    console.error('Error creating ownership transfer notification:', notificationError);
+  }
+}
+
+/**
+ * Tells the mission owner a comment was reported, or hidden after enough
+ * reports. The reporter is not revealed.
+ */
+async function notifyCommentReported({ ownerId, challenge, commentId, hidden = false }) {
+  if (!ownerId || !challenge) return;
+
+  try {
+    await createNotificationWithPush({
+      userId: ownerId,
+      type: 'comment_report',
+      notificationFields: {
+        challengeId: challenge._id,
+        commentId: commentId || null
+      },
+      push: {
+        title: hidden ? 'Comment Hidden' : 'Comment Reported',
+        body: hidden
+          ? `A comment in "${challenge.title}" was hidden after several reports. Please review it`
+          : `A comment in "${challenge.title}" was reported. Please review it`,
+        tag: `challenge-${challenge._id}`,
+        data: {
+          challengeId: challenge._id.toString()
+        }
+      }
+    });
+  } catch (notificationError) {
+    console.error('Error creating comment report notification:', notificationError);
+  }
+}
+
 async function notifyChallengeWatch({ ownerId, fromUserId, challenge }) {
   if (!ownerId || !fromUserId || !challenge) return;
   if (ownerId.toString() === fromUserId.toString()) return;
@@ -141,6 +268,41 @@ async function notifyChallengeWatch({ ownerId, fromUserId, challenge }) {
   }
 }
 
+async function notifyUserFollow({ followedUserId, fromUserId, isRequest = false }) {
+  if (!followedUserId || !fromUserId) return;
+  if (followedUserId.toString() === fromUserId.toString()) return;
+
+  try {
+    const [fromUser, recipientUser] = await Promise.all([
+      User.findById(fromUserId).select('name'),
+      User.findById(followedUserId).select('dailyRecapLanguage')
+    ]);
+    const { title, body } = getLocalizedFollowPush(
+      fromUser?.name,
+      recipientUser?.dailyRecapLanguage,
+      isRequest
+    );
+
+    await createNotificationWithPush({
+      userId: followedUserId,
+      type: isRequest ? 'follow_request' : 'follow',
+      notificationFields: {
+        fromUserId
+      },
+      push: {
+        title,
+        body,
+        tag: `follow-${fromUserId}`,
+        data: {
+          fromUserId: fromUserId.toString()
+        }
+      }
+    });
+  } catch (notificationError) {
+    console.error('Error creating follow notification:', notificationError);
+  }
+}
+
 async function sendDailyRecapNotification(user, localDate) {
   const { title, body } = getLocalizedDailyRecap(user.dailyRecapLanguage);
 
@@ -198,7 +360,12 @@ module.exports = {
   createNotificationWithPush,
   notifyChallengeCommentRecipient,
   notifyChallengeJoin,
+  notifyChallengeJoinRequest,
+  notifyOwnershipTransferRequest,
+  notifyOwnershipTransferred,
+  notifyCommentReported,
   notifyChallengeWatch,
+  notifyUserFollow,
   sendDailyRecapNotification,
   notifyReferralCompleted
 };
@@ -0,0 +1,93 @@
+const PROFILE_VISIBILITY_VALUES = Object.freeze(['public', 'followers', 'private']);
+
+const DEFAULT_PRIVACY_SETTINGS = Object.freeze({
+  profileVisibility: 'public',
+  showChecklistHistory: false,
+  showStats: true
+});
+
+function resolvePrivacySettings(user) {
+  const settings = user?.privacySettings || {};
+  return {
+    profileVisibility: PROFILE_VISIBILITY_VALUES.includes(settings.profileVisibility)
+      ? settings.profileVisibility
+      : DEFAULT_PRIVACY_SETTINGS.profileVisibility,
+    showChecklistHistory: typeof settings.showChecklistHistory === 'boolean'
+      ? settings.showChecklistHistory
+      : DEFAULT_PRIVACY_SETTINGS.showChecklistHistory,
+    showStats: typeof settings.showStats === 'boolean'
+      ? settings.showStats
+      : DEFAULT_PRIVACY_SETTINGS.showStats
+  };
+}
+
+function isProfileOwner(user, viewerId) {
+  return !!viewerId && String(user?._id) === String(viewerId);
+}
+
+/**
+ * Whether `viewerId` may see the full profile. `isFollower` is supplied by the
+ * caller because it needs a lookup the serializer should not do itself.
+ */
+function canViewFullProfile(user, viewerId, { isFollower = false } = {}) {
+  if (isProfileOwner(user, viewerId)) return true;
+
+  const { profileVisibility } = resolvePrivacySettings(user);
+  if (profileVisibility === 'public') return true;
+  if (profileVisibility === 'followers') return !!isFollower;
+  return false;
+}
+
+/**
+ * Shape of another user's profile as returned by public endpoints. Unlike
+ * serializeUserForClient it never includes the email, and it drops stats and
+ * checklist history according to the user's privacy settings. Restricted
+ * profiles are reduced to a name/avatar card.
+ */
+function serializePublicProfile(user, {
+  viewerId = null,
+  isFollower = false,
+  challengeCount = 0,
+  checklistHistory = []
+} = {}) {
+  if (!user) return null;
+
+  const settings = resolvePrivacySettings(user);
+  const base = {
+    _id: user._id,
+    name: user.name,
+    avatarUrl: user.avatarUrl || '',
+    profileVisibility: settings.profileVisibility
+  };
+
+  if (!canViewFullProfile(user, viewerId, { isFollower })) {
+    return { ...base, restricted: true };
+  }
+
+  const isOwner = isProfileOwner(user, viewerId);
+  const profile = {
+    ...base,
+    restricted: false,
+    createdAt: user.createdAt
+  };
+
+  if (isOwner || settings.showStats) {
+    profile.xp = user.xp || 0;
+    profile.sparks = user.sparks || 0;
+    profile.challengeCount = challengeCount;
+  }
+
+  if (isOwner || settings.showChecklistHistory) {
+    profile.checklistHistory = checklistHistory;
+  }
+
+  return profile;
+}
+
+module.exports = {
+  PROFILE_VISIBILITY_VALUES,
+  DEFAULT_PRIVACY_SETTINGS,
+  resolvePrivacySettings,
+  canViewFullProfile,
+  serializePublicProfile
+};
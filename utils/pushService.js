@@ -1,5 +1,5 @@
 const webpush = require('web-push');
-const User = require('../models/User');
+const PushSubscription = require('../models/PushSubscription');
 const crypto = require('crypto')
 
 // VAPID keys - Must be stored in environment variables
@@ -143,17 +143,56 @@ if (VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY) {
   console.warn('[Push Service] VAPID keys are missing - push notifications will not work');
 }
 
+function isDeadSubscriptionError(error) {
+  return error?.statusCode === 410 || error?.statusCode === 404 || error?.statusCode === 403;
+}
+
+function toWebPushSubscription(subscription) {
+  return {
+    endpoint: subscription.endpoint,
+    keys: {
+      p256dh: subscription.keys.p256dh,
+      auth: subscription.keys.auth
+    }
+  };
+}
+
+async function sendToSubscription(subscription, payload, userId) {
+  try {
+    await webpush.sendNotification(toWebPushSubscription(subscription), payload);
+    await PushSubscription.updateOne({ _id: subscription._id }, { $set: { lastSuccessAt: new Date() } });
+    return 'sent';
+  } catch (error) {
+    console.error(`[Push] Error sending push notification to user ${userId} (${subscription.deviceLabel || subscription._id}):`, error);
+
+    // If this endpoint is gone or VAPID keys don't match, remove only this device
+    if (isDeadSubscriptionError(error)) {
+      if (error.statusCode === 403) {
+        const body = typeof error.body === 'string' ? error.body : ''
+        if (body.includes('BadJwtToken') || body.includes('credentials') || body.includes('VAPID')) {
+          console.warn(`[Push] 403 likely due to VAPID mismatch/rotation for user ${userId}. Removing stored subscription.`)
+        }
+      }
+      await PushSubscription.deleteOne({ _id: subscription._id, endpoint: subscription.endpoint });
+      return 'removed';
+    }
+    return 'failed';
+  }
+}
+
 /**
- * Send push notification to a user
+ * Send push notification to every device a user has subscribed
  * @param {String} userId - User ID to send notification to
  * @param {Object} notificationData - Notification payload
- * @returns {Promise<void>}
+ * @returns {Promise<{ sent: number, failed: number, removed: number }>}
  */
 async function sendPushNotification(userId, notificationData) {
+  const summary = { sent: 0, failed: 0, removed: 0 };
+
   try {
     // Check if VAPID keys are configured
     if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
-      return;
+      return summary;
     }
 
     // Ensure VAPID keys are set (in case module was reloaded or keys changed)
@@ -163,10 +202,9 @@ async function sendPushNotification(userId, notificationData) {
       VAPID_PRIVATE_KEY
     );
 
-    const user = await User.findById(userId);
-    
-    if (!user || !user.pushSubscription) {
-      return;
+    const subscriptions = await PushSubscription.find({ userId }).lean();
+    if (subscriptions.length === 0) {
+      return summary;
     }
 
     const payload = JSON.stringify({
@@ -180,21 +218,74 @@ async function sendPushNotification(userId, notificationData) {
       silent: false
     });
 
-    await webpush.sendNotification(user.pushSubscription, payload);
+    const outcomes = await Promise.all(
+      subscriptions.map((subscription) => sendToSubscription(subscription, payload, userId))
+    );
+    outcomes.forEach((outcome) => {
+      summary[outcome] += 1;
+    });
   } catch (error) {
     console.error(`[Push] Error sending push notification to user ${userId}:`, error);
-    
-    // If subscription is invalid or VAPID keys don't match, remove it
-    if (error.statusCode === 410 || error.statusCode === 404 || error.statusCode === 403) {
-      if (error.statusCode === 403) {
-        const body = typeof error.body === 'string' ? error.body : ''
-        if (body.includes('BadJwtToken') || body.includes('credentials') || body.includes('VAPID')) {
-          console.warn(`[Push] 403 likely due to VAPID mismatch/rotation for user ${userId}. Removing stored subscription.`)
-        }
-      }
-      await User.findByIdAndUpdate(userId, { pushSubscription: null });
-    }
   }
+
+  return summary;
+}
+
+/** Short human-readable device name, e.g. "Chrome on Android". */
+function describeUserAgent(userAgent) {
+  const ua = String(userAgent || '');
+  if (!ua) return 'Unknown device';
+
+  let browser = 'Browser';
+  if (/Edg\//.test(ua)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+  else if (/Firefox\//.test(ua)) browser = 'Firefox';
+  else if (/Chrome\//.test(ua)) browser = 'Chrome';
+  else if (/Safari\//.test(ua)) browser = 'Safari';
+
+  let os = null;
+  if (/Android/.test(ua)) os = 'Android';
+  else if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+  else if (/Windows/.test(ua)) os = 'Windows';
+  else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+  else if (/Linux/.test(ua)) os = 'Linux';
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+/**
+ * Stores (or re-binds) a subscription by endpoint. An endpoint belongs to one
+ * browser profile, so subscribing it again moves it to the current user.
+ */
+async function savePushSubscription(userId, subscription, { deviceLabel, userAgent = '' } = {}) {
+  const label = String(deviceLabel || '').trim().slice(0, 80) || describeUserAgent(userAgent);
+
+  return PushSubscription.findOneAndUpdate(
+    { endpoint: subscription.endpoint },
+    {
+      $set: {
+        userId,
+        keys: {
+          p256dh: subscription.keys.p256dh,
+          auth: subscription.keys.auth
+        },
+        deviceLabel: label,
+        userAgent: String(userAgent || '')
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+function serializePushSubscription(subscription, currentEndpoint = null) {
+  return {
+    id: subscription._id.toString(),
+    deviceLabel: subscription.deviceLabel || describeUserAgent(subscription.userAgent),
+    userAgent: subscription.userAgent || '',
+    createdAt: subscription.createdAt,
+    lastSuccessAt: subscription.lastSuccessAt || null,
+    isCurrentDevice: !!currentEndpoint && subscription.endpoint === currentEndpoint
+  };
 }
 
 /**
@@ -210,6 +301,9 @@ function getVapidPublicKey() {
 
 module.exports = {
   sendPushNotification,
+  savePushSubscription,
+  serializePushSubscription,
+  describeUserAgent,
   getVapidPublicKey,
   getVapidDiagnostics
 };
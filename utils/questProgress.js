@@ -0,0 +1,265 @@
+const Challenge = require('../models/Challenge');
+const {
+  isResultChallengeCompleted,
+  findChallengeParticipant,
+  getQuestMode,
+  usesChallengeActionState,
+  buildParticipantActionTree
+} = require('./challengeHelpers');
+
+const QUEST_MODES = Object.freeze(['individual', 'shared']);
+
+function toIdString(value) {
+  const id = value?._id || value;
+  return id ? id.toString() : null;
+}
+
+function parseQuestModeInput(value) {
+  if (!QUEST_MODES.includes(value)) {
+    return { error: `questMode must be one of: ${QUEST_MODES.join(', ')}` };
+  }
+  return { questMode: value };
+}
+
+/**
+ * True once any action is checked, claimed or completed, or any member has
+ * checked items. Switching questMode after that would orphan the progress.
+ */
+function hasQuestProgress(challenge) {
+  const actionHasProgress = (action) => !!(action?.checked || action?.claimedBy || action?.completedBy);
+
+  const actionsTouched = (challenge?.actions || []).some(
+    (action) => actionHasProgress(action) || (action.children || []).some(actionHasProgress)
+  );
+  if (actionsTouched) return true;
+
+  return (challenge?.participants || []).some(
+    (participant) => (participant.checkedActionIds || []).length > 0
+  );
+}
+
+/** The action id plus the ids of its sub-actions. */
+function collectActionItemIds(action) {
+  const ids = [String(action._id)];
+  for (const child of action.children || []) {
+    ids.push(String(child._id));
+  }
+  return ids;
+}
+
+function countLeafItems(action) {
+  return Array.isArray(action.children) && action.children.length > 0 ? action.children.length : 1;
+}
+
+function countCheckedLeafItems(actions) {
+  let count = 0;
+  for (const action of actions || []) {
+    if (Array.isArray(action.children) && action.children.length > 0) {
+      count += action.children.filter((child) => child.checked).length;
+    } else if (action.checked) {
+      count += 1;
+    }
+  }
+  return count;
+}
+
+/**
+ * Marks `action` done for `userId` in an individual quest (or for the owner).
+ * Shared quests go through completeSharedAction so claims are respected atomically.
+ */
+function markActionCompletedForMember(challenge, action, userId) {
+  if (usesChallengeActionState(challenge, userId)) {
+    action.checked = true;
+    (action.children || []).forEach((child) => { child.checked = true; });
+    return;
+  }
+
+  const participant = findChallengeParticipant(challenge, userId);
+  if (!participant) return;
+
+  const checked = new Set((participant.checkedActionIds || []).map(String));
+  collectActionItemIds(action).forEach((id) => checked.add(id));
+  participant.checkedActionIds = [...checked];
+}
+
+function markActionUncompletedForMember(challenge, action, userId) {
+  if (usesChallengeActionState(challenge, userId)) {
+    action.checked = false;
+    (action.children || []).forEach((child) => { child.checked = false; });
+    if (getQuestMode(challenge) === 'shared') {
+      action.completedBy = null;
+      action.completedAt = null;
+    }
+    return;
+  }
+
+  const participant = findChallengeParticipant(challenge, userId);
+  if (!participant) return;
+
+  const removed = new Set(collectActionItemIds(action));
+  participant.checkedActionIds = (participant.checkedActionIds || [])
+    .map(String)
+    .filter((id) => !removed.has(id));
+}
+
+/**
+ * Claims an open action of a shared quest for `userId`.
+ * Resolves to false when it is already claimed by someone else or completed.
+ */
+async function claimSharedAction(challengeId, actionId, userId) {
+  const result = await Challenge.updateOne(
+    {
+      _id: challengeId,
+      questMode: 'shared',
+      actions: { $elemMatch: { _id: actionId, checked: { $ne: true }, claimedBy: { $in: [null, userId] } } }
+    },
+    { $set: { 'actions.$.claimedBy': userId, 'actions.$.claimedAt': new Date() } }
+  );
+  return result.matchedCount > 0;
+}
+
+/** Releases a claim; the owner may release anyone's claim. */
+async function releaseSharedActionClaim(challengeId, actionId, userId, { isOwner = false } = {}) {
+  const elemMatch = { _id: actionId, checked: { $ne: true }, claimedBy: isOwner ? { $ne: null } : userId };
+  const result = await Challenge.updateOne(
+    { _id: challengeId, questMode: 'shared', actions: { $elemMatch: elemMatch } },
+    { $set: { 'actions.$.claimedBy': null, 'actions.$.claimedAt': null } }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * Completes a shared-quest action as `userId`, unless another member has
+ * claimed it or it is already done. Resolves to false when nothing changed.
+ */
+async function completeSharedAction(challengeId, actionId, userId) {
+  const now = new Date();
+  const result = await Challenge.updateOne(
+    {
+      _id: challengeId,
+      questMode: 'shared',
+      actions: { $elemMatch: { _id: actionId, checked: { $ne: true }, claimedBy: { $in: [null, userId] } } }
+    },
+    {
+      $set: {
+        'actions.$.checked': true,
+        'actions.$.completedBy': userId,
+        'actions.$.completedAt': now,
+        'actions.$.claimedBy': userId,
+        'actions.$.claimedAt': now,
+        'actions.$.children.$[].checked': true
+      }
+    }
+  );
+  return result.matchedCount > 0;
+}
+
+const ASSIGNMENT_FIELDS = ['claimedBy', 'claimedAt', 'completedBy', 'completedAt'];
+
+/**
+ * For owner edits that replace the whole actions array: keeps claim/completion
+ * fields the client did not send, and credits newly checked shared actions to
+ * `actingUserId`.
+ */
+function preserveActionAssignments(challenge, nextActions, actingUserId) {
+  if (!Array.isArray(nextActions)) return nextActions;
+
+  const prevById = new Map((challenge?.actions || []).map((action) => [String(action._id), action]));
+  const isShared = getQuestMode(challenge) === 'shared';
+
+  return nextActions.map((action) => {
+    if (!action || typeof action !== 'object') return action;
+
+    const prev = action._id != null ? prevById.get(String(action._id)) : null;
+    const next = { ...action };
+
+    if (prev) {
+      ASSIGNMENT_FIELDS.forEach((field) => {
+        if (next[field] === undefined) next[field] = prev[field] ?? null;
+      });
+    }
+
+    if (isShared && next.checked && !next.completedBy && actingUserId) {
+      next.completedBy = actingUserId;
+      next.completedAt = new Date();
+    }
+    if (!next.checked && next.completedBy) {
+      next.completedBy = null;
+      next.completedAt = null;
+    }
+
+    return next;
+  });
+}
+
+/** Frees the open shared-quest claims of a member who leaves or is removed. */
+function releaseMemberActionClaims(challenge, userId) {
+  for (const action of challenge?.actions || []) {
+    if (!action.checked && toIdString(action.claimedBy) === String(userId)) {
+      action.claimedBy = null;
+      action.claimedAt = null;
+    }
+  }
+}
+
+/** Members who completed at least one action of a shared quest. */
+function getSharedQuestContributorIds(challenge) {
+  const ids = new Set();
+  for (const action of challenge?.actions || []) {
+    const completedBy = toIdString(action.completedBy);
+    if (action.checked && completedBy) ids.add(completedBy);
+  }
+  return [...ids];
+}
+
+/**
+ * Per-member quest progress for the mission view. In shared quests a member's
+ * `completed` counts the items they completed; `isCompleted` is the team state.
+ */
+function buildQuestMemberProgress(challenge) {
+  if (challenge?.challengeType !== 'result') return [];
+
+  const actions = challenge.actions || [];
+  const total = actions.reduce((sum, action) => sum + countLeafItems(action), 0);
+  const mode = getQuestMode(challenge);
+  const teamCompleted = mode === 'shared' && isResultChallengeCompleted(actions);
+
+  return (challenge.participants || [])
+    .filter((participant) => participant?.userId)
+    .map((participant) => {
+      const userId = toIdString(participant.userId);
+
+      if (mode === 'shared') {
+        const completed = actions
+          .filter((action) => action.checked && toIdString(action.completedBy) === userId)
+          .reduce((sum, action) => sum + countLeafItems(action), 0);
+        const claimed = actions.filter((action) => !action.checked && toIdString(action.claimedBy) === userId).length;
+
+        return { userId, completed, claimed, total, isCompleted: teamCompleted };
+      }
+
+      const tree = buildParticipantActionTree(challenge, userId);
+      return {
+        userId,
+        completed: countCheckedLeafItems(tree),
+        total,
+        isCompleted: isResultChallengeCompleted(tree)
+      };
+    });
+}
+
+module.exports = {
+  QUEST_MODES,
+  parseQuestModeInput,
+  hasQuestProgress,
+  collectActionItemIds,
+  markActionCompletedForMember,
+  markActionUncompletedForMember,
+  claimSharedAction,
+  releaseSharedActionClaim,
+  completeSharedAction,
+  releaseMemberActionClaims,
+  preserveActionAssignments,
+  getSharedQuestContributorIds,
+  buildQuestMemberProgress
+};
@@ -0,0 +1,35 @@
+const assert = require('assert');
+const { parseQuestModeInput, hasQuestProgress } = require('./questProgress');
+
+function runTests() {
+  assert.deepStrictEqual(parseQuestModeInput('shared'), { questMode: 'shared' });
+  assert.deepStrictEqual(parseQuestModeInput('individual'), { questMode: 'individual' });
+  assert.ok(parseQuestModeInput('team').error, 'unknown mode');
+  assert.ok(parseQuestModeInput(null).error);
+
+  const fresh = {
+    actions: [{ _id: 'a', checked: false, children: [{ _id: 'a1', checked: false }] }],
+    participants: [{ userId: 'u', checkedActionIds: [] }]
+  };
+  assert.strictEqual(hasQuestProgress(fresh), false);
+  assert.strictEqual(hasQuestProgress({}), false);
+
+  const withAction = (patch) => ({ ...fresh, actions: [{ ...fresh.actions[0], ...patch }] });
+  assert.strictEqual(hasQuestProgress(withAction({ checked: true })), true, 'checked action');
+  assert.strictEqual(hasQuestProgress(withAction({ claimedBy: 'u' })), true, 'claimed action');
+  assert.strictEqual(hasQuestProgress(withAction({ completedBy: 'u' })), true, 'completed action');
+  assert.strictEqual(
+    hasQuestProgress(withAction({ children: [{ _id: 'a1', checked: true }] })),
+    true,
+    'checked sub-action'
+  );
+  assert.strictEqual(
+    hasQuestProgress({ ...fresh, participants: [{ userId: 'u', checkedActionIds: ['a1'] }] }),
+    true,
+    'member progress in an individual quest'
+  );
+
+  console.log('questProgress.test.js: all assertions passed');
+}
+
+runTests();
@@ -1,19 +1,16 @@
 const User = require('../models/User');
 const Challenge = require('../models/Challenge');
 const { toLocalDateKey, getLocalParts } = require('./dateHelpers');
+const { VERIFIED_EMAIL_FILTER } = require('./emailVerificationService');
 const {
   loadHabitChallengesForUsers,
   processUserReactivation
 } = require('./reactivationService');
 
-const CHECK_EVERY_MS = 60 * 60 * 1000;
 const SEND_WINDOW_MINUTES = 30;
 const DEFAULT_SEND_TIME = process.env.REACTIVATION_EMAIL_SEND_TIME || '11:00';
 const REACTIVATION_EMAIL_ENABLED = process.env.REACTIVATION_EMAIL_ENABLED !== 'false';
 
-let intervalId = null;
-let isRunning = false;
-
 function parseClockToMinutes(timeStr) {
   const match = /^(\d{1,2}):(\d{2})$/.exec(String(timeStr || '').trim());
   if (!match) return null;
@@ -70,70 +67,50 @@ function isUserDueForReactivationTick(user, now) {
 }
 
 async function runReactivationTick() {
-  if (!REACTIVATION_EMAIL_ENABLED || isRunning) return;
-  isRunning = true;
-
-  try {
-    const now = new Date();
-
-    const habitUserIds = await Challenge.distinct('participants.userId', {
-      challengeType: 'habit'
-    });
-
-    if (habitUserIds.length === 0) return;
-
-    const candidates = await User.find({
-      _id: { $in: habitUserIds },
-      email: { $exists: true, $ne: '' }
-    })
-      .select('_id name email sparks dailyRecapTimezone preferredLanguage dailyRecapLanguage reactivationEmailSentStreakKey reactivationEmailLastCheckedLocalDate')
-      .lean();
-
-    const dueUsers = candidates.filter((user) => isUserDueForReactivationTick(user, now));
-
-    if (dueUsers.length === 0) return;
-
-    const dueUserIds = dueUsers.map((user) => user._id);
-    const challengesByUserId = await loadHabitChallengesForUsers(dueUserIds);
-    const dueUserDocs = await User.find({ _id: { $in: dueUserIds } }).select(
-      '_id name email sparks dailyRecapTimezone preferredLanguage dailyRecapLanguage reactivationEmailSentStreakKey reactivationEmailLastCheckedLocalDate'
-    );
-
-    for (const user of dueUserDocs) {
-      const tz = user.dailyRecapTimezone || 'UTC';
-      const localDate = toLocalDateKey(now, tz);
-
-      try {
-        const habitChallenges = challengesByUserId.get(String(user._id)) || [];
-        await processUserReactivation(user, now, habitChallenges);
-      } catch (error) {
-        console.error('[ReactivationEmail] Failed user tick:', user?._id?.toString(), error?.message || error);
-      } finally {
-        user.reactivationEmailLastCheckedLocalDate = localDate;
-        await user.save();
-      }
+  if (!REACTIVATION_EMAIL_ENABLED) return;
+
+  const now = new Date();
+
+  const habitUserIds = await Challenge.distinct('participants.userId', {
+    challengeType: 'habit'
+  });
+
+  if (habitUserIds.length === 0) return;
+
+  const candidates = await User.find({
+    _id: { $in: habitUserIds },
+    email: { $exists: true, $ne: '' },
+    ...VERIFIED_EMAIL_FILTER
+  })
+    .select('_id name email emailVerified sparks dailyRecapTimezone preferredLanguage dailyRecapLanguage reactivationEmailSentStreakKey reactivationEmailLastCheckedLocalDate')
+    .lean();
+
+  const dueUsers = candidates.filter((user) => isUserDueForReactivationTick(user, now));
+
+  if (dueUsers.length === 0) return;
+
+  const dueUserIds = dueUsers.map((user) => user._id);
+  const challengesByUserId = await loadHabitChallengesForUsers(dueUserIds);
+  const dueUserDocs = await User.find({ _id: { $in: dueUserIds } }).select(
+    '_id name email emailVerified sparks dailyRecapTimezone preferredLanguage dailyRecapLanguage reactivationEmailSentStreakKey reactivationEmailLastCheckedLocalDate'
+  );
+
+  for (const user of dueUserDocs) {
+    const tz = user.dailyRecapTimezone || 'UTC';
+    const localDate = toLocalDateKey(now, tz);
+
+    try {
+      const habitChallenges = challengesByUserId.get(String(user._id)) || [];
+      await processUserReactivation(user, now, habitChallenges);
+    } catch (error) {
+      console.error('[ReactivationEmail] Failed user tick:', user?._id?.toString(), error?.message || error);
+    } finally {
+      user.reactivationEmailLastCheckedLocalDate = localDate;
+      await user.save();
     }
-  } catch (error) {
-    console.error('[ReactivationEmail] Tick failed:', error?.message || error);
-  } finally {
-    isRunning = false;
   }
 }
 
-function startReactivationScheduler() {
-  if (intervalId || !REACTIVATION_EMAIL_ENABLED) return;
-  intervalId = setInterval(runReactivationTick, CHECK_EVERY_MS);
-  setTimeout(runReactivationTick, 15000);
-}
-
-function stopReactivationScheduler() {
-  if (!intervalId) return;
-  clearInterval(intervalId);
-  intervalId = null;
-}
-
 module.exports = {
-  startReactivationScheduler,
-  stopReactivationScheduler,
   runReactivationTick
 };
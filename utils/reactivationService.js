@@ -6,6 +6,7 @@ const { addDaysToYmd } = require('./weeklyChronicleReport');
 const { resolveUserReportLanguage } = require('./weeklyChronicleReport');
 const { getFirstName } = require('./reactivationEmailMessages');
 const { sendReactivationEmail } = require('./emailService');
+const { isEmailVerified } = require('./emailVerificationService');
 
 const MISSED_DAYS_REQUIRED = 3;
 
@@ -55,7 +56,7 @@ async function loadHabitChallengesForUsers(userIds) {
   const challenges = await Challenge.find({
     challengeType: 'habit',
     'participants.userId': { $in: userIds }
-  }).select('startDate endDate frequency participants');
+  }).select('startDate endDate frequency schedule participants');
 
   const map = new Map();
 
@@ -80,6 +81,7 @@ async function loadHabitChallengesForUsers(userIds) {
 function shouldSendReactivationEmail(user, streakKey) {
   if (!streakKey) return false;
   if (!user?.email) return false;
+  if (!isEmailVerified(user)) return false;
   if (user.reactivationEmailSentStreakKey === streakKey) return false;
 
   return true;
@@ -105,16 +107,33 @@ async function processUserReactivation(user, now, habitChallenges) {
   const language = resolveUserReportLanguage(user);
   const sparksBalance = Math.max(0, Number(user.sparks) || 0);
 
-  await sendReactivationEmail(user.email, {
-    userName: user.name,
-    firstName: getFirstName(user.name),
-    sparksBalance,
-    language
-  });
+  // Claim the streak before sending so overlapping ticks cannot both send; release it if sending fails.
+  const previousStreakKey = user.reactivationEmailSentStreakKey || null;
+  const claim = await User.updateOne(
+    { _id: user._id, reactivationEmailSentStreakKey: { $ne: streakKey } },
+    { $set: { reactivationEmailSentStreakKey: streakKey, reactivationEmailSentAt: now } }
+  );
+  if (claim.modifiedCount === 0) {
+    return { sent: false, streakKey };
+  }
+
+  try {
+    await sendReactivationEmail(user.email, {
+      userName: user.name,
+      firstName: getFirstName(user.name),
+      sparksBalance,
+      language
+    });
+  } catch (error) {
+    await User.updateOne(
+      { _id: user._id, reactivationEmailSentStreakKey: streakKey },
+      { $set: { reactivationEmailSentStreakKey: previousStreakKey } }
+    );
+    throw error;
+  }
 
   user.reactivationEmailSentStreakKey = streakKey;
   user.reactivationEmailSentAt = now;
-  await user.save();
 
   return { sent: true, streakKey, language };
 }
@@ -3,7 +3,12 @@ const User = require('../models/User');
 const Referral = require('../models/Referral');
 const Challenge = require('../models/Challenge');
 const { awardSparksOnce } = require('./sparksService');
-const { SPARKS_AMOUNTS, buildReferralSparksKey, buildSignupBonusSparksKey } = require('../constants/sparksRules');
+const {
+  SPARKS_AMOUNTS,
+  SPARKS_EVENT_TYPES,
+  buildReferralSparksKey,
+  buildSignupBonusSparksKey
+} = require('../constants/sparksRules');
 const { buildRewardPayload } = require('./rewardResponse');
 const { notifyReferralCompleted } = require('./notificationService');
 
@@ -167,8 +172,16 @@ async function tryCompleteReferral(refereeId) {
   const refereeKey = buildReferralSparksKey('referee', referrerId, refereeId);
 
   const [referrerAward, refereeAward] = await Promise.all([
-    awardSparksOnce(referrerId, referrerKey, amount),
-    awardSparksOnce(refereeId, refereeKey, amount)
+    awardSparksOnce(referrerId, referrerKey, amount, {
+      type: SPARKS_EVENT_TYPES.REFERRAL,
+      role: 'referrer',
+      refereeId
+    }),
+    awardSparksOnce(refereeId, refereeKey, amount, {
+      type: SPARKS_EVENT_TYPES.REFERRAL,
+      role: 'referee',
+      referrerId
+    })
   ]);
 
   referral.status = 'completed';
@@ -203,7 +216,9 @@ async function tryCompleteSignupBonus(userId) {
 
   const amount = SPARKS_AMOUNTS.SIGNUP_BONUS;
   const key = buildSignupBonusSparksKey(userId);
-  const award = await awardSparksOnce(userId, key, amount);
+  const award = await awardSparksOnce(userId, key, amount, {
+    type: SPARKS_EVENT_TYPES.SIGNUP_BONUS
+  });
 
   return {
     completed: Boolean(award?.awarded),
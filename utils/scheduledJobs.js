@@ -0,0 +1,21 @@
+const { registerJobHandler, registerRecurringJob } = require('./jobQueue');
+const { runDailyRecapTick } = require('./dailyRecapScheduler');
+const { runWeeklyChronicleTick } = require('./weeklyChronicleScheduler');
+const { runReactivationTick } = require('./reactivationScheduler');
+
+const MINUTE_MS = 60 * 1000;
+
+/** Registers the recap, chronicle and reactivation ticks as recurring queue jobs. */
+function registerScheduledJobs() {
+  registerJobHandler('daily-recap-tick', runDailyRecapTick);
+  registerJobHandler('weekly-chronicle-tick', runWeeklyChronicleTick);
+  registerJobHandler('reactivation-tick', runReactivationTick);
+
+  registerRecurringJob('daily-recap-tick', { everyMs: MINUTE_MS });
+  registerRecurringJob('weekly-chronicle-tick', { everyMs: MINUTE_MS });
+  registerRecurringJob('reactivation-tick', { everyMs: 60 * MINUTE_MS });
+}
+
+module.exports = {
+  registerScheduledJobs
+};
@@ -0,0 +1,11 @@
+// MongoDB text indexes stem per document language; we support Russian and English.
+const CYRILLIC_PATTERN = /[Ѐ-ӿ]/;
+
+/** 'russian' when the text contains Cyrillic letters, otherwise 'english'. */
+function detectSearchLanguage(...texts) {
+  return texts.some((text) => CYRILLIC_PATTERN.test(String(text || ''))) ? 'russian' : 'english';
+}
+
+module.exports = {
+  detectSearchLanguage
+};
@@ -0,0 +1,256 @@
+const Challenge = require('../models/Challenge');
+const User = require('../models/User');
+const DiarySearchEntry = require('../models/DiarySearchEntry');
+const { detectSearchLanguage } = require('./searchLanguage');
+
+const SEARCH_TYPES = Object.freeze(['missions', 'diary', 'users']);
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const MAX_PAGE_SIZE = 50;
+const EXCERPT_LENGTH = 200;
+
+// Same visibility rule as the users list: only public profiles are searchable.
+const SEARCHABLE_PROFILE_FILTER = {
+  'privacySettings.profileVisibility': { $nin: ['followers', 'private'] }
+};
+
+const TEXT_SCORE = { $meta: 'textScore' };
+
+function normalizeSearchQuery(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH);
+}
+
+/** `?type=missions,users`; unknown values are ignored and an empty list means all types. */
+function parseSearchTypes(value) {
+  const requested = String(value || '')
+    .split(',')
+    .map((type) => type.trim())
+    .filter((type) => SEARCH_TYPES.includes(type));
+  return requested.length > 0 ? [...new Set(requested)] : [...SEARCH_TYPES];
+}
+
+function buildTextMatch(query, { stemmed = true } = {}) {
+  const text = { $search: query };
+  if (stemmed) {
+    text.$language = detectSearchLanguage(query);
+  }
+  return { $text: text };
+}
+
+function toExcerpt(text) {
+  const value = String(text || '');
+  return value.length > EXCERPT_LENGTH ? `${value.slice(0, EXCERPT_LENGTH - 1)}…` : value;
+}
+
+function pageStages({ skip, limit }) {
+  return [
+    { $sort: { score: -1, _id: -1 } },
+    {
+      $facet: {
+        metadata: [{ $count: 'total' }],
+        items: [{ $skip: skip }, { $limit: limit }]
+      }
+    }
+  ];
+}
+
+function buildMissionSearchPipeline(query, paging) {
+  return [
+    { $match: { ...buildTextMatch(query), privacy: { $ne: 'private' } } },
+    {
+      $project: {
+        score: TEXT_SCORE,
+        title: 1,
+        description: 1,
+        imageUrl: 1,
+        challengeType: 1,
+        category: 1,
+        tags: 1,
+        startDate: 1,
+        endDate: 1,
+        owner: 1,
+        participantCount: { $size: { $ifNull: ['$participants', []] } }
+      }
+    },
+    ...pageStages(paging)
+  ];
+}
+
+/**
+ * Shared diary entries, limited to missions that are public right now, so a
+ * mission switched to private drops its entries without a reindex.
+ */
+function buildDiarySearchPipeline(query, paging) {
+  return [
+    { $match: buildTextMatch(query) },
+    { $addFields: { score: TEXT_SCORE } },
+    {
+      $lookup: {
+        from: 'challenges',
+        localField: 'challengeId',
+        foreignField: '_id',
+        pipeline: [{ $project: { title: 1, privacy: 1 } }],
+        as: 'challenge'
+      }
+    },
+    { $unwind: '$challenge' },
+    { $match: { 'challenge.privacy': { $ne: 'private' } } },
+    // Authors whose profile is hidden from search are hidden here too
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'userId',
+        foreignField: '_id',
+        pipeline: [{ $match: SEARCHABLE_PROFILE_FILTER }, { $project: { _id: 1 } }],
+        as: 'author'
+      }
+    },
+    { $match: { 'author.0': { $exists: true } } },
+    { $project: { author: 0 } },
+    ...pageStages(paging)
+  ];
+}
+
+function buildUserSearchPipeline(query, paging) {
+  return [
+    { $match: { ...buildTextMatch(query, { stemmed: false }), ...SEARCHABLE_PROFILE_FILTER } },
+    { $project: { score: TEXT_SCORE, name: 1, avatarUrl: 1 } },
+    ...pageStages(paging)
+  ];
+}
+
+async function loadUserCards(userIds) {
+  if (userIds.length === 0) return new Map();
+  const users = await User.find({ _id: { $in: userIds } }).select('name avatarUrl').lean();
+  return new Map(users.map((user) => [String(user._id), { _id: user._id, name: user.name, avatarUrl: user.avatarUrl || '' }]));
+}
+
+async function runSearchPipeline(Model, pipeline, { skip }) {
+  const [result] = await Model.aggregate(pipeline);
+  const total = result?.metadata?.[0]?.total || 0;
+  const items = result?.items || [];
+  return { items, total, hasMore: skip + items.length < total };
+}
+
+/**
+ * Searches the requested types in parallel. Every section is paginated with
+ * the same page/limit and ranked by MongoDB text score.
+ */
+async function searchAll(rawQuery, { types = SEARCH_TYPES, page = 1, limit = 10 } = {}) {
+  const query = normalizeSearchQuery(rawQuery);
+  const safeLimit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || 10));
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+  const paging = { skip: (safePage - 1) * safeLimit, limit: safeLimit };
+
+  const [missions, diary, users] = await Promise.all([
+    types.includes('missions') ? runSearchPipeline(Challenge, buildMissionSearchPipeline(query, paging), paging) : null,
+    types.includes('diary') ? runSearchPipeline(DiarySearchEntry, buildDiarySearchPipeline(query, paging), paging) : null,
+    types.includes('users') ? runSearchPipeline(User, buildUserSearchPipeline(query, paging), paging) : null
+  ]);
+
+  const authorIds = [
+    ...(missions?.items || []).map((item) => item.owner),
+    ...(diary?.items || []).map((item) => item.userId)
+  ].filter(Boolean);
+  const userCards = await loadUserCards(authorIds);
+
+  const results = {};
+
+  if (missions) {
+    results.missions = {
+      ...missions,
+      items: missions.items.map((item) => ({
+        type: 'mission',
+        id: item._id,
+        title: item.title,
+        description: toExcerpt(item.description),
+        imageUrl: item.imageUrl || '',
+        challengeType: item.challengeType,
+        category: item.category || 'other',
+        tags: item.tags || [],
+        startDate: item.startDate,
+        endDate: item.endDate,
+        participantCount: item.participantCount,
+        owner: userCards.get(String(item.owner)) || null,
+        score: item.score
+      }))
+    };
+  }
+
+  if (diary) {
+    results.diary = {
+      ...diary,
+      items: diary.items.map((item) => ({
+        type: 'diary',
+        id: item.commentId,
+        challengeId: item.challengeId,
+        challengeTitle: item.challenge?.title || '',
+        text: toExcerpt(item.text),
+        imageUrl: item.imageUrl || null,
+        createdAt: item.createdAt,
+        user: userCards.get(String(item.userId)) || null,
+        score: item.score
+      }))
+    };
+  }
+
+  if (users) {
+    results.users = {
+      ...users,
+      items: users.items.map((item) => ({
+        type: 'user',
+        id: item._id,
+        name: item.name,
+        avatarUrl: item.avatarUrl || '',
+        score: item.score
+      }))
+    };
+  }
+
+  return {
+    query,
+    pagination: { page: safePage, limit: safeLimit },
+    results
+  };
+}
+
+/** Adds or refreshes the search copy of a comment shared from the diary. */
+async function indexSharedDiaryEntry(challengeId, comment) {
+  if (!comment?._id || !comment.sharedFromDiary) return;
+
+  await DiarySearchEntry.updateOne(
+    { commentId: comment._id },
+    {
+      $set: {
+        challengeId,
+        userId: comment.userId?._id || comment.userId,
+        text: comment.text || '',
+        imageUrl: comment.imageUrl || null,
+        searchLanguage: detectSearchLanguage(comment.text),
+        createdAt: comment.createdAt || new Date()
+      }
+    },
+    { upsert: true }
+  );
+}
+
+async function removeSharedDiaryEntries({ commentId, challengeId } = {}) {
+  if (commentId) {
+    await DiarySearchEntry.deleteOne({ commentId });
+  } else if (challengeId) {
+    await DiarySearchEntry.deleteMany({ challengeId });
+  }
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  MIN_QUERY_LENGTH,
+  normalizeSearchQuery,
+  parseSearchTypes,
+  buildMissionSearchPipeline,
+  buildDiarySearchPipeline,
+  buildUserSearchPipeline,
+  searchAll,
+  indexSharedDiaryEntry,
+  removeSharedDiaryEntries
+};
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const { detectSearchLanguage } = require('./searchLanguage');
+const {
+  normalizeSearchQuery,
+  parseSearchTypes,
+  buildMissionSearchPipeline,
+  buildDiarySearchPipeline,
+  buildUserSearchPipeline
+} = require('./searchService');
+
+const paging = { skip: 10, limit: 10 };
+
+assert.strictEqual(detectSearchLanguage('morning run'), 'english');
+assert.strictEqual(detectSearchLanguage('утренняя пробежка'), 'russian');
+assert.strictEqual(detectSearchLanguage('Run', 'каждый день'), 'russian');
+
+assert.strictEqual(normalizeSearchQuery('  read \n  books '), 'read books');
+assert.deepStrictEqual(parseSearchTypes(undefined), ['missions', 'diary', 'users']);
+assert.deepStrictEqual(parseSearchTypes('users,unknown,users'), ['users']);
+
+// Private missions never match, and the query is stemmed in its own language
+const missionMatch = buildMissionSearchPipeline('бег', paging)[0].$match;
+assert.deepStrictEqual(missionMatch.privacy, { $ne: 'private' });
+assert.strictEqual(missionMatch.$text.$language, 'russian');
+
+// Diary entries are filtered by the current privacy of their mission
+const diaryPipeline = buildDiarySearchPipeline('journal', paging);
+assert.ok(diaryPipeline.some((stage) => stage.$match?.['challenge.privacy']?.$ne === 'private'));
+// ...and by the profile visibility of their author
+const authorLookup = diaryPipeline.find((stage) => stage.$lookup?.from === 'users');
+assert.ok(authorLookup);
+assert.deepStrictEqual(authorLookup.$lookup.pipeline[0].$match, {
+  'privacySettings.profileVisibility': { $nin: ['followers', 'private'] }
+});
+assert.ok(diaryPipeline.some((stage) => stage.$match?.['author.0']));
+
+// Names are matched as typed and hidden profiles are excluded
+const userMatch = buildUserSearchPipeline('anna', paging)[0].$match;
+assert.strictEqual(userMatch.$text.$language, undefined);
+assert.deepStrictEqual(userMatch['privacySettings.profileVisibility'], { $nin: ['followers', 'private'] });
+
+const facet = buildUserSearchPipeline('anna', paging).find((stage) => stage.$facet).$facet;
+assert.deepStrictEqual(facet.items, [{ $skip: 10 }, { $limit: 10 }]);
+
+console.log('searchService.test.js: all assertions passed');
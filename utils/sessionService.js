@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { ACCESS_TOKEN_TTL_SECONDS, signAccessToken } = require('./authTokens');
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_USER_AGENT_LENGTH = 512;
+
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(String(refreshToken)).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+function getClientInfo(req) {
+  return {
+    userAgent: String(req?.headers?.['user-agent'] || '').slice(0, MAX_USER_AGENT_LENGTH),
+    ip: req?.ip || null
+  };
+}
+
+function buildAuthTokens(user, session, refreshToken) {
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+async function createSession(user, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    ...getClientInfo(req),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return { session, tokens: buildAuthTokens(user, session, refreshToken) };
+}
+
+/**
+ * Exchanges a refresh token for a new access/refresh pair. The presented token
+ * stops working immediately; presenting it again revokes the whole session.
+ * Resolves to { session, user, tokens } or { reason }.
+ */
+async function rotateSession(refreshToken, req) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return { reason: 'invalid_refresh_token' };
+  }
+
+  const now = new Date();
+  const presentedHash = hashRefreshToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashRefreshToken(nextRefreshToken),
+        previousRefreshTokenHash: presentedHash,
+        ...getClientInfo(req),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousRefreshTokenHash: presentedHash, revokedAt: null },
+      { $set: { revokedAt: now } }
+    );
+    if (reused) {
+      console.warn(`[Auth] Refresh token reuse detected, session ${reused._id} revoked`);
+      return { reason: 'refresh_token_reused' };
+    }
+    return { reason: 'invalid_refresh_token' };
+  }
+
+  const user = await User.findById(session.userId).select('_id name');
+  if (!user) {
+    await Session.updateOne({ _id: session._id }, { $set: { revokedAt: now } });
+    return { reason: 'user_not_found' };
+  }
+
+  return { session, user, tokens: buildAuthTokens(user, session, nextRefreshToken) };
+}
+
+async function revokeSessionByRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') return false;
+
+  const result = await Session.updateOne(
+    { refreshTokenHash: hashRefreshToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+async function revokeSession(userId, sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+async function revokeAllSessions(userId, { exceptSessionId = null } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId && mongoose.isValidObjectId(exceptSessionId)) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date() } });
+  return result.modifiedCount;
+}
+
+async function listActiveSessions(userId) {
+  return Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ lastUsedAt: -1 })
+    .select('_id userAgent ip createdAt lastUsedAt expiresAt')
+    .lean();
+}
+
+function serializeSession(session, currentSessionId = null) {
+  return {
+    id: session._id,
+    userAgent: session.userAgent || '',
+    ip: session.ip || null,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: !!currentSessionId && String(session._id) === String(currentSessionId)
+  };
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL_MS,
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  serializeSession
+};
@@ -1,4 +1,5 @@
 const User = require('../models/User');
+const { applyBalanceChangeOnce, isEventKeyClaimed } = require('./ledgerService');
 const {
   SPARKS_AMOUNTS,
   SPARKS_EVENT_TYPES,
@@ -13,6 +14,7 @@ const {
   buildMissionCommentSparksKey,
   getStreakMilestoneSparks
 } = require('../constants/sparksRules');
+const { getAcceptedInviteeIds } = require('./missionInvites');
 
 function getDailyCapState(user, localDate) {
   const cap = user?.sparksDailyCap || {};
@@ -31,23 +33,20 @@ async function awardSparksOnce(userId, eventKey, amount, meta = {}) {
     };
   }
 
-  const updatedUser = await User.findOneAndUpdate(
-    {
-      _id: userId,
-      awardedSparksEventKeys: { $ne: eventKey }
-    },
-    {
-      $inc: { sparks: amount },
-      $addToSet: { awardedSparksEventKeys: eventKey }
-    },
-    { new: true }
-  );
+  const { user: updatedUser, reason } = await applyBalanceChangeOnce({
+    userId,
+    currency: 'sparks',
+    amount,
+    eventKey,
+    meta,
+    userUpdate: { $inc: { sparks: amount } }
+  });
 
   if (!updatedUser) {
     return {
       awarded: false,
       sparksGained: 0,
-      reason: 'already_awarded'
+      reason: reason === 'duplicate_event' ? 'already_awarded' : 'user_not_found'
     };
   }
 
@@ -78,7 +77,7 @@ async function awardCappedSparksOnce(userId, eventKey, amount, localDate, meta =
     };
   }
 
-  if ((user.awardedSparksEventKeys || []).includes(eventKey)) {
+  if (await isEventKeyClaimed(userId, eventKey)) {
     return {
       awarded: false,
       sparksGained: 0,
@@ -104,27 +103,26 @@ async function awardCappedSparksOnce(userId, eventKey, amount, localDate, meta =
     };
   }
 
-  const updatedUser = await User.findOneAndUpdate(
-    {
-      _id: userId,
-      awardedSparksEventKeys: { $ne: eventKey }
-    },
-    {
+  const { user: updatedUser, reason } = await applyBalanceChangeOnce({
+    userId,
+    currency: 'sparks',
+    amount: sparksToAward,
+    eventKey,
+    meta: { ...meta, requestedAmount: amount },
+    userUpdate: {
       $inc: { sparks: sparksToAward },
-      $addToSet: { awardedSparksEventKeys: eventKey },
       $set: {
         'sparksDailyCap.clientDay': localDate,
         'sparksDailyCap.amount': dailyAmount + sparksToAward
       }
-    },
-    { new: true }
-  );
+    }
+  });
 
   if (!updatedUser) {
     return {
       awarded: false,
       sparksGained: 0,
-      reason: 'already_awarded'
+      reason: reason === 'duplicate_event' ? 'already_awarded' : 'user_not_found'
     };
   }
 
@@ -168,16 +166,37 @@ async function awardHabitDaySparks(userId, challengeId, localDate) {
   );
 }
 
-async function awardManifestSparks(userId, { type, localDate, challengeId = null }) {
+async function awardManifestSparks(userId, { type, localDate, challengeId = null, inviteeId = null }) {
   return awardCappedSparksOnce(
     userId,
-    buildManifestSparksKey(type, localDate, challengeId),
+    buildManifestSparksKey(type, localDate, challengeId, inviteeId),
     SPARKS_AMOUNTS.MANIFEST,
     localDate,
-    { type: SPARKS_EVENT_TYPES.MANIFEST, manifestType: type, localDate, challengeId }
+    { type: SPARKS_EVENT_TYPES.MANIFEST, manifestType: type, localDate, challengeId, inviteeId }
   );
 }
 
+/**
+ * Invite manifest: one award per user who actually joined `challengeId`
+ * through an invite the caller created. Picks the first invitee not yet rewarded.
+ */
+async function awardInviteManifestSparks(userId, { localDate, challengeId }) {
+  const inviteeIds = await getAcceptedInviteeIds(userId, challengeId);
+
+  for (const inviteeId of inviteeIds) {
+    const eventKey = buildManifestSparksKey('invite', localDate, challengeId, inviteeId);
+    if (await isEventKeyClaimed(userId, eventKey)) continue;
+
+    return awardManifestSparks(userId, { type: 'invite', localDate, challengeId, inviteeId });
+  }
+
+  return {
+    awarded: false,
+    sparksGained: 0,
+    reason: inviteeIds.length > 0 ? 'already_awarded' : 'no_accepted_invite'
+  };
+}
+
 async function awardStreakMilestoneSparks(userId, milestone, localDate) {
   const amount = getStreakMilestoneSparks(milestone);
   if (!amount) {
@@ -224,27 +243,23 @@ async function spendSparksOnce(userId, eventKey, amount, meta = {}) {
     };
   }
 
-  const updatedUser = await User.findOneAndUpdate(
-    {
-      _id: userId,
-      sparks: { $gte: amount },
-      awardedSparksEventKeys: { $ne: eventKey }
-    },
-    {
-      $inc: { sparks: -amount },
-      $addToSet: { awardedSparksEventKeys: eventKey }
-    },
-    { new: true }
-  );
+  const { user: updatedUser, reason } = await applyBalanceChangeOnce({
+    userId,
+    currency: 'sparks',
+    amount: -amount,
+    eventKey,
+    meta,
+    userFilter: { sparks: { $gte: amount } },
+    userUpdate: { $inc: { sparks: -amount } }
+  });
 
   if (!updatedUser) {
-    const user = await User.findById(userId).select('sparks awardedSparksEventKeys');
-    if (!user) {
-      return { success: false, sparksSpent: 0, reason: 'user_not_found' };
-    }
-    if ((user.awardedSparksEventKeys || []).includes(eventKey)) {
+    if (reason === 'duplicate_event') {
       return { success: false, sparksSpent: 0, reason: 'already_spent' };
     }
+    if (!(await User.exists({ _id: userId }))) {
+      return { success: false, sparksSpent: 0, reason: 'user_not_found' };
+    }
     return { success: false, sparksSpent: 0, reason: 'insufficient_sparks' };
   }
 
@@ -264,6 +279,7 @@ module.exports = {
   awardQuestActionSparks,
   awardHabitDaySparks,
   awardManifestSparks,
+  awardInviteManifestSparks,
   awardStreakMilestoneSparks,
   awardMissionCompletionSparks,
   awardMissionCommentSparks,
@@ -1,11 +1,23 @@
+// Only public profiles are listed; users without settings count as public.
+const LISTED_PROFILE_FILTER = {
+  'privacySettings.profileVisibility': { $nin: ['followers', 'private'] }
+};
+
 function buildUserMatchStage(searchQuery) {
-  if (!searchQuery) return {};
+  if (!searchQuery) return { ...LISTED_PROFILE_FILTER };
 
   return {
+    ...LISTED_PROFILE_FILTER,
     name: { $regex: searchQuery, $options: 'i' }
   };
 }
 
+function hiddenUnlessStatsShown(field) {
+  return {
+    $cond: [{ $eq: ['$privacySettings.showStats', false] }, '$$REMOVE', field]
+  };
+}
+
 function buildUsersListPipeline({ searchQuery, skip, limit }) {
   const matchStage = buildUserMatchStage(searchQuery);
 
@@ -43,6 +55,15 @@ function buildUsersListPipeline({ searchQuery, skip, limit }) {
         }
       }
     },
+    // Users who hide their stats rank as if they had no missions, so their
+    // position doesn't give the count away
+    {
+      $addFields: {
+        rankChallengeCount: {
+          $cond: [{ $eq: ['$privacySettings.showStats', false] }, 0, '$challengeCount']
+        }
+      }
+    },
     {
       $project: {
         name: 1,
@@ -50,14 +71,29 @@ function buildUsersListPipeline({ searchQuery, skip, limit }) {
         xp: 1,
         sparks: 1,
         createdAt: 1,
-        challengeCount: 1
+        challengeCount: 1,
+        rankChallengeCount: 1,
+        'privacySettings.showStats': 1
       }
     },
-    { $sort: { challengeCount: -1, createdAt: -1 } },
+    { $sort: { rankChallengeCount: -1, createdAt: -1, _id: -1 } },
     {
       $facet: {
         metadata: [{ $count: 'total' }],
-        users: [{ $skip: skip }, { $limit: limit }]
+        users: [
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $project: {
+              name: 1,
+              avatarUrl: 1,
+              xp: hiddenUnlessStatsShown('$xp'),
+              sparks: hiddenUnlessStatsShown('$sparks'),
+              createdAt: 1,
+              challengeCount: hiddenUnlessStatsShown('$challengeCount')
+            }
+          }
+        ]
       }
     }
   ];
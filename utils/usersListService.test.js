@@ -5,7 +5,16 @@ const pipeline = buildUsersListPipeline({ searchQuery: 'anna', skip: 0, limit: 2
 
 assert.ok(Array.isArray(pipeline));
 assert.strictEqual(pipeline[0].$match.name.$regex, 'anna');
+assert.deepStrictEqual(
+  pipeline[0].$match['privacySettings.profileVisibility'],
+  { $nin: ['followers', 'private'] }
+);
 assert.ok(pipeline.some((stage) => stage.$lookup));
 assert.ok(pipeline.some((stage) => stage.$facet));
 
+const sortStage = pipeline.find((stage) => stage.$sort);
+assert.deepStrictEqual(Object.keys(sortStage.$sort), ['rankChallengeCount', 'createdAt', '_id'], 'hidden stats sort neutrally');
+const rankStage = pipeline.find((stage) => stage.$addFields?.rankChallengeCount);
+assert.deepStrictEqual(rankStage.$addFields.rankChallengeCount.$cond[0], { $eq: ['$privacySettings.showStats', false] });
+
 console.log('usersListService.test.js: all assertions passed');
@@ -2,6 +2,9 @@ const { isResultChallengeCompleted } = require('./challengeHelpers');
 
 const FEED_LIMIT = 50;
 const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const NEW_MISSION_WINDOW_DAYS = 30;
+
+const includeEveryone = () => true;
 
 function isPastEndDate(endDate) {
   if (!endDate) return false;
@@ -66,7 +69,7 @@ function buildCommentActivities(challenge, activities) {
   }
 }
 
-function buildParticipantActivities(challenge, activities) {
+function buildParticipantActivities(challenge, activities, { includeUser = includeEveryone } = {}) {
   if (!Array.isArray(challenge.participants)) return;
 
   const challengeId = String(challenge._id);
@@ -76,6 +79,7 @@ function buildParticipantActivities(challenge, activities) {
   for (const participant of challenge.participants) {
     const user = participant.userId;
     const { userId, userName, userAvatar } = getUserDisplay(user);
+    if (!includeUser(userId)) continue;
     const completedDays = participant.completedDays || [];
 
     if (isFinished && completedDays.length > 0) {
@@ -138,17 +142,76 @@ function buildParticipantActivities(challenge, activities) {
   }
 }
 
-function buildWatchedFeedActivities(challenges, { limit = FEED_LIMIT } = {}) {
-  const activities = [];
+function buildMissionCreatedActivity(challenge, activities, { includeUser = includeEveryone } = {}) {
+  if (!challenge.createdAt) return;
 
-  for (const challenge of challenges || []) {
-    const challengeObj =
-      typeof challenge.toObject === 'function' ? challenge.toObject() : challenge;
+  const { userId, userName, userAvatar } = getUserDisplay(challenge.owner);
+  if (!includeUser(userId)) return;
 
-    buildCommentActivities(challengeObj, activities);
-    buildParticipantActivities(challengeObj, activities);
+  const createdAt = new Date(challenge.createdAt);
+  if (daysAgoFrom(createdAt) > NEW_MISSION_WINDOW_DAYS) return;
+
+  const challengeId = String(challenge._id);
+  activities.push({
+    id: `mission-${challengeId}`,
+    type: 'mission_created',
+    timestamp: createdAt,
+    userId,
+    userName,
+    userAvatar,
+    challengeId,
+    challengeTitle: challenge.title || ''
+  });
+}
+
+// Diary entries become visible to others only when shared to the mission's comments.
+function buildSharedDiaryActivities(challenge, activities, { includeUser = includeEveryone } = {}) {
+  if (challenge.allowComments === false) return;
+
+  const challengeId = String(challenge._id);
+  const challengeTitle = challenge.title || '';
+
+  for (const comment of challenge.comments || []) {
+    if (!comment.sharedFromDiary) continue;
+
+    const { userId, userName, userAvatar } = getUserDisplay(comment.userId);
+    if (!includeUser(userId)) continue;
+
+    activities.push({
+      id: `diary-${challengeId}-${comment._id}`,
+      type: 'diary',
+      timestamp: new Date(comment.createdAt),
+      userId,
+      userName,
+      userAvatar,
+      challengeId,
+      challengeTitle
+    });
   }
+}
+
+/**
+ * @param {Array<{ _id, user, milestone: number, createdAt: Date }>} milestones
+ */
+function buildStreakMilestoneActivities(milestones, activities) {
+  for (const milestone of milestones || []) {
+    const { userId, userName, userAvatar } = getUserDisplay(milestone.user);
 
+    activities.push({
+      id: `streak-${userId}-${milestone.milestone}-${milestone._id}`,
+      type: 'streak_milestone',
+      timestamp: new Date(milestone.createdAt),
+      userId,
+      userName,
+      userAvatar,
+      challengeId: null,
+      challengeTitle: '',
+      milestone: milestone.milestone
+    });
+  }
+}
+
+function finalizeActivities(activities, limit) {
   return activities
     .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
     .slice(0, limit)
@@ -158,7 +221,56 @@ function buildWatchedFeedActivities(challenges, { limit = FEED_LIMIT } = {}) {
     }));
 }
 
+function toPlainChallenge(challenge) {
+  return typeof challenge.toObject === 'function' ? challenge.toObject() : challenge;
+}
+
+function buildWatchedFeedActivities(challenges, { limit = FEED_LIMIT } = {}) {
+  const activities = [];
+
+  for (const challenge of challenges || []) {
+    const challengeObj = toPlainChallenge(challenge);
+
+    buildCommentActivities(challengeObj, activities);
+    buildParticipantActivities(challengeObj, activities);
+  }
+
+  return finalizeActivities(activities, limit);
+}
+
+/**
+ * Feed of what followed users did: new missions, joins, completed days, shared
+ * diary entries and streak milestones. Same activity shape as the watched feed;
+ * only activities by `followedUserIds` are included.
+ */
+function buildFollowingFeedActivities({
+  challenges = [],
+  followedUserIds = [],
+  streakMilestones = [],
+  limit = FEED_LIMIT
+} = {}) {
+  const followed = new Set(followedUserIds.map(String));
+  const includeUser = (userId) => !!userId && followed.has(String(userId));
+  const activities = [];
+
+  for (const challenge of challenges) {
+    const challengeObj = toPlainChallenge(challenge);
+
+    buildMissionCreatedActivity(challengeObj, activities, { includeUser });
+    buildParticipantActivities(challengeObj, activities, { includeUser });
+    buildSharedDiaryActivities(challengeObj, activities, { includeUser });
+  }
+
+  buildStreakMilestoneActivities(
+    streakMilestones.filter((milestone) => includeUser(milestone.user?._id || milestone.user)),
+    activities
+  );
+
+  return finalizeActivities(activities, limit);
+}
+
 module.exports = {
   buildWatchedFeedActivities,
+  buildFollowingFeedActivities,
   isChallengeFinished
 };
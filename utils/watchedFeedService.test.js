@@ -1,5 +1,5 @@
 const assert = require('assert');
-const { buildWatchedFeedActivities } = require('./watchedFeedService');
+const { buildWatchedFeedActivities, buildFollowingFeedActivities } = require('./watchedFeedService');
 
 function daysAgo(days) {
   const date = new Date();
@@ -83,4 +83,43 @@ assert.deepStrictEqual(
   sorted.map((item) => item.id)
 );
 
+const followingFeed = buildFollowingFeedActivities({
+  challenges: [
+    {
+      ...mockChallenges[0],
+      owner: userA,
+      createdAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000),
+      comments: [
+        ...mockChallenges[0].comments,
+        {
+          _id: 'comment-diary',
+          userId: userB,
+          text: 'Shared from diary',
+          sharedFromDiary: true,
+          createdAt: new Date(Date.now() - 60 * 60 * 1000)
+        }
+      ]
+    }
+  ],
+  followedUserIds: ['user-b'],
+  streakMilestones: [
+    { _id: 'ledger-1', user: userB, milestone: 7, createdAt: new Date() },
+    { _id: 'ledger-2', user: userA, milestone: 30, createdAt: new Date() }
+  ]
+});
+
+const followingTypes = new Set(followingFeed.map((item) => item.type));
+assert.ok(followingTypes.has('join'));
+assert.ok(followingTypes.has('progress'));
+assert.ok(followingTypes.has('diary'));
+assert.ok(followingTypes.has('streak_milestone'));
+assert.ok(!followingTypes.has('comment'));
+assert.ok(followingFeed.every((item) => item.userId === 'user-b'));
+
+const ownFeed = buildFollowingFeedActivities({
+  challenges: [{ ...mockChallenges[0], owner: userA, createdAt: new Date() }],
+  followedUserIds: ['user-a']
+});
+assert.ok(ownFeed.some((item) => item.type === 'mission_created' && item.challengeId === 'challenge-1'));
+
 console.log('watchedFeedService.test.js: all assertions passed');
@@ -234,6 +234,27 @@ function buildSectionCard(title, icon, accentColor, bodyHtml, options = {}) {
   `;
 }
 
+function formatAmount(value) {
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 10) / 10);
+}
+
+function buildQuantityLinesHtml(quantities, language) {
+  if (!Array.isArray(quantities) || quantities.length === 0) return '';
+  const isRu = resolveLanguage(language) === 'ru';
+
+  const lines = quantities.slice(0, 5).map((habit) => {
+    const title = escapeHtml(habit.title || (isRu ? 'Ритуал' : 'Ritual'));
+    const unit = escapeHtml(habit.unit || '');
+    const detail = isRu
+      ? `${formatAmount(habit.total)} ${unit} за неделю · цель достигнута ${habit.daysReached}/${habit.days.length} дн.`
+      : `${formatAmount(habit.total)} ${unit} this week · target reached ${habit.daysReached}/${habit.days.length} days`;
+
+    return `<p style="margin:0 0 6px; font-size:13px; line-height:1.5; color:${COLORS.textMuted};"><span style="color:${COLORS.text}; font-weight:700;">${title}</span> — ${detail}</p>`;
+  }).join('');
+
+  return `<div style="margin-top:14px;">${lines}</div>`;
+}
+
 function buildRitualsSectionHtml(report, strings, language) {
   const ritualsCompleted = report?.rituals?.completedTotal ?? 0;
   const ritualsScheduled = report?.rituals?.scheduledTotal ?? 0;
@@ -265,6 +286,7 @@ function buildRitualsSectionHtml(report, strings, language) {
                   <p style="margin:0 0 10px; font-size:30px; font-weight:800; color:${COLORS.text}; line-height:1.15; letter-spacing:-0.02em;">${heroMetric}</p>
                   <p style="margin:0 0 16px; font-size:13px; line-height:1.6; color:${COLORS.textMuted};">${escapeHtml(subtext)}</p>
                   ${ritualsScheduled > 0 ? buildProgressBarHtml(ritualsRate) : ''}
+                  ${buildQuantityLinesHtml(report?.rituals?.quantities, language)}
                 </td>
               </tr>
             </table>
@@ -348,6 +370,49 @@ function buildQuestsFullWidthSection(questHtml, strings) {
   `;
 }
 
+const MOOD_EMOJI = Object.freeze({ 1: '😞', 2: '🙁', 3: '😐', 4: '🙂', 5: '😄' });
+
+function formatHighlightSource(highlight, language) {
+  const weekday = getWeekdayShort(highlight.day, language);
+  const mood = MOOD_EMOJI[highlight.mood] ? ` ${MOOD_EMOJI[highlight.mood]}` : '';
+  const title = highlight.challengeTitle || (resolveLanguage(language) === 'ru' ? 'Миссия' : 'Mission');
+  return `${title} · ${weekday}${mood}`;
+}
+
+function buildDiaryHighlightLines(highlights, language) {
+  return (highlights || [])
+    .map((highlight) => `“${highlight.quote}” — ${formatHighlightSource(highlight, language)}`)
+    .join('\n');
+}
+
+function buildDiaryHighlightsSection(highlights, strings, language) {
+  if (!highlights?.length) return '';
+
+  const items = highlights.map((highlight) => `
+    <div style="margin-bottom:12px; padding:14px; border-radius:12px; background:${COLORS.cardInner}; border-left:3px solid ${COLORS.success};">
+      <p style="margin:0 0 8px; font-family:Georgia, 'Times New Roman', serif; font-size:15px; line-height:1.55; font-style:italic; color:${COLORS.text};">“${escapeHtml(highlight.quote)}”</p>
+      <p style="margin:0; font-family:Arial, Helvetica, sans-serif; font-size:12px; color:${COLORS.textMuted};">${escapeHtml(formatHighlightSource(highlight, language))}</p>
+    </div>
+  `).join('');
+
+  return `
+    <tr>
+      <td style="padding:8px;">
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="border-collapse:collapse; background:${COLORS.cardInner}; border:1px solid ${COLORS.borderSoft}; border-radius:12px;">
+          <tr>
+            <td style="padding:18px;">
+              <p style="margin:0 0 14px; font-family:Arial, Helvetica, sans-serif; font-size:11px; letter-spacing:0.14em; text-transform:uppercase; color:${COLORS.success}; font-weight:700;">
+                📖 ${strings.diaryTitle}
+              </p>
+              ${items}
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  `;
+}
+
 function getWeeklyChronicleEmailContent(report, { appUrl, year, logoUrl } = {}) {
   const language = resolveLanguage(report?.language);
   const userName = escapeHtml(report?.userName || 'Hero');
@@ -370,6 +435,7 @@ function getWeeklyChronicleEmailContent(report, { appUrl, year, logoUrl } = {})
       sparksBalanceLabel: 'Текущий баланс',
       rankTitle: 'Ранг',
       rankLevelLabel: 'Ваш уровень',
+      diaryTitle: 'Из вашего дневника',
       cta: 'Открыть Ignite',
       footer: `© ${copyrightYear} Ignite. Вы получили это письмо, потому что включили «Еженедельную летопись» в настройках профиля.`
     }
@@ -386,12 +452,14 @@ function getWeeklyChronicleEmailContent(report, { appUrl, year, logoUrl } = {})
       sparksBalanceLabel: 'Current balance',
       rankTitle: 'Rank',
       rankLevelLabel: 'Your level',
+      diaryTitle: 'From your diary',
       cta: 'Open Ignite',
       footer: `© ${copyrightYear} Ignite. You received this email because weekly chronicle is enabled in your profile settings.`
     };
 
   const questHtml = buildQuestHtml(report.quests, language);
   const questText = buildQuestLines(report.quests, language);
+  const diaryText = buildDiaryHighlightLines(report.diaryHighlights, language);
   const ritualsCompleted = report?.rituals?.completedTotal ?? 0;
   const ritualsScheduled = report?.rituals?.scheduledTotal ?? 0;
   const ritualsRate = report?.rituals?.completionRate;
@@ -478,6 +546,7 @@ function getWeeklyChronicleEmailContent(report, { appUrl, year, logoUrl } = {})
                         </td>
                       </tr>
                       ${buildQuestsFullWidthSection(questHtml, strings)}
+                      ${buildDiaryHighlightsSection(report.diaryHighlights, strings, language)}
                     </table>
                   </td>
                 </tr>
@@ -517,6 +586,7 @@ function getWeeklyChronicleEmailContent(report, { appUrl, year, logoUrl } = {})
     `${strings.questsTitle}:`,
     questText,
     '',
+    ...(diaryText ? [`${strings.diaryTitle}:`, diaryText, ''] : []),
     `${strings.sparksTitle}: +${sparksEarned} ${language === 'ru' ? 'за неделю' : 'this week'}, ${language === 'ru' ? 'баланс' : 'balance'} ${sparksBalance}.`,
     '',
     `${strings.rankTitle}: Lv.${level} · ${rankRoman} (${rankName}) · ${rankProgress}% ${language === 'ru' ? 'до след. уровня' : 'to next level'}.`,
@@ -9,11 +9,9 @@ const {
   countCompletedActionItems,
   countTotalActionItems
 } = require('./challengeHelpers');
-const {
-  SPARKS_AMOUNTS,
-  SPARKS_EVENT_KEY_PREFIXES,
-  getStreakMilestoneSparks
-} = require('../constants/sparksRules');
+const { buildQuantitySummaries } = require('./habitQuantity');
+const { sumEarnedInRange } = require('./ledgerService');
+const { findWeeklyDiaryHighlights } = require('./diaryService');
 const {
   getLevelFromXp,
   getLevelName,
@@ -55,87 +53,6 @@ function getLastCompleteWeekBounds(sundayLocalDateKey) {
   };
 }
 
-function extractLocalDateFromSparksKey(key) {
-  const parts = String(key || '').split(':');
-
-  for (const part of parts) {
-    if (/^\d{4}-\d{2}-\d{2}$/.test(part)) {
-      return part;
-    }
-  }
-
-  return null;
-}
-
-function estimateSparksForKey(key) {
-  const eventKey = String(key || '');
-
-  if (eventKey.startsWith(`${SPARKS_EVENT_KEY_PREFIXES.CHECKLIST_TASK}:`)) {
-    return SPARKS_AMOUNTS.TASK_COMPLETION;
-  }
-
-  if (eventKey.startsWith(`${SPARKS_EVENT_KEY_PREFIXES.HABIT_DAY}:`)) {
-    return SPARKS_AMOUNTS.TASK_COMPLETION;
-  }
-
-  if (eventKey.startsWith(`${SPARKS_EVENT_KEY_PREFIXES.MANIFEST}:`)) {
-    return SPARKS_AMOUNTS.MANIFEST;
-  }
-
-  if (eventKey.startsWith(`${SPARKS_EVENT_KEY_PREFIXES.STREAK_MILESTONE}:`)) {
-    const milestone = parseInt(eventKey.split(':')[2], 10);
-    return getStreakMilestoneSparks(milestone);
-  }
-
-  if (eventKey.startsWith(`${SPARKS_EVENT_KEY_PREFIXES.MISSION_COMPLETION}:`)) {
-    return SPARKS_AMOUNTS.MISSION_COMPLETION;
-  }
-
-  if (eventKey.startsWith(`${SPARKS_EVENT_KEY_PREFIXES.MISSION_EXTEND}:`)) {
-    return SPARKS_AMOUNTS.MISSION_EXTEND;
-  }
-
-  if (eventKey.startsWith(`${SPARKS_EVENT_KEY_PREFIXES.FREEZE_DAY}:`)) {
-    return SPARKS_AMOUNTS.FREEZE_DAY;
-  }
-
-  if (eventKey.startsWith(`${SPARKS_EVENT_KEY_PREFIXES.SECOND_CHANCE}:`)) {
-    return SPARKS_AMOUNTS.SECOND_CHANCE;
-  }
-
-  if (eventKey.startsWith(`${SPARKS_EVENT_KEY_PREFIXES.REFERRAL}:`)) {
-    return SPARKS_AMOUNTS.REFERRAL;
-  }
-
-  if (eventKey.startsWith(`${SPARKS_EVENT_KEY_PREFIXES.SIGNUP_BONUS}:`)) {
-    return SPARKS_AMOUNTS.SIGNUP_BONUS;
-  }
-
-  if (eventKey.startsWith(`${SPARKS_EVENT_KEY_PREFIXES.MISSION_COMMENT}:`)) {
-    return SPARKS_AMOUNTS.MISSION_COMMENT;
-  }
-
-  return 0;
-}
-
-function countSparksEarnedInRange(awardedSparksEventKeys, startKey, endKey) {
-  let total = 0;
-  let eventCount = 0;
-
-  for (const key of awardedSparksEventKeys || []) {
-    const localDate = extractLocalDateFromSparksKey(key);
-
-    if (!localDate || localDate < startKey || localDate > endKey) {
-      continue;
-    }
-
-    total += estimateSparksForKey(key);
-    eventCount += 1;
-  }
-
-  return { total, eventCount };
-}
-
 function countQuestStepsFromChecklists(checklistsByDate, dayKeys, challengeIdSet) {
   let completed = 0;
 
@@ -250,11 +167,11 @@ async function buildWeeklyChronicleReport(user, now = new Date(), options = {})
   const weekBounds = getLastCompleteWeekBounds(todayKey);
   const userId = user._id;
 
-  const [habitChallenges, resultChallenges, checklistsByDate] = await Promise.all([
+  const [habitChallenges, resultChallenges, checklistsByDate, sparksWeek, diaryHighlights] = await Promise.all([
     Challenge.find({
       challengeType: 'habit',
       'participants.userId': userId
-    }).select('startDate endDate frequency participants title').lean(),
+    }).select('startDate endDate frequency schedule dailyTarget participants title').lean(),
     Challenge.find({
       challengeType: 'result',
       $or: [
@@ -262,16 +179,14 @@ async function buildWeeklyChronicleReport(user, now = new Date(), options = {})
         { 'participants.userId': userId }
       ]
     }).select('title startDate endDate actions owner participants').lean(),
-    findManyByLocalDates(userId, weekBounds.dayKeys)
+    findManyByLocalDates(userId, weekBounds.dayKeys),
+    sumEarnedInRange(userId, 'sparks', weekBounds.start, weekBounds.end),
+    findWeeklyDiaryHighlights(userId, weekBounds.dayKeys)
   ]);
 
   const rituals = buildRitualSummary(habitChallenges, userId, weekBounds.dayKeys);
+  const quantities = buildQuantitySummaries(habitChallenges, userId, weekBounds.dayKeys);
   const quests = buildQuestSummaries(resultChallenges, userId, weekBounds.dayKeys, checklistsByDate);
-  const sparksWeek = countSparksEarnedInRange(
-    user.awardedSparksEventKeys,
-    weekBounds.start,
-    weekBounds.end
-  );
 
   const level = getLevelFromXp(user.xp);
   const rankRoman = getRank(level);
@@ -311,9 +226,11 @@ async function buildWeeklyChronicleReport(user, now = new Date(), options = {})
     weekEnd: weekBounds.end,
     rituals: {
       ...rituals,
-      weekDays
+      weekDays,
+      quantities
     },
     quests,
+    diaryHighlights,
     sparks: {
       earnedThisWeek: sparksWeek.total,
       eventsThisWeek: sparksWeek.eventCount,
@@ -331,6 +248,7 @@ async function buildWeeklyChronicleReport(user, now = new Date(), options = {})
     isEmpty: rituals.scheduledTotal === 0
       && quests.length === 0
       && sparksWeek.total === 0
+      && diaryHighlights.length === 0
   };
 }
 
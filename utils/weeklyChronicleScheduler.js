@@ -2,15 +2,12 @@ const User = require('../models/User');
 const { toLocalDateKey, getLocalParts } = require('./dateHelpers');
 const { getLastCompleteWeekBounds, buildWeeklyChronicleReport } = require('./weeklyChronicleReport');
 const { sendWeeklyChronicleEmail } = require('./emailService');
+const { VERIFIED_EMAIL_FILTER } = require('./emailVerificationService');
 
-const CHECK_EVERY_MS = 60 * 1000;
 const SEND_WINDOW_MINUTES = 15;
 const DEFAULT_SEND_TIME = process.env.WEEKLY_CHRONICLE_SEND_TIME || '10:00';
 const DEFAULT_SEND_WEEKDAY = Number(process.env.WEEKLY_CHRONICLE_SEND_WEEKDAY ?? 0);
 
-let intervalId = null;
-let isRunning = false;
-
 function parseClockToMinutes(timeStr) {
   const match = /^(\d{1,2}):(\d{2})$/.exec(String(timeStr || '').trim());
   if (!match) return null;
@@ -97,64 +94,57 @@ async function processUserWeeklyChronicle(user, now) {
   if (user.weeklyChronicleLastSentWeekKey === weekKey) return;
 
   const report = await buildWeeklyChronicleReport(user, now);
-  await sendWeeklyChronicleEmail(user.email, report);
 
-  user.weeklyChronicleLastSentWeekKey = weekKey;
-  await user.save();
-}
-
-async function runWeeklyChronicleTick() {
-  if (isRunning) return;
-  isRunning = true;
+  // Claim the week before sending so overlapping ticks cannot both send; release it if sending fails.
+  const previousWeekKey = user.weeklyChronicleLastSentWeekKey || null;
+  const claim = await User.updateOne(
+    { _id: user._id, weeklyChronicleLastSentWeekKey: { $ne: weekKey } },
+    { $set: { weeklyChronicleLastSentWeekKey: weekKey } }
+  );
+  if (claim.modifiedCount === 0) return;
 
   try {
-    const now = new Date();
-
-    const candidates = await User.find({
-      weeklyChronicleEmailEnabled: true,
-      email: { $exists: true, $ne: '' }
-    })
-      .select('_id email name xp sparks awardedSparksEventKeys dailyRecapTimezone dailyRecapLanguage preferredLanguage weeklyChronicleLastSentWeekKey')
-      .lean();
-
-    const dueUserIds = candidates
-      .filter((user) => isUserDueForWeeklyChronicle(user, now))
-      .map((user) => user._id);
-
-    if (dueUserIds.length === 0) return;
-
-    const dueUsers = await User.find({ _id: { $in: dueUserIds } }).select(
-      '_id email name xp sparks awardedSparksEventKeys dailyRecapTimezone dailyRecapLanguage preferredLanguage weeklyChronicleLastSentWeekKey'
-    );
-
-    for (const user of dueUsers) {
-      try {
-        await processUserWeeklyChronicle(user, now);
-      } catch (error) {
-        console.error('[WeeklyChronicle] Failed user tick:', user?._id?.toString(), error?.message || error);
-      }
-    }
+    await sendWeeklyChronicleEmail(user.email, report);
   } catch (error) {
-    console.error('[WeeklyChronicle] Tick failed:', error?.message || error);
-  } finally {
-    isRunning = false;
+    await User.updateOne(
+      { _id: user._id, weeklyChronicleLastSentWeekKey: weekKey },
+      { $set: { weeklyChronicleLastSentWeekKey: previousWeekKey } }
+    );
+    throw error;
   }
 }
 
-function startWeeklyChronicleScheduler() {
-  if (intervalId) return;
-  intervalId = setInterval(runWeeklyChronicleTick, CHECK_EVERY_MS);
-  setTimeout(runWeeklyChronicleTick, 8000);
-}
-
-function stopWeeklyChronicleScheduler() {
-  if (!intervalId) return;
-  clearInterval(intervalId);
-  intervalId = null;
+async function runWeeklyChronicleTick() {
+  const now = new Date();
+
+  const candidates = await User.find({
+    weeklyChronicleEmailEnabled: true,
+    email: { $exists: true, $ne: '' },
+    ...VERIFIED_EMAIL_FILTER
+  })
+    .select('_id email name xp sparks dailyRecapTimezone dailyRecapLanguage preferredLanguage weeklyChronicleLastSentWeekKey')
+    .lean();
+
+  const dueUserIds = candidates
+    .filter((user) => isUserDueForWeeklyChronicle(user, now))
+    .map((user) => user._id);
+
+  if (dueUserIds.length === 0) return;
+
+  const dueUsers = await User.find({ _id: { $in: dueUserIds } }).select(
+    '_id email name xp sparks dailyRecapTimezone dailyRecapLanguage preferredLanguage weeklyChronicleLastSentWeekKey'
+  );
+
+  for (const user of dueUsers) {
+    try {
+      await processUserWeeklyChronicle(user, now);
+    } catch (error) {
+      console.error('[WeeklyChronicle] Failed user tick:', user?._id?.toString(), error?.message || error);
+    }
+  }
 }
 
 module.exports = {
-  startWeeklyChronicleScheduler,
-  stopWeeklyChronicleScheduler,
+  runWeeklyChronicleTick,
   isUserDueForWeeklyChronicle
 };
@@ -1,4 +1,4 @@
-const User = require('../models/User');
+const { applyBalanceChangeOnce } = require('./ledgerService');
 const {
   XP_AMOUNTS,
   XP_EVENT_TYPES,
@@ -22,25 +22,20 @@ async function awardXpOnce(userId, eventKey, amount, meta = {}) {
     };
   }
 
-  const updatedUser = await User.findOneAndUpdate(
-    {
-      _id: userId,
-      awardedXpEventKeys: { $ne: eventKey }
-    },
-    {
-      $inc: { xp: amount },
-      $addToSet: { awardedXpEventKeys: eventKey }
-    },
-    {
-      new: true
-    }
-  );
+  const { user: updatedUser, reason } = await applyBalanceChangeOnce({
+    userId,
+    currency: 'xp',
+    amount,
+    eventKey,
+    meta,
+    userUpdate: { $inc: { xp: amount } }
+  });
 
   if (!updatedUser) {
     return {
       awarded: false,
       xpGained: 0,
-      reason: 'already_awarded'
+      reason: reason === 'duplicate_event' ? 'already_awarded' : 'user_not_found'
     };
   }
 